@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+module.exports = {
+    collection: 'audit_log',
+    // Holds the sequence number and hash of the newest entry
+    headDocument: 'audit_log_meta/head',
+    // With a secret key entries are chained with HMAC-SHA256, so someone with
+    // database access alone can't rewrite history and recompute the hashes
+    hmacKey: process.env.AUDIT_HMAC_KEY || '',
+    // Entries read per query while verifying the chain
+    verifyBatchSize: parseInt(process.env.AUDIT_VERIFY_BATCH_SIZE) || 500,
+    // Problems reported by a verification run before it stops listing them
+    maxReportedErrors: 100
+};
@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+
+module.exports = {
+    passwordVerifier: {
+        // 'identity-toolkit' is the only built-in backend; others can be registered
+        backend: process.env.AUTH_PASSWORD_BACKEND || 'identity-toolkit',
+        apiKey: process.env.API_KEY,
+        // Point at the Auth emulator or a local fake, e.g. http://127.0.0.1:9099/identitytoolkit.googleapis.com
+        baseUrl: process.env.IDENTITY_TOOLKIT_URL || 'https://identitytoolkit.googleapis.com',
+        timeout: parseInt(process.env.AUTH_VERIFY_TIMEOUT) || 10000
+    },
+    /**
+     * Failed sign-ins are counted per account (email) and per IP within
+     * windowMs, in the rate limit store. Reaching accountMaxFailures blocks
+     * the account and ipMaxFailures blocks the IP, with block lengths from
+     * the named escalation policies in config/ips.js.
+     */
+    bruteForce: {
+        windowMs: parseInt(process.env.AUTH_FAILURE_WINDOW_MS) || 15 * MINUTE,
+        accountMaxFailures: parseInt(process.env.AUTH_ACCOUNT_MAX_FAILURES) || 5,
+        ipMaxFailures: parseInt(process.env.AUTH_IP_MAX_FAILURES) || 20,
+        accountPolicy: 'account_lockout',
+        ipPolicy: 'brute_force'
+    }
+};
@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+module.exports = {
+    // Topic -> permission needed to receive it
+    topics: {
+        alerts: 'ids:read',   // stored IDS alerts (Snort, WAF, geo, login)
+        blocks: 'ips:read',   // IP and user blocks / unblocks, including expiries
+        vpn: 'vpn:read'       // VPN client connects / disconnects
+    },
+
+    // Recent events kept in memory for Last-Event-ID resume and GET /api/events
+    bufferSize: parseInt(process.env.EVENTS_BUFFER_SIZE) || 1000,
+    heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS) || 25000,
+    // Reconnect delay suggested to EventSource clients
+    retryMs: 5000,
+    maxClients: parseInt(process.env.EVENTS_MAX_CLIENTS) || 500,
+    // Clients this far behind are disconnected and resume with Last-Event-ID
+    maxBufferedBytes: 1024 * 1024,
+
+    wsPath: '/api/events/ws'
+};
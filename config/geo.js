@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+    // Policies managed through /api/ips/geo-policies
+    collection: 'ips_geo_policies',
+
+    /**
+     * Optional local ASN database, either the iptoasn.com ip2asn-combined.tsv
+     * (start, end, asn, country, description) or a GeoLite2-ASN CSV
+     * (network, autonomous_system_number, autonomous_system_organization).
+     * Without it, policies can only match on country and region.
+     */
+    asnDatabase: process.env.GEO_ASN_DATABASE || '',
+
+    // ASNs of hosting / cloud providers; networks not listed are treated as residential
+    hostingAsns: list(process.env.GEO_HOSTING_ASNS).map(asn => parseInt(asn.replace(/^AS/i, ''))),
+    // Matched against the ASN's organisation name when the number isn't listed above
+    hostingKeywords: list(process.env.GEO_HOSTING_KEYWORDS || [
+        'hosting', 'datacenter', 'data center', 'cloud', 'server', 'vps', 'colocation',
+        'amazon', 'aws', 'google', 'microsoft', 'azure', 'digitalocean', 'linode', 'akamai',
+        'ovh', 'hetzner', 'scaleway', 'vultr', 'choopa', 'contabo', 'leaseweb', 'oracle', 'alibaba', 'tencent'
+    ].join(',')).map(keyword => keyword.toLowerCase()),
+
+    // Limit applied to requests matching a rate_limit policy without its own limit
+    rateLimit: {
+        limit: parseInt(process.env.GEO_RATE_LIMIT) || 3,
+        windowMs: MINUTE
+    },
+
+    // One alert per IP and policy in this period, so a blocked country can't flood ids_alerts
+    alertCooldownMs: 10 * MINUTE
+};
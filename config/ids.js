@@ -0,0 +1,49 @@
+const path = require('path');
+require('dotenv').config();
+
+const DAY = 24 * 60 * 60 * 1000;
+const logDir = process.env.SNORT_LOG_DIR || path.join(__dirname, '../services/logs');
+
+module.exports = {
+    // Snort 3 alert output ingestion
+    ingestion: {
+        logDir,
+        // Files written by Snort's alert_json / alert_fast loggers
+        sources: [
+            {
+                path: process.env.SNORT_ALERT_JSON_FILE || path.join(logDir, 'alert_json.txt'),
+                format: 'json'
+            },
+            {
+                path: process.env.SNORT_ALERT_FAST_FILE || path.join(logDir, 'alert_fast.txt'),
+                format: 'fast'
+            }
+        ],
+        stateFile: process.env.SNORT_INGEST_STATE_FILE || path.join(logDir, 'ingest_state.json'),
+        maxReadBytes: parseInt(process.env.SNORT_INGEST_MAX_READ_BYTES) || 5 * 1024 * 1024, // Per file, per run
+        dedupCacheSize: parseInt(process.env.SNORT_INGEST_DEDUP_CACHE) || 10000 // Fingerprints kept across restarts
+    },
+
+    // Applying rule changes to a running Snort
+    reload: {
+        backend: process.env.SNORT_RELOAD_BACKEND || 'none', // 'pidfile', 'control' or 'none'
+        pidFile: process.env.SNORT_PID_FILE || '/var/run/snort/snort.pid',
+        signal: process.env.SNORT_RELOAD_SIGNAL || 'SIGHUP',
+        controlSocket: process.env.SNORT_CONTROL_SOCKET || '/var/run/snort/snort.sock', // Unix socket path or host:port
+        controlCommand: process.env.SNORT_CONTROL_COMMAND || 'reload_config()',
+        // Config test run before new rules go live, e.g. 'snort -c /etc/snort/snort.lua -T'.
+        // Any script works here, so a fake snort can stand in during development.
+        validateCommand: process.env.SNORT_VALIDATE_COMMAND || '',
+        timeout: parseInt(process.env.SNORT_RELOAD_TIMEOUT) || 30000
+    },
+
+    // Suppressions: matching alerts are counted but not stored or notified
+    suppression: {
+        collection: 'ids_suppressions',
+        // Every suppression expires; used when neither expiresAt nor durationMs is given
+        defaultDurationMs: parseInt(process.env.IDS_SUPPRESSION_DEFAULT_MS) || 30 * DAY,
+        maxDurationMs: 365 * DAY,
+        // Hit counters are written in bulk on this schedule rather than per alert
+        flushSchedule: '*/1 * * * *'
+    }
+};
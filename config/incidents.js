@@ -0,0 +1,33 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+
+module.exports = {
+    collection: 'ids_incidents',
+    // Points each correlation key at its current incident, so concurrent alerts join the same one
+    keysCollection: 'ids_incident_keys',
+
+    /**
+     * Alerts join an open or acknowledged incident with the same key while
+     * its last alert is less than windowMs old. Key fields: src_ip, target
+     * (dest_ip, or the path / user of HTTP and login alerts) and signature
+     * (gid:sid for Snort alerts, alert_type otherwise).
+     */
+    correlateBy: (process.env.INCIDENT_CORRELATE_BY || 'src_ip,target,signature')
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean),
+    windowMs: parseInt(process.env.INCIDENT_WINDOW_MS) || 30 * MINUTE,
+
+    // Incident severity = highest alert severity + the bonus for its alert count (capped at 10)
+    escalation: [
+        { alerts: 10, add: 1 },
+        { alerts: 50, add: 2 },
+        { alerts: 200, add: 3 }
+    ],
+
+    statuses: ['open', 'acknowledged', 'resolved', 'false_positive'],
+    // Alert ids kept on the incident (all alerts are tagged with incidentId)
+    maxAlertIds: 200,
+    maxHistory: 200
+};
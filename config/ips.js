@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Block durations per offense; null means permanent
+const defaultPolicies = {
+    // Automatic block when the /api rate limit is exceeded
+    rate_limit: {
+        steps: [HOUR, 6 * HOUR, DAY, 7 * DAY, null],
+        windowMs: 30 * DAY, // Offenses older than this don't count
+        decayMs: 7 * DAY // Each clean period of this length forgives one step
+    },
+    // Automatic block on suspicious request content
+    suspicious: {
+        steps: [6 * HOUR, DAY, 7 * DAY, null],
+        windowMs: 90 * DAY,
+        decayMs: 30 * DAY
+    },
+    // IP with too many failed sign-ins (config/auth.js)
+    brute_force: {
+        steps: [HOUR, DAY, 7 * DAY, null],
+        windowMs: 30 * DAY,
+        decayMs: 7 * DAY
+    },
+    // Account with too many failed sign-ins; never permanent, since anyone
+    // who knows the email address can trigger it
+    account_lockout: {
+        steps: [15 * MINUTE, HOUR, 6 * HOUR, DAY],
+        windowMs: 7 * DAY,
+        decayMs: DAY
+    },
+    // Blocks requested through /api/ips/block and /api/ips/block-user without a duration
+    manual: {
+        steps: [HOUR, 6 * HOUR, DAY, 7 * DAY, null],
+        windowMs: 30 * DAY,
+        decayMs: 7 * DAY
+    }
+};
+
+module.exports = {
+    escalation: {
+        // Override with e.g. IPS_ESCALATION_POLICIES='{"rate_limit":{"steps":[600000,3600000]}}'
+        policies: Object.entries(JSON.parse(process.env.IPS_ESCALATION_POLICIES || '{}'))
+            .reduce((policies, [name, policy]) => ({
+                ...policies,
+                [name]: { ...(policies[name] || defaultPolicies.manual), ...policy }
+            }), defaultPolicies),
+        defaultPolicy: 'manual',
+        historyLimit: 50 // Offenses kept per IP/user
+    }
+};
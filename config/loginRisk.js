@@ -0,0 +1,45 @@
+require('dotenv').config();
+
+const DAY = 24 * 3600000;
+
+module.exports = {
+    // Per-user login history (login_history/{uid})
+    collection: 'login_history',
+    historyLimit: 20, // Recent logins kept for travel checks
+    knownLimit: 50, // Countries and devices remembered per user
+
+    /**
+     * Score added by each signal; the total is capped at 100 and mapped to
+     * an alert severity of score / 10 (so 80+ also sends the high severity
+     * notification).
+     */
+    weights: {
+        impossible_travel: 50,
+        // Blocked within offenseWindowMs; IPs blocked right now never get this far
+        blocklisted_ip: 20,
+        new_country: 25,
+        new_device: 15
+    },
+
+    impossibleTravel: {
+        // Faster than a commercial flight between the two locations
+        maxSpeedKmh: parseInt(process.env.LOGIN_RISK_MAX_SPEED_KMH) || 900,
+        // GeoIP city accuracy; closer locations are never flagged
+        minDistanceKm: parseInt(process.env.LOGIN_RISK_MIN_DISTANCE_KM) || 500
+    },
+
+    // Past offenses of the IP count as a (weaker) blocklist signal within this window
+    offenseWindowMs: 30 * DAY,
+
+    // Clients may send a stable device id; otherwise the device is derived
+    // from the user agent (without version numbers) and accept-language
+    deviceIdHeader: (process.env.LOGIN_RISK_DEVICE_HEADER || 'x-device-id').toLowerCase(),
+
+    // Logins scoring at least this are written to ids_alerts
+    alertThreshold: parseInt(process.env.LOGIN_RISK_ALERT_THRESHOLD) || 1,
+    // Logins scoring at least this are refused with LOGIN_STEP_UP_REQUIRED; unset disables step-up
+    stepUpThreshold: parseInt(process.env.LOGIN_RISK_STEP_UP_THRESHOLD) || null,
+    // Refused logins wait here (login_step_ups/{challengeId}) for POST /authenticate/step-up
+    stepUpCollection: 'login_step_ups',
+    stepUpTtlMs: parseInt(process.env.LOGIN_RISK_STEP_UP_TTL_MS) || 10 * 60000
+};
@@ -0,0 +1,85 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const severity = (value, fallback) => parseInt(value) || fallback;
+
+/**
+ * Notification channels. Built-in channels are enabled by their env
+ * variables; NOTIFICATION_CHANNELS='[{"name":"...","type":"webhook",...}]'
+ * adds more. Every channel takes:
+ *   name, type (smtp | webhook | slack | fcm), minSeverity,
+ *   templates: { alert: { subject, text }, digest: { subject, text } } to
+ *   override the defaults below,
+ * plus per type: smtp { host, port, secure, user, pass, from, to },
+ * webhook { url, headers }, slack { url }, fcm { topic }.
+ */
+const builtinChannels = [
+    process.env.SMTP_HOST && {
+        name: 'email',
+        type: 'smtp',
+        minSeverity: severity(process.env.NOTIFY_EMAIL_MIN_SEVERITY, 8),
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.SMTP_FROM,
+        to: list(process.env.ALERT_EMAIL)
+    },
+    process.env.NOTIFY_WEBHOOK_URL && {
+        name: 'webhook',
+        type: 'webhook',
+        minSeverity: severity(process.env.NOTIFY_WEBHOOK_MIN_SEVERITY, 5),
+        url: process.env.NOTIFY_WEBHOOK_URL,
+        headers: JSON.parse(process.env.NOTIFY_WEBHOOK_HEADERS || '{}')
+    },
+    process.env.NOTIFY_SLACK_WEBHOOK_URL && {
+        name: 'slack',
+        type: 'slack',
+        minSeverity: severity(process.env.NOTIFY_SLACK_MIN_SEVERITY, 7),
+        url: process.env.NOTIFY_SLACK_WEBHOOK_URL
+    },
+    // Firebase Cloud Messaging topic the mobile app subscribes to
+    process.env.NOTIFY_FCM_TOPIC && {
+        name: 'mobile',
+        type: 'fcm',
+        minSeverity: severity(process.env.NOTIFY_FCM_MIN_SEVERITY, 8),
+        topic: process.env.NOTIFY_FCM_TOPIC
+    }
+].filter(Boolean);
+
+module.exports = {
+    channels: [...builtinChannels, ...JSON.parse(process.env.NOTIFICATION_CHANNELS || '[]')],
+
+    /**
+     * {{field}} placeholders are filled from the alert (dotted paths such as
+     * {{details.path}} work) or, for digests, from count, maxSeverity, from,
+     * to and summary (one line per alert message). Values are escaped for
+     * the channel (HTML for email, Slack's own escaping for Slack).
+     */
+    templates: {
+        alert: {
+            subject: '⚠️ IDS alert (severity {{severity}}): {{msg}}',
+            text: 'Message: {{msg}}\nSource IP: {{src_ip}}\nDestination IP: {{dest_ip}}\nSeverity: {{severity}}\nTimestamp: {{timestamp}}'
+        },
+        digest: {
+            subject: '⚠️ {{count}} more IDS alerts (highest severity {{maxSeverity}})',
+            text: '{{count}} alerts between {{from}} and {{to}} were held back to avoid a flood:\n{{summary}}'
+        }
+    },
+
+    // Per channel: the first maxPerWindow alerts of a window are sent, the rest go out as one digest when it ends
+    throttle: {
+        windowMs: parseInt(process.env.NOTIFY_WINDOW_MS) || 5 * MINUTE,
+        maxPerWindow: parseInt(process.env.NOTIFY_MAX_PER_WINDOW) || 3
+    },
+
+    // Failed sends are retried with exponential backoff, then kept in deadLetterCollection
+    retry: {
+        attempts: 3,
+        backoffMs: 2000
+    },
+    timeout: 10000,
+    deadLetterCollection: 'notification_dead_letters'
+};
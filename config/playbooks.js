@@ -0,0 +1,55 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Automatic responses to IDS alerts. A playbook fires when an alert meets
+ * all of its conditions:
+ *   minSeverity / maxSeverity, sids (Snort sid list), msgPattern (regex,
+ *   case-insensitive), alertTypes ('snort' for Snort alerts, or the
+ *   alert_type of WAF, geo and login alerts), protocols, and
+ *   count: { threshold, windowMs } - that many matching alerts from the same
+ *   src_ip within the window.
+ * Actions run in order:
+ *   block_ip { durationMs?, policy? }   - block src_ip (escalation policy when no duration)
+ *   block_user { durationMs?, policy? } - block users whose users_ips.ip is src_ip
+ *   revoke_vpn_client                   - revoke the VPN client of a VPN connection alert, or the
+ *                                         connected client whose real or virtual address is src_ip
+ *   notify                              - notify every channel, regardless of its severity threshold
+ * After firing, a playbook ignores the same src_ip for cooldownMs.
+ * block_ip skips sources in internalRanges (for outbound rules src_ip is our
+ * own host) unless the playbook sets allowInternal: true.
+ * The defaults only act on Snort alerts: WAF, rate-limit and login blocks
+ * already happen where those alerts are raised.
+ */
+const defaultPlaybooks = [
+    {
+        name: 'block-critical-source',
+        description: 'Block the source of any critical alert for a day',
+        match: { alertTypes: ['snort'], minSeverity: 9 },
+        actions: [{ type: 'block_ip', durationMs: 24 * HOUR }, { type: 'notify' }]
+    },
+    {
+        name: 'block-repeat-offender',
+        description: 'Block sources raising five or more medium alerts in ten minutes',
+        match: { alertTypes: ['snort'], minSeverity: 5, count: { threshold: 5, windowMs: 10 * MINUTE } },
+        actions: [{ type: 'block_ip', policy: 'suspicious' }]
+    }
+];
+
+module.exports = {
+    // Override with PLAYBOOKS='[{"name":"...","match":{...},"actions":[...]}]'
+    playbooks: JSON.parse(process.env.PLAYBOOKS || 'null') || defaultPlaybooks,
+    // Evaluate and record every playbook without acting until PLAYBOOKS_DRY_RUN=false opts in
+    // (a playbook can also set dryRun itself)
+    dryRun: process.env.PLAYBOOKS_DRY_RUN !== 'false',
+    enabled: process.env.PLAYBOOKS_ENABLED !== 'false',
+    cooldownMs: 10 * MINUTE,
+    // Our own network: RFC 1918, shared and ULA space plus HOME_NET (comma-separated CIDRs, as in snort.lua)
+    internalRanges: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10', 'fc00::/7', ...list(process.env.HOME_NET)],
+    // Every run, with the triggering alert ids and each action's outcome
+    runsCollection: 'ids_playbook_runs'
+};
@@ -0,0 +1,74 @@
+require('dotenv').config();
+
+const MINUTE = 60000;
+
+/**
+ * Declarative limits. Every rule whose path prefix (and method, if given)
+ * matches a request is checked; the request is rejected when any of them is
+ * exhausted. `key` picks what is counted: 'ip' or 'user' (the verified uid,
+ * so only available behind manualAuth). Rules with blockIP set hand the
+ * offender to the IPS (rate_limit escalation policy) instead of only
+ * answering 429.
+ *
+ * algorithm 'token-bucket': `limit` tokens refill evenly over `windowMs`,
+ *   up to `burst` (defaults to limit).
+ * algorithm 'sliding-window-log': at most `limit` requests in any `windowMs`.
+ */
+const defaultRules = [
+    {
+        name: 'authenticate',
+        path: '/authenticate',
+        methods: ['POST'],
+        key: 'ip',
+        algorithm: 'sliding-window-log',
+        limit: 5,
+        windowMs: MINUTE
+    },
+    {
+        name: 'api-ip',
+        path: '/api',
+        key: 'ip',
+        algorithm: 'token-bucket',
+        limit: 10,
+        windowMs: MINUTE,
+        burst: 10,
+        blockIP: true
+    },
+    {
+        name: 'api-user',
+        path: '/api',
+        key: 'user',
+        algorithm: 'sliding-window-log',
+        limit: 120,
+        windowMs: MINUTE
+    },
+    {
+        name: 'ids-rules-write',
+        path: '/api/ids/rules',
+        methods: ['POST', 'PUT', 'PATCH', 'DELETE'],
+        key: 'user',
+        algorithm: 'token-bucket',
+        limit: 30,
+        windowMs: MINUTE
+    }
+];
+
+module.exports = {
+    // 'memory' (single instance), 'firestore' or 'redis' (shared between instances)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    // Replace the rules with e.g. RATE_LIMIT_RULES='[{"name":"api-ip","path":"/api","key":"ip","limit":100,"windowMs":60000}]'
+    rules: process.env.RATE_LIMIT_RULES ? JSON.parse(process.env.RATE_LIMIT_RULES) : defaultRules,
+    // On store errors requests are let through rather than failing the API
+    failOpen: process.env.RATE_LIMIT_FAIL_CLOSED !== 'true',
+
+    firestore: {
+        collection: process.env.RATE_LIMIT_COLLECTION || 'rate_limits'
+    },
+
+    redis: {
+        // Any server speaking the Redis protocol with WATCH/MULTI/EXEC (Redis, Valkey, KeyDB, ...)
+        url: process.env.RATE_LIMIT_REDIS_URL || 'redis://127.0.0.1:6379',
+        prefix: process.env.RATE_LIMIT_REDIS_PREFIX || 'ratelimit:',
+        timeout: parseInt(process.env.RATE_LIMIT_REDIS_TIMEOUT) || 2000
+    }
+};
@@ -0,0 +1,117 @@
+require('dotenv').config();
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Each role includes the permissions of the roles it inherits from
+const roles = {
+    viewer: {
+        description: 'Read-only access to alerts, rules, blocks and VPN clients',
+        permissions: ['ids:read', 'ips:read', 'vpn:read']
+    },
+    analyst: {
+        description: 'Triage alerts and incidents, manage IDS rules and block or unblock offenders',
+        inherits: ['viewer'],
+        permissions: ['ids:alerts:process', 'ids:alerts:triage', 'ids:suppressions:write', 'ids:rules:write', 'ids:incidents:write', 'ips:block', 'ips:unblock']
+    },
+    admin: {
+        description: 'Everything, including allowlist, geo policies, maintenance, VPN clients, roles and the audit log',
+        inherits: ['analyst'],
+        permissions: ['*']
+    }
+};
+
+/**
+ * Permission required per route, first match wins. Paths use Express syntax
+ * (:param) and are matched against the full URL; `method: '*'` matches any
+ * method. A permission of null only requires a valid token. /api routes not
+ * listed here need `unmappedPermission`, so new endpoints are admin-only
+ * until they are added.
+ */
+const routes = [
+    { method: 'GET', path: '/api/rbac/me', permission: null },
+    { method: 'GET', path: '/api/rbac/roles', permission: null },
+    { method: '*', path: '/api/rbac/users/:uid/roles', permission: 'roles:manage' },
+    { method: '*', path: '/api/rbac/users/:uid/roles/:role', permission: 'roles:manage' },
+
+    // Events are filtered per topic by the stream itself (config/events.js)
+    { method: 'GET', path: '/api/events', permission: null },
+    { method: 'GET', path: '/api/events/stream', permission: null },
+
+    { method: 'GET', path: '/api/vpn/clients', permission: 'vpn:read' },
+    { method: 'GET', path: '/api/vpn/clients/:username/config', permission: 'vpn:clients:config' },
+    { method: 'GET', path: '/api/vpn/clients/:username', permission: 'vpn:read' },
+    { method: 'POST', path: '/api/vpn/clients', permission: 'vpn:clients:write' },
+    { method: 'PATCH', path: '/api/vpn/clients/:username', permission: 'vpn:clients:write' },
+    { method: 'POST', path: '/api/vpn/clients/:username/renew', permission: 'vpn:clients:write' },
+    { method: 'DELETE', path: '/api/vpn/clients/:username', permission: 'vpn:clients:write' },
+    { method: 'GET', path: '/api/vpn/certificates/expiring', permission: 'vpn:read' },
+    { method: 'GET', path: '/api/vpn/connections', permission: 'vpn:read' },
+
+    { method: 'GET', path: '/api/audit', permission: 'audit:read' },
+    { method: 'GET', path: '/api/audit/verify', permission: 'audit:read' },
+
+    { method: 'GET', path: '/api/ids', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/alerts', permission: 'ids:read' },
+    { method: 'POST', path: '/api/ids/alerts/:id/acknowledge', permission: 'ids:alerts:triage' },
+    { method: 'POST', path: '/api/ids/alerts/:id/false-positive', permission: 'ids:alerts:triage' },
+    { method: 'GET', path: '/api/ids/suppressions', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/suppressions/export', permission: 'ids:read' },
+    { method: 'POST', path: '/api/ids/suppressions', permission: 'ids:suppressions:write' },
+    { method: 'PUT', path: '/api/ids/suppressions/:id', permission: 'ids:suppressions:write' },
+    { method: 'DELETE', path: '/api/ids/suppressions/:id', permission: 'ids:suppressions:write' },
+    { method: 'GET', path: '/api/ids/stats', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/process_alerts', permission: 'ids:alerts:process' },
+    { method: 'GET', path: '/api/ids/rules', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/rules/reload', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/rules/:id/revisions', permission: 'ids:read' },
+    { method: 'POST', path: '/api/ids/rules/validate', permission: 'ids:read' },
+    { method: 'POST', path: '/api/ids/rules/reload', permission: 'ids:rules:write' },
+    { method: 'POST', path: '/api/ids/rules', permission: 'ids:rules:write' },
+    { method: 'PUT', path: '/api/ids/rules/:id', permission: 'ids:rules:write' },
+    { method: 'PATCH', path: '/api/ids/rules/:id', permission: 'ids:rules:write' },
+    { method: 'DELETE', path: '/api/ids/rules/:id', permission: 'ids:rules:write' },
+    { method: 'POST', path: '/api/ids/rules/:id/rollback', permission: 'ids:rules:write' },
+    { method: 'GET', path: '/api/ids/notifications', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/notifications/dead-letters', permission: 'ids:read' },
+    { method: 'POST', path: '/api/ids/notifications/test', permission: 'ids:notifications:test' },
+    { method: 'GET', path: '/api/ids/playbooks', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/playbooks/runs', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/incidents', permission: 'ids:read' },
+    { method: 'GET', path: '/api/ids/incidents/:id', permission: 'ids:read' },
+    { method: 'POST', path: '/api/ids/incidents', permission: 'ids:incidents:write' },
+    { method: 'PATCH', path: '/api/ids/incidents/:id', permission: 'ids:incidents:write' },
+    { method: 'POST', path: '/api/ids/incidents/:id/notes', permission: 'ids:incidents:write' },
+    { method: 'DELETE', path: '/api/ids/incidents/:id', permission: 'ids:incidents:delete' },
+
+    { method: 'GET', path: '/api/ips', permission: 'ips:read' },
+    { method: 'GET', path: '/api/ips/blocked', permission: 'ips:read' },
+    { method: 'GET', path: '/api/ips/blocked-users', permission: 'ips:read' },
+    { method: 'GET', path: '/api/ips/offenses', permission: 'ips:read' },
+    { method: 'GET', path: '/api/ips/allowlist', permission: 'ips:read' },
+    { method: 'POST', path: '/api/ips/block', permission: 'ips:block' },
+    { method: 'POST', path: '/api/ips/block-user', permission: 'ips:block' },
+    { method: 'DELETE', path: '/api/ips/unblock', permission: 'ips:unblock' },
+    { method: 'POST', path: '/api/ips/cleanup', permission: 'ips:maintain' },
+    { method: 'POST', path: '/api/ips/allowlist', permission: 'ips:allowlist:write' },
+    { method: 'PUT', path: '/api/ips/allowlist/:id', permission: 'ips:allowlist:write' },
+    { method: 'DELETE', path: '/api/ips/allowlist/:id', permission: 'ips:allowlist:write' },
+    { method: 'GET', path: '/api/ips/geo-policies', permission: 'ips:read' },
+    { method: 'GET', path: '/api/ips/geo-policies/lookup', permission: 'ips:read' },
+    { method: 'POST', path: '/api/ips/geo-policies', permission: 'ips:geo:write' },
+    { method: 'PUT', path: '/api/ips/geo-policies/:id', permission: 'ips:geo:write' },
+    { method: 'DELETE', path: '/api/ips/geo-policies/:id', permission: 'ips:geo:write' },
+    { method: 'GET', path: '/api/ips/feeds', permission: 'ips:read' },
+    { method: 'POST', path: '/api/ips/feeds/:name/import', permission: 'ips:feeds:import' }
+];
+
+module.exports = {
+    roles,
+    routes,
+    unmappedPermission: 'api:unmapped',
+    // Role for users without a roles claim; empty means no access beyond null-permission routes
+    defaultRole: process.env.RBAC_DEFAULT_ROLE || '',
+    // uids or emails treated as admin regardless of claims, to grant the first real admin
+    bootstrapAdmins: list(process.env.RBAC_BOOTSTRAP_ADMINS),
+    // Reject tokens issued before a role was revoked (one extra Auth lookup per request)
+    checkRevoked: process.env.RBAC_CHECK_REVOKED !== 'false'
+};
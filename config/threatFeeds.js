@@ -0,0 +1,75 @@
+const path = require('path');
+require('dotenv').config();
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Settings every feed starts from. Entries are refreshed on each import and
+ * lapse after maxAgeMs, so blocks from a feed that stops updating run out
+ * on their own.
+ */
+const feedDefaults = {
+    format: 'text', // 'text' (one IP/CIDR per line), 'csv' or 'stix' (STIX 2.1 bundle)
+    schedule: '17 * * * *', // node-schedule cron expression
+    confidence: 75, // 0-100, used when the feed doesn't carry one per entry
+    minConfidence: 0, // Entries below this are ignored
+    maxEntries: 50000,
+    maxAgeMs: 3 * DAY,
+    timeout: 30000,
+    // An import that finds nothing while the feed still has active blocks is
+    // treated as a broken download instead of expiring every entry
+    allowEmpty: false,
+    enabled: true
+};
+
+// Well-known public feeds, off unless named in THREAT_FEEDS_ENABLED
+const catalog = [
+    {
+        name: 'firehol-level1',
+        url: 'https://raw.githubusercontent.com/firehol/blocklist-ipsets/master/firehol_level1.netset',
+        format: 'text',
+        confidence: 90
+    },
+    {
+        name: 'feodotracker',
+        url: 'https://feodotracker.abuse.ch/downloads/ipblocklist.csv',
+        format: 'csv',
+        csv: { column: 'dst_ip' },
+        confidence: 90
+    }
+];
+
+/**
+ * Feeds: the catalog entries listed in THREAT_FEEDS_ENABLED plus any defined
+ * in THREAT_FEEDS as JSON, e.g.
+ * [{"name":"local","file":"test/fixtures/feeds/sample.txt"},
+ *  {"name":"partner","url":"https://...","format":"stix","headers":{"Authorization":"..."}}]
+ * `file` paths are relative to the project root. csv options: column (header
+ * name or 0-based index; default the first field holding an IP), delimiter,
+ * confidenceColumn.
+ */
+const enabled = list(process.env.THREAT_FEEDS_ENABLED);
+const feeds = [
+    ...catalog.filter(feed => enabled.includes(feed.name)),
+    ...JSON.parse(process.env.THREAT_FEEDS || '[]')
+].map(feed => ({ ...feedDefaults, ...feed }));
+
+module.exports = {
+    feeds,
+    feedDefaults,
+    catalog,
+    rootDir: path.join(__dirname, '..'),
+    // Per-feed import results
+    statsCollection: 'ips_feeds',
+    // Never imported: private, shared, link-local, multicast and reserved space
+    reservedRanges: [
+        '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+        '172.16.0.0/12', '192.168.0.0/16', '224.0.0.0/3',
+        '::/128', '::1/128', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+    ],
+    // Ranges wider than this are ignored rather than blocking a large slice of the Internet
+    minPrefixLength: { 4: 8, 6: 19 }
+};
@@ -1,14 +1,28 @@
 const path = require('path');
 require('dotenv').config(); // Add this to load .env files
 
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// "host:port:protocol" entries; port and protocol default to OPENVPN_PORT / OPENVPN_PROTOCOL
+const remotes = list(process.env.OPENVPN_REMOTES).map(entry => {
+    const [host, port, protocol] = entry.split(':');
+    return {
+        host,
+        port: parseInt(port) || parseInt(process.env.OPENVPN_PORT) || 1194,
+        protocol: protocol || process.env.OPENVPN_PROTOCOL || 'udp'
+    };
+});
+
 module.exports = {
     // OpenVPN Management Interface Configuration
     management: {
+        enabled: process.env.OPENVPN_MANAGEMENT_ENABLED !== 'false',
         host: process.env.OPENVPN_MANAGEMENT_HOST || 'localhost',
         port: parseInt(process.env.OPENVPN_MANAGEMENT_PORT) || 7505,
         password: process.env.OPENVPN_MANAGEMENT_PASSWORD || 'vpn-management-password',
         timeout: 5000, // Add connection timeout (ms)
-        reconnectInterval: 10000 // Add auto-reconnect interval (ms)
+        reconnectInterval: 10000, // Add auto-reconnect interval (ms)
+        statusInterval: parseInt(process.env.OPENVPN_STATUS_INTERVAL) || 30000 // `status 3` refresh of sessions and byte counters (ms)
     },
 
     // OpenVPN Server Configuration
@@ -47,13 +61,45 @@ module.exports = {
         renegotiateTime: process.env.OPENVPN_RENEGOTIATE_TIME || '3600' // In seconds
     },
 
+    // Built-in certificate authority (easy-rsa layout under server.certificatesDir/pki)
+    pki: {
+        collection: 'vpn_certificates',
+        // Creates a CA on first use when pki/ca.crt doesn't exist yet
+        autoCreateCA: process.env.VPN_PKI_AUTO_CREATE_CA !== 'false',
+        // Same for the tls-crypt / tls-auth key at server.tlsAuthFile
+        autoCreateTLSKey: process.env.VPN_PKI_AUTO_CREATE_TLS_KEY !== 'false',
+        caCommonName: process.env.VPN_PKI_CA_NAME || 'VPN-IDS-IPS CA',
+        organization: process.env.VPN_PKI_ORGANIZATION || null,
+        caValidDays: 3650,
+        keyType: process.env.VPN_PKI_KEY_TYPE || 'ec', // 'ec' (P-256) or 'rsa'
+        rsaKeySize: 2048,
+        // OpenVPN refuses every client once the CRL's nextUpdate passes, so it is reissued daily
+        crlValidDays: parseInt(process.env.VPN_PKI_CRL_VALID_DAYS) || 30,
+        crlSchedule: '15 3 * * *',
+        expiringDays: parseInt(process.env.VPN_PKI_EXPIRING_DAYS) || 30
+    },
+
     // Client Defaults
     clientDefaults: {
-        redirectGateway: process.env.OPENVPN_REDIRECT_GATEWAY === 'true' || true,
+        redirectGateway: process.env.OPENVPN_REDIRECT_GATEWAY !== 'false',
         compression: process.env.OPENVPN_COMPRESSION || 'compress lz4-v2',
         persistKey: true,
         persistTun: true,
         nobind: true,
         muteReplayWarnings: true
+    },
+
+    // Client .ovpn profiles
+    profile: {
+        // Public addresses clients connect to, tried in order (fallbacks, e.g. UDP then TCP 443)
+        remotes: remotes.length > 0 ? remotes : [{
+            host: process.env.OPENVPN_PUBLIC_HOST || 'localhost',
+            port: parseInt(process.env.OPENVPN_PORT) || 1194,
+            protocol: process.env.OPENVPN_PROTOCOL || 'udp'
+        }],
+        remoteRandom: process.env.OPENVPN_REMOTE_RANDOM === 'true',
+        // 'tls-crypt' or 'tls-auth'; both use server.tlsAuthFile, which is created when missing
+        tlsKeyMode: process.env.OPENVPN_TLS_KEY_MODE || 'tls-crypt',
+        verb: 3
     }
 };
\ No newline at end of file
@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+module.exports = {
+    // 'block' rejects anomalous requests and blocks the IP, 'detect' only records
+    // them in ids_alerts, 'off' skips inspection
+    mode: process.env.WAF_MODE || 'block',
+    // Requests whose summed rule scores reach this are anomalous
+    // (critical = 5, error = 4, warning = 3, notice = 2)
+    anomalyThreshold: parseInt(process.env.WAF_ANOMALY_THRESHOLD) || 5,
+    // Only these request headers are inspected; cookies are split into named values
+    headers: (process.env.WAF_HEADERS || 'user-agent,referer,cookie,x-forwarded-host,x-original-url')
+        .split(',')
+        .map(header => header.trim().toLowerCase())
+        .filter(Boolean),
+    // Rule ids to switch off, e.g. WAF_DISABLED_RULES=sqli-select-from,xss-js-sink
+    disabledRules: (process.env.WAF_DISABLED_RULES || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean),
+    // Request parts that legitimately carry attack signatures. Each entry
+    // skips the listed rules (all when omitted) for the listed locations
+    // (all when omitted) on `path` and the paths below it; `:name` segments
+    // match any single segment.
+    exclusions: [
+        // Snort rule text written through the IDS API
+        { path: '/api/ids/rules', locations: ['body'] },
+        // Analyst triage text (incident notes, suppression and false-positive
+        // reasons) routinely quotes the payloads being investigated
+        { path: '/api/ids/incidents', locations: ['body'] },
+        { path: '/api/ids/suppressions', locations: ['body'] },
+        { path: '/api/ids/alerts/:id', locations: ['body'] }
+    ],
+    // Longer values are only inspected up to this many characters
+    maxValueLength: parseInt(process.env.WAF_MAX_VALUE_LENGTH) || 8192,
+    // Times percent-decoding is repeated to undo double/triple URL encoding
+    maxDecodePasses: 3
+};
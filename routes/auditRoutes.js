@@ -0,0 +1,44 @@
+const express = require("express");
+const auditService = require("../services/auditService");
+const router = express.Router();
+
+// Query the audit log (query: ?actor=uid|email&action=ips.block|ips.&targetType=ip&target=1.2.3.4&since=&until=&limit=100&before=seq)
+router.get("/", async (req, res) => {
+    const { actor, action, targetType, target, since, until, limit, before } = req.query;
+
+    if ((since && Number.isNaN(Date.parse(since))) || (until && Number.isNaN(Date.parse(until)))) {
+        return res.status(400).send("since and until must be dates");
+    }
+
+    try {
+        const entries = await auditService.query({ actor, action, targetType, target, since, until, limit, before });
+        res.status(200).json({
+            entries,
+            // Pass as ?before= to get the next page
+            next: entries.length > 0 ? entries[entries.length - 1].seq : null
+        });
+    } catch (error) {
+        console.error("Failed to query audit log:", error);
+        res.status(500).send("❌ Error querying audit log");
+    }
+});
+
+// Recompute the hash chain (query: ?fromSeq=1&toSeq=500 to check a range)
+router.get("/verify", async (req, res) => {
+    const fromSeq = req.query.fromSeq ? parseInt(req.query.fromSeq) : 1;
+    const toSeq = req.query.toSeq ? parseInt(req.query.toSeq) : null;
+
+    if (!(fromSeq >= 1) || (toSeq !== null && !(toSeq >= fromSeq))) {
+        return res.status(400).send("fromSeq must be >= 1 and toSeq >= fromSeq");
+    }
+
+    try {
+        const result = await auditService.verify({ fromSeq, toSeq });
+        res.status(result.valid ? 200 : 409).json(result);
+    } catch (error) {
+        console.error("Failed to verify audit log:", error);
+        res.status(500).send("❌ Error verifying audit log");
+    }
+});
+
+module.exports = router;
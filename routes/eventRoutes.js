@@ -0,0 +1,81 @@
+const express = require("express");
+const eventStreamService = require("../services/eventStreamService");
+const { EventStreamError } = require("../services/eventStreamService");
+const router = express.Router();
+
+// Recent events for clients that poll (query: ?topics=alerts,blocks,vpn&minSeverity=0&since=<event id>&limit=100)
+router.get("/", (req, res) => {
+    try {
+        const filter = eventStreamService.buildFilter(req.query, req.user);
+        const events = eventStreamService.recentEvents(filter, req.query);
+        if (!events) {
+            return res.status(410).json({ error: "Events since the given id are no longer available", lastEventId: eventStreamService.lastEventId });
+        }
+        res.status(200).json({ lastEventId: eventStreamService.lastEventId, events });
+    } catch (error) {
+        if (error instanceof EventStreamError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to get events:", error);
+        res.status(500).send("❌ Error getting events");
+    }
+});
+
+// Server-Sent Events stream (query: ?topics=&minSeverity=; resumes from the Last-Event-ID header or ?lastEventId=)
+router.get("/stream", (req, res) => {
+    const { heartbeatMs, retryMs, maxBufferedBytes } = eventStreamService.config;
+    let filter;
+    try {
+        filter = eventStreamService.buildFilter(req.query, req.user);
+    } catch (error) {
+        if (error instanceof EventStreamError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+    }
+
+    let subscription = null;
+    let heartbeat = null;
+    const close = () => {
+        clearInterval(heartbeat);
+        if (subscription) subscription.unsubscribe();
+    };
+
+    const send = event => {
+        if (res.writableEnded) return;
+        // A client that stops reading is dropped; it can resume with its last event id
+        if (res.writableLength > maxBufferedBytes) {
+            close();
+            return res.end();
+        }
+        res.write(`id: ${event.id || ''}\nevent: ${event.topic === 'system' ? event.type : event.topic}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    try {
+        // Missed events are written straight away, which also sends the headers
+        subscription = eventStreamService.subscribe(filter, send, req.get('Last-Event-ID') || req.query.lastEventId || null);
+    } catch (error) {
+        if (error instanceof EventStreamError) {
+            return res.status(error.status).type('json').json({ error: error.message });
+        }
+        throw error;
+    }
+    // A replay the client couldn't take ends the response before subscribe returns
+    if (res.writableEnded) {
+        subscription.unsubscribe();
+        return;
+    }
+    res.write(`retry: ${retryMs}\n\n`);
+
+    heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+    req.on('close', close);
+});
+
+module.exports = router;
@@ -1,16 +1,49 @@
 const express = require("express");
 const { db } = require("../config/firebase");
 const idsService = require("../services/idsService");
+const { RuleRevisionError } = require("../services/idsService");
+const auditService = require("../services/auditService");
+const playbookService = require("../services/playbookService");
+const incidentService = require("../services/incidentService");
+const { IncidentError } = require("../services/incidentService");
+const alertSuppressionService = require("../services/alertSuppressionService");
+const { SuppressionError } = require("../services/alertSuppressionService");
+const notificationService = require("../services/notificationService");
+const { RuleValidationError } = require("../services/snortRuleParser");
 const router = express.Router();
 
+// Rule state kept in the audit log
+function auditedRule(data) {
+    if (!data) return null;
+    return { rule: data.rule, sid: data.sid, gid: data.gid, rev: data.rev, enabled: data.enabled };
+}
+
 // Process IDS alerts
 router.get("/process_alerts", async (req, res) => {
     try {
-        const alerts = await idsService.processAlerts();
+        const result = await idsService.processAlerts();
+        await auditService.record(req, {
+            action: 'ids.alerts.process',
+            target: { type: 'ids_alerts', id: null },
+            after: {
+                read: result.read,
+                parsed: result.parsed,
+                rejected: result.rejected,
+                duplicates: result.duplicates,
+                suppressed: result.suppressed,
+                stored: result.stored
+            }
+        });
         res.status(200).json({
             message: "✅ IDS alerts processed",
-            alertCount: alerts.length,
-            alerts
+            read: result.read,
+            parsed: result.parsed,
+            rejected: result.rejected,
+            duplicates: result.duplicates,
+            suppressed: result.suppressed,
+            stored: result.stored,
+            alertCount: result.alerts.length,
+            alerts: result.alerts
         });
     } catch (error) {
         console.error("Failed to process IDS alerts:", error);
@@ -23,7 +56,8 @@ router.get("/alerts", async (req, res) => {
     try {
         const options = {
             limit: parseInt(req.query.limit) || 100,
-            severity: parseInt(req.query.severity) || 0
+            severity: parseInt(req.query.severity) || 0,
+            triage: req.query.triage
         };
 
         const alerts = await idsService.getAlerts(options);
@@ -34,6 +68,75 @@ router.get("/alerts", async (req, res) => {
     }
 });
 
+// Acknowledge an alert (body: note?)
+router.post("/alerts/:id/acknowledge", async (req, res) => {
+    try {
+        const result = await idsService.triageAlert(req.params.id, 'acknowledged', { note: req.body.note || null }, req.user);
+        if (!result) {
+            return res.status(404).send("Alert not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.alert.acknowledge',
+            target: { type: 'ids_alert', id: req.params.id },
+            before: result.before,
+            after: result.after
+        });
+        res.status(200).json(result.alert);
+    } catch (error) {
+        console.error("Failed to acknowledge alert:", error);
+        res.status(500).send("❌ Error acknowledging alert");
+    }
+});
+
+// Mark an alert false-positive (body: note?, suppress?). suppress: { track: 'src' | 'dst' | 'none',
+// durationMs?, expiresAt?, mode?, count?, seconds? } also suppresses the alert's gid:sid from that address
+router.post("/alerts/:id/false-positive", async (req, res) => {
+    const { note = null, suppress = null } = req.body;
+
+    try {
+        const doc = await db.collection('ids_alerts').doc(req.params.id).get();
+        if (!doc.exists) {
+            return res.status(404).send("Alert not found");
+        }
+        const alert = doc.data();
+
+        // The suppression is validated before the alert is touched
+        let suppression = null;
+        if (suppress) {
+            const { track = 'src', ...options } = suppress;
+            const address = { src: alert.src_ip, dst: alert.dest_ip, none: null }[track];
+            if (address === undefined || (track !== 'none' && !address)) {
+                return res.status(400).json({ error: "suppress.track must be src, dst or none, and the alert needs that address" });
+            }
+
+            suppression = await alertSuppressionService.createSuppression({
+                ...options,
+                sid: alert.sid,
+                gid: alert.gid,
+                srcCidr: track === 'src' ? address : null,
+                dstCidr: track === 'dst' ? address : null,
+                reason: options.reason || note || `False positive: ${alert.msg}`
+            }, req.user, { fromAlert: req.params.id });
+        }
+
+        const result = await idsService.triageAlert(req.params.id, 'false_positive', { note }, req.user);
+        await auditService.record(req, {
+            action: 'ids.alert.false_positive',
+            target: { type: 'ids_alert', id: req.params.id },
+            before: result.before,
+            after: result.after,
+            metadata: suppression ? { suppression: suppression.id } : null
+        });
+        res.status(200).json({ alert: result.alert, suppression });
+    } catch (error) {
+        if (error instanceof SuppressionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to mark alert false-positive:", error);
+        res.status(500).send("❌ Error marking alert false-positive");
+    }
+});
+
 // Add custom IDS rule
 router.post("/rules", async (req, res) => {
     const { rule } = req.body;
@@ -43,14 +146,51 @@ router.post("/rules", async (req, res) => {
     }
 
     try {
-        await idsService.addCustomRule(rule);
-        res.status(201).send("✅ Custom rule added successfully");
+        const result = await idsService.addCustomRule(rule, req.user);
+        await auditService.record(req, {
+            action: 'ids.rule.create',
+            target: { type: 'ids_rule', id: result.id },
+            after: { rule: result.rule.text, sid: result.rule.sid, gid: result.rule.gid, rev: result.rule.rev, enabled: true }
+        });
+        res.status(201).json({
+            message: "✅ Custom rule added successfully",
+            id: result.id,
+            rule: result.rule,
+            warnings: result.warnings
+        });
     } catch (error) {
+        if (error instanceof RuleValidationError) {
+            return res.status(400).json({
+                error: error.message,
+                errors: error.errors,
+                warnings: error.warnings
+            });
+        }
         console.error("Failed to add custom rule:", error);
         res.status(500).send("❌ Error adding custom rule");
     }
 });
 
+// Lint an IDS rule without adding it
+router.post("/rules/validate", async (req, res) => {
+    const { rule } = req.body;
+
+    if (!rule) {
+        return res.status(400).send("Rule content is required");
+    }
+
+    try {
+        const result = await idsService.validateRule(rule);
+        res.status(200).json({ valid: true, rule: result.rule, errors: [], warnings: result.warnings });
+    } catch (error) {
+        if (error instanceof RuleValidationError) {
+            return res.status(200).json({ valid: false, rule: null, errors: error.errors, warnings: error.warnings });
+        }
+        console.error("Failed to validate rule:", error);
+        res.status(500).send("❌ Error validating rule");
+    }
+});
+
 // Get all IDS rules
 router.get("/rules", async (req, res) => {
     try {
@@ -62,6 +202,166 @@ router.get("/rules", async (req, res) => {
     }
 });
 
+// Status of the last Snort rules reload
+router.get("/rules/reload", (req, res) => {
+    const status = idsService.getReloadStatus();
+    res.status(200).json(status || { success: null, message: "No reload has run since startup" });
+});
+
+// Run the Snort config test and reload the current rules
+router.post("/rules/reload", async (req, res) => {
+    try {
+        const status = await idsService.revalidateAndReload();
+        await auditService.record(req, {
+            action: 'ids.rules.reload',
+            target: { type: 'snort', id: null },
+            after: status
+        });
+        res.status(status.success ? 200 : 502).json(status);
+    } catch (error) {
+        console.error("Failed to reload rules:", error);
+        res.status(500).send("❌ Error reloading rules");
+    }
+});
+
+// Replace the text of a stored rule (sid must stay the same)
+router.put("/rules/:id", async (req, res) => {
+    const { rule, enabled } = req.body;
+
+    if (!rule) {
+        return res.status(400).send("Rule content is required");
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).send("enabled must be a boolean");
+    }
+
+    try {
+        const before = await idsService.getRule(req.params.id);
+        const updated = await idsService.updateRule(req.params.id, { rule, enabled }, req.user);
+        if (!updated) {
+            return res.status(404).send("Rule not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.rule.update',
+            target: { type: 'ids_rule', id: req.params.id },
+            before: auditedRule(before),
+            after: auditedRule(updated)
+        });
+        res.status(200).json(updated);
+    } catch (error) {
+        if (error instanceof RuleValidationError) {
+            return res.status(400).json({ error: error.message, errors: error.errors, warnings: error.warnings });
+        }
+        console.error("Failed to update rule:", error);
+        res.status(500).send("❌ Error updating rule");
+    }
+});
+
+// Enable/disable a stored rule and/or change its text
+router.patch("/rules/:id", async (req, res) => {
+    const { rule, enabled } = req.body;
+
+    if (rule === undefined && enabled === undefined) {
+        return res.status(400).send("Nothing to update (expected rule and/or enabled)");
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).send("enabled must be a boolean");
+    }
+
+    try {
+        const before = await idsService.getRule(req.params.id);
+        const updated = await idsService.updateRule(req.params.id, { rule, enabled }, req.user);
+        if (!updated) {
+            return res.status(404).send("Rule not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.rule.update',
+            target: { type: 'ids_rule', id: req.params.id },
+            before: auditedRule(before),
+            after: auditedRule(updated)
+        });
+        res.status(200).json(updated);
+    } catch (error) {
+        if (error instanceof RuleValidationError) {
+            return res.status(400).json({ error: error.message, errors: error.errors, warnings: error.warnings });
+        }
+        console.error("Failed to update rule:", error);
+        res.status(500).send("❌ Error updating rule");
+    }
+});
+
+// Delete a stored rule (its revision history is kept)
+router.delete("/rules/:id", async (req, res) => {
+    try {
+        const before = await idsService.getRule(req.params.id);
+        const deleted = await idsService.deleteRule(req.params.id, req.user);
+        if (!deleted) {
+            return res.status(404).send("Rule not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.rule.delete',
+            target: { type: 'ids_rule', id: req.params.id },
+            before: auditedRule(before)
+        });
+        res.status(200).send("✅ Rule deleted");
+    } catch (error) {
+        // The rules left behind still have to pass the Snort config test
+        if (error instanceof RuleValidationError) {
+            return res.status(400).json({ error: error.message, errors: error.errors, warnings: error.warnings });
+        }
+        console.error("Failed to delete rule:", error);
+        res.status(500).send("❌ Error deleting rule");
+    }
+});
+
+// Revision history of a rule
+router.get("/rules/:id/revisions", async (req, res) => {
+    try {
+        const revisions = await idsService.getRuleRevisions(req.params.id);
+        if (!revisions) {
+            return res.status(404).send("Rule not found");
+        }
+        res.status(200).json(revisions);
+    } catch (error) {
+        console.error("Failed to get rule revisions:", error);
+        res.status(500).send("❌ Error getting rule revisions");
+    }
+});
+
+// Roll a rule back to an earlier revision
+router.post("/rules/:id/rollback", async (req, res) => {
+    const { revisionId } = req.body;
+
+    if (!revisionId) {
+        return res.status(400).send("revisionId is required");
+    }
+
+    try {
+        const before = await idsService.getRule(req.params.id);
+        const restored = await idsService.rollbackRule(req.params.id, revisionId, req.user);
+        if (!restored) {
+            return res.status(404).send("Rule not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.rule.rollback',
+            target: { type: 'ids_rule', id: req.params.id },
+            before: auditedRule(before),
+            after: auditedRule(restored),
+            metadata: { revisionId }
+        });
+        res.status(200).json(restored);
+    } catch (error) {
+        if (error instanceof RuleRevisionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof RuleValidationError) {
+            return res.status(400).json({ error: error.message, errors: error.errors, warnings: error.warnings });
+        }
+        console.error("Failed to roll back rule:", error);
+        res.status(500).send("❌ Error rolling back rule");
+    }
+});
+
 // Get alert statistics
 router.get("/stats", async (req, res) => {
     try {
@@ -72,6 +372,7 @@ router.get("/stats", async (req, res) => {
             total: alerts.length,
             bySeverity: {},
             byType: {},
+            suppressedSinceStart: alertSuppressionService.suppressed,
             recentAlerts: alerts.slice(0, 10) // Last 10 alerts
         };
 
@@ -88,5 +389,254 @@ router.get("/stats", async (req, res) => {
     }
 });
 
-module.exports = router;
+// Active suppressions, soonest expiry first (query: ?includeExpired=true)
+router.get("/suppressions", async (req, res) => {
+    try {
+        const suppressions = await alertSuppressionService.getSuppressions({ includeExpired: req.query.includeExpired === 'true' });
+        res.status(200).json({ suppressedSinceStart: alertSuppressionService.suppressed, suppressions });
+    } catch (error) {
+        console.error("Failed to get suppressions:", error);
+        res.status(500).send("❌ Error getting suppressions");
+    }
+});
+
+// Active suppressions as Snort 3 suppress / event_filter configuration
+router.get("/suppressions/export", async (req, res) => {
+    try {
+        res.type('text/plain').status(200).send(await alertSuppressionService.exportSnortConfig());
+    } catch (error) {
+        console.error("Failed to export suppressions:", error);
+        res.status(500).send("❌ Error exporting suppressions");
+    }
+});
+
+// Add a suppression (body: sid, gid?, srcCidr? | dstCidr?, mode?, count?, seconds?, reason?, expiresAt? | durationMs?)
+router.post("/suppressions", async (req, res) => {
+    try {
+        const suppression = await alertSuppressionService.createSuppression(req.body, req.user);
+        await auditService.record(req, {
+            action: 'ids.suppression.create',
+            target: { type: 'ids_suppression', id: suppression.id },
+            after: suppression
+        });
+        res.status(201).json(suppression);
+    } catch (error) {
+        if (error instanceof SuppressionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to add suppression:", error);
+        res.status(500).send("❌ Error adding suppression");
+    }
+});
+
+// Update a suppression (any creation field, or enabled)
+router.put("/suppressions/:id", async (req, res) => {
+    try {
+        const before = await alertSuppressionService.getSuppression(req.params.id);
+        const suppression = await alertSuppressionService.updateSuppression(req.params.id, req.body, req.user);
+        if (!suppression) {
+            return res.status(404).send("Suppression not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.suppression.update',
+            target: { type: 'ids_suppression', id: req.params.id },
+            before,
+            after: suppression
+        });
+        res.status(200).json(suppression);
+    } catch (error) {
+        if (error instanceof SuppressionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to update suppression:", error);
+        res.status(500).send("❌ Error updating suppression");
+    }
+});
+
+// Remove a suppression
+router.delete("/suppressions/:id", async (req, res) => {
+    try {
+        const removed = await alertSuppressionService.removeSuppression(req.params.id);
+        if (!removed) {
+            return res.status(404).send("Suppression not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.suppression.delete',
+            target: { type: 'ids_suppression', id: req.params.id },
+            before: removed
+        });
+        res.status(200).send("✅ Suppression removed");
+    } catch (error) {
+        console.error("Failed to remove suppression:", error);
+        res.status(500).send("❌ Error removing suppression");
+    }
+});
+
+// Notification channels, their thresholds and current throttle window
+router.get("/notifications", (req, res) => {
+    res.status(200).json({
+        throttle: notificationService.config.throttle,
+        channels: notificationService.getChannels()
+    });
+});
+
+// Notifications that failed every retry, newest first (query: ?channel=&limit=100)
+router.get("/notifications/dead-letters", async (req, res) => {
+    try {
+        const deadLetters = await notificationService.getDeadLetters(req.query);
+        res.status(200).json(deadLetters);
+    } catch (error) {
+        console.error("Failed to get notification dead letters:", error);
+        res.status(500).send("❌ Error getting notification dead letters");
+    }
+});
+
+// Send a test notification to one channel or all of them (body: channel?)
+router.post("/notifications/test", async (req, res) => {
+    try {
+        const results = await notificationService.sendTest(req.body.channel || null);
+        if (!results) {
+            return res.status(404).send("Notification channel not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.notification.test',
+            target: { type: 'notification_channel', id: req.body.channel || null },
+            after: { results }
+        });
+        res.status(200).json(results);
+    } catch (error) {
+        console.error("Failed to send test notification:", error);
+        res.status(500).send("❌ Error sending test notification");
+    }
+});
+
+// Response playbooks and whether they run in dry-run mode
+router.get("/playbooks", (req, res) => {
+    res.status(200).json({
+        enabled: playbookService.config.enabled,
+        playbooks: playbookService.getPlaybooks()
+    });
+});
+
+// Playbook runs, newest first (query: ?playbook=&ip=&alertId=&limit=100)
+router.get("/playbooks/runs", async (req, res) => {
+    try {
+        const runs = await playbookService.getRuns(req.query);
+        res.status(200).json(runs);
+    } catch (error) {
+        console.error("Failed to get playbook runs:", error);
+        res.status(500).send("❌ Error getting playbook runs");
+    }
+});
+
+// Incidents, most recent activity first (query: ?status=&assignee=&src_ip=&minSeverity=&limit=50&before=)
+router.get("/incidents", async (req, res) => {
+    try {
+        const incidents = await incidentService.listIncidents(req.query);
+        res.status(200).json(incidents);
+    } catch (error) {
+        console.error("Failed to get incidents:", error);
+        res.status(500).send("❌ Error getting incidents");
+    }
+});
 
+// An incident with its most recent alerts
+router.get("/incidents/:id", async (req, res) => {
+    try {
+        const incident = await incidentService.getIncident(req.params.id, { withAlerts: true });
+        if (!incident) {
+            return res.status(404).send("Incident not found");
+        }
+        res.status(200).json(incident);
+    } catch (error) {
+        console.error("Failed to get incident:", error);
+        res.status(500).send("❌ Error getting incident");
+    }
+});
+
+// Open an incident by hand (body: title, severity?, src_ip?, target?, assignee?, note?, alertIds?)
+router.post("/incidents", async (req, res) => {
+    try {
+        const incident = await incidentService.createIncident(req.body, req.user);
+        await auditService.record(req, {
+            action: 'ids.incident.create',
+            target: { type: 'ids_incident', id: incident.id },
+            after: incident
+        });
+        res.status(201).json(incident);
+    } catch (error) {
+        if (error instanceof IncidentError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to create incident:", error);
+        res.status(500).send("❌ Error creating incident");
+    }
+});
+
+// Change status, assignee, severity or title
+router.patch("/incidents/:id", async (req, res) => {
+    try {
+        const result = await incidentService.updateIncident(req.params.id, req.body, req.user);
+        if (!result) {
+            return res.status(404).send("Incident not found");
+        }
+        const fields = ['status', 'assignee', 'severity', 'title'];
+        const pick = incident => Object.fromEntries(fields.map(field => [field, incident[field]]));
+        await auditService.record(req, {
+            action: 'ids.incident.update',
+            target: { type: 'ids_incident', id: req.params.id },
+            before: pick(result.before),
+            after: pick(result.after)
+        });
+        res.status(200).json(result.after);
+    } catch (error) {
+        if (error instanceof IncidentError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to update incident:", error);
+        res.status(500).send("❌ Error updating incident");
+    }
+});
+
+// Add a note (body: text)
+router.post("/incidents/:id/notes", async (req, res) => {
+    try {
+        const note = await incidentService.addNote(req.params.id, req.body.text, req.user);
+        if (!note) {
+            return res.status(404).send("Incident not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.incident.note',
+            target: { type: 'ids_incident', id: req.params.id },
+            after: note
+        });
+        res.status(201).json(note);
+    } catch (error) {
+        if (error instanceof IncidentError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to add incident note:", error);
+        res.status(500).send("❌ Error adding incident note");
+    }
+});
+
+// Delete an incident (its alerts are kept)
+router.delete("/incidents/:id", async (req, res) => {
+    try {
+        const removed = await incidentService.deleteIncident(req.params.id);
+        if (!removed) {
+            return res.status(404).send("Incident not found");
+        }
+        await auditService.record(req, {
+            action: 'ids.incident.delete',
+            target: { type: 'ids_incident', id: req.params.id },
+            before: removed
+        });
+        res.status(200).send("✅ Incident deleted");
+    } catch (error) {
+        console.error("Failed to delete incident:", error);
+        res.status(500).send("❌ Error deleting incident");
+    }
+});
+
+module.exports = router;
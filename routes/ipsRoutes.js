@@ -1,11 +1,15 @@
 const admin = require('firebase-admin');
-const geoip = require('geoip-lite');
 const express = require("express");
 const { db } = require("../config/firebase");
 const ipsService = require("../services/ipsService");
+const ipUtils = require("../services/ipUtils");
+const auditService = require("../services/auditService");
+const geoPolicyService = require("../services/geoPolicyService");
+const { GeoPolicyError } = require("../services/geoPolicyService");
+const threatFeedService = require("../services/threatFeedService");
 const router = express.Router();
 
-// Block an IP address (persistent in Firestore only)
+// Block an IP address or CIDR range (persistent in Firestore only)
 router.post("/block", async (req, res) => {
     const { ip, reason, duration } = req.body;
     
@@ -14,31 +18,47 @@ router.post("/block", async (req, res) => {
     }
 
     try {
-        // First validate the IP
-        if (ip === '::1' || ip === '127.0.0.1') {
+        // First validate the IP or range
+        const range = ipUtils.parseCidr(ipUtils.normalizeIP(ip) || ip);
+        if (!range) {
+            return res.status(400).send("Invalid IP address or CIDR range");
+        }
+        if (ipUtils.containsLoopback(range)) {
             return res.status(400).send("Cannot block localhost IP");
         }
 
-        // Calculate block duration (default to 1 hour)
-        const blockDuration = duration ? parseInt(duration) : 3600000;
-        const expiresAt = Date.now() + blockDuration;
+        const allowed = await ipsService.getAllowlistEntry(range);
+        if (allowed) {
+            return res.status(403).json({
+                error: `IP ${range.notation} is on the allowlist and cannot be blocked`,
+                allowlisted: true,
+                allowlistEntry: { id: allowed.id, cidr: allowed.cidr, description: allowed.description || null }
+            });
+        }
 
-        // Block in Firestore
-        const geo = geoip.lookup(ip);
-        await db.collection('ips_blocklist').add({
-            ip,
-            reason,
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            expiresAt: new Date(expiresAt),
-            geo: geo || null,
-            active: true
+        if (await ipsService.findExistingBlock(range)) {
+            return res.status(409).send(`IP ${range.notation} is already blocked`);
+        }
+
+        // Explicit duration, or escalate based on the IP's offense history
+        const blockDuration = duration ? parseInt(duration) : null;
+
+        // Block in Firestore and the Snort blacklist
+        const block = await ipsService.blockIP(range.notation, reason, blockDuration, { policy: 'manual', actor: req.user });
+        await auditService.record(req, {
+            action: 'ips.block',
+            target: { type: 'ip', id: range.notation },
+            after: block
         });
         
         res.status(200).json({
-            message: `✅ IP ${ip} blocked successfully in Firestore`,
+            message: `✅ IP ${range.notation} blocked successfully in Firestore`,
             reason,
-            duration: blockDuration,
-            expiresAt: new Date(expiresAt)
+            duration: block.duration,
+            expiresAt: block.expiresAt,
+            permanent: block.permanent,
+            offenseCount: block.offenseCount,
+            policyStep: block.step
         });
     } catch (error) {
         console.error("Failed to block IP:", error);
@@ -64,34 +84,43 @@ router.post("/block-user", async (req, res) => {
             return res.status(404).send("User IP not found");
         }
         
+        if (await ipsService.isUserBlocked(uid)) {
+            return res.status(409).send(`User ${uid} is already blocked`);
+        }
+
         const userIP = userDoc.data().ip;
-        const blockDuration = duration ? parseInt(duration) : 3600000;
-        const expiresAt = new Date(Date.now() + blockDuration);
+        // Explicit duration, or escalate based on the user's offense history
+        const blockDuration = duration ? parseInt(duration) : null;
 
         // Block user in Firestore
-        await db.collection('users_ips').doc(uid).update({
-            blocked: true,
-            blockReason: reason,
-            blockUntil: expiresAt,
-            blockedAt: admin.firestore.FieldValue.serverTimestamp()
-        });
-
-        // Also block the IP in Firestore
-        const geo = geoip.lookup(userIP);
-        await db.collection('ips_blocklist').add({
-            ip: userIP,
-            reason: `User ${uid} blocked: ${reason}`,
-            timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            expiresAt: expiresAt,
-            geo: geo || null,
-            active: true
+        const block = await ipsService.blockUser(uid, reason, blockDuration, { policy: 'manual', actor: req.user });
+
+        // Also block the IP in Firestore and the Snort blacklist, unless it is allowlisted
+        const allowed = userIP ? await ipsService.getAllowlistEntry(userIP) : null;
+        let ipBlock = null;
+        if (userIP && !allowed && !(await ipsService.isIPBlocked(userIP))) {
+            ipBlock = await ipsService.blockIP(userIP, `User ${uid} blocked: ${reason}`, blockDuration, { policy: 'manual', actor: req.user });
+        }
+
+        await auditService.record(req, {
+            action: 'ips.block_user',
+            target: { type: 'user', id: uid },
+            before: { blocked: false },
+            after: { ...block, ip: userIP || null, ipBlock }
         });
         
         res.status(200).json({
-            message: `✅ User ${uid} (IP: ${userIP}) blocked in Firestore`,
+            message: allowed
+                ? `✅ User ${uid} blocked in Firestore (IP ${userIP} is allowlisted and was not blocked)`
+                : `✅ User ${uid} (IP: ${userIP}) blocked in Firestore`,
             reason,
-            duration: blockDuration,
-            expiresAt
+            duration: block.duration,
+            expiresAt: block.expiresAt,
+            permanent: block.permanent,
+            offenseCount: block.offenseCount,
+            policyStep: block.step,
+            ipBlocked: Boolean(userIP && !allowed),
+            allowlisted: Boolean(allowed)
         });
     } catch (error) {
         console.error("Failed to block user:", error);
@@ -108,21 +137,14 @@ router.delete("/unblock", async (req, res) => {
     }
 
     try {
-        // Mark as inactive in Firestore
-        const snapshot = await db.collection('ips_blocklist')
-            .where('ip', '==', ip)
-            .where('active', '==', true)
-            .get();
-
-        const batch = db.batch();
-        snapshot.forEach(doc => {
-            batch.update(doc.ref, { 
-                active: false,
-                unblocked: admin.firestore.FieldValue.serverTimestamp()
-            });
+        // Mark as inactive in Firestore and drop it from the Snort blacklist
+        const lifted = await ipsService.unblockIP(ip, req.user);
+        await auditService.record(req, {
+            action: 'ips.unblock',
+            target: { type: 'ip', id: lifted.length > 0 ? lifted[0].ip : ip },
+            before: lifted,
+            after: { active: false }
         });
-        
-        await batch.commit();
         res.status(200).send(`✅ IP ${ip} unblocked in Firestore`);
     } catch (error) {
         console.error("Failed to unblock IP:", error);
@@ -130,6 +152,30 @@ router.delete("/unblock", async (req, res) => {
     }
 });
 
+// Offense history and escalation state of an IP (query: ?ip=) or user (query: ?uid=)
+router.get("/offenses", async (req, res) => {
+    const { ip, uid } = req.query;
+
+    if (!ip && !uid) {
+        return res.status(400).send("ip or uid is required");
+    }
+
+    try {
+        const range = ip ? ipUtils.parseCidr(ipUtils.normalizeIP(ip) || ip) : null;
+        if (ip && !range) {
+            return res.status(400).send("Invalid IP address or CIDR range");
+        }
+
+        const offenses = ip
+            ? await ipsService.getOffenses('ip', range.notation)
+            : await ipsService.getOffenses('user', uid);
+        res.status(200).json(offenses || { offenseCount: 0, history: [] });
+    } catch (error) {
+        console.error("Failed to get offenses:", error);
+        res.status(500).send("❌ Error getting offenses");
+    }
+});
+
 // Get list of blocked IPs (from Firestore only)
 router.get("/blocked", async (req, res) => {
     try {
@@ -173,42 +219,13 @@ router.get("/blocked-users", async (req, res) => {
 // Force cleanup of expired blocks (Firestore only)
 router.post("/cleanup", async (req, res) => {
     try {
-        const now = new Date();
-        let cleanedCount = 0;
-
-        // Clean expired IP blocks
-        const ipQuery = db.collection('ips_blocklist')
-            .where('active', '==', true)
-            .where('expiresAt', '<=', now);
-
-        const ipSnapshot = await ipQuery.get();
-        const ipBatch = db.batch();
-        ipSnapshot.forEach(doc => {
-            ipBatch.update(doc.ref, { 
-                active: false,
-                unblocked: admin.firestore.FieldValue.serverTimestamp()
-            });
-            cleanedCount++;
-        });
-        await ipBatch.commit();
-
-        // Clean expired user blocks
-        const userQuery = db.collection('users_ips')
-            .where('blocked', '==', true)
-            .where('blockUntil', '<=', now);
-
-        const userSnapshot = await userQuery.get();
-        const userBatch = db.batch();
-        userSnapshot.forEach(doc => {
-            userBatch.update(doc.ref, { 
-                blocked: false,
-                blockReason: null,
-                blockUntil: null,
-                unblocked: admin.firestore.FieldValue.serverTimestamp()
-            });
-            cleanedCount++;
+        // Also regenerates the Snort blacklist when IP blocks expired
+        const cleanedCount = await ipsService.cleanupExpiredBlocks();
+        await auditService.record(req, {
+            action: 'ips.cleanup',
+            target: { type: 'ips_blocklist', id: null },
+            after: { cleanedCount }
         });
-        await userBatch.commit();
 
         res.status(200).json({
             message: "✅ Cleanup completed in Firestore",
@@ -220,4 +237,218 @@ router.post("/cleanup", async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// List allowlist entries (including built-in loopback and VPN subnet entries)
+router.get("/allowlist", async (req, res) => {
+    try {
+        const entries = await ipsService.getAllowlist();
+        res.status(200).json(entries.map(({ range, ...entry }) => entry));
+    } catch (error) {
+        console.error("Failed to get allowlist:", error);
+        res.status(500).send("❌ Error getting allowlist");
+    }
+});
+
+// Add an IP or CIDR range that must never be blocked
+router.post("/allowlist", async (req, res) => {
+    const { cidr, description } = req.body;
+
+    if (!cidr) {
+        return res.status(400).send("cidr is required");
+    }
+    if (!ipUtils.parseCidr(ipUtils.normalizeIP(cidr) || cidr)) {
+        return res.status(400).send("Invalid IP address or CIDR range");
+    }
+
+    try {
+        const entry = await ipsService.addAllowlistEntry(cidr, description, req.user);
+        await auditService.record(req, {
+            action: 'ips.allowlist.create',
+            target: { type: 'allowlist', id: entry.id },
+            after: { cidr: entry.cidr, description: entry.description }
+        });
+        res.status(201).json(entry);
+    } catch (error) {
+        console.error("Failed to add allowlist entry:", error);
+        res.status(500).send("❌ Error adding allowlist entry");
+    }
+});
+
+// Update an allowlist entry
+router.put("/allowlist/:id", async (req, res) => {
+    const { cidr, description } = req.body;
+
+    if (cidr === undefined && description === undefined) {
+        return res.status(400).send("Nothing to update (expected cidr and/or description)");
+    }
+    if (cidr !== undefined && !ipUtils.parseCidr(ipUtils.normalizeIP(cidr) || cidr)) {
+        return res.status(400).send("Invalid IP address or CIDR range");
+    }
+
+    try {
+        const before = await ipsService.getAllowlistEntryById(req.params.id);
+        const entry = await ipsService.updateAllowlistEntry(req.params.id, { cidr, description }, req.user);
+        if (!entry) {
+            return res.status(404).send("Allowlist entry not found");
+        }
+        await auditService.record(req, {
+            action: 'ips.allowlist.update',
+            target: { type: 'allowlist', id: req.params.id },
+            before: before && { cidr: before.cidr, description: before.description },
+            after: { cidr: entry.cidr, description: entry.description }
+        });
+        res.status(200).json(entry);
+    } catch (error) {
+        console.error("Failed to update allowlist entry:", error);
+        res.status(500).send("❌ Error updating allowlist entry");
+    }
+});
+
+// Remove an allowlist entry
+router.delete("/allowlist/:id", async (req, res) => {
+    try {
+        const removed = await ipsService.removeAllowlistEntry(req.params.id);
+        if (!removed) {
+            return res.status(404).send("Allowlist entry not found");
+        }
+        await auditService.record(req, {
+            action: 'ips.allowlist.delete',
+            target: { type: 'allowlist', id: req.params.id },
+            before: { cidr: removed.cidr, description: removed.description }
+        });
+        res.status(200).send("✅ Allowlist entry removed");
+    } catch (error) {
+        console.error("Failed to remove allowlist entry:", error);
+        res.status(500).send("❌ Error removing allowlist entry");
+    }
+});
+
+// Geo policies, in evaluation order
+router.get("/geo-policies", async (req, res) => {
+    try {
+        res.status(200).json(await geoPolicyService.getPolicies());
+    } catch (error) {
+        console.error("Failed to get geo policies:", error);
+        res.status(500).send("❌ Error getting geo policies");
+    }
+});
+
+// Location, ASN and matching policies of an address (query: ?ip=)
+router.get("/geo-policies/lookup", async (req, res) => {
+    const ip = ipUtils.normalizeIP(req.query.ip);
+
+    if (!ip) {
+        return res.status(400).send("A valid ip is required");
+    }
+
+    try {
+        const [api, authenticate] = await Promise.all([
+            geoPolicyService.evaluate(ip, 'api'),
+            geoPolicyService.evaluate(ip, 'authenticate')
+        ]);
+        res.status(200).json({
+            ...geoPolicyService.locate(ip),
+            asnDatabase: geoPolicyService.asnDatabase.source,
+            policies: {
+                api: api ? api.policy : null,
+                authenticate: authenticate ? authenticate.policy : null
+            }
+        });
+    } catch (error) {
+        console.error("Failed to look up geo policy:", error);
+        res.status(500).send("❌ Error looking up geo policy");
+    }
+});
+
+// Add a policy (body: {name, action, mode, countries, regions, asns, networkTypes, scopes, priority, rateLimit})
+router.post("/geo-policies", async (req, res) => {
+    try {
+        const policy = await geoPolicyService.createPolicy(req.body, req.user);
+        await auditService.record(req, {
+            action: 'ips.geo_policy.create',
+            target: { type: 'geo_policy', id: policy.id },
+            after: policy
+        });
+        res.status(201).json(policy);
+    } catch (error) {
+        if (error instanceof GeoPolicyError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to add geo policy:", error);
+        res.status(500).send("❌ Error adding geo policy");
+    }
+});
+
+// Update a policy (any of the fields accepted on creation)
+router.put("/geo-policies/:id", async (req, res) => {
+    try {
+        const before = await geoPolicyService.getPolicy(req.params.id);
+        const policy = await geoPolicyService.updatePolicy(req.params.id, req.body, req.user);
+        if (!policy) {
+            return res.status(404).send("Geo policy not found");
+        }
+        await auditService.record(req, {
+            action: 'ips.geo_policy.update',
+            target: { type: 'geo_policy', id: req.params.id },
+            before,
+            after: policy
+        });
+        res.status(200).json(policy);
+    } catch (error) {
+        if (error instanceof GeoPolicyError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error("Failed to update geo policy:", error);
+        res.status(500).send("❌ Error updating geo policy");
+    }
+});
+
+// Remove a policy
+router.delete("/geo-policies/:id", async (req, res) => {
+    try {
+        const removed = await geoPolicyService.removePolicy(req.params.id);
+        if (!removed) {
+            return res.status(404).send("Geo policy not found");
+        }
+        await auditService.record(req, {
+            action: 'ips.geo_policy.delete',
+            target: { type: 'geo_policy', id: req.params.id },
+            before: removed
+        });
+        res.status(200).send("✅ Geo policy removed");
+    } catch (error) {
+        console.error("Failed to remove geo policy:", error);
+        res.status(500).send("❌ Error removing geo policy");
+    }
+});
+
+// Configured threat feeds with the stats of their last import
+router.get("/feeds", async (req, res) => {
+    try {
+        res.status(200).json(await threatFeedService.getFeeds());
+    } catch (error) {
+        console.error("Failed to get threat feeds:", error);
+        res.status(500).send("❌ Error getting threat feeds");
+    }
+});
+
+// Import a feed now instead of waiting for its schedule
+router.post("/feeds/:name/import", async (req, res) => {
+    if (!threatFeedService.feeds.has(req.params.name)) {
+        return res.status(404).send("Threat feed not found");
+    }
+
+    try {
+        const stats = await threatFeedService.importFeed(req.params.name);
+        await auditService.record(req, {
+            action: 'ips.feed.import',
+            target: { type: 'feed', id: req.params.name },
+            after: { active: stats.active, added: stats.added, refreshed: stats.refreshed, expired: stats.expired }
+        });
+        res.status(200).json(stats);
+    } catch (error) {
+        console.error("Failed to import threat feed:", error);
+        res.status(502).json({ error: "Failed to import threat feed", details: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require("express");
+const rbacService = require("../services/rbacService");
+const { RoleError } = require("../services/rbacService");
+const auditService = require("../services/auditService");
+const router = express.Router();
+
+// Roles and permissions of the calling user
+router.get("/me", (req, res) => {
+    const roles = rbacService.rolesOf(req.user);
+    res.status(200).json({
+        uid: req.user.uid,
+        email: req.user.email || null,
+        roles,
+        permissions: [...rbacService.permissionsOf(roles)]
+    });
+});
+
+// Available roles with their resolved permissions
+router.get("/roles", (req, res) => {
+    res.status(200).json(rbacService.getRoleDefinitions());
+});
+
+// Roles granted to a user (from their custom claims)
+router.get("/users/:uid/roles", async (req, res) => {
+    try {
+        const user = await rbacService.getUserRoles(req.params.uid);
+        res.status(200).json(user);
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+            return res.status(404).send("User not found");
+        }
+        console.error("Failed to get user roles:", error);
+        res.status(500).send("❌ Error getting user roles");
+    }
+});
+
+// Grant a role (body: {role})
+router.post("/users/:uid/roles", async (req, res) => {
+    const { role } = req.body;
+
+    if (!role) {
+        return res.status(400).send("role is required");
+    }
+
+    try {
+        const result = await rbacService.grantRole(req.params.uid, role);
+        if (result.changed) {
+            await auditService.record(req, {
+                action: 'rbac.role.grant',
+                target: { type: 'user', id: req.params.uid },
+                before: { roles: result.roles.filter(item => item !== role) },
+                after: { roles: result.roles }
+            });
+        }
+        res.status(result.changed ? 201 : 200).json({
+            message: result.changed
+                ? `✅ Role ${role} granted to ${req.params.uid}; effective after the user's next token refresh`
+                : `User ${req.params.uid} already has role ${role}`,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.code === 'auth/user-not-found') {
+            return res.status(404).send("User not found");
+        }
+        console.error("Failed to grant role:", error);
+        res.status(500).send("❌ Error granting role");
+    }
+});
+
+// Revoke a role; the user's refresh tokens are revoked as well
+router.delete("/users/:uid/roles/:role", async (req, res) => {
+    const { uid, role } = req.params;
+
+    try {
+        const result = await rbacService.revokeRole(uid, role, req.user);
+        if (result.changed) {
+            await auditService.record(req, {
+                action: 'rbac.role.revoke',
+                target: { type: 'user', id: uid },
+                before: { roles: [...result.roles, role] },
+                after: { roles: result.roles }
+            });
+        }
+        res.status(200).json({
+            message: result.changed
+                ? `✅ Role ${role} revoked from ${uid}`
+                : `User ${uid} does not have role ${role}`,
+            ...result
+        });
+    } catch (error) {
+        if (error instanceof RoleError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (error.code === 'auth/user-not-found') {
+            return res.status(404).send("User not found");
+        }
+        console.error("Failed to revoke role:", error);
+        res.status(500).send("❌ Error revoking role");
+    }
+});
+
+module.exports = router;
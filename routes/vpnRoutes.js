@@ -1,63 +1,158 @@
 const express = require('express');
 const vpnService = require('../services/vpnService');
+const { VPNError } = require('../services/vpnService');
+const { PKIError } = require('../services/pkiService');
+const { ProfileError } = require('../services/vpnProfileService');
+const auditService = require('../services/auditService');
 const router = express.Router();
 
 // Initialize VPN service when routes are loaded
 vpnService.initialize().catch(console.error);
 
-// Get all connected VPN clients
+// Every VPN endpoint answers errors as { error }
+const sendError = (res, error, message) => {
+    if (error instanceof VPNError || error instanceof PKIError || error instanceof ProfileError) {
+        // 5xx here means a CA, TLS key or profile setting needs fixing on the server
+        if (error.status >= 500) console.error(`Failed: ${message}:`, error.message);
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Failed: ${message}:`, error);
+    res.status(500).json({ error: `❌ Error ${message}` });
+};
+
+// List VPN clients (query: ?active=true|false&connected=true|false&search=<prefix>&limit=50&after=<nextCursor>)
 router.get("/clients", async (req, res) => {
+    try {
+        const page = await vpnService.listClients(req.query);
+        res.json(page);
+    } catch (error) {
+        sendError(res, error, "getting VPN clients");
+    }
+});
+
+// Currently connected VPN sessions
+router.get("/connections", async (req, res) => {
     try {
         const clients = await vpnService.getAllConnectedClients();
         res.json(clients);
     } catch (error) {
-        console.error("Failed to get VPN clients:", error);
-        res.status(500).send("❌ Error getting VPN clients");
+        sendError(res, error, "getting VPN connections");
+    }
+});
+
+// Client certificates expiring soon (query: ?days=30)
+router.get("/certificates/expiring", async (req, res) => {
+    try {
+        const certificates = await vpnService.getExpiringClients(req.query.days);
+        res.json(certificates);
+    } catch (error) {
+        sendError(res, error, "getting expiring VPN certificates");
+    }
+});
+
+// Download a client's .ovpn profile
+router.get("/clients/:username/config", async (req, res) => {
+    try {
+        const config = await vpnService.getClientConfig(req.params.username);
+        await auditService.record(req, {
+            action: 'vpn.client.config.download',
+            target: { type: 'vpn_client', id: req.params.username }
+        });
+        res.attachment(`${req.params.username}.ovpn`);
+        res.type('application/x-openvpn-profile');
+        res.send(config);
+    } catch (error) {
+        sendError(res, error, "getting VPN client config");
     }
 });
 
-// Get specific client status
+// Get a client record with its connection status
 router.get("/clients/:username", async (req, res) => {
     try {
-        const status = await vpnService.getClientStatus(req.params.username);
-        if (status) {
-            res.json(status);
-        } else {
-            res.status(404).send("Client not found or not connected");
+        const client = await vpnService.getClient(req.params.username);
+        if (!client) {
+            return res.status(404).json({ error: "VPN client not found" });
         }
+        res.json(client);
     } catch (error) {
-        console.error("Failed to get client status:", error);
-        res.status(500).send("❌ Error getting client status");
+        sendError(res, error, "getting VPN client");
     }
 });
 
-// Create new VPN client configuration
+// Create a VPN client (body: username, email?, description?, profile?); a revoked client can be created again
 router.post("/clients", async (req, res) => {
-    const { username } = req.body;
+    const { username, email, description, profile } = req.body;
     if (!username) {
-        return res.status(400).send("Username is required");
+        return res.status(400).json({ error: "Username is required" });
     }
 
     try {
-        const config = await vpnService.createClientConfig(username);
+        const { client, config } = await vpnService.createClient(username, { email, description, profile }, req.user);
+        await auditService.record(req, {
+            action: 'vpn.client.create',
+            target: { type: 'vpn_client', id: username },
+            after: client
+        });
         res.status(201).json({
             message: "✅ VPN client configuration created",
+            client,
             config
         });
     } catch (error) {
-        console.error("Failed to create VPN client:", error);
-        res.status(500).send("❌ Error creating VPN client");
+        sendError(res, error, "creating VPN client");
+    }
+});
+
+// Change email, description or profile settings (body: profile { redirectGateway, routes, dns, remotes } or null)
+router.patch("/clients/:username", async (req, res) => {
+    try {
+        const { before, after } = await vpnService.updateClient(req.params.username, req.body, req.user);
+        await auditService.record(req, {
+            action: 'vpn.client.update',
+            target: { type: 'vpn_client', id: req.params.username },
+            before,
+            after
+        });
+        res.json(after);
+    } catch (error) {
+        sendError(res, error, "updating VPN client");
+    }
+});
+
+// Issue a new certificate for a client; the old one is revoked as superseded
+router.post("/clients/:username/renew", async (req, res) => {
+    try {
+        const before = await vpnService.getClient(req.params.username);
+        const { client, certificate } = await vpnService.renewClient(req.params.username, req.user);
+        await auditService.record(req, {
+            action: 'vpn.client.renew',
+            target: { type: 'vpn_client', id: req.params.username },
+            before,
+            after: client,
+            metadata: { serial: certificate.serial, previousSerial: before ? before.certSerial || null : null }
+        });
+        res.json({ message: "✅ VPN client certificate renewed", client, certificate });
+    } catch (error) {
+        sendError(res, error, "renewing VPN client certificate");
     }
 });
 
-// Revoke VPN client access
+// Revoke VPN client access and end its session (query or body: reason, an RFC 5280 CRLReason name)
 router.delete("/clients/:username", async (req, res) => {
+    const reason = req.query.reason || (req.body && req.body.reason) || undefined;
     try {
-        await vpnService.revokeClient(req.params.username);
-        res.send("✅ VPN client access revoked");
+        const before = await vpnService.getClient(req.params.username);
+        const { client, disconnected } = await vpnService.revokeClient(req.params.username, req.user, { reason });
+        await auditService.record(req, {
+            action: 'vpn.client.revoke',
+            target: { type: 'vpn_client', id: req.params.username },
+            before,
+            after: client,
+            metadata: { disconnected, reason: client.revocationReason, serials: client.revokedSerials }
+        });
+        res.json({ message: "✅ VPN client access revoked", client, disconnected });
     } catch (error) {
-        console.error("Failed to revoke client access:", error);
-        res.status(500).send("❌ Error revoking client access");
+        sendError(res, error, "revoking VPN client access");
     }
 });
 
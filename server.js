@@ -1,71 +1,57 @@
 const express = require("express");
 const bodyParser = require("body-parser");
+const proxyaddr = require('proxy-addr');
 const schedule = require('node-schedule');
 const { admin, db } = require('./config/firebase');
 const fs = require('fs');
 const ipsRoutes = require('./routes/ipsRoutes');
 const idsRoutes = require('./routes/idsRoutes');
+const rbacRoutes = require('./routes/rbacRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const vpnRoutes = require('./routes/vpnRoutes');
 const ipsService = require('./services/ipsService'); // Add this import
+const ipUtils = require('./services/ipUtils');
+const rateLimiter = require('./services/rateLimiter');
+const wafEngine = require('./services/wafEngine');
+const idsService = require('./services/idsService');
+const rbacService = require('./services/rbacService');
+const passwordVerifier = require('./services/passwordVerifier').create();
+const loginGuard = require('./services/loginGuard');
+const loginRiskService = require('./services/loginRiskService');
+const { StepUpError } = require('./services/loginRiskService');
+const geoPolicyService = require('./services/geoPolicyService');
+const threatFeedService = require('./services/threatFeedService');
+const playbookService = require('./services/playbookService');
+const incidentService = require('./services/incidentService');
+const notificationService = require('./services/notificationService');
+const eventStreamService = require('./services/eventStreamService');
+const eventSocketServer = require('./services/eventSocketServer');
 require('dotenv').config(); 
 
 
 // Configuration 
 const API_KEY = process.env.API_KEY;
 const PORT = process.env.PORT || 3002;
+// Proxies whose X-Forwarded-For entries are believed: a hop count (TRUST_PROXY=1) or
+// comma-separated addresses / subnets ('loopback', '10.0.0.0/8'); 'false' trusts none.
+// Entries added by anyone else are ignored, so clients can't pick their own address.
+const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || '')
+  ? parseInt(process.env.TRUST_PROXY)
+  : process.env.TRUST_PROXY === 'false' ? false : (process.env.TRUST_PROXY || 'loopback');
 
 // In-memory storage for manual IP management
 const ipStore = {
   users: {},       // { uid: { ip, lastActive, blocked } }
-  rateLimits: {},  // { ip: { count, lastRequest } }
-  blockedIPs: {},  // { ip: blockUntil }
   blockedUsers: {} // { uid: blockUntil }
 };
 
 // Manual IP Analysis Service
 const manualIPService = {
-  checkRateLimit: (ip) => {
-    const now = Date.now();
-    ipStore.rateLimits[ip] = ipStore.rateLimits[ip] || { count: 0, lastRequest: 0 };
-    
-    // Reset if last request was >1 minute ago
-    if (now - ipStore.rateLimits[ip].lastRequest > 60000) {
-      ipStore.rateLimits[ip] = { count: 1, lastRequest: now };
-      return true;
-    }
-    
-    // Allow max 10 requests per minute
-    if (ipStore.rateLimits[ip].count++ < 10) {
-      ipStore.rateLimits[ip].lastRequest = now;
-      return true;
-    }
-    
-    return false;
-  },
-
-  analyzeTraffic: (ip, requestData) => {
-    const suspiciousPatterns = [
-      /etc\/passwd/,
-      /<script>/,
-      /SELECT.*FROM/,
-      /admin/,
-      /\.\.\//
-    ];
-    
-    const requestString = JSON.stringify(requestData).toLowerCase();
-    return !suspiciousPatterns.some(pattern => pattern.test(requestString));
-  },
-
   cleanupExpiredBlocks: () => {
     const now = Date.now();
     let cleaned = 0;
     
-    Object.keys(ipStore.blockedIPs).forEach(ip => {
-      if (ipStore.blockedIPs[ip] < now) {
-        delete ipStore.blockedIPs[ip];
-        cleaned++;
-      }
-    });
-
     Object.keys(ipStore.blockedUsers).forEach(uid => {
       if (ipStore.blockedUsers[uid] < now) {
         delete ipStore.blockedUsers[uid];
@@ -81,18 +67,33 @@ const manualIPService = {
 
   isUserBlocked: (uid) => {
     return ipStore.blockedUsers[uid] && ipStore.blockedUsers[uid] > Date.now();
-  },
-
-  isIPBlocked: (ip) => {
-    return ipStore.blockedIPs[ip] && ipStore.blockedIPs[ip] > Date.now();
   }
 };
 
 // Initialize Express
 const app = express();
-app.set('trust proxy', true);
+app.set('trust proxy', TRUST_PROXY);
 app.use(bodyParser.json());
 
+// Stores the address and user agent of a completed sign-in and clears any expired block
+async function recordSignIn(req, { uid, email, ip, existing }) {
+  const updateData = {
+    ip,
+    lastActive: admin.firestore.FieldValue.serverTimestamp(),
+    userAgent: req.headers['user-agent'],
+    email,
+    blocked: false,
+    blockReason: null,
+    blockUntil: null
+  };
+
+  if (!existing) {
+    updateData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  await db.collection('users_ips').doc(uid).set(updateData, { merge: true });
+}
+
 // Helper function for token exchange
 async function exchangeCustomTokenForIdToken(customToken) {
   const response = await fetch(`https://identitytoolkit.googleapis.com/v1/accounts:signInWithCustomToken?key=${API_KEY}`, {
@@ -112,34 +113,37 @@ async function exchangeCustomTokenForIdToken(customToken) {
 // ======================
 // Authentication Routes
 // ======================
-app.post('/authenticate', async (req, res) => {
+app.post('/authenticate', rateLimiter.middleware(), geoPolicyService.middleware('authenticate'), async (req, res) => {
   const { email, password } = req.body;
+
+  if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+    return res.status(400).json({ error: "email and password are required" });
+  }
   
   try {
-    const user = await admin.auth().getUserByEmail(email);
-    const ip = req.headers['x-forwarded-for']?.split(',')[0] || req.ip;
+    const ip = ipUtils.normalizeIP(req.ip);
     
-    // Check IP block
-    if (await ipsService.isIPBlocked(ip)) {
-      const ipBlock = await db.collection('ips_blocklist')
-        .where('ip', '==', ip)
-        .where('active', '==', true)
-        .limit(1)
-        .get();
-      
-      const blockData = ipBlock.docs[0]?.data();
-      
+    // Check IP block (exact address or a blocked range containing it)
+    const blockData = await ipsService.getActiveBlock(ip);
+    if (blockData) {
       return res.status(403).json({ 
         error: "IP blocked", 
         blocked: true,
-        blockReason: blockData?.reason || "IP blocked",
-        blockUntil: blockData?.expiresAt?.toDate() || null
+        blockReason: blockData.reason || "IP blocked",
+        blockUntil: blockData.expiresAt || null
       });
     }
 
-    // Check user block
-    const userDoc = await db.collection('users_ips').doc(user.uid).get();
-    const userData = userDoc.exists ? userDoc.data() : {};
+    // Unknown emails still go through password verification and failure counting,
+    // so responses don't reveal which accounts exist
+    const user = await admin.auth().getUserByEmail(email).catch(error => {
+      if (error.code === 'auth/user-not-found') return null;
+      throw error;
+    });
+
+    // Check user block before the password, so a locked account can't be probed
+    const userDoc = user ? await db.collection('users_ips').doc(user.uid).get() : null;
+    const userData = userDoc && userDoc.exists ? userDoc.data() : {};
 
     if (userData.blocked && userData.blockUntil) {
       const blockUntil = userData.blockUntil.toDate();
@@ -155,52 +159,154 @@ app.post('/authenticate', async (req, res) => {
       }
     }
 
-    // Update user document
-    const updateData = {
-      ip,
-      lastActive: admin.firestore.FieldValue.serverTimestamp(),
-      userAgent: req.headers['user-agent'],
-      email: user.email,
-      blocked: false,
-      blockReason: null,
-      blockUntil: null
-    };
+    const verification = await passwordVerifier.verify(email, password);
+
+    if (!verification.valid) {
+      if (verification.reason === 'user_disabled') {
+        return res.status(403).json({ error: "Account disabled", blocked: true });
+      }
 
-    if (!userDoc.exists) {
-      updateData.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      const failure = await loginGuard.recordFailure({ email, uid: user ? user.uid : null, ip });
+
+      if (failure.ipBlock) {
+        return res.status(403).json({
+          error: "IP blocked",
+          blocked: true,
+          blockReason: failure.ipBlock.reason,
+          blockUntil: failure.ipBlock.expiresAt
+        });
+      }
+      if (failure.accountBlock) {
+        return res.status(403).json({
+          error: "Account blocked",
+          blocked: true,
+          blockReason: failure.accountBlock.reason,
+          blockUntil: failure.accountBlock.expiresAt
+        });
+      }
+      // Identity Toolkit's own lockout after many failures
+      if (verification.reason === 'too_many_attempts') {
+        return res.status(429).json({ error: "Too many failed attempts, try again later", blocked: false });
+      }
+      return res.status(401).json({
+        error: "Invalid email or password",
+        remainingAttempts: failure.remainingAttempts
+      });
     }
 
-    await db.collection('users_ips').doc(user.uid).set(updateData, { merge: true });
+    await loginGuard.recordSuccess(email);
+    const uid = verification.uid || (user && user.uid);
+
+    // Impossible travel, new country/device and blocklisted IPs; risk engine errors don't stop the login
+    const risk = await loginRiskService.evaluate({ uid, email: verification.email, ip, headers: req.headers })
+      .catch(error => {
+        console.error("Login risk evaluation failed:", error);
+        return null;
+      });
+
+    if (risk && risk.stepUp) {
+      // Completed with POST /authenticate/step-up after a multi-factor sign-in
+      return res.status(403).json({
+        error: "Additional verification required",
+        code: "LOGIN_STEP_UP_REQUIRED",
+        challengeId: risk.challengeId,
+        riskScore: risk.score,
+        signals: risk.signals.map(signal => signal.type)
+      });
+    }
+
+    await recordSignIn(req, { uid, email: verification.email, ip, existing: Boolean(userDoc && userDoc.exists) });
     
-    // Create and exchange tokens
-    const customToken = await admin.auth().createCustomToken(user.uid);
-    const idToken = await exchangeCustomTokenForIdToken(customToken);
+    // The password sign-in already returns an ID token; otherwise mint one
+    const idToken = verification.idToken ||
+      await exchangeCustomTokenForIdToken(await admin.auth().createCustomToken(uid));
     
     res.json({ 
       token: idToken,
       ip,
-      uid: user.uid,
+      uid,
       blocked: false,
       blockReason: null,
-      blockUntil: null
+      blockUntil: null,
+      riskScore: risk ? risk.score : null
     });
     
   } catch (error) {
     console.error("Authentication error:", error);
-    res.status(401).json({ error: "Authentication failed" });
+    res.status(503).json({ error: "Authentication unavailable" });
+  }
+});
+
+/**
+ * Completes a sign-in refused with LOGIN_STEP_UP_REQUIRED. The client signs
+ * in again with Firebase multi-factor auth and posts that ID token with the
+ * challenge id; the held login is then added to the user's history, so the
+ * same country and device don't need a step-up next time.
+ */
+app.post('/authenticate/step-up', rateLimiter.middleware(), async (req, res) => {
+  const { challengeId, idToken } = req.body;
+
+  if (typeof challengeId !== 'string' || typeof idToken !== 'string' || !challengeId || !idToken) {
+    return res.status(400).json({ error: "challengeId and idToken are required" });
+  }
+
+  try {
+    const ip = ipUtils.normalizeIP(req.ip);
+    if (await ipsService.getActiveBlock(ip)) {
+      return res.status(403).json({ error: "IP blocked", blocked: true });
+    }
+
+    const decoded = await admin.auth().verifyIdToken(idToken, true).catch(() => null);
+    if (!decoded) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    if (!decoded.firebase || !decoded.firebase.sign_in_second_factor) {
+      return res.status(403).json({ error: "Sign in with a second factor to continue", code: "LOGIN_SECOND_FACTOR_REQUIRED" });
+    }
+    if (await ipsService.isUserBlocked(decoded.uid)) {
+      return res.status(403).json({ error: "Account blocked", blocked: true });
+    }
+
+    const challenge = await loginRiskService.completeStepUp(challengeId, {
+      uid: decoded.uid,
+      method: decoded.firebase.sign_in_second_factor,
+      authTime: new Date(decoded.auth_time * 1000)
+    });
+
+    const userDoc = await db.collection('users_ips').doc(decoded.uid).get();
+    await recordSignIn(req, { uid: decoded.uid, email: decoded.email || challenge.email, ip, existing: userDoc.exists });
+    res.json({
+      token: idToken,
+      ip,
+      uid: decoded.uid,
+      blocked: false,
+      blockReason: null,
+      blockUntil: null,
+      riskScore: challenge.score
+    });
+  } catch (error) {
+    if (error instanceof StepUpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Step-up error:", error);
+    res.status(503).json({ error: "Authentication unavailable" });
   }
 });
 
 // ======================
 // Middleware
 // ======================
-const manualAuth = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) return res.status(401).send('Token required');
+/**
+ * Verifies a Firebase ID token and rejects blocked users. Resolves to
+ * { user } or { status, error } / { status, body } for the response.
+ * Shared by manualAuth and the event stream WebSocket.
+ */
+const authenticateToken = async (token) => {
+  if (!token) return { status: 401, error: 'Token required' };
   
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
+    // With checkRevoked, tokens issued before a role revocation are rejected
+    const decoded = await admin.auth().verifyIdToken(token, rbacService.config.checkRevoked);
     
     // Check if user is blocked in either system
     const isUserBlocked = manualIPService.isUserBlocked(decoded.uid) || 
@@ -212,12 +318,15 @@ const manualAuth = async (req, res, next) => {
       const firestoreBlock = await db.collection('users_ips').doc(decoded.uid).get()
         .then(doc => doc.exists && doc.data().blockUntil ? doc.data().blockUntil.toDate().getTime() : null);
       
-      return res.status(403).json({ 
-        error: "Account blocked", 
-        blocked: true,
-        blockUntil: inMemoryBlock || firestoreBlock,
-        blockSource: inMemoryBlock ? 'memory' : 'firestore'
-      });
+      return {
+        status: 403,
+        body: { 
+          error: "Account blocked", 
+          blocked: true,
+          blockUntil: inMemoryBlock || firestoreBlock,
+          blockSource: inMemoryBlock ? 'memory' : 'firestore'
+        }
+      };
     }
 
     // Get user data from both systems
@@ -226,83 +335,160 @@ const manualAuth = async (req, res, next) => {
       db.collection('users_ips').doc(decoded.uid).get().then(doc => doc.data())
     ]);
 
-    req.user = { 
-      ...decoded, 
-      ipData: memoryData || firestoreData,
-      blocked: false
+    return {
+      user: { 
+        ...decoded, 
+        ipData: memoryData || firestoreData,
+        blocked: false
+      }
     };
-    next();
   } catch (error) {
+    if (error.code === 'auth/id-token-revoked') {
+      return { status: 401, error: 'Token revoked, sign in again' };
+    }
     console.error("Token verification error:", error);
-    res.status(403).send('Invalid token');
+    return { status: 403, error: 'Invalid token' };
+  }
+};
+
+const manualAuth = async (req, res, next) => {
+  const result = await authenticateToken(req.headers.authorization?.split(' ')[1]);
+  if (!result.user) {
+    return result.body ? res.status(result.status).json(result.body) : res.status(result.status).send(result.error);
   }
+
+  req.user = result.user;
+  next();
+};
+
+// The event WebSocket skips Express, so it gets the token and IP block checks here
+const authenticateSocket = async (req, token) => {
+  // Same client address Express derives for req.ip with 'trust proxy'
+  const ip = ipUtils.normalizeIP(proxyaddr(req, app.get('trust proxy fn')));
+  if (await ipsService.getActiveBlock(ip)) {
+    return { status: 403, body: { error: "IP blocked", blocked: true } };
+  }
+  return authenticateToken(token);
 };
 
-// Apply security to all /api routes
-app.use('/api', manualAuth, async (req, res, next) => {
-  const ip = req.ip;
+// Blocks an offending IP, or reuses the block a playbook or another request already placed
+const blockOffender = async (ip, reason, policy) => {
+  const existing = await ipsService.getActiveBlock(ip);
+  if (existing) {
+    return { expiresAt: existing.expiresAt, permanent: Boolean(existing.permanent) };
+  }
+  try {
+    return await ipsService.blockIP(ip, reason, null, { policy });
+  } catch (error) {
+    // Lost a race with a concurrent block of the same address
+    const block = await ipsService.getActiveBlock(ip);
+    if (!block) throw error;
+    return { expiresAt: block.expiresAt, permanent: Boolean(block.permanent) };
+  }
+};
+
+// IP blocks, rate limits and the WAF for every /api request
+const securityChecks = async (req, res, next) => {
+  const ip = ipUtils.normalizeIP(req.ip);
   
-  // Check if IP is blocked in either system
-  const isIPBlocked = manualIPService.isIPBlocked(ip) || 
-                      await ipsService.isIPBlocked(ip);
+  // IP blocks come from the blocklist index, which also applies the allowlist and unblocks
+  const activeBlock = await ipsService.getActiveBlock(ip);
   
-  if (isIPBlocked) {
-    // Get block details from both systems
-    const inMemoryBlock = ipStore.blockedIPs[ip];
-    const firestoreBlock = await db.collection('ips_blocklist')
-      .where('ip', '==', ip)
-      .where('active', '==', true)
-      .limit(1)
-      .get()
-      .then(snapshot => {
-        if (snapshot.empty) return null;
-        return snapshot.docs[0].data().expiresAt.toDate().getTime();
-      });
-
+  if (activeBlock) {
     return res.status(403).json({ 
       error: "IP blocked", 
       blocked: true,
-      blockUntil: inMemoryBlock || firestoreBlock,
-      blockSource: inMemoryBlock ? 'memory' : 'firestore'
+      blockUntil: activeBlock.expiresAt.getTime(),
+      blockSource: 'firestore'
     });
   }
 
-  // Check rate limit
-  if (!manualIPService.checkRateLimit(ip)) {
-    // Auto-block IP that exceeds rate limit
-    await ipsService.blockIP(ip, 'Rate limit exceeded');
-    ipStore.blockedIPs[ip] = Date.now() + 3600000; // 1 hour
+  // Allowlisted IPs (office egress, health checks, VPN subnet) are never auto-blocked
+  const allowlistEntry = await ipsService.getAllowlistEntry(ip);
+
+  // Check the per-IP and per-user limits from config/rateLimit.js
+  let rateLimit = null;
+  if (!allowlistEntry) {
+    try {
+      rateLimit = await rateLimiter.apply(req, res);
+    } catch (error) {
+      return res.status(503).json({ error: 'Rate limiter unavailable' });
+    }
+  }
+
+  if (rateLimit && !rateLimit.allowed) {
+    const { limited } = rateLimit;
+
+    if (!limited.blockIP) {
+      return res.status(429).json({
+        error: 'Too many requests',
+        blocked: false,
+        rule: limited.rule,
+        retryAfter: Math.ceil(limited.retryAfterMs / 1000)
+      });
+    }
+
+    // Auto-block IP that exceeds rate limit, longer for repeat offenders
+    const block = await blockOffender(ip, 'Rate limit exceeded', 'rate_limit');
     
     return res.status(429).json({
       error: 'Too many requests',
       blocked: true,
-      blockUntil: Date.now() + 3600000
+      rule: limited.rule,
+      blockUntil: block.expiresAt.getTime(),
+      permanent: block.permanent
     });
   }
   
-  // Analyze traffic
-  const isTrafficValid = manualIPService.analyzeTraffic(ip, {
-    method: req.method,
-    path: req.path,
-    headers: req.headers,
-    body: req.body
-  });
-  
-  if (!isTrafficValid) {
-    // Block in both systems when suspicious activity detected
-    await ipsService.blockIP(ip, 'Suspicious activity detected');
-    ipStore.blockedIPs[ip] = Date.now() + 3600000; // 1 hour
-    
+  // Score the request against the WAF rules (config/waf.js)
+  const inspection = wafEngine.mode === 'off' ? null : wafEngine.inspect(req);
+  if (!inspection || !inspection.anomalous) {
+    return next();
+  }
+
+  const action = wafEngine.mode === 'detect' ? 'detected' : allowlistEntry ? 'rejected' : 'blocked';
+  await idsService.processAlert(wafEngine.buildAlert(ip, req, inspection, action));
+
+  if (action === 'detected') {
+    return next();
+  }
+
+  if (action === 'rejected') {
+    // Reject the request but leave the allowlisted IP unblocked
     return res.status(403).json({
       error: 'Suspicious activity detected',
-      blocked: true,
-      blockUntil: Date.now() + 3600000
+      blocked: false,
+      allowlisted: true
     });
   }
+
+  // Block the IP when suspicious activity is detected
+  const ruleIds = inspection.matches.map(match => match.id).join(', ');
+  const block = await blockOffender(ip, `Suspicious activity detected: ${ruleIds}`, 'suspicious');
   
-  next();
+  res.status(403).json({
+    error: 'Suspicious activity detected',
+    blocked: true,
+    blockUntil: block.expiresAt.getTime(),
+    permanent: block.permanent
+  });
+};
+
+// Apply security to all /api routes; country / region / ASN policies run before the IP checks
+app.use('/api', manualAuth, geoPolicyService.middleware('api'), async (req, res, next) => {
+  try {
+    await securityChecks(req, res, next);
+  } catch (error) {
+    console.error("Security check error:", error);
+    if (!res.headersSent) {
+      res.status(503).json({ error: "Security checks unavailable" });
+    }
+  }
 });
 
+// Role-based access: every /api route needs the permission mapped in config/rbac.js
+app.use('/api', rbacService.authorize());
+
 // ======================
 // Core API Routes
 // ======================
@@ -327,10 +513,20 @@ app.get('/api/ips', (req, res) => {
 // Feature Routes
 // ======================
 
+// Authentication and authorization already ran for everything under /api
+
 // IPS Routes
-app.use('/api/ips', manualAuth, ipsRoutes);
+app.use('/api/ips', ipsRoutes);
 // IDS Routes
-app.use('/api/ids', manualAuth, idsRoutes);
+app.use('/api/ids', idsRoutes);
+// Role management
+app.use('/api/rbac', rbacRoutes);
+// Audit log
+app.use('/api/audit', auditRoutes);
+// Real-time security events (the WebSocket endpoint is attached at startup)
+app.use('/api/events', eventRoutes);
+// VPN clients and connections
+app.use('/api/vpn', vpnRoutes);
 
 // ======================
 // Background Jobs
@@ -338,20 +534,19 @@ app.use('/api/ids', manualAuth, idsRoutes);
 schedule.scheduleJob('0 * * * *', () => {
   const cleaned = manualIPService.cleanupExpiredBlocks();
   console.log(`🧹 Cleaned ${cleaned} expired IP blocks`);
-  
-  // Clean old rate limits
-  Object.keys(ipStore.rateLimits).forEach(ip => {
-    if (Date.now() - ipStore.rateLimits[ip].lastRequest > 86400000) {
-      delete ipStore.rateLimits[ip];
-    }
-  });
 });
 
 // ======================
 // Server Startup
 // ======================
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
+  console.log(`📡 Event stream: SSE on /api/events/stream, WebSocket on ${eventStreamService.config.wsPath}`);
+  console.log(`🛡️ Threat feeds: ${[...threatFeedService.feeds.keys()].join(', ') || 'none configured'}`);
+  console.log(`🔔 Notification channels: ${notificationService.channels.map(channel => `${channel.name} (${channel.type}, severity ${channel.minSeverity}+)`).join(', ') || 'none configured'}`);
+  const playbookNames = playbookService.playbooks.map(playbook => playbook.name).join(', ') || 'none configured';
+  console.log(`🤖 Response playbooks: ${playbookService.config.enabled ? playbookNames : 'disabled'}${playbookService.config.dryRun ? ' (dry run)' : ''}`);
+  console.log(`🗂️ Incident correlation: by ${incidentService.config.correlateBy.join(', ')} within ${incidentService.config.windowMs / 60000} min`);
   console.log('\n=== Authentication ===');
   console.log('POST /authenticate - Authenticate user (body: {email, password})');
   
@@ -360,18 +555,85 @@ app.listen(PORT, () => {
   console.log('GET /api/ips - Basic IPS info');
   
   console.log('\n=== IPS Endpoints ===');
-  console.log('POST /api/ips/block - Block an IP (body: {ip, reason, duration})');
+  console.log('POST /api/ips/block - Block an IP or CIDR range (body: {ip, reason, duration})');
   console.log('POST /api/ips/block-user - Block by user ID (body: {uid, reason, duration})');
-  console.log('DELETE /api/ips/unblock - Unblock an IP (body: {ip})');
+  console.log('DELETE /api/ips/unblock - Unblock an IP or CIDR range (body: {ip})');
   console.log('GET /api/ips/blocked - Get list of blocked IPs');
   console.log('GET /api/ips/suspicious - Get suspicious activity (query: ?limit=100&ip=1.2.3.4)');
   console.log('POST /api/ips/cleanup - Force cleanup of expired blocks');
   console.log('GET /api/ips/stats - Get IPS statistics');
+  console.log('GET /api/ips/allowlist - List never-block entries');
+  console.log('POST /api/ips/allowlist - Add a never-block IP or CIDR (body: {cidr, description})');
+  console.log('PUT /api/ips/allowlist/:id - Update an allowlist entry (body: {cidr, description})');
+  console.log('DELETE /api/ips/allowlist/:id - Remove an allowlist entry');
+  console.log('GET /api/ips/offenses - Offense history and escalation state (query: ?ip=1.2.3.4 or ?uid=abc)');
+  console.log('GET /api/ips/geo-policies - List country / region / ASN policies');
+  console.log('GET /api/ips/geo-policies/lookup - Location, ASN and matching policies of an IP (query: ?ip=1.2.3.4)');
+  console.log('POST /api/ips/geo-policies - Add a geo policy (body: {name, action, mode, countries, regions, asns, networkTypes})');
+  console.log('PUT /api/ips/geo-policies/:id - Update a geo policy');
+  console.log('DELETE /api/ips/geo-policies/:id - Remove a geo policy');
+  console.log('GET /api/ips/feeds - Threat feeds and their last import stats');
+  console.log('POST /api/ips/feeds/:name/import - Import a threat feed now');
   
+  console.log('\n=== RBAC Endpoints ===');
+  console.log('GET /api/rbac/me - Roles and permissions of the current user');
+  console.log('GET /api/rbac/roles - Role definitions (viewer, analyst, admin)');
+  console.log('GET /api/rbac/users/:uid/roles - Roles of a user');
+  console.log('POST /api/rbac/users/:uid/roles - Grant a role (body: {role})');
+  console.log('DELETE /api/rbac/users/:uid/roles/:role - Revoke a role');
+
+  console.log('\n=== Audit Endpoints ===');
+  console.log('GET /api/audit - Query the audit log (query: ?actor=&action=&targetType=&target=&since=&until=&limit=&before=)');
+  console.log('GET /api/audit/verify - Verify the audit hash chain (query: ?fromSeq=&toSeq=)');
+
   console.log('\n=== IDS Endpoints ===');
   console.log('GET /api/ids/process_alerts - Process IDS alerts');
-  console.log('GET /api/ids/alerts - Get alerts (query: ?limit=100&severity=0)');
+  console.log('GET /api/ids/alerts - Get alerts (query: ?limit=100&severity=0&triage=)');
+  console.log('POST /api/ids/alerts/:id/acknowledge - Acknowledge an alert (body: {note})');
+  console.log('POST /api/ids/alerts/:id/false-positive - Mark an alert false-positive (body: {note, suppress})');
+  console.log('GET /api/ids/suppressions - List suppressions (query: ?includeExpired=true)');
+  console.log('POST /api/ids/suppressions - Add a suppression (body: {sid, gid, srcCidr | dstCidr, mode, count, seconds, reason, durationMs})');
+  console.log('PUT /api/ids/suppressions/:id - Update a suppression');
+  console.log('DELETE /api/ids/suppressions/:id - Remove a suppression');
+  console.log('GET /api/ids/suppressions/export - Suppressions as Snort 3 suppress / event_filter config');
   console.log('POST /api/ids/rules - Add custom IDS rule (body: {rule: "content"})');
+  console.log('POST /api/ids/rules/validate - Lint an IDS rule without adding it (body: {rule: "content"})');
   console.log('GET /api/ids/rules - Get all IDS rules');
+  console.log('GET /api/ids/rules/reload - Get status of the last Snort reload');
+  console.log('POST /api/ids/rules/reload - Config-test and reload Snort rules');
+  console.log('PUT /api/ids/rules/:id - Replace a rule (body: {rule, enabled})');
+  console.log('PATCH /api/ids/rules/:id - Enable/disable or edit a rule (body: {enabled} and/or {rule})');
+  console.log('DELETE /api/ids/rules/:id - Delete a rule');
+  console.log('GET /api/ids/rules/:id/revisions - Get rule revision history');
+  console.log('POST /api/ids/rules/:id/rollback - Roll back to a revision (body: {revisionId})');
   console.log('GET /api/ids/stats - Get alert statistics');
-});
\ No newline at end of file
+  console.log('GET /api/ids/notifications - Notification channels and throttling');
+  console.log('GET /api/ids/notifications/dead-letters - Notifications that failed every retry');
+  console.log('POST /api/ids/notifications/test - Send a test notification (body: {channel})');
+  console.log('GET /api/ids/playbooks - Response playbooks');
+  console.log('GET /api/ids/playbooks/runs - Playbook runs (query: ?playbook=&ip=&alertId=&limit=)');
+  console.log('GET /api/ids/incidents - List incidents (query: ?status=&assignee=&src_ip=&minSeverity=&limit=&before=)');
+  console.log('GET /api/ids/incidents/:id - Get an incident with its alerts');
+  console.log('POST /api/ids/incidents - Open an incident (body: {title, severity, src_ip, target, assignee, note, alertIds})');
+  console.log('PATCH /api/ids/incidents/:id - Change status, assignee, severity or title');
+  console.log('POST /api/ids/incidents/:id/notes - Add a note (body: {text})');
+  console.log('DELETE /api/ids/incidents/:id - Delete an incident');
+
+  console.log('\n=== Events ===');
+  console.log('GET /api/events - Recent events (query: ?topics=alerts,blocks,vpn&minSeverity=&since=&limit=)');
+  console.log('GET /api/events/stream - Server-Sent Events (query: ?topics=&minSeverity=, Last-Event-ID header to resume)');
+  console.log(`WS ${eventStreamService.config.wsPath} - WebSocket events (same query, token in Authorization or ?access_token=)`);
+
+  console.log('\n=== VPN ===');
+  console.log('GET /api/vpn/clients - List clients (query: ?active=&connected=&search=&limit=&after=)');
+  console.log('GET /api/vpn/clients/:username - Get a client with its connection');
+  console.log('GET /api/vpn/clients/:username/config - Download the client .ovpn profile');
+  console.log('POST /api/vpn/clients - Create a client (body: {username, email, description, profile})');
+  console.log('PATCH /api/vpn/clients/:username - Change email, description or profile (redirectGateway, routes, dns, remotes)');
+  console.log('POST /api/vpn/clients/:username/renew - Issue a new client certificate');
+  console.log('DELETE /api/vpn/clients/:username - Revoke a client and end its session (query: ?reason=)');
+  console.log('GET /api/vpn/certificates/expiring - Client certificates expiring soon (query: ?days=30)');
+  console.log('GET /api/vpn/connections - Connected clients');
+});
+
+eventSocketServer.attach(server, { authenticate: authenticateSocket });
\ No newline at end of file
@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Incrementally reads line-oriented Snort output files.
+ *
+ * A byte offset and inode per file are persisted in a small JSON state file, so
+ * restarts resume where the previous run stopped. When Snort rotates a log the
+ * remainder of the renamed file is drained before the new one is read, and a
+ * truncated file is read again from the start. Recently seen alert fingerprints
+ * are persisted alongside the offsets to drop replayed lines.
+ */
+class AlertLogTailer {
+    constructor({ stateFile, maxReadBytes, dedupCacheSize }) {
+        this.stateFile = stateFile;
+        this.maxReadBytes = maxReadBytes;
+        this.dedupCacheSize = dedupCacheSize;
+        this.files = {};
+        this.fingerprints = [];
+        this.seen = new Set();
+        this.loaded = false;
+    }
+
+    async loadState() {
+        if (this.loaded) return;
+
+        try {
+            const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+            this.files = state.files || {};
+            this.fingerprints = (state.fingerprints || []).slice(-this.dedupCacheSize);
+            this.seen = new Set(this.fingerprints);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Unreadable alert ingestion state, starting from scratch:', error);
+            }
+        }
+        this.loaded = true;
+    }
+
+    async saveState() {
+        const tmpFile = `${this.stateFile}.tmp`;
+        await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+        await fs.writeFile(tmpFile, JSON.stringify({
+            files: this.files,
+            fingerprints: this.fingerprints
+        }));
+        await fs.rename(tmpFile, this.stateFile);
+    }
+
+    hasSeen(fingerprint) {
+        return this.seen.has(fingerprint);
+    }
+
+    remember(fingerprint) {
+        if (this.seen.has(fingerprint)) return;
+
+        this.seen.add(fingerprint);
+        this.fingerprints.push(fingerprint);
+        while (this.fingerprints.length > this.dedupCacheSize) {
+            this.seen.delete(this.fingerprints.shift());
+        }
+    }
+
+    /**
+     * Returns the unread chunks of a source file. Each chunk carries the state
+     * to persist through commit() once its lines have been handled.
+     */
+    async read(filePath) {
+        let stat;
+        try {
+            stat = await fs.stat(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const previous = this.files[filePath] || { inode: stat.ino, offset: 0 };
+        const chunks = [];
+
+        if (previous.inode !== stat.ino) {
+            const rotatedPath = await this.findRotatedFile(filePath, previous.inode);
+            if (rotatedPath) {
+                const chunk = await this.readChunk(rotatedPath, previous.offset);
+                if (chunk.lines.length > 0) {
+                    chunks.push({ ...chunk, state: { inode: previous.inode, offset: chunk.offset } });
+                }
+                // Finish the rotated file before moving on to the new one
+                if (chunk.more) return chunks;
+            }
+        }
+
+        let offset = previous.inode === stat.ino ? previous.offset : 0;
+        if (stat.size < offset) {
+            offset = 0; // Truncated in place
+        }
+
+        const chunk = await this.readChunk(filePath, offset);
+        chunks.push({ ...chunk, state: { inode: stat.ino, offset: chunk.offset } });
+        return chunks;
+    }
+
+    async commit(filePath, chunk) {
+        this.files[filePath] = chunk.state;
+        await this.saveState();
+    }
+
+    async readChunk(filePath, offset) {
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const { size } = await handle.stat();
+            const length = Math.max(0, Math.min(size - offset, this.maxReadBytes));
+            if (length === 0) {
+                return { path: filePath, lines: [], offset, more: false };
+            }
+
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buffer, 0, length, offset);
+            const data = buffer.subarray(0, bytesRead);
+            const more = offset + bytesRead < size;
+
+            // Only consume complete lines; a partial last line is picked up next run
+            let end = data.lastIndexOf(0x0a) + 1;
+            if (end === 0) {
+                // A single line larger than the read window can never complete, skip it
+                if (!more) return { path: filePath, lines: [], offset, more: false };
+                end = bytesRead;
+            }
+
+            const lines = data.subarray(0, end).toString('utf8').split(/\r?\n/);
+            lines.pop();
+            return { path: filePath, lines, offset: offset + end, more };
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async findRotatedFile(filePath, inode) {
+        const dir = path.dirname(filePath);
+        const base = path.basename(filePath);
+
+        let entries;
+        try {
+            entries = await fs.readdir(dir);
+        } catch (error) {
+            return null;
+        }
+
+        for (const entry of entries) {
+            if (entry === base || !entry.startsWith(base)) continue;
+            try {
+                const stat = await fs.stat(path.join(dir, entry));
+                if (stat.ino === inode) return path.join(dir, entry);
+            } catch (error) {
+                // Removed while scanning
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = AlertLogTailer;
@@ -0,0 +1,290 @@
+const schedule = require('node-schedule');
+const { admin, db } = require('../config/firebase');
+const idsConfig = require('../config/ids');
+const ipUtils = require('./ipUtils');
+
+const MODES = ['suppress', 'limit'];
+
+class SuppressionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SuppressionError';
+        this.status = status;
+    }
+}
+
+function toDate(value) {
+    if (!value) return null;
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+/**
+ * Alert suppressions by gid:sid, optionally narrowed to a source or a
+ * destination CIDR, each with an expiry. Mode 'suppress' drops every
+ * matching alert; 'limit' lets the first `count` alerts per tracked address
+ * through every `seconds` (Snort's event_filter type limit). Dropped alerts
+ * are counted on the suppression (hits, lastHitAt). The same suppressions
+ * can be exported as Snort 3 suppress / event_filter configuration.
+ */
+class AlertSuppressionService {
+    constructor(config) {
+        this.config = config;
+        this.collection = db.collection(config.collection);
+        this.suppressions = [];
+        this.suppressionsReady = false;
+        // suppression id -> [times] of alerts let through, per tracked address
+        this.limitWindows = new Map();
+        // suppression id -> { hits, lastHitAt } not yet written
+        this.pendingHits = new Map();
+        this.suppressed = 0;
+
+        this.watchSuppressions();
+        schedule.scheduleJob(config.flushSchedule, () => this.flushHits());
+    }
+
+    watchSuppressions() {
+        this.collection.onSnapshot(snapshot => {
+            this.suppressions = snapshot.docs.map(doc => this.fromDoc(doc));
+            this.suppressionsReady = true;
+        }, error => {
+            console.error('❌ Suppression listener failed, falling back to queries:', error);
+            this.suppressionsReady = false;
+            setTimeout(() => this.watchSuppressions(), 10000);
+        });
+    }
+
+    fromDoc(doc) {
+        const data = doc.data();
+        return { id: doc.id, ...data, expiresAt: toDate(data.expiresAt), createdAt: toDate(data.createdAt) };
+    }
+
+    isActive(suppression, now = new Date()) {
+        return suppression.enabled !== false && (!suppression.expiresAt || suppression.expiresAt > now);
+    }
+
+    // All suppressions, soonest expiry first; expired ones only with includeExpired
+    async getSuppressions({ includeExpired = false } = {}) {
+        const suppressions = this.suppressionsReady
+            ? this.suppressions
+            : (await this.collection.get()).docs.map(doc => this.fromDoc(doc));
+
+        return suppressions
+            .filter(suppression => includeExpired || this.isActive(suppression))
+            .sort((a, b) => (a.expiresAt - b.expiresAt) || a.id.localeCompare(b.id));
+    }
+
+    async getSuppression(id) {
+        const doc = await this.collection.doc(id).get();
+        return doc.exists ? this.fromDoc(doc) : null;
+    }
+
+    /**
+     * The suppression that drops this alert, or null to keep it. Counts the
+     * hit. Never throws: when suppressions can't be read the alert is kept.
+     */
+    async check(alert) {
+        if (!alert.sid) return null;
+
+        try {
+            const now = new Date();
+            const suppressions = await this.getSuppressions();
+            const suppression = suppressions.find(candidate => this.matches(candidate, alert) && this.overLimit(candidate, alert, now));
+            if (!suppression) return null;
+
+            const pending = this.pendingHits.get(suppression.id) || { hits: 0, lastHitAt: null };
+            this.pendingHits.set(suppression.id, { hits: pending.hits + 1, lastHitAt: now });
+            this.suppressed++;
+            return suppression;
+        } catch (error) {
+            console.error('❌ Suppression check failed, keeping alert:', error);
+            return null;
+        }
+    }
+
+    matches(suppression, alert) {
+        if (Number(alert.sid) !== suppression.sid || Number(alert.gid || 1) !== suppression.gid) return false;
+        if (suppression.srcCidr && !ipUtils.cidrContains(suppression.srcCidr, alert.src_ip)) return false;
+        if (suppression.dstCidr && !ipUtils.cidrContains(suppression.dstCidr, alert.dest_ip)) return false;
+        return true;
+    }
+
+    // For 'limit' suppressions, true once the tracked address used up its count in the window
+    overLimit(suppression, alert, now) {
+        if (suppression.mode !== 'limit') return true;
+
+        const tracked = (suppression.dstCidr ? alert.dest_ip : alert.src_ip) || 'unknown';
+        const windows = this.limitWindows.get(suppression.id) || new Map();
+        const recent = (windows.get(tracked) || []).filter(at => at > now - suppression.seconds * 1000);
+        this.limitWindows.set(suppression.id, windows);
+
+        if (recent.length >= suppression.count) {
+            windows.set(tracked, recent);
+            return true;
+        }
+        windows.set(tracked, [...recent, now.getTime()]);
+        return false;
+    }
+
+    async flushHits() {
+        const pending = [...this.pendingHits.entries()];
+        this.pendingHits.clear();
+
+        for (const [id, { hits, lastHitAt }] of pending) {
+            try {
+                await this.collection.doc(id).update({ hits: admin.firestore.FieldValue.increment(hits), lastHitAt });
+            } catch (error) {
+                // Removed suppressions can't be updated; anything else is retried on the next flush
+                if (error.code === 5) continue; // NOT_FOUND
+                const current = this.pendingHits.get(id) || { hits: 0, lastHitAt };
+                this.pendingHits.set(id, { hits: current.hits + hits, lastHitAt: current.lastHitAt });
+                console.error(`❌ Failed to record hits of suppression ${id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Normalizes a suppression. Accepts sid, gid (default 1), srcCidr or
+     * dstCidr, mode ('suppress' or 'limit' with count and seconds), reason,
+     * and expiresAt or durationMs. `current` is the stored suppression when
+     * updating, so only the given fields change.
+     */
+    validateSuppression(input, current = null) {
+        const merged = { ...(current || {}), ...input };
+        const problems = [];
+
+        const sid = Number(merged.sid);
+        const gid = merged.gid === undefined || merged.gid === null ? 1 : Number(merged.gid);
+        if (!Number.isInteger(sid) || sid < 1) problems.push('sid must be a positive integer');
+        if (!Number.isInteger(gid) || gid < 1) problems.push('gid must be a positive integer');
+
+        const srcRange = merged.srcCidr ? ipUtils.parseCidr(merged.srcCidr) : null;
+        const dstRange = merged.dstCidr ? ipUtils.parseCidr(merged.dstCidr) : null;
+        if (merged.srcCidr && !srcRange) problems.push(`invalid srcCidr: ${merged.srcCidr}`);
+        if (merged.dstCidr && !dstRange) problems.push(`invalid dstCidr: ${merged.dstCidr}`);
+        // Snort tracks a suppression by source or by destination, never both
+        if (merged.srcCidr && merged.dstCidr) problems.push('set either srcCidr or dstCidr, not both');
+
+        const mode = merged.mode || 'suppress';
+        if (!MODES.includes(mode)) problems.push(`mode must be one of ${MODES.join(', ')}`);
+        const count = mode === 'limit' ? Number(merged.count) : null;
+        const seconds = mode === 'limit' ? Number(merged.seconds) : null;
+        if (mode === 'limit' && !(Number.isInteger(count) && count > 0 && Number.isInteger(seconds) && seconds > 0)) {
+            problems.push('limit needs a positive integer count and seconds');
+        }
+
+        const now = Date.now();
+        let expiresAt;
+        if (input.durationMs !== undefined) {
+            expiresAt = new Date(now + Number(input.durationMs));
+        } else if (input.expiresAt !== undefined) {
+            expiresAt = new Date(input.expiresAt);
+        } else {
+            expiresAt = current ? current.expiresAt : new Date(now + this.config.defaultDurationMs);
+        }
+        if (Number.isNaN(expiresAt.getTime()) || (expiresAt.getTime() <= now && !current)) {
+            problems.push('expiresAt must be a date in the future (or durationMs a positive number)');
+        } else if (expiresAt.getTime() - now > this.config.maxDurationMs) {
+            problems.push(`suppressions expire within ${this.config.maxDurationMs / 86400000} days`);
+        }
+
+        if (problems.length > 0) {
+            throw new SuppressionError(`Invalid suppression: ${problems.join(', ')}`);
+        }
+
+        return {
+            gid,
+            sid,
+            srcCidr: srcRange ? srcRange.notation : null,
+            dstCidr: dstRange ? dstRange.notation : null,
+            mode,
+            count,
+            seconds,
+            reason: merged.reason || null,
+            expiresAt
+        };
+    }
+
+    async createSuppression(input, user = null, extra = {}) {
+        const data = {
+            ...this.validateSuppression(input),
+            enabled: true,
+            hits: 0,
+            lastHitAt: null,
+            createdBy: user ? { uid: user.uid, email: user.email || null } : null,
+            createdAt: new Date(),
+            ...extra
+        };
+
+        const ref = await this.collection.add(data);
+        return { id: ref.id, ...data };
+    }
+
+    // Resolves to the updated suppression, or null when it doesn't exist
+    async updateSuppression(id, changes, user = null) {
+        const current = await this.getSuppression(id);
+        if (!current) return null;
+
+        const update = {
+            ...this.validateSuppression(changes, current),
+            updatedBy: user ? { uid: user.uid, email: user.email || null } : null,
+            updatedAt: new Date()
+        };
+        if (changes.enabled !== undefined) update.enabled = Boolean(changes.enabled);
+
+        await this.collection.doc(id).update(update);
+        this.limitWindows.delete(id);
+        return { ...current, ...update };
+    }
+
+    async removeSuppression(id) {
+        const current = await this.getSuppression(id);
+        if (!current) return null;
+
+        await this.collection.doc(id).delete();
+        this.limitWindows.delete(id);
+        this.pendingHits.delete(id);
+        return current;
+    }
+
+    /**
+     * Active suppressions as a Snort 3 Lua snippet: 'suppress' entries go to
+     * the suppress table, 'limit' entries to event_filter. Snort has no
+     * expiry, so the export has to be refreshed when suppressions change.
+     */
+    async exportSnortConfig() {
+        const suppressions = await this.getSuppressions();
+        const lua = value => `'${String(value).replace(/[\\']/g, '\\$&')}'`;
+
+        const entry = suppression => {
+            const fields = [`gid = ${suppression.gid}`, `sid = ${suppression.sid}`];
+            if (suppression.mode === 'limit') {
+                fields.push("type = 'limit'", `track = '${suppression.dstCidr ? 'by_dst' : 'by_src'}'`);
+                fields.push(`count = ${suppression.count}`, `seconds = ${suppression.seconds}`);
+            } else if (suppression.srcCidr || suppression.dstCidr) {
+                fields.push(`track = '${suppression.dstCidr ? 'by_dst' : 'by_src'}'`);
+            }
+            if (suppression.srcCidr || suppression.dstCidr) {
+                fields.push(`ip = ${lua(suppression.srcCidr || suppression.dstCidr)}`);
+            }
+
+            const note = [suppression.id, `expires ${suppression.expiresAt.toISOString()}`, suppression.reason]
+                .filter(Boolean)
+                .join(', ')
+                .replace(/\n/g, ' ');
+            return `    { ${fields.join(', ')} }, -- ${note}`;
+        };
+
+        const table = (name, entries) => [`${name} =`, '{', ...entries.map(entry), '}'].join('\n');
+
+        return [
+            `-- Generated from ${this.config.collection} at ${new Date().toISOString()}`,
+            table('suppress', suppressions.filter(suppression => suppression.mode !== 'limit')),
+            '',
+            table('event_filter', suppressions.filter(suppression => suppression.mode === 'limit')),
+            ''
+        ].join('\n');
+    }
+}
+
+module.exports = new AlertSuppressionService(idsConfig.suppression);
+module.exports.SuppressionError = SuppressionError;
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const ipUtils = require('./ipUtils');
+
+/**
+ * IP -> autonomous system lookups from a local file, kept as sorted ranges
+ * per address family and searched with a binary search. IPv4 bounds are
+ * plain numbers to keep the table small; IPv6 bounds are BigInts.
+ */
+class ASNDatabase {
+    constructor() {
+        this.ranges = { 4: [], 6: [] };
+        this.source = null;
+        this.loadedAt = null;
+    }
+
+    get loaded() {
+        return this.loadedAt !== null;
+    }
+
+    async load(filePath) {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        const ranges = { 4: [], 6: [] };
+
+        for (const line of content.split('\n')) {
+            const range = line.includes('\t') ? this.parseTsvLine(line) : this.parseCsvLine(line);
+            if (range) ranges[range.family].push(range);
+        }
+
+        ranges[4].sort((a, b) => a.start - b.start);
+        ranges[6].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+        this.ranges = ranges;
+        this.source = filePath;
+        this.loadedAt = new Date();
+        return { ipv4: ranges[4].length, ipv6: ranges[6].length };
+    }
+
+    // iptoasn.com: range_start, range_end, AS_number, country_code, AS_description
+    parseTsvLine(line) {
+        const [start, end, asn, country, ...description] = line.trim().split('\t');
+        const from = ipUtils.parseCidr(start);
+        const to = ipUtils.parseCidr(end);
+        // AS 0 marks unrouted space
+        if (!from || !to || from.family !== to.family || !(parseInt(asn) > 0)) return null;
+
+        return this.toRange(from.family, from.network, to.network, parseInt(asn), description.join(' '), country);
+    }
+
+    // GeoLite2-ASN: network, autonomous_system_number, "autonomous_system_organization"
+    parseCsvLine(line) {
+        const match = line.trim().match(/^([^,]+),(\d+),"?(.*?)"?$/);
+        if (!match) return null;
+
+        const range = ipUtils.parseCidr(match[1]);
+        if (!range) return null;
+
+        const hostBits = BigInt((range.family === 4 ? 32 : 128) - range.prefixLength);
+        const end = range.network | ((1n << hostBits) - 1n);
+        return this.toRange(range.family, range.network, end, parseInt(match[2]), match[3].replace(/""/g, '"'), null);
+    }
+
+    toRange(family, start, end, asn, organization, country) {
+        return {
+            family,
+            start: family === 4 ? Number(start) : start,
+            end: family === 4 ? Number(end) : end,
+            asn,
+            organization: organization || null,
+            country: country && country !== 'None' ? country : null
+        };
+    }
+
+    // { asn, organization, country } for the address, or null
+    lookup(ip) {
+        const address = ipUtils.parseCidr(ipUtils.normalizeIP(ip));
+        if (!address) return null;
+
+        const ranges = this.ranges[address.family];
+        const value = address.family === 4 ? Number(address.network) : address.network;
+
+        let low = 0;
+        let high = ranges.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const range = ranges[middle];
+            if (value < range.start) {
+                high = middle - 1;
+            } else if (value > range.end) {
+                low = middle + 1;
+            } else {
+                return { asn: range.asn, organization: range.organization, country: range.country };
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = ASNDatabase;
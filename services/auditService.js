@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const auditConfig = require('../config/audit');
+const ipUtils = require('./ipUtils');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by an entry's hash, in a fixed order
+const HASHED_FIELDS = ['seq', 'timestamp', 'actor', 'ip', 'action', 'target', 'before', 'after', 'metadata', 'prevHash'];
+
+/**
+ * Converts state snapshots into plain JSON values that survive a Firestore
+ * round trip unchanged (dates and Timestamps become ISO strings, undefined
+ * properties are dropped), so stored entries hash the same when verified.
+ */
+function toPlain(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (typeof value === 'object') {
+        return Object.entries(value).reduce((plain, [key, item]) => {
+            if (item !== undefined && typeof item !== 'function') plain[key] = toPlain(item);
+            return plain;
+        }, {});
+    }
+    return value;
+}
+
+// JSON with object keys sorted at every level
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Append-only log of security actions. Each entry carries the hash of the
+ * previous one and a sequence number, both assigned in a transaction on a
+ * head document, so edited, removed or reordered entries break the chain.
+ */
+class AuditService {
+    constructor(config) {
+        this.config = config;
+        this.collection = db.collection(config.collection);
+        this.headRef = db.doc(config.headDocument);
+    }
+
+    hashEntry(entry) {
+        const payload = canonicalJSON(HASHED_FIELDS.reduce((fields, field) => ({
+            ...fields,
+            [field]: entry[field] === undefined ? null : entry[field]
+        }), {}));
+
+        return this.config.hmacKey
+            ? crypto.createHmac('sha256', this.config.hmacKey).update(payload).digest('hex')
+            : crypto.createHash('sha256').update(payload).digest('hex');
+    }
+
+    actorOf(req) {
+        if (!req || !req.user) return { uid: null, email: null, system: true };
+        return { uid: req.user.uid, email: req.user.email || null };
+    }
+
+    /**
+     * Appends an entry for a completed action. `target` is { type, id };
+     * before/after are the state of the target around the change. Audit
+     * failures are logged rather than thrown so they can't undo the action.
+     */
+    async record(req, { action, target, before = null, after = null, metadata = null }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            actor: this.actorOf(req),
+            ip: req ? ipUtils.normalizeIP(req.ip) : null,
+            action,
+            target: { type: target.type, id: target.id === undefined || target.id === null ? null : String(target.id) },
+            before: toPlain(before),
+            after: toPlain(after),
+            metadata: toPlain(metadata)
+        };
+
+        try {
+            return await db.runTransaction(async transaction => {
+                const head = await transaction.get(this.headRef);
+                const { seq = 0, hash = GENESIS_HASH } = head.exists ? head.data() : {};
+
+                const chained = { ...entry, seq: seq + 1, prevHash: hash };
+                chained.hash = this.hashEntry(chained);
+
+                transaction.create(this.collection.doc(this.entryId(chained.seq)), chained);
+                transaction.set(this.headRef, { seq: chained.seq, hash: chained.hash, updatedAt: chained.timestamp });
+                return chained;
+            });
+        } catch (error) {
+            console.error(`❌ Failed to write audit log entry for ${action}:`, error);
+            return null;
+        }
+    }
+
+    // Zero-padded so document ids sort in sequence order
+    entryId(seq) {
+        return String(seq).padStart(12, '0');
+    }
+
+    /**
+     * Newest entries first. Filters: actor (uid or email), action (exact, or
+     * a prefix ending in '.' such as 'ips.'), targetType, target, since,
+     * until, plus limit and before (a seq to page from).
+     */
+    async query(filters = {}) {
+        let query = this.collection.orderBy('seq', 'desc');
+
+        if (filters.actor) {
+            query = filters.actor.includes('@')
+                ? query.where('actor.email', '==', filters.actor)
+                : query.where('actor.uid', '==', filters.actor);
+        }
+        // Prefixes can't be combined with ordering by seq, so they are matched while paging
+        const actionPrefix = filters.action && filters.action.endsWith('.') ? filters.action : null;
+        if (filters.action && !actionPrefix) {
+            query = query.where('action', '==', filters.action);
+        }
+        if (filters.targetType) query = query.where('target.type', '==', filters.targetType);
+        if (filters.target) query = query.where('target.id', '==', String(filters.target));
+        if (filters.before) query = query.where('seq', '<', parseInt(filters.before));
+
+        // Timestamps grow with seq, so the time window is applied while paging too
+        const since = filters.since ? new Date(filters.since).toISOString() : null;
+        const until = filters.until ? new Date(filters.until).toISOString() : null;
+        const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+
+        const entries = [];
+        let cursor = null;
+        while (entries.length < limit) {
+            let page = query.limit(limit);
+            if (cursor) page = page.startAfter(cursor);
+
+            const snapshot = await page.get();
+            if (snapshot.empty) break;
+
+            for (const doc of snapshot.docs) {
+                const entry = doc.data();
+                if (since && entry.timestamp < since) return entries;
+                if (until && entry.timestamp > until) continue;
+                if (actionPrefix && !entry.action.startsWith(actionPrefix)) continue;
+                entries.push({ id: doc.id, ...entry });
+                if (entries.length === limit) break;
+            }
+            cursor = snapshot.docs[snapshot.docs.length - 1];
+            if (snapshot.size < limit) break;
+        }
+        return entries;
+    }
+
+    /**
+     * Walks the chain in sequence order and recomputes every hash. Reports
+     * altered entries, broken links, gaps (deleted entries) and a head that
+     * doesn't match the last entry (truncation).
+     */
+    async verify({ fromSeq = 1, toSeq = null } = {}) {
+        const errors = [];
+        const report = (seq, problem) => {
+            if (errors.length < this.config.maxReportedErrors) errors.push({ seq, problem });
+        };
+        const missing = (from, to) => (from === to ? `Missing entry ${from}` : `Missing entries ${from}-${to}`);
+
+        const headDoc = await this.headRef.get();
+        const head = headDoc.exists ? headDoc.data() : { seq: 0, hash: GENESIS_HASH };
+        const lastSeq = toSeq ? Math.min(toSeq, head.seq) : head.seq;
+
+        let expectedSeq = fromSeq;
+        let previousHash = null;
+        let checked = 0;
+
+        if (fromSeq > 1) {
+            const previous = await this.collection.doc(this.entryId(fromSeq - 1)).get();
+            previousHash = previous.exists ? previous.data().hash : null;
+        } else {
+            previousHash = GENESIS_HASH;
+        }
+
+        while (expectedSeq <= lastSeq) {
+            const snapshot = await this.collection
+                .where('seq', '>=', expectedSeq)
+                .where('seq', '<=', lastSeq)
+                .orderBy('seq')
+                .limit(this.config.verifyBatchSize)
+                .get();
+            if (snapshot.empty) break;
+
+            for (const doc of snapshot.docs) {
+                const entry = doc.data();
+
+                if (entry.seq !== expectedSeq) {
+                    report(expectedSeq, missing(expectedSeq, entry.seq - 1));
+                    previousHash = null;
+                }
+                if (doc.id !== this.entryId(entry.seq)) {
+                    report(entry.seq, `Stored under unexpected id ${doc.id}`);
+                }
+                if (this.hashEntry(entry) !== entry.hash) {
+                    report(entry.seq, 'Hash does not match entry contents');
+                }
+                if (previousHash !== null && entry.prevHash !== previousHash) {
+                    report(entry.seq, 'prevHash does not match the previous entry');
+                }
+
+                previousHash = entry.hash;
+                expectedSeq = entry.seq + 1;
+                checked++;
+            }
+        }
+
+        if (expectedSeq <= lastSeq) {
+            report(expectedSeq, missing(expectedSeq, lastSeq));
+        }
+        if (!toSeq && lastSeq > 0 && expectedSeq > lastSeq && previousHash !== head.hash) {
+            report(lastSeq, 'Head hash does not match the last entry');
+        }
+        if (!toSeq) {
+            const beyondHead = await this.collection.where('seq', '>', head.seq).limit(1).get();
+            if (!beyondHead.empty) {
+                report(head.seq + 1, 'Entries exist beyond the recorded head');
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            checked,
+            fromSeq,
+            toSeq: lastSeq,
+            headSeq: head.seq,
+            keyed: Boolean(this.config.hmacKey),
+            errors
+        };
+    }
+}
+
+module.exports = new AuditService(auditConfig);
+module.exports.canonicalJSON = canonicalJSON;
@@ -0,0 +1,37 @@
+// Far-future expiry used for permanent blocks so expiresAt comparisons keep working
+const PERMANENT_BLOCK_UNTIL = new Date('9999-12-31T23:59:59.000Z');
+
+/**
+ * Works out the block for a new offense from the offender's history.
+ * Offenses outside the policy window are ignored, and every full clean
+ * period (decayMs) since the last offense forgives one step.
+ */
+function nextBlock(policy, history, now = new Date()) {
+    const recent = history
+        .map(offense => new Date(offense.at))
+        .filter(at => now - at <= policy.windowMs)
+        .sort((a, b) => a - b);
+
+    let priorOffenses = recent.length;
+    if (priorOffenses > 0 && policy.decayMs) {
+        const cleanFor = now - recent[recent.length - 1];
+        priorOffenses = Math.max(0, priorOffenses - Math.floor(cleanFor / policy.decayMs));
+    }
+
+    const step = Math.min(priorOffenses, policy.steps.length - 1);
+    const duration = policy.steps[step];
+    const permanent = duration === null;
+
+    return {
+        step,
+        offenseCount: priorOffenses + 1,
+        duration: permanent ? null : duration,
+        permanent,
+        expiresAt: permanent ? PERMANENT_BLOCK_UNTIL : new Date(now.getTime() + duration)
+    };
+}
+
+module.exports = {
+    PERMANENT_BLOCK_UNTIL,
+    nextBlock
+};
@@ -0,0 +1,111 @@
+const { WebSocketServer } = require('ws');
+const eventStreamService = require('./eventStreamService');
+const { EventStreamError } = require('./eventStreamService');
+
+/**
+ * WebSocket endpoint for the event stream, attached to the HTTP server's
+ * upgrade event. authenticate(req, token) is the same check manualAuth
+ * runs and resolves to { user } or { status, error, body }. The token comes
+ * from the Authorization header or, for clients that can't set headers,
+ * ?access_token=. Query options match the SSE endpoint (topics,
+ * minSeverity, lastEventId).
+ *
+ * Server -> client messages are the events as JSON. Clients can send
+ * { "action": "subscribe", "topics": [...], "minSeverity": n } to change
+ * their filter; the server answers { "type": "subscribed", ... } or
+ * { "type": "error", "error" }.
+ */
+function attach(server, { authenticate }) {
+    const { wsPath, heartbeatMs, maxBufferedBytes } = eventStreamService.config;
+    const wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+    const reject = (socket, status, body) => {
+        const payload = JSON.stringify(body);
+        socket.end(`HTTP/1.1 ${status} ${status === 401 ? 'Unauthorized' : status === 403 ? 'Forbidden' : 'Error'}\r\n` +
+            `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(payload)}\r\nConnection: close\r\n\r\n${payload}`);
+    };
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== wsPath) {
+            return socket.destroy();
+        }
+
+        try {
+            const query = Object.fromEntries(url.searchParams);
+            const token = req.headers.authorization?.split(' ')[1] || query.access_token;
+            const result = await authenticate(req, token);
+            if (!result.user) {
+                return reject(socket, result.status, result.body || { error: result.error });
+            }
+
+            const filter = eventStreamService.buildFilter(query, result.user);
+            wss.handleUpgrade(req, socket, head, ws => connect(ws, result.user, filter, query.lastEventId || null));
+        } catch (error) {
+            if (error instanceof EventStreamError) {
+                return reject(socket, error.status, { error: error.message });
+            }
+            console.error('❌ Event WebSocket upgrade failed:', error);
+            reject(socket, 500, { error: 'Event stream unavailable' });
+        }
+    });
+
+    function connect(ws, user, filter, lastEventId) {
+        let subscription;
+        const send = event => {
+            // A client that stops reading is dropped; it can resume with its last event id
+            if (ws.bufferedAmount > maxBufferedBytes) {
+                return ws.terminate();
+            }
+            ws.send(JSON.stringify(event));
+        };
+
+        ws.send(JSON.stringify({ type: 'subscribed', topics: [...filter.topics], minSeverity: filter.minSeverity, lastEventId: eventStreamService.lastEventId }));
+        try {
+            subscription = eventStreamService.subscribe(filter, send, lastEventId);
+        } catch (error) {
+            return ws.close(1013, error.message);
+        }
+
+        // Ping frames double as heartbeat; a client that misses one is dropped
+        let alive = true;
+        ws.on('pong', () => {
+            alive = true;
+        });
+        const heartbeat = setInterval(() => {
+            if (!alive) return ws.terminate();
+            alive = false;
+            ws.ping();
+        }, heartbeatMs);
+
+        ws.on('message', raw => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                return ws.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+            }
+
+            if (message.action !== 'subscribe') {
+                return ws.send(JSON.stringify({ type: 'error', error: `Unknown action: ${message.action}` }));
+            }
+            try {
+                const updated = eventStreamService.buildFilter(message, user);
+                subscription.setFilter(updated);
+                ws.send(JSON.stringify({ type: 'subscribed', topics: [...updated.topics], minSeverity: updated.minSeverity }));
+            } catch (error) {
+                ws.send(JSON.stringify({ type: 'error', error: error.message }));
+            }
+        });
+
+        ws.on('close', () => {
+            clearInterval(heartbeat);
+            subscription.unsubscribe();
+        });
+        ws.on('error', error => console.error('❌ Event WebSocket error:', error.message));
+    }
+
+    return wss;
+}
+
+module.exports = { attach };
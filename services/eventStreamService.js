@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const eventsConfig = require('../config/events');
+const idsService = require('./idsService');
+const ipsService = require('./ipsService');
+const vpnService = require('./vpnService');
+const rbacService = require('./rbacService');
+
+class EventStreamError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'EventStreamError';
+        this.status = status;
+    }
+}
+
+/**
+ * Real-time security events for the SSE and WebSocket endpoints. Stored IDS
+ * alerts, block changes and VPN connections are published as
+ * { id, topic, type, severity, timestamp, data } to every subscriber whose
+ * filter (topics, minSeverity) matches. Recent events are buffered so a
+ * client reconnecting with its last event id receives what it missed; ids
+ * are `${bootId}-${seq}`, so after a restart or a gap larger than the buffer
+ * the client gets a 'reset' event and should reload its state instead.
+ */
+class EventStreamService {
+    constructor(config) {
+        this.config = config;
+        this.bootId = crypto.randomBytes(4).toString('hex');
+        this.seq = 0;
+        this.buffer = [];
+        this.subscribers = new Set();
+
+        idsService.addAlertListener((id, alert) => {
+            this.publish('alerts', 'alert', { id, ...alert }, Number(alert.severity) || 0);
+        });
+        ipsService.addBlockListener(event => this.publish('blocks', event.type, event));
+        vpnService.addConnectionListener((type, client) => this.publish('vpn', type, client));
+    }
+
+    get lastEventId() {
+        return this.seq > 0 ? `${this.bootId}-${this.seq}` : null;
+    }
+
+    publish(topic, type, data, severity = null) {
+        const event = {
+            id: `${this.bootId}-${++this.seq}`,
+            topic,
+            type,
+            severity,
+            timestamp: new Date().toISOString(),
+            data
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.config.bufferSize) this.buffer.shift();
+
+        for (const subscriber of this.subscribers) {
+            if (!this.matches(subscriber.filter, event)) continue;
+            try {
+                subscriber.send(event);
+            } catch (error) {
+                console.error('❌ Event subscriber failed:', error.message);
+            }
+        }
+        return event;
+    }
+
+    /**
+     * Filter from request options: topics (array or comma list; defaults to
+     * every topic the user may read) and minSeverity (applies to events that
+     * carry a severity, i.e. alerts).
+     */
+    buildFilter({ topics, minSeverity } = {}, user) {
+        const requested = Array.isArray(topics) ? topics : (topics ? String(topics).split(',').map(topic => topic.trim()).filter(Boolean) : null);
+        const allowed = Object.keys(this.config.topics).filter(topic => rbacService.hasPermission(user, this.config.topics[topic]));
+
+        const unknown = (requested || []).filter(topic => !this.config.topics[topic]);
+        if (unknown.length > 0) {
+            throw new EventStreamError(`Unknown topics: ${unknown.join(', ')} (expected ${Object.keys(this.config.topics).join(', ')})`);
+        }
+        const denied = (requested || []).filter(topic => !allowed.includes(topic));
+        if (denied.length > 0) {
+            throw new EventStreamError(`Missing permission: ${denied.map(topic => this.config.topics[topic]).join(', ')}`, 403);
+        }
+
+        const topicSet = new Set(requested || allowed);
+        if (topicSet.size === 0) {
+            throw new EventStreamError('No readable topics for this user', 403);
+        }
+        return { topics: topicSet, minSeverity: parseInt(minSeverity) || 0 };
+    }
+
+    matches(filter, event) {
+        if (event.topic === 'system') return true;
+        if (!filter.topics.has(event.topic)) return false;
+        return event.severity === null || event.severity >= filter.minSeverity;
+    }
+
+    // Buffered events after lastEventId matching the filter, or null when they can't be replayed
+    eventsSince(lastEventId, filter) {
+        const [bootId, seqText] = String(lastEventId).split('-');
+        const seq = parseInt(seqText);
+        if (bootId !== this.bootId || !(seq >= 0) || seq > this.seq) return null;
+
+        const oldest = this.buffer.length > 0 ? parseInt(this.buffer[0].id.split('-')[1]) : this.seq + 1;
+        if (seq < oldest - 1) return null;
+
+        return this.buffer.filter(event => parseInt(event.id.split('-')[1]) > seq && this.matches(filter, event));
+    }
+
+    /**
+     * Starts delivering matching events to send(event). With lastEventId the
+     * missed events are sent first, or a 'reset' event when they are gone.
+     * Returns { setFilter(filter), unsubscribe() }.
+     */
+    subscribe(filter, send, lastEventId = null) {
+        if (this.subscribers.size >= this.config.maxClients) {
+            throw new EventStreamError('Too many event stream clients', 503);
+        }
+
+        if (lastEventId) {
+            const missed = this.eventsSince(lastEventId, filter);
+            if (missed) {
+                missed.forEach(event => send(event));
+            } else {
+                send({
+                    id: this.lastEventId,
+                    topic: 'system',
+                    type: 'reset',
+                    severity: null,
+                    timestamp: new Date().toISOString(),
+                    data: { reason: 'Events since the given id are no longer available; reload current state' }
+                });
+            }
+        }
+
+        const subscriber = { filter, send };
+        this.subscribers.add(subscriber);
+        return {
+            setFilter: newFilter => {
+                subscriber.filter = newFilter;
+            },
+            unsubscribe: () => this.subscribers.delete(subscriber)
+        };
+    }
+
+    // Buffered events for polling clients, oldest first
+    recentEvents(filter, { since = null, limit = 100 } = {}) {
+        const events = since ? this.eventsSince(since, filter) : this.buffer.filter(event => this.matches(filter, event));
+        if (!events) return null;
+        return events.slice(-Math.min(parseInt(limit) || 100, this.config.bufferSize));
+    }
+}
+
+module.exports = new EventStreamService(eventsConfig);
+module.exports.EventStreamError = EventStreamError;
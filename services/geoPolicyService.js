@@ -0,0 +1,348 @@
+const geoip = require('geoip-lite');
+const { admin, db } = require('../config/firebase');
+const geoConfig = require('../config/geo');
+const ipUtils = require('./ipUtils');
+const ASNDatabase = require('./asnDatabase');
+const rateLimiter = require('./rateLimiter');
+const idsService = require('./idsService');
+const ipsService = require('./ipsService');
+
+const ACTIONS = ['deny', 'allow'];
+const MODES = ['block', 'alert', 'rate_limit'];
+const SCOPES = ['api', 'authenticate'];
+const NETWORK_TYPES = ['hosting', 'residential'];
+
+class GeoPolicyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'GeoPolicyError';
+        this.status = status;
+    }
+}
+
+/**
+ * Country, region and ASN based access policies. Enabled policies are tried
+ * in priority order (lowest first) and the first one matching the client's
+ * location decides: 'allow' lets the request through, 'deny' applies the
+ * policy's mode (block, alert only, or a stricter rate limit). Addresses
+ * GeoIP can't place (private ranges, VPN clients) only match ASN policies,
+ * and allowlisted IPs are never denied.
+ */
+class GeoPolicyService {
+    constructor(config) {
+        this.config = config;
+        this.policies = [];
+        this.policiesReady = false;
+        this.asnDatabase = new ASNDatabase();
+        this.alertedAt = new Map();
+
+        this.watchPolicies();
+        if (config.asnDatabase) this.loadAsnDatabase(config.asnDatabase);
+    }
+
+    watchPolicies() {
+        db.collection(this.config.collection)
+            .onSnapshot(snapshot => {
+                this.policies = this.sortPolicies(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+                this.policiesReady = true;
+            }, error => {
+                console.error('❌ Geo policy listener failed, falling back to queries:', error);
+                this.policiesReady = false;
+                setTimeout(() => this.watchPolicies(), 10000);
+            });
+    }
+
+    async loadAsnDatabase(filePath) {
+        try {
+            const counts = await this.asnDatabase.load(filePath);
+            console.log(`🌐 ASN database loaded from ${filePath} (${counts.ipv4} IPv4, ${counts.ipv6} IPv6 ranges)`);
+        } catch (error) {
+            console.error(`❌ Failed to load ASN database ${filePath}:`, error.message);
+        }
+    }
+
+    sortPolicies(policies) {
+        return policies.sort((a, b) => (a.priority - b.priority) || a.id.localeCompare(b.id));
+    }
+
+    async getPolicies() {
+        if (this.policiesReady) return this.policies;
+
+        const snapshot = await db.collection(this.config.collection).get();
+        return this.sortPolicies(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }
+
+    async getPolicy(id) {
+        const doc = await db.collection(this.config.collection).doc(id).get();
+        return doc.exists ? { id, ...doc.data() } : null;
+    }
+
+    classifyNetwork(asn) {
+        if (!asn) return null;
+        if (this.config.hostingAsns.includes(asn.asn)) return 'hosting';
+
+        const organization = (asn.organization || '').toLowerCase();
+        return this.config.hostingKeywords.some(keyword => organization.includes(keyword)) ? 'hosting' : 'residential';
+    }
+
+    // Everything policies can match on for an address
+    locate(ip) {
+        const geo = ip ? geoip.lookup(ip) : null;
+        const asn = ip && this.asnDatabase.loaded ? this.asnDatabase.lookup(ip) : null;
+        const country = (geo && geo.country) || (asn && asn.country) || null;
+
+        return {
+            ip,
+            country,
+            region: geo && geo.region ? `${geo.country}-${geo.region}` : null,
+            city: (geo && geo.city) || null,
+            asn: asn ? asn.asn : null,
+            organization: asn ? asn.organization : null,
+            networkType: this.classifyNetwork(asn)
+        };
+    }
+
+    // Every criterion the policy sets must match; within a criterion any listed value does
+    matches(policy, location) {
+        const criteria = [
+            [policy.countries, value => location.country && (value === '*' || value === location.country)],
+            [policy.regions, value => value === location.region],
+            [policy.asns, value => value === location.asn],
+            [policy.networkTypes, value => value === location.networkType]
+        ].filter(([values]) => Array.isArray(values) && values.length > 0);
+
+        return criteria.length > 0 && criteria.every(([values, test]) => values.some(test));
+    }
+
+    // First enabled policy for the scope matching the address: { policy, location } or null
+    async evaluate(ip, scope) {
+        const policies = (await this.getPolicies())
+            .filter(policy => policy.enabled !== false && (policy.scopes || SCOPES).includes(scope));
+        if (policies.length === 0) return null;
+
+        const location = this.locate(ip);
+        const policy = policies.find(candidate => this.matches(candidate, location));
+        return policy ? { policy, location } : null;
+    }
+
+    /**
+     * Express middleware enforcing the policies for a scope ('api' or
+     * 'authenticate'). Lookup failures let the request through.
+     */
+    middleware(scope) {
+        return async (req, res, next) => {
+            const ip = ipUtils.normalizeIP(req.ip);
+
+            let decision;
+            try {
+                decision = await this.evaluate(ip, scope);
+                if (!decision || decision.policy.action === 'allow') return next();
+                if (await ipsService.getAllowlistEntry(ip)) return next();
+            } catch (error) {
+                console.error('❌ Geo policy evaluation failed:', error);
+                return next();
+            }
+
+            const { policy, location } = decision;
+
+            if (policy.mode === 'alert') {
+                await this.alert(req, decision, 'detected');
+                return next();
+            }
+
+            if (policy.mode === 'rate_limit') {
+                let result;
+                try {
+                    result = await rateLimiter.checkRule(req, this.rateLimitRule(policy));
+                } catch (error) {
+                    console.error('❌ Rate limit store error:', error);
+                    if (rateLimiter.failOpen) return next();
+                    return res.status(503).json({ error: 'Rate limiter unavailable' });
+                }
+                if (!result) return next();
+
+                rateLimiter.setHeaders(res, { allowed: result.allowed, results: [result], limited: result });
+                if (result.allowed) return next();
+
+                await this.alert(req, decision, 'rate_limited');
+                return res.status(429).json({
+                    error: 'Too many requests',
+                    blocked: false,
+                    rule: result.rule,
+                    geoPolicy: policy.name,
+                    retryAfter: Math.ceil(result.retryAfterMs / 1000)
+                });
+            }
+
+            await this.alert(req, decision, 'rejected');
+            res.status(403).json({
+                error: 'Access from your location is not allowed',
+                blocked: true,
+                geoPolicy: policy.name,
+                country: location.country
+            });
+        };
+    }
+
+    rateLimitRule(policy) {
+        return rateLimiter.validateRule({
+            name: `geo-${policy.id}`,
+            key: 'ip',
+            algorithm: 'sliding-window-log',
+            ...this.config.rateLimit,
+            ...(policy.rateLimit || {})
+        });
+    }
+
+    async alert(req, { policy, location }, action) {
+        const key = `${policy.id}:${location.ip}`;
+        const now = Date.now();
+        if (now - (this.alertedAt.get(key) || 0) < this.config.alertCooldownMs) return;
+
+        if (this.alertedAt.size > 10000) this.alertedAt.clear();
+        this.alertedAt.set(key, now);
+
+        const where = [location.city, location.country].filter(Boolean).join(', ') || 'unknown location';
+        await idsService.processAlert({
+            timestamp: new Date(now).toISOString(),
+            src_ip: location.ip,
+            msg: `Geo policy ${policy.name}: ${req.method} ${req.originalUrl.split('?')[0]} from ${where}${location.asn ? ` (AS${location.asn})` : ''}`,
+            protocol: 'http',
+            alert_type: 'geo_policy',
+            source: 'geo',
+            severity: action === 'detected' ? 3 : 4,
+            details: {
+                policy: policy.id,
+                policyName: policy.name,
+                mode: policy.mode,
+                action,
+                user: req.user ? req.user.uid : null,
+                ...location
+            }
+        });
+    }
+
+    /**
+     * Validates and normalizes policy fields. With partial set (updates) only
+     * the given fields are checked; the merged result must still have at
+     * least one location criterion.
+     */
+    validatePolicy(input, { partial = false } = {}) {
+        const policy = {};
+        const given = field => input[field] !== undefined;
+        const stringList = (field, normalize, valid, label) => {
+            if (!Array.isArray(input[field])) throw new GeoPolicyError(`${field} must be an array`);
+            const values = input[field].map(value => normalize(String(value)));
+            const invalid = values.filter(value => !valid(value));
+            if (invalid.length > 0) throw new GeoPolicyError(`Invalid ${label}: ${invalid.join(', ')}`);
+            policy[field] = [...new Set(values)];
+        };
+
+        if (!partial || given('name')) {
+            if (typeof input.name !== 'string' || !input.name.trim()) throw new GeoPolicyError('name is required');
+            policy.name = input.name.trim();
+        }
+        if (given('description')) policy.description = input.description || null;
+
+        if (!partial || given('action')) {
+            policy.action = input.action || 'deny';
+            if (!ACTIONS.includes(policy.action)) throw new GeoPolicyError(`action must be one of ${ACTIONS.join(', ')}`);
+        }
+        if (!partial || given('mode')) {
+            policy.mode = input.mode || 'block';
+            if (!MODES.includes(policy.mode)) throw new GeoPolicyError(`mode must be one of ${MODES.join(', ')}`);
+        }
+        if (!partial || given('scopes')) {
+            policy.scopes = input.scopes || SCOPES;
+            if (!Array.isArray(policy.scopes) || policy.scopes.length === 0 || policy.scopes.some(scope => !SCOPES.includes(scope))) {
+                throw new GeoPolicyError(`scopes must be a non-empty list of ${SCOPES.join(', ')}`);
+            }
+        }
+        if (!partial || given('priority')) {
+            policy.priority = input.priority === undefined ? 100 : Number(input.priority);
+            if (!Number.isInteger(policy.priority)) throw new GeoPolicyError('priority must be an integer');
+        }
+        if (!partial || given('enabled')) {
+            policy.enabled = input.enabled === undefined ? true : Boolean(input.enabled);
+        }
+
+        if (given('countries')) {
+            stringList('countries', value => value.trim().toUpperCase(), value => value === '*' || /^[A-Z]{2}$/.test(value), 'country codes');
+        }
+        if (given('regions')) {
+            stringList('regions', value => value.trim().toUpperCase(), value => /^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(value), 'regions (expected e.g. US-CA)');
+        }
+        if (given('networkTypes')) {
+            stringList('networkTypes', value => value.trim().toLowerCase(), value => NETWORK_TYPES.includes(value), 'network types');
+        }
+        if (given('asns')) {
+            if (!Array.isArray(input.asns)) throw new GeoPolicyError('asns must be an array');
+            policy.asns = [...new Set(input.asns.map(asn => parseInt(String(asn).replace(/^AS/i, ''))))];
+            if (policy.asns.some(asn => !(asn > 0))) throw new GeoPolicyError('asns must be AS numbers');
+            if (!this.asnDatabase.loaded) {
+                console.warn('⚠️ Geo policy uses ASNs but no ASN database is loaded (GEO_ASN_DATABASE)');
+            }
+        }
+        if (given('rateLimit')) {
+            const limit = input.rateLimit;
+            if (limit !== null && !(limit && limit.limit > 0 && limit.windowMs > 0)) {
+                throw new GeoPolicyError('rateLimit must be {limit, windowMs} with positive numbers');
+            }
+            policy.rateLimit = limit ? { limit: Number(limit.limit), windowMs: Number(limit.windowMs) } : null;
+        }
+
+        return policy;
+    }
+
+    hasCriteria(policy) {
+        return ['countries', 'regions', 'asns', 'networkTypes']
+            .some(field => Array.isArray(policy[field]) && policy[field].length > 0);
+    }
+
+    async createPolicy(input, actor = null) {
+        const policy = this.validatePolicy(input);
+        if (!this.hasCriteria(policy)) {
+            throw new GeoPolicyError('At least one of countries, regions, asns or networkTypes is required');
+        }
+
+        const data = {
+            ...policy,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            createdBy: actor ? actor.uid : null
+        };
+        const ref = await db.collection(this.config.collection).add(data);
+        return { id: ref.id, ...data };
+    }
+
+    // Returns null when the policy doesn't exist
+    async updatePolicy(id, changes, actor = null) {
+        const ref = db.collection(this.config.collection).doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        const update = this.validatePolicy(changes, { partial: true });
+        if (!this.hasCriteria({ ...doc.data(), ...update })) {
+            throw new GeoPolicyError('At least one of countries, regions, asns or networkTypes is required');
+        }
+
+        Object.assign(update, {
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedBy: actor ? actor.uid : null
+        });
+        await ref.update(update);
+        return { id, ...doc.data(), ...update };
+    }
+
+    // Returns the removed policy, or null when it doesn't exist
+    async removePolicy(id) {
+        const ref = db.collection(this.config.collection).doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        await ref.delete();
+        return { id, ...doc.data() };
+    }
+}
+
+module.exports = new GeoPolicyService(geoConfig);
+module.exports.GeoPolicyError = GeoPolicyError;
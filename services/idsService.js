@@ -1,29 +1,34 @@
 const { db } = require('../config/firebase');
 const fs = require('fs').promises;
 const path = require('path');
-const nodemailer = require('nodemailer');
 const schedule = require('node-schedule');
+const idsConfig = require('../config/ids');
+const snortAlertParser = require('./snortAlertParser');
+const snortRuleParser = require('./snortRuleParser');
+const AlertLogTailer = require('./alertLogTailer');
+const SnortReloader = require('./snortReloader');
+const alertSuppressionService = require('./alertSuppressionService');
+const notificationService = require('./notificationService');
+
+const TRIAGE_STATUSES = ['acknowledged', 'false_positive'];
+
+class RuleRevisionError extends Error {
+    constructor(message, status = 404) {
+        super(message);
+        this.name = 'RuleRevisionError';
+        this.status = status;
+    }
+}
 
 class IDSService {
     constructor() {
-        this.alertsPath = path.join(__dirname, './logs/alerts.json');
         this.rulesPath = path.join(__dirname, './snort3/rules/local.rules');
         this.customRulesPath = path.join(__dirname, './snort3/rules/custom.rules');
-        this.emailTransporter = null;
-        this.alerts = [];
-        
-        // Initialize email notifications if configured
-        if (process.env.SMTP_HOST) {
-            this.emailTransporter = nodemailer.createTransport({
-                host: process.env.SMTP_HOST,
-                port: process.env.SMTP_PORT || 587,
-                secure: process.env.SMTP_SECURE === 'true',
-                auth: {
-                    user: process.env.SMTP_USER,
-                    pass: process.env.SMTP_PASS
-                }
-            });
-        }
+        this.alertTailer = new AlertLogTailer(idsConfig.ingestion);
+        this.ingestion = null;
+        this.rulesLock = Promise.resolve();
+        this.reloader = new SnortReloader(idsConfig.reload);
+        this.alertListeners = [];
 
         // Schedule periodic alert processing
         this.scheduleAlertProcessing();
@@ -55,12 +60,6 @@ class IDSService {
             }
         };
 
-        // Add to alerts array
-        this.alerts.push(alert);
-
-        // Write to alerts file
-        await this.saveAlerts();
-
         // Process immediately
         await this.processAlert(alert);
 
@@ -80,63 +79,118 @@ class IDSService {
         return severity;
     }
 
-    async saveAlerts() {
-        try {
-            await fs.writeFile(this.alertsPath, JSON.stringify(this.alerts, null, 2));
-        } catch (error) {
-            console.error('❌ Error saving alerts:', error);
+    /**
+     * Registers listener(id, alert), called after every alert is stored (from
+     * processAlert and Snort ingestion). Used by response playbooks; listener
+     * errors are logged and never affect storing alerts.
+     */
+    addAlertListener(listener) {
+        this.alertListeners.push(listener);
+    }
+
+    async notifyAlertListeners(id, alert) {
+        for (const listener of this.alertListeners) {
+            try {
+                await listener(id, alert);
+            } catch (error) {
+                console.error('❌ Alert listener failed:', error);
+            }
         }
     }
 
     async processAlert(alert) {
         try {
+            // Suppressed alerts are only counted on their suppression
+            if (await alertSuppressionService.check(alert)) return;
+
             // Store in Firebase
-            await db.collection('ids_alerts').add(alert);
+            const ref = await db.collection('ids_alerts').add(alert);
+            await this.notifyAlertListeners(ref.id, alert);
 
-            // Send notification for high severity alerts
-            if (alert.severity >= 8) {
-                await this.sendAlertNotification(alert);
-            }
+            // Each channel applies its own severity threshold
+            await this.sendAlertNotification({ id: ref.id, ...alert });
         } catch (error) {
             console.error('❌ Error processing alert:', error);
         }
     }
 
     async processAlerts() {
-        try {
-            const alerts = this.alerts;
-            const newAlerts = [];
-
-            for (const alert of alerts) {
-                // Enhance alert with severity level
-                const severity = this.calculateSeverity(alert);
-                const enhancedAlert = {
-                    ...alert,
-                    severity,
-                    processed: new Date(),
-                };
-
-                // Store in Firebase
-                await db.collection('ids_alerts').add(enhancedAlert);
+        // The scheduled job and the route may overlap; share a single run
+        if (!this.ingestion) {
+            this.ingestion = this.ingestSnortAlerts().finally(() => {
+                this.ingestion = null;
+            });
+        }
+        return this.ingestion;
+    }
 
-                // Send notification for high severity alerts
-                if (severity >= 8) {
-                    await this.sendAlertNotification(enhancedAlert);
+    async ingestSnortAlerts() {
+        try {
+            const result = { read: 0, parsed: 0, rejected: 0, duplicates: 0, suppressed: 0, stored: 0, alerts: [] };
+            await this.alertTailer.loadState();
+
+            for (const source of idsConfig.ingestion.sources) {
+                const chunks = await this.alertTailer.read(source.path);
+
+                for (const chunk of chunks) {
+                    for (const line of chunk.lines) {
+                        if (!line.trim()) continue;
+                        result.read++;
+
+                        const alert = snortAlertParser.parseLine(line, source.format);
+                        if (!alert) {
+                            result.rejected++;
+                            continue;
+                        }
+                        result.parsed++;
+
+                        if (this.alertTailer.hasSeen(alert.fingerprint)) {
+                            result.duplicates++;
+                            continue;
+                        }
+
+                        const enhancedAlert = {
+                            ...alert,
+                            severity: this.calculateSeverity(alert),
+                            processed: new Date(),
+                        };
+
+                        if (await alertSuppressionService.check(enhancedAlert)) {
+                            result.suppressed++;
+                        } else if (await this.storeAlert(enhancedAlert)) {
+                            result.stored++;
+                            result.alerts.push(enhancedAlert);
+                            await this.notifyAlertListeners(enhancedAlert.fingerprint, enhancedAlert);
+                            await this.sendAlertNotification({ id: enhancedAlert.fingerprint, ...enhancedAlert });
+                        } else {
+                            result.duplicates++;
+                        }
+                        this.alertTailer.remember(alert.fingerprint);
+                    }
+
+                    // Only advance the offset once every line of the chunk is stored
+                    await this.alertTailer.commit(source.path, chunk);
                 }
-
-                newAlerts.push(enhancedAlert);
             }
 
-            // Clear processed alerts
-            await fs.writeFile(this.alertsPath, '[]');
-
-            return newAlerts;
+            return result;
         } catch (error) {
             console.error('❌ Error processing alerts:', error);
             throw error;
         }
     }
 
+    async storeAlert(alert) {
+        try {
+            // The fingerprint doubles as document id so replays can't create copies
+            await db.collection('ids_alerts').doc(alert.fingerprint).create(alert);
+            return true;
+        } catch (error) {
+            if (error.code === 6) return false; // ALREADY_EXISTS
+            throw error;
+        }
+    }
+
     calculateSeverity(alert) {
         // Calculate severity based on alert properties
         let severity = 5; // Default medium severity
@@ -148,78 +202,416 @@ class IDSService {
         
         // Adjust based on protocol
         if (alert.protocol === 'tcp') severity += 1;
+
+        // Snort priority 1 is the most urgent
+        if (alert.priority === 1) severity += 2;
+        if (alert.priority === 2) severity += 1;
         
         // Cap severity at 10
         return Math.min(severity, 10);
     }
 
-    async sendAlertNotification(alert) {
-        if (!this.emailTransporter) return;
+    // Resolves to the outcome per channel without waiting for delivery; force ignores the channels' severity thresholds
+    async sendAlertNotification(alert, { force = false } = {}) {
+        return notificationService.notify(alert, { force });
+    }
 
+    async addCustomRule(rule, actor = null) {
         try {
-            await this.emailTransporter.sendMail({
-                from: process.env.SMTP_FROM,
-                to: process.env.ALERT_EMAIL,
-                subject: `⚠️ High Severity IDS Alert: ${alert.msg}`,
-                html: `
-                    <h2>High Severity IDS Alert Detected</h2>
-                    <p><strong>Message:</strong> ${alert.msg}</p>
-                    <p><strong>Source IP:</strong> ${alert.src_ip}</p>
-                    <p><strong>Destination IP:</strong> ${alert.dest_ip}</p>
-                    <p><strong>Severity:</strong> ${alert.severity}</p>
-                    <p><strong>Timestamp:</strong> ${alert.timestamp}</p>
-                `
+            return await this.withRulesLock(async () => {
+                // Validate rule syntax and SID uniqueness
+                const { rule: parsed, warnings } = await this.validateRule(rule);
+
+                // Store rule in Firebase
+                const now = new Date();
+                const data = {
+                    rule: parsed.text,
+                    sid: parsed.sid,
+                    gid: parsed.gid,
+                    rev: parsed.rev,
+                    msg: parsed.msg,
+                    created: now,
+                    updated: now,
+                    createdBy: this.actorFields(actor),
+                    updatedBy: this.actorFields(actor),
+                    enabled: true
+                };
+                const ref = db.collection('ids_rules').doc();
+
+                // Regenerate the rules file first so Snort can reject it before anything is stored
+                const restore = await this.writeCustomRules({ id: ref.id, data });
+                await this.storeRuleChange(restore, () => ref.set(data));
+                await this.recordRuleRevision(ref.id, data, 'created', actor);
+                const reload = await this.reloadRules();
+
+                return { id: ref.id, rule: parsed, warnings, reload };
             });
         } catch (error) {
-            console.error('❌ Failed to send alert notification:', error);
+            console.error('❌ Error adding custom rule:', error);
+            throw error;
         }
     }
 
-    async addCustomRule(rule) {
+    // Applies {rule, enabled} changes to a stored rule; returns null when it doesn't exist
+    async updateRule(id, changes, actor = null) {
         try {
-            // Validate rule syntax
-            if (!this.validateRuleSyntax(rule)) {
-                throw new Error('Invalid rule syntax');
-            }
+            return await this.withRulesLock(async () => {
+                const ref = db.collection('ids_rules').doc(id);
+                const doc = await ref.get();
+                if (!doc.exists) return null;
+
+                const current = doc.data();
+                const update = {};
+                const actions = [];
+                let warnings = [];
+
+                if (changes.rule !== undefined) {
+                    const validated = await this.validateRule(changes.rule, { allowKey: this.storedRuleKey(current) });
+                    warnings = validated.warnings;
+                    let parsed = validated.rule;
+
+                    if (snortRuleParser.ruleKey(parsed.gid, parsed.sid) !== this.storedRuleKey(current)) {
+                        throw new snortRuleParser.RuleValidationError('The gid:sid of a rule cannot be changed', [{
+                            line: 1,
+                            column: 1,
+                            message: `Expected sid ${current.sid}, create a new rule to use sid ${parsed.sid}`,
+                            severity: 'error'
+                        }], warnings);
+                    }
+
+                    if (parsed.text !== current.rule) {
+                        // Every edit gets a higher rev so Snort reports the new version
+                        if (parsed.rev <= (current.rev || 1)) {
+                            parsed = snortRuleParser.withRevision(parsed, (current.rev || 1) + 1);
+                        }
+                        Object.assign(update, { rule: parsed.text, rev: parsed.rev, msg: parsed.msg });
+                        actions.push('updated');
+                    }
+                }
+
+                if (changes.enabled !== undefined && Boolean(changes.enabled) !== (current.enabled !== false)) {
+                    update.enabled = Boolean(changes.enabled);
+                    actions.push(update.enabled ? 'enabled' : 'disabled');
+                }
+
+                if (actions.length === 0) {
+                    return { id, ...current, warnings, changed: false };
+                }
 
-            // Add rule to custom rules file
-            await fs.appendFile(this.customRulesPath, `${rule}\n`);
+                Object.assign(update, { updated: new Date(), updatedBy: this.actorFields(actor) });
+                const updated = { ...current, ...update };
 
-            // Store rule in Firebase
-            await db.collection('ids_rules').add({
-                rule,
-                created: new Date(),
-                enabled: true
+                const restore = await this.writeCustomRules({ id, data: updated });
+                await this.storeRuleChange(restore, () => ref.update(update));
+                await this.recordRuleRevision(id, updated, actions.join(','), actor);
+                const reload = await this.reloadRules();
+
+                return { id, ...updated, warnings, changed: true, reload };
             });
+        } catch (error) {
+            console.error(`❌ Error updating rule ${id}:`, error);
+            throw error;
+        }
+    }
 
-            // Reload Snort rules
-            await this.reloadRules();
+    async deleteRule(id, actor = null) {
+        try {
+            return await this.withRulesLock(async () => {
+                const ref = db.collection('ids_rules').doc(id);
+                const doc = await ref.get();
+                if (!doc.exists) return false;
 
-            return true;
+                const restore = await this.writeCustomRules({ id, data: null, removedKey: this.storedRuleKey(doc.data()) });
+                await this.storeRuleChange(restore, () => ref.delete());
+                await this.recordRuleRevision(id, { ...doc.data(), enabled: false }, 'deleted', actor);
+                await this.reloadRules();
+
+                return true;
+            });
         } catch (error) {
-            console.error('❌ Error adding custom rule:', error);
+            console.error(`❌ Error deleting rule ${id}:`, error);
             throw error;
         }
     }
 
-    validateRuleSyntax(rule) {
-        // Basic rule syntax validation
-        const rulePattern = /^(alert|log|pass|drop|reject|sdrop)\s+(tcp|udp|icmp|ip)\s+.+/;
-        return rulePattern.test(rule);
+    // Restores the text and enabled state of an earlier revision as a new revision
+    async rollbackRule(id, revisionId, actor = null) {
+        try {
+            return await this.withRulesLock(async () => {
+                const ref = db.collection('ids_rules').doc(id);
+                const [doc, revisionDoc] = await Promise.all([
+                    ref.get(),
+                    db.collection('ids_rule_revisions').doc(revisionId).get()
+                ]);
+                if (!doc.exists) return null;
+
+                const current = doc.data();
+                const revision = revisionDoc.exists ? revisionDoc.data() : null;
+                if (!revision || this.storedRuleKey(revision) !== this.storedRuleKey(current)) {
+                    throw new RuleRevisionError(`Revision ${revisionId} not found for sid ${current.sid}`);
+                }
+
+                const { rule: parsed } = await this.validateRule(revision.rule, { allowKey: this.storedRuleKey(current) });
+                const restored = snortRuleParser.withRevision(parsed, (current.rev || 1) + 1);
+                const update = {
+                    rule: restored.text,
+                    rev: restored.rev,
+                    msg: restored.msg,
+                    enabled: revision.enabled !== false,
+                    updated: new Date(),
+                    updatedBy: this.actorFields(actor)
+                };
+                const updated = { ...current, ...update };
+
+                const restore = await this.writeCustomRules({ id, data: updated });
+                await this.storeRuleChange(restore, () => ref.update(update));
+                await this.recordRuleRevision(id, updated, 'rolled_back', actor, { rolledBackTo: revisionId });
+                const reload = await this.reloadRules();
+
+                return { id, ...updated, reload };
+            });
+        } catch (error) {
+            console.error(`❌ Error rolling back rule ${id}:`, error);
+            throw error;
+        }
     }
 
-    async reloadRules() {
+    // Revision history of the rule's gid:sid, newest first; null when the rule is unknown
+    async getRuleRevisions(id) {
         try {
-            // Signal Snort to reload rules
-            // This is a placeholder - implement actual reload mechanism
-            console.log('Reloading Snort rules...');
-            return true;
+            const doc = await db.collection('ids_rules').doc(id).get();
+            const query = doc.exists
+                ? db.collection('ids_rule_revisions').where('sid', '==', doc.data().sid)
+                : db.collection('ids_rule_revisions').where('ruleId', '==', id);
+
+            const snapshot = await query.get();
+            if (!doc.exists && snapshot.empty) return null;
+
+            const key = doc.exists ? this.storedRuleKey(doc.data()) : null;
+            return snapshot.docs
+                .map(revision => ({
+                    id: revision.id,
+                    ...revision.data(),
+                    changedAt: revision.data().changedAt.toDate()
+                }))
+                .filter(revision => !key || this.storedRuleKey(revision) === key)
+                .sort((a, b) => b.changedAt - a.changedAt);
         } catch (error) {
-            console.error('❌ Error reloading rules:', error);
+            console.error(`❌ Error getting revisions for rule ${id}:`, error);
             throw error;
         }
     }
 
+    async recordRuleRevision(ruleId, data, action, actor, extra = {}) {
+        await db.collection('ids_rule_revisions').add({
+            ruleId,
+            sid: data.sid,
+            gid: data.gid || 1,
+            rev: data.rev || 1,
+            rule: data.rule,
+            enabled: data.enabled !== false,
+            action,
+            changedBy: this.actorFields(actor),
+            changedAt: new Date(),
+            ...extra
+        });
+    }
+
+    actorFields(actor) {
+        return actor ? { uid: actor.uid || null, email: actor.email || null } : null;
+    }
+
+    storedRuleKey(data) {
+        return data.sid ? snortRuleParser.ruleKey(data.gid, data.sid) : snortRuleParser.ruleKeyOf(data.rule);
+    }
+
+    // Serializes rule changes so concurrent edits can't interleave file rewrites
+    withRulesLock(task) {
+        const run = this.rulesLock.then(() => task());
+        this.rulesLock = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Rewrites custom.rules from the enabled ids_rules documents, with an
+     * optional pending change ({id, data}, data null for a removal) applied on
+     * top. Lines for rules that aren't tracked in Firestore are carried over
+     * unchanged. Resolves to the restore() of swapRulesFile.
+     */
+    async writeCustomRules(pending = null) {
+        const snapshot = await db.collection('ids_rules').get();
+        const managed = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+        if (pending) {
+            if (pending.data) managed.set(pending.id, pending.data);
+            else managed.delete(pending.id);
+        }
+
+        const managedKeys = new Set([...managed.values()].map(data => this.storedRuleKey(data)));
+        if (pending && pending.removedKey) managedKeys.add(pending.removedKey);
+
+        let content = '';
+        try {
+            content = await fs.readFile(this.customRulesPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const unmanaged = snortRuleParser.splitRulesFile(content)
+            .filter(entry => !managedKeys.has(snortRuleParser.ruleKeyOf(entry.text)))
+            .map(entry => entry.text);
+        const enabled = [...managed.values()]
+            .filter(data => data.enabled !== false)
+            .sort((a, b) => (a.sid || 0) - (b.sid || 0))
+            .map(data => data.rule);
+
+        const lines = [
+            '# Custom IDS rules - rules managed through /api/ids/rules are regenerated from Firestore',
+            ...unmanaged,
+            ...enabled
+        ];
+
+        return this.swapRulesFile(this.customRulesPath, `${lines.join('\n')}\n`);
+    }
+
+    /**
+     * Puts new rules in place and runs the Snort config test against them.
+     * If the test fails the previous rules are restored and this throws;
+     * otherwise it resolves to a restore() that puts them back, for when the
+     * change can't be stored afterwards.
+     */
+    async swapRulesFile(filePath, content) {
+        let previous = null;
+        try {
+            previous = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        await this.writeRulesFile(filePath, content);
+        const restore = () => this.writeRulesFile(filePath, previous);
+
+        const validation = await this.reloader.validate();
+        if (validation.success) return restore;
+
+        await restore();
+        this.reloader.recordStatus('validate', false, validation.output);
+
+        throw new snortRuleParser.RuleValidationError('Snort configuration test failed, previous rules restored', [{
+            line: null,
+            column: null,
+            message: validation.output,
+            severity: 'error'
+        }]);
+    }
+
+    // Replaces the file in one rename so Snort never reads half of it; null content removes it
+    async writeRulesFile(filePath, content) {
+        if (content === null) {
+            await fs.unlink(filePath).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+            return;
+        }
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, filePath);
+    }
+
+    // Stores a rule change whose rules file is already in place, putting the previous file back if that fails
+    async storeRuleChange(restore, store) {
+        try {
+            await store();
+        } catch (error) {
+            await restore().catch(restoreError => console.error('❌ Failed to restore previous rules file:', restoreError));
+            throw error;
+        }
+    }
+
+    validateRuleSyntax(rule) {
+        return snortRuleParser.parseRule(rule);
+    }
+
+    async validateRule(rule, { allowKey = null } = {}) {
+        const result = this.validateRuleSyntax(rule);
+        if (!result.valid) {
+            throw new snortRuleParser.RuleValidationError('Invalid rule syntax', result.errors, result.warnings);
+        }
+
+        const key = snortRuleParser.ruleKey(result.rule.gid, result.rule.sid);
+        const existing = key === allowKey ? null : (await this.getExistingRuleKeys()).get(key);
+        if (existing) {
+            const sidOption = result.rule.options.find(option => option.name === 'sid');
+            throw new snortRuleParser.RuleValidationError(`Duplicate rule ${key}`, [{
+                line: sidOption.line,
+                column: sidOption.column,
+                message: `sid ${result.rule.sid} is already used in ${existing.location}`,
+                severity: 'error'
+            }], result.warnings);
+        }
+
+        return { rule: result.rule, warnings: result.warnings };
+    }
+
+    // Maps gid:sid to where it is already used: local.rules, custom.rules or a (disabled) stored rule
+    async getExistingRuleKeys() {
+        const keys = new Map();
+
+        for (const file of [this.rulesPath, this.customRulesPath]) {
+            let content = '';
+            try {
+                content = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            for (const [key, line] of snortRuleParser.lintRulesFile(content).keys) {
+                if (!keys.has(key)) keys.set(key, { location: `${path.basename(file)} line ${line}` });
+            }
+        }
+
+        const snapshot = await db.collection('ids_rules').get();
+        snapshot.forEach(doc => {
+            const key = this.storedRuleKey(doc.data());
+            if (key && !keys.has(key)) keys.set(key, { location: `stored rule ${doc.id}` });
+        });
+
+        return keys;
+    }
+
+    // Tells Snort to pick up the current rules files; failures are reported, not thrown
+    async reloadRules() {
+        const status = await this.reloader.reload();
+        if (status.success) {
+            console.log(`✅ Snort rules reloaded (${status.backend})`);
+        } else {
+            console.error(`❌ Error reloading rules (${status.backend}):`, status.output);
+        }
+        return status;
+    }
+
+    // Swaps in a generated rules file (config-tested, restored on failure) and reloads Snort
+    async applyRulesFile(filePath, content) {
+        return this.withRulesLock(async () => {
+            await this.swapRulesFile(filePath, content);
+            return this.reloadRules();
+        });
+    }
+
+    // Config test plus reload without changing any rules
+    async revalidateAndReload() {
+        return this.withRulesLock(async () => {
+            const validation = await this.reloader.validate();
+            if (!validation.success) {
+                return this.reloader.recordStatus('validate', false, validation.output);
+            }
+            return this.reloadRules();
+        });
+    }
+
+    getReloadStatus() {
+        return this.reloader.lastReload;
+    }
+
     async getAlerts(options = {}) {
         try {
             let query = db.collection('ids_alerts')
@@ -233,6 +625,10 @@ class IDSService {
                 query = query.where('severity', '>=', options.severity);
             }
 
+            if (options.triage) {
+                query = query.where('triage.status', '==', options.triage);
+            }
+
             const snapshot = await query.get();
             return snapshot.docs.map(doc => ({
                 id: doc.id,
@@ -244,6 +640,30 @@ class IDSService {
         }
     }
 
+    /**
+     * Marks a stored alert acknowledged or false_positive, with an optional
+     * note. Resolves to { before, after } triage states, or null when the
+     * alert doesn't exist.
+     */
+    async triageAlert(id, status, { note = null } = {}, actor = null) {
+        if (!TRIAGE_STATUSES.includes(status)) {
+            throw new Error(`Unknown triage status: ${status}`);
+        }
+
+        const ref = db.collection('ids_alerts').doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        const triage = { status, note, by: this.actorFields(actor), at: new Date() };
+        await ref.update({ triage });
+        return { alert: { id, ...doc.data(), triage }, before: doc.data().triage || null, after: triage };
+    }
+
+    async getRule(id) {
+        const doc = await db.collection('ids_rules').doc(id).get();
+        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+    }
+
     async getRules() {
         try {
             const snapshot = await db.collection('ids_rules').get();
@@ -259,3 +679,4 @@ class IDSService {
 }
 
 module.exports = new IDSService();
+module.exports.RuleRevisionError = RuleRevisionError;
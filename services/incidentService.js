@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { db } = require('../config/firebase');
+const incidentsConfig = require('../config/incidents');
+const idsService = require('./idsService');
+
+class IncidentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'IncidentError';
+        this.status = status;
+    }
+}
+
+const ACTIVE_STATUSES = ['open', 'acknowledged'];
+
+/**
+ * Groups IDS alerts into incidents. Every stored alert is correlated by the
+ * configured key (source, target, signature); it joins the active incident
+ * for that key if the incident's last alert is within the window, otherwise
+ * it opens a new one. Incident severity grows with the number of alerts.
+ * Status, assignee and notes are managed through /api/ids/incidents and
+ * every change is kept in the incident's history.
+ */
+class IncidentService {
+    constructor(config) {
+        this.config = config;
+        this.collection = db.collection(config.collection);
+        this.keys = db.collection(config.keysCollection);
+
+        idsService.addAlertListener((id, alert) => this.correlate(id, alert));
+    }
+
+    // Values an alert is correlated on
+    keyFields(alert) {
+        const details = alert.details || {};
+        const fields = {
+            src_ip: alert.src_ip || null,
+            target: alert.dest_ip || details.path || details.user || null,
+            signature: alert.sid ? `${alert.gid || 1}:${alert.sid}` : alert.alert_type || 'unknown'
+        };
+        return this.config.correlateBy.reduce((selected, field) => ({ ...selected, [field]: fields[field] ?? null }), {});
+    }
+
+    severityFor(maxAlertSeverity, alertCount) {
+        const bonus = this.config.escalation
+            .filter(step => alertCount >= step.alerts)
+            .reduce((highest, step) => Math.max(highest, step.add), 0);
+        return Math.min(10, maxAlertSeverity + bonus);
+    }
+
+    alertTime(alert) {
+        const time = new Date(alert.timestamp);
+        return Number.isNaN(time.getTime()) ? new Date() : time;
+    }
+
+    // Pointer from a correlation key to its current incident
+    keyRef(key) {
+        return this.keys.doc(crypto.createHash('sha256').update(key).digest('hex').slice(0, 32));
+    }
+
+    /**
+     * Adds a stored alert to its incident, creating one when needed, and
+     * tags the alert with the incident id. Resolves to the incident id.
+     */
+    async correlate(alertId, alert) {
+        const fields = this.keyFields(alert);
+        const key = JSON.stringify(fields);
+        const keyRef = this.keyRef(key);
+        const at = this.alertTime(alert);
+        const severity = Number(alert.severity) || 0;
+
+        const incidentId = await db.runTransaction(async transaction => {
+            const pointer = await transaction.get(keyRef);
+            const currentRef = pointer.exists ? this.collection.doc(pointer.data().incidentId) : null;
+            const current = currentRef ? await transaction.get(currentRef) : null;
+            const incident = current && current.exists ? current.data() : null;
+
+            const joinable = incident &&
+                ACTIVE_STATUSES.includes(incident.status) &&
+                Math.abs(at - new Date(incident.lastSeen)) <= this.config.windowMs;
+
+            if (joinable) {
+                const alertCount = incident.alertCount + 1;
+                const maxAlertSeverity = Math.max(incident.maxAlertSeverity, severity);
+                const escalated = Math.max(incident.severity, this.severityFor(maxAlertSeverity, alertCount));
+                const update = {
+                    alertCount,
+                    maxAlertSeverity,
+                    severity: escalated,
+                    lastSeen: new Date(Math.max(at, new Date(incident.lastSeen))).toISOString(),
+                    alertIds: [...incident.alertIds, alertId].slice(-this.config.maxAlertIds),
+                    updatedAt: new Date().toISOString()
+                };
+                if (escalated > incident.severity) {
+                    update.history = [
+                        ...incident.history,
+                        { at: update.updatedAt, by: null, field: 'severity', from: incident.severity, to: escalated, reason: `${alertCount} alerts` }
+                    ].slice(-this.config.maxHistory);
+                }
+                transaction.update(currentRef, update);
+                transaction.set(keyRef, { incidentId: currentRef.id, lastSeen: update.lastSeen });
+                return currentRef.id;
+            }
+
+            const ref = this.collection.doc();
+            const now = new Date().toISOString();
+            transaction.create(ref, {
+                title: alert.msg || 'IDS alert',
+                status: 'open',
+                source: 'correlation',
+                key,
+                ...fields,
+                severity: this.severityFor(severity, 1),
+                maxAlertSeverity: severity,
+                alertCount: 1,
+                alertIds: [alertId],
+                firstSeen: at.toISOString(),
+                lastSeen: at.toISOString(),
+                assignee: null,
+                notes: [],
+                history: [{ at: now, by: null, field: 'status', from: null, to: 'open' }],
+                createdAt: now,
+                updatedAt: now,
+                resolvedAt: null,
+                createdBy: null
+            });
+            transaction.set(keyRef, { incidentId: ref.id, lastSeen: at.toISOString() });
+            return ref.id;
+        });
+
+        await db.collection('ids_alerts').doc(alertId).update({ incidentId }).catch(error => {
+            console.error(`❌ Failed to tag alert ${alertId} with incident ${incidentId}:`, error.message);
+        });
+        return incidentId;
+    }
+
+    actorOf(user) {
+        return user ? { uid: user.uid, email: user.email || null } : null;
+    }
+
+    /**
+     * Newest activity first. Filters: status, assignee, src_ip, minSeverity,
+     * plus limit and before (the lastSeen of the last incident of the
+     * previous page).
+     */
+    async listIncidents(filters = {}) {
+        let query = this.collection.orderBy('lastSeen', 'desc');
+        if (filters.status) query = query.where('status', '==', filters.status);
+        if (filters.assignee) query = query.where('assignee', '==', filters.assignee);
+        if (filters.src_ip) query = query.where('src_ip', '==', filters.src_ip);
+        if (filters.before) query = query.where('lastSeen', '<', filters.before);
+
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+        const minSeverity = parseInt(filters.minSeverity) || 0;
+
+        // Severity can't be filtered in the same query as the ordering, so it is applied while paging
+        const incidents = [];
+        let cursor = null;
+        while (incidents.length < limit) {
+            let page = query.limit(limit);
+            if (cursor) page = page.startAfter(cursor);
+
+            const snapshot = await page.get();
+            if (snapshot.empty) break;
+
+            for (const doc of snapshot.docs) {
+                const incident = doc.data();
+                if (incident.severity < minSeverity) continue;
+                incidents.push({ id: doc.id, ...incident });
+                if (incidents.length === limit) break;
+            }
+            cursor = snapshot.docs[snapshot.docs.length - 1];
+            if (snapshot.size < limit) break;
+        }
+        return incidents;
+    }
+
+    // With withAlerts, the incident's most recent alerts are included
+    async getIncident(id, { withAlerts = false } = {}) {
+        const doc = await this.collection.doc(id).get();
+        if (!doc.exists) return null;
+
+        const incident = { id, ...doc.data() };
+        if (withAlerts) {
+            const alerts = await Promise.all(incident.alertIds.slice(-50).map(alertId => db.collection('ids_alerts').doc(alertId).get()));
+            incident.alerts = alerts.filter(alert => alert.exists).map(alert => ({ id: alert.id, ...alert.data() }));
+        }
+        return incident;
+    }
+
+    validateSeverity(severity) {
+        const value = Number(severity);
+        if (!Number.isInteger(value) || value < 1 || value > 10) {
+            throw new IncidentError('severity must be an integer from 1 to 10');
+        }
+        return value;
+    }
+
+    validateStatus(status) {
+        if (!this.config.statuses.includes(status)) {
+            throw new IncidentError(`status must be one of ${this.config.statuses.join(', ')}`);
+        }
+        return status;
+    }
+
+    // Incident opened by hand, optionally grouping existing alerts
+    async createIncident({ title, severity = 5, src_ip = null, target = null, assignee = null, note = null, alertIds = [] }, user = null) {
+        if (!title || typeof title !== 'string') {
+            throw new IncidentError('title is required');
+        }
+        if (!Array.isArray(alertIds)) {
+            throw new IncidentError('alertIds must be an array');
+        }
+
+        const now = new Date().toISOString();
+        const actor = this.actorOf(user);
+        const data = {
+            title,
+            status: 'open',
+            source: 'manual',
+            key: null,
+            src_ip,
+            target,
+            signature: null,
+            severity: this.validateSeverity(severity),
+            maxAlertSeverity: 0,
+            alertCount: alertIds.length,
+            alertIds: alertIds.slice(-this.config.maxAlertIds),
+            firstSeen: now,
+            lastSeen: now,
+            assignee,
+            notes: note ? [{ id: crypto.randomUUID(), at: now, by: actor, text: String(note) }] : [],
+            history: [{ at: now, by: actor, field: 'status', from: null, to: 'open' }],
+            createdAt: now,
+            updatedAt: now,
+            resolvedAt: null,
+            createdBy: actor
+        };
+
+        const ref = await this.collection.add(data);
+        await Promise.all(alertIds.map(alertId => db.collection('ids_alerts').doc(alertId).update({ incidentId: ref.id }).catch(() => {})));
+        return { id: ref.id, ...data };
+    }
+
+    /**
+     * Changes status, assignee, severity or title. Resolves to
+     * { before, after }, or null when the incident doesn't exist.
+     */
+    async updateIncident(id, changes, user = null) {
+        const update = {};
+        if (changes.status !== undefined) update.status = this.validateStatus(changes.status);
+        if (changes.assignee !== undefined) update.assignee = changes.assignee || null;
+        if (changes.severity !== undefined) update.severity = this.validateSeverity(changes.severity);
+        if (changes.title !== undefined) {
+            if (!changes.title || typeof changes.title !== 'string') throw new IncidentError('title must be a non-empty string');
+            update.title = changes.title;
+        }
+        if (Object.keys(update).length === 0) {
+            throw new IncidentError('Nothing to update (expected status, assignee, severity and/or title)');
+        }
+
+        const ref = this.collection.doc(id);
+        const actor = this.actorOf(user);
+
+        return db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) return null;
+
+            const before = doc.data();
+            const now = new Date().toISOString();
+            const history = Object.entries(update)
+                .filter(([field, value]) => before[field] !== value)
+                .map(([field, value]) => ({ at: now, by: actor, field, from: before[field] ?? null, to: value }));
+
+            if (update.status) {
+                update.resolvedAt = ACTIVE_STATUSES.includes(update.status) ? null : (before.resolvedAt || now);
+            }
+            Object.assign(update, {
+                history: [...before.history, ...history].slice(-this.config.maxHistory),
+                updatedAt: now
+            });
+
+            transaction.update(ref, update);
+            return { before: { id, ...before }, after: { id, ...before, ...update } };
+        });
+    }
+
+    // Resolves to the added note, or null when the incident doesn't exist
+    async addNote(id, text, user = null) {
+        if (!text || typeof text !== 'string') {
+            throw new IncidentError('text is required');
+        }
+
+        const ref = this.collection.doc(id);
+        const note = { id: crypto.randomUUID(), at: new Date().toISOString(), by: this.actorOf(user), text };
+
+        return db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) return null;
+
+            transaction.update(ref, { notes: [...doc.data().notes, note], updatedAt: note.at });
+            return note;
+        });
+    }
+
+    /**
+     * Removes an incident, its correlation key pointer (so new alerts open a
+     * fresh incident) and the incidentId tag of its alerts. Returns the
+     * removed incident, or null when it doesn't exist.
+     */
+    async deleteIncident(id) {
+        const ref = this.collection.doc(id);
+
+        const incident = await db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) return null;
+
+            const data = doc.data();
+            const keyRef = data.key ? this.keyRef(data.key) : null;
+            const pointer = keyRef ? await transaction.get(keyRef) : null;
+            if (pointer && pointer.exists && pointer.data().incidentId === id) {
+                transaction.delete(keyRef);
+            }
+            transaction.delete(ref);
+            return { id, ...data };
+        });
+        if (!incident) return null;
+
+        // All tagged alerts, including those beyond the alertIds kept on the incident
+        const alerts = await db.collection('ids_alerts').where('incidentId', '==', id).get();
+        // Firestore batches hold at most 500 writes
+        for (let i = 0; i < alerts.docs.length; i += 500) {
+            const batch = db.batch();
+            alerts.docs.slice(i, i + 500).forEach(alert => batch.update(alert.ref, { incidentId: null }));
+            await batch.commit();
+        }
+        return incident;
+    }
+}
+
+module.exports = new IncidentService(incidentsConfig);
+module.exports.IncidentService = IncidentService;
+module.exports.IncidentError = IncidentError;
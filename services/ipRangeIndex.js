@@ -0,0 +1,63 @@
+const ipUtils = require('./ipUtils');
+
+/**
+ * Binary radix trie over IPv4 and IPv6 prefixes. Each node on the path of an
+ * address may carry entries, so a lookup visits at most 32 / 128 nodes no
+ * matter how many ranges are stored.
+ */
+class IPRangeIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.roots = { 4: this.createNode(), 6: this.createNode() };
+        this.size = 0;
+    }
+
+    createNode() {
+        return { children: [null, null], entries: [] };
+    }
+
+    // Adds an entry for an address or CIDR range; returns false if it isn't one
+    insert(range, entry) {
+        const parsed = typeof range === 'string' ? ipUtils.parseCidr(range) : range;
+        if (!parsed) return false;
+
+        const width = parsed.family === 4 ? 32 : 128;
+        let node = this.roots[parsed.family];
+        for (let i = 0; i < parsed.prefixLength; i++) {
+            const bit = Number((parsed.network >> BigInt(width - 1 - i)) & 1n);
+            if (!node.children[bit]) node.children[bit] = this.createNode();
+            node = node.children[bit];
+        }
+
+        node.entries.push({ ...entry, range: parsed.notation });
+        this.size++;
+        return true;
+    }
+
+    // Every entry whose range contains the address, most specific first
+    lookupAll(ip) {
+        const address = ipUtils.parseCidr(ipUtils.normalizeIP(ip));
+        if (!address) return [];
+
+        const width = address.family === 4 ? 32 : 128;
+        const matches = [];
+        let node = this.roots[address.family];
+        for (let i = 0; node; i++) {
+            matches.unshift(...node.entries);
+            if (i === width) break;
+            const bit = Number((address.network >> BigInt(width - 1 - i)) & 1n);
+            node = node.children[bit];
+        }
+        return matches;
+    }
+
+    // Most specific entry containing the address that passes the filter
+    lookup(ip, filter = () => true) {
+        return this.lookupAll(ip).find(filter) || null;
+    }
+}
+
+module.exports = IPRangeIndex;
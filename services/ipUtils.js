@@ -0,0 +1,168 @@
+const net = require('net');
+
+function ipv4ToBigInt(ip) {
+    return ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(parseInt(octet)), 0n);
+}
+
+function ipv6ToBigInt(ip) {
+    let text = ip;
+
+    // Embedded dotted quad, e.g. ::ffff:1.2.3.4
+    const lastColon = text.lastIndexOf(':');
+    const tail = text.slice(lastColon + 1);
+    if (tail.includes('.')) {
+        const v4 = ipv4ToBigInt(tail);
+        text = `${text.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    let groups;
+    if (text.includes('::')) {
+        const [head, rest] = text.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const restGroups = rest ? rest.split(':') : [];
+        const missing = 8 - headGroups.length - restGroups.length;
+        groups = [...headGroups, ...Array(missing).fill('0'), ...restGroups];
+    } else {
+        groups = text.split(':');
+    }
+
+    return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+function bigIntToIP(value, family) {
+    if (family === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(Number((value >> shift) & 0xffffn));
+    }
+
+    // Compress the longest run of two or more zero groups (RFC 5952)
+    let bestStart = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === 0) length++;
+        if (length > bestLength) {
+            bestStart = i;
+            bestLength = length;
+        }
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (bestStart === -1) return hex.join(':');
+    return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Canonical form of an address as seen by Express or a client: brackets and
+ * zone ids are stripped, IPv4-mapped IPv6 (::ffff:1.2.3.4) becomes plain IPv4
+ * and IPv6 is lower-cased and compressed. Returns null for invalid input.
+ */
+function normalizeIP(ip) {
+    if (!ip) return null;
+
+    const text = String(ip).trim().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+    const family = net.isIP(text);
+    if (family === 4) return bigIntToIP(ipv4ToBigInt(text), 4);
+    if (family !== 6) return null;
+
+    const value = ipv6ToBigInt(text);
+    if (value >> 32n === 0xffffn) {
+        return bigIntToIP(value & 0xffffffffn, 4);
+    }
+    return bigIntToIP(value, 6);
+}
+
+/**
+ * Parses an address or CIDR range. Host bits are cleared, and IPv4-mapped
+ * IPv6 ranges of /96 or longer are expressed as IPv4. `notation` is the plain
+ * address for single hosts and network/prefix otherwise.
+ */
+function parseCidr(input) {
+    if (!input) return null;
+
+    const [rawAddress, rawPrefix, ...rest] = String(input).trim().split('/');
+    if (rest.length > 0) return null;
+
+    const text = rawAddress.replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+    let family = net.isIP(text);
+    if (!family) return null;
+
+    let width = family === 4 ? 32 : 128;
+    if (rawPrefix !== undefined && !/^\d+$/.test(rawPrefix)) return null;
+    let prefixLength = rawPrefix === undefined ? width : parseInt(rawPrefix);
+    if (prefixLength > width) return null;
+
+    let value = family === 4 ? ipv4ToBigInt(text) : ipv6ToBigInt(text);
+    if (family === 6 && value >> 32n === 0xffffn && prefixLength >= 96) {
+        family = 4;
+        width = 32;
+        prefixLength -= 96;
+        value &= 0xffffffffn;
+    }
+
+    const hostBits = BigInt(width - prefixLength);
+    const network = (value >> hostBits) << hostBits;
+    const address = bigIntToIP(network, family);
+
+    return {
+        family,
+        network,
+        prefixLength,
+        address,
+        cidr: `${address}/${prefixLength}`,
+        notation: prefixLength === width ? address : `${address}/${prefixLength}`
+    };
+}
+
+function isLoopback(ip) {
+    const address = normalizeIP(ip);
+    if (!address) return false;
+    return address === '::1' || (net.isIPv4(address) && address.startsWith('127.'));
+}
+
+// True when the range contains any loopback address
+function containsLoopback(range) {
+    return cidrContains(range, '127.0.0.1') || cidrContains(range, '::1');
+}
+
+function cidrContains(range, ip) {
+    const parsedRange = typeof range === 'string' ? parseCidr(range) : range;
+    const address = parseCidr(normalizeIP(ip));
+    if (!parsedRange || !address || parsedRange.family !== address.family) return false;
+
+    const width = parsedRange.family === 4 ? 32 : 128;
+    const hostBits = BigInt(width - parsedRange.prefixLength);
+    return (address.network >> hostBits) === (parsedRange.network >> hostBits);
+}
+
+// True when two parsed ranges share at least one address
+function rangesOverlap(a, b) {
+    if (!a || !b || a.family !== b.family) return false;
+
+    const width = a.family === 4 ? 32 : 128;
+    const hostBits = BigInt(width - Math.min(a.prefixLength, b.prefixLength));
+    return (a.network >> hostBits) === (b.network >> hostBits);
+}
+
+// 255.255.255.0 -> 24; null for non-contiguous or invalid masks
+function maskToPrefix(mask) {
+    if (!net.isIPv4(mask || '')) return null;
+
+    const bits = ipv4ToBigInt(mask).toString(2).padStart(32, '0');
+    if (!/^1*0*$/.test(bits)) return null;
+    return bits.replace(/0+$/, '').length;
+}
+
+module.exports = {
+    normalizeIP,
+    parseCidr,
+    isLoopback,
+    containsLoopback,
+    cidrContains,
+    rangesOverlap,
+    maskToPrefix
+};
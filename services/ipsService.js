@@ -1,22 +1,254 @@
 const { admin, db } = require('../config/firebase');
 const geoip = require('geoip-lite');
+const crypto = require('crypto');
+const path = require('path');
+const schedule = require('node-schedule');
+const idsService = require('./idsService');
+const snortRuleParser = require('./snortRuleParser');
+const ipUtils = require('./ipUtils');
+const IPRangeIndex = require('./ipRangeIndex');
+const vpnConfig = require('../config/vpn');
+const ipsConfig = require('../config/ips');
+const escalationPolicy = require('./escalationPolicy');
+
+// Generated drop rules use sids 3000000-11999999, clear of custom rules (1000000+)
+const BLACKLIST_SID_BASE = 3000000;
+const BLACKLIST_SID_RANGE = 9000000;
 
 class IPSService {
     constructor() {
-        this.blockDuration = 3600000; // 1 hour in milliseconds
+        this.blacklistRulesPath = path.join(__dirname, './snort3/rules/blacklist.rules');
+        this.blacklistSync = null;
+        this.blacklistSyncPending = false;
+        this.blockIndex = new IPRangeIndex();
+        this.blockIndexReady = false;
+        this.allowlist = [];
+        this.allowlistReady = false;
+        this.builtInAllowlist = this.buildBuiltInAllowlist();
+        this.blockListeners = [];
+
+        // Keep in-memory copies of active blocks and the allowlist in sync with Firestore
+        this.watchBlocklist();
+        this.watchAllowlist();
+
+        // Schedule periodic cleanup so expired blocks leave the rules file too
+        this.scheduleCleanup();
+    }
+
+    watchBlocklist() {
+        db.collection('ips_blocklist')
+            .where('active', '==', true)
+            .onSnapshot(snapshot => {
+                const index = new IPRangeIndex();
+                snapshot.forEach(doc => {
+                    const data = doc.data();
+                    index.insert(data.cidr || data.ip, {
+                        id: doc.id,
+                        ...data,
+                        expiresAt: data.expiresAt ? data.expiresAt.toDate() : null
+                    });
+                });
+                this.blockIndex = index;
+                this.blockIndexReady = true;
+            }, error => {
+                console.error('❌ Blocklist listener failed, falling back to queries:', error);
+                this.blockIndexReady = false;
+                setTimeout(() => this.watchBlocklist(), 10000);
+            });
+    }
+
+    /**
+     * Registers listener(event), called after an IP or user is blocked or
+     * unblocked (manually, automatically or on expiry; feed imports are not
+     * reported). event: { type: 'block' | 'unblock', kind: 'ip' | 'user',
+     * target, reason, expiresAt, permanent, policy, by }.
+     */
+    addBlockListener(listener) {
+        this.blockListeners.push(listener);
+    }
+
+    notifyBlockListeners(event) {
+        for (const listener of this.blockListeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('❌ Block listener failed:', error);
+            }
+        }
+    }
+
+    scheduleCleanup() {
+        schedule.scheduleJob('*/5 * * * *', async () => {
+            try {
+                await this.cleanupExpiredBlocks();
+            } catch (error) {
+                console.error('❌ Scheduled block cleanup failed:', error);
+            }
+        });
+    }
+
+    watchAllowlist() {
+        db.collection('ips_allowlist')
+            .onSnapshot(snapshot => {
+                const firstLoad = !this.allowlistReady;
+                this.allowlist = snapshot.docs
+                    .map(doc => this.toAllowlistEntry(doc.id, doc.data()))
+                    .filter(entry => entry.range);
+                this.allowlistReady = true;
+
+                // Allowlisted ranges must never end up in the drop rules
+                if (!firstLoad) this.syncBlacklistRules();
+            }, error => {
+                console.error('❌ Allowlist listener failed, falling back to queries:', error);
+                this.allowlistReady = false;
+                setTimeout(() => this.watchAllowlist(), 10000);
+            });
+    }
+
+    // Loopback and the VPN client subnet can never be blocked
+    buildBuiltInAllowlist() {
+        const entries = [
+            { id: 'builtin-loopback-v4', cidr: '127.0.0.0/8', description: 'Loopback' },
+            { id: 'builtin-loopback-v6', cidr: '::1', description: 'Loopback' }
+        ];
+
+        const vpnPrefix = ipUtils.maskToPrefix(vpnConfig.settings.subnetMask);
+        const vpnSubnet = ipUtils.parseCidr(`${vpnConfig.settings.subnet}/${vpnPrefix}`);
+        if (vpnPrefix !== null && vpnSubnet) {
+            entries.push({ id: 'builtin-vpn-subnet', cidr: vpnSubnet.notation, description: 'VPN client subnet' });
+        }
+
+        return entries.map(entry => ({ ...this.toAllowlistEntry(entry.id, entry), builtIn: true }));
+    }
+
+    toAllowlistEntry(id, data) {
+        return {
+            id,
+            ...data,
+            builtIn: false,
+            range: ipUtils.parseCidr(data.cidr)
+        };
+    }
+
+    async getAllowlist() {
+        let entries = this.allowlist;
+        if (!this.allowlistReady) {
+            const snapshot = await db.collection('ips_allowlist').get();
+            entries = snapshot.docs
+                .map(doc => this.toAllowlistEntry(doc.id, doc.data()))
+                .filter(entry => entry.range);
+        }
+        return [...this.builtInAllowlist, ...entries];
+    }
+
+    // Allowlist entry overlapping the address or range, if any
+    async getAllowlistEntry(ip) {
+        const range = typeof ip === 'string' ? ipUtils.parseCidr(ipUtils.normalizeIP(ip) || ip) : ip;
+        if (!range) return null;
+
+        const entries = await this.getAllowlist();
+        return entries.find(entry => ipUtils.rangesOverlap(entry.range, range)) || null;
+    }
+
+    async addAllowlistEntry(cidr, description, actor = null) {
+        const range = ipUtils.parseCidr(ipUtils.normalizeIP(cidr) || cidr);
+        if (!range) {
+            throw new Error(`Invalid IP address: ${cidr}`);
+        }
+
+        const data = {
+            cidr: range.notation,
+            description: description || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            createdBy: actor ? actor.uid : null
+        };
+        const ref = await db.collection('ips_allowlist').add(data);
+        await this.syncBlacklistRules();
+        return { id: ref.id, ...data };
+    }
+
+    async getAllowlistEntryById(id) {
+        const doc = await db.collection('ips_allowlist').doc(id).get();
+        return doc.exists ? { id, ...doc.data() } : null;
+    }
+
+    // Returns null when the entry doesn't exist
+    async updateAllowlistEntry(id, changes, actor = null) {
+        const ref = db.collection('ips_allowlist').doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        const update = {
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedBy: actor ? actor.uid : null
+        };
+        if (changes.cidr !== undefined) {
+            const range = ipUtils.parseCidr(ipUtils.normalizeIP(changes.cidr) || changes.cidr);
+            if (!range) {
+                throw new Error(`Invalid IP address: ${changes.cidr}`);
+            }
+            update.cidr = range.notation;
+        }
+        if (changes.description !== undefined) {
+            update.description = changes.description;
+        }
+
+        await ref.update(update);
+        await this.syncBlacklistRules();
+        return { id, ...doc.data(), ...update };
+    }
+
+    // Returns the removed entry, or null when it doesn't exist
+    async removeAllowlistEntry(id) {
+        const ref = db.collection('ips_allowlist').doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        await ref.delete();
+        await this.syncBlacklistRules();
+        return { id, ...doc.data() };
     }
 
     async isIPBlocked(ip) {
-        if (ip === '::1' || ip === '127.0.0.1') return false;
+        return Boolean(await this.getActiveBlock(ip));
+    }
+
+    // Most specific active block (single IP or CIDR range) covering the address
+    async getActiveBlock(ip) {
+        const address = ipUtils.normalizeIP(ip);
+        if (!address || ipUtils.isLoopback(address)) return null;
+
+        // The allowlist takes precedence over any block
+        if (await this.getAllowlistEntry(address)) return null;
+
+        const now = new Date();
+        if (this.blockIndexReady) {
+            return this.blockIndex.lookup(address, entry => entry.expiresAt > now);
+        }
 
+        // Index not loaded yet: only exact matches can be checked with a query
         const snapshot = await db.collection('ips_blocklist')
-            .where('ip', '==', ip)
+            .where('ip', '==', address)
             .where('active', '==', true)
-            .where('expiresAt', '>', new Date())
+            .where('expiresAt', '>', now)
             .limit(1)
             .get();
-        
-        return !snapshot.empty;
+
+        if (snapshot.empty) return null;
+        const doc = snapshot.docs[0];
+        return { id: doc.id, ...doc.data(), expiresAt: doc.data().expiresAt.toDate() };
+    }
+
+    // Active block on exactly this address or range
+    async getExactBlock(range) {
+        const snapshot = await db.collection('ips_blocklist')
+            .where('ip', '==', range.notation)
+            .where('active', '==', true)
+            .get();
+
+        const now = new Date();
+        const doc = snapshot.docs.find(item => item.data().expiresAt.toDate() > now);
+        return doc ? { id: doc.id, ...doc.data(), expiresAt: doc.data().expiresAt.toDate() } : null;
     }
 
     async isUserBlocked(uid) {
@@ -29,56 +261,163 @@ class IPSService {
             if (blockUntil > new Date()) {
                 return true;
             } else {
-                await this.unblockUser(uid);
+                await this.unblockUser(uid, 'expired');
             }
         }
         return false;
     }
 
-    async blockIP(ip, reason, duration = this.blockDuration) {
-        if (ip === '::1' || ip === '127.0.0.1') {
+    // A single address counts as blocked when any range covers it; a range only by an identical block.
+    // The exact query runs first so a block the snapshot index hasn't picked up yet still counts.
+    async findExistingBlock(range) {
+        const exact = await this.getExactBlock(range);
+        if (exact || range.notation !== range.address) return exact;
+        return this.getActiveBlock(range.address);
+    }
+
+    /**
+     * Blocks a single address or a CIDR range such as 203.0.113.0/24 or 2001:db8::/64.
+     * Without an explicit duration the block length follows the escalation
+     * policy (rate_limit, suspicious or manual) for this IP's offense history.
+     * `details` are extra fields stored on the block, e.g. the alerts behind it.
+     */
+    async blockIP(ip, reason, duration = null, { policy = ipsConfig.escalation.defaultPolicy, actor = null, details = {} } = {}) {
+        const range = ipUtils.parseCidr(ipUtils.normalizeIP(ip) || ip);
+        if (!range) {
+            throw new Error(`Invalid IP address: ${ip}`);
+        }
+
+        if (ipUtils.containsLoopback(range)) {
             throw new Error("Cannot block localhost IP");
         }
 
-        if (await this.isIPBlocked(ip)) {
+        const allowed = await this.getAllowlistEntry(range);
+        if (allowed) {
+            throw new Error(`IP ${range.notation} is allowlisted (${allowed.cidr})`);
+        }
+
+        if (await this.findExistingBlock(range)) {
             throw new Error("IP is already blocked");
         }
 
-        const geo = geoip.lookup(ip);
-        const expiresAt = new Date(Date.now() + duration);
+        const geo = geoip.lookup(range.address);
+        const block = await this.recordOffense('ip', range.notation, policy, reason, duration);
 
-        await db.collection('ips_blocklist').add({
-            ip,
+        const ref = await db.collection('ips_blocklist').add({
+            ip: range.notation,
+            cidr: range.cidr,
+            family: range.family,
+            prefixLength: range.prefixLength,
             reason,
             timestamp: admin.firestore.FieldValue.serverTimestamp(),
-            expiresAt,
+            expiresAt: block.expiresAt,
+            permanent: block.permanent,
+            policy: block.policy,
+            policyStep: block.step,
+            offenseCount: block.offenseCount,
             geo: geo || null,
+            blockedBy: actor ? actor.uid : null,
+            ...details,
             active: true
         });
 
-        return true;
+        await this.syncBlacklistRules();
+        this.notifyBlockListeners({
+            type: 'block', kind: 'ip', target: range.notation, reason,
+            expiresAt: block.expiresAt, permanent: block.permanent, policy: block.policy, by: actor ? actor.uid : null
+        });
+        return { id: ref.id, ip: range.notation, reason, ...block };
     }
 
-    async blockUser(uid, reason, duration = this.blockDuration) {
+    async blockUser(uid, reason, duration = null, { policy = ipsConfig.escalation.defaultPolicy, actor = null, details = {} } = {}) {
         if (await this.isUserBlocked(uid)) {
             throw new Error("User is already blocked");
         }
 
-        const expiresAt = new Date(Date.now() + duration);
+        const block = await this.recordOffense('user', uid, policy, reason, duration);
 
-        await db.collection('users_ips').doc(uid).update({
+        // Merged so accounts that have never signed in (no users_ips entry yet) can be blocked too
+        await db.collection('users_ips').doc(uid).set({
             blocked: true,
             blockReason: reason,
-            blockUntil: expiresAt,
-            blockedAt: admin.firestore.FieldValue.serverTimestamp()
+            blockUntil: block.expiresAt,
+            blockPermanent: block.permanent,
+            blockPolicy: block.policy,
+            blockPolicyStep: block.step,
+            offenseCount: block.offenseCount,
+            blockedAt: admin.firestore.FieldValue.serverTimestamp(),
+            blockedBy: actor ? actor.uid : null,
+            ...details
+        }, { merge: true });
+
+        this.notifyBlockListeners({
+            type: 'block', kind: 'user', target: uid, reason,
+            expiresAt: block.expiresAt, permanent: block.permanent, policy: block.policy, by: actor ? actor.uid : null
         });
+        return { uid, reason, ...block };
+    }
 
-        return true;
+    /**
+     * Adds an offense to the IP's or user's history (ips_offenses) and returns
+     * the block it earns under the named policy. An explicit duration
+     * overrides the policy but still counts as an offense.
+     */
+    async recordOffense(type, id, policyName, reason, duration = null) {
+        const policies = ipsConfig.escalation.policies;
+        const name = policies[policyName] ? policyName : ipsConfig.escalation.defaultPolicy;
+        const ref = db.collection('ips_offenses').doc(`${type}_${id.replace(/\//g, '_')}`);
+
+        return db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            const history = doc.exists ? doc.data().history || [] : [];
+            const now = new Date();
+
+            const previous = history
+                .filter(offense => offense.policy === name)
+                .map(offense => ({ at: offense.at.toDate ? offense.at.toDate() : offense.at }));
+            const block = escalationPolicy.nextBlock(policies[name], previous, now);
+
+            if (duration) {
+                Object.assign(block, {
+                    duration,
+                    permanent: false,
+                    expiresAt: new Date(now.getTime() + duration),
+                    overridden: true
+                });
+            }
+
+            transaction.set(ref, {
+                type,
+                subject: id,
+                lastOffenseAt: now,
+                offenseCount: block.offenseCount,
+                history: [
+                    ...history,
+                    { at: now, policy: name, reason: reason || null, step: block.step, duration: block.duration }
+                ].slice(-ipsConfig.escalation.historyLimit)
+            }, { merge: true });
+
+            return { policy: name, ...block };
+        });
+    }
+
+    async getOffenses(type, id) {
+        const doc = await db.collection('ips_offenses').doc(`${type}_${id.replace(/\//g, '_')}`).get();
+        if (!doc.exists) return null;
+
+        const data = doc.data();
+        return {
+            ...data,
+            lastOffenseAt: data.lastOffenseAt?.toDate(),
+            history: (data.history || []).map(offense => ({ ...offense, at: offense.at.toDate() }))
+        };
     }
 
-    async unblockIP(ip) {
+    // Lifts the block on exactly this address or range; returns the blocks that were lifted
+    async unblockIP(ip, actor = null) {
+        const range = ipUtils.parseCidr(ipUtils.normalizeIP(ip) || ip);
         const snapshot = await db.collection('ips_blocklist')
-            .where('ip', '==', ip)
+            .where('ip', '==', range ? range.notation : ip)
             .where('active', '==', true)
             .get();
 
@@ -86,15 +425,21 @@ class IPSService {
         snapshot.forEach(doc => {
             batch.update(doc.ref, { 
                 active: false,
-                unblocked: admin.firestore.FieldValue.serverTimestamp()
+                unblocked: admin.firestore.FieldValue.serverTimestamp(),
+                unblockedBy: actor ? actor.uid : null
             });
         });
         
         await batch.commit();
-        return true;
+
+        if (!snapshot.empty) {
+            await this.syncBlacklistRules();
+            this.notifyBlockListeners({ type: 'unblock', kind: 'ip', target: range ? range.notation : ip, reason: 'manual', by: actor ? actor.uid : null });
+        }
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
     }
 
-    async unblockUser(uid) {
+    async unblockUser(uid, reason = 'manual') {
         await db.collection('users_ips').doc(uid).update({
             blocked: false,
             blockReason: null,
@@ -102,6 +447,7 @@ class IPSService {
             unblocked: admin.firestore.FieldValue.serverTimestamp()
         });
 
+        this.notifyBlockListeners({ type: 'unblock', kind: 'user', target: uid, reason, by: null });
         return true;
     }
 
@@ -131,6 +477,95 @@ class IPSService {
         }));
     }
 
+    /**
+     * Makes the active blocks owned by a feed match its latest entries
+     * ({ range, confidence, description }): new addresses are blocked,
+     * listed ones get their expiry pushed out (once it is half used up, to
+     * save writes) and addresses no longer listed are unblocked. Allowlisted
+     * addresses are skipped; other filtering is up to the caller.
+     */
+    async syncFeedBlocks(feed, entries) {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + feed.maxAgeMs);
+        const stats = { added: 0, refreshed: 0, unchanged: 0, expired: 0, allowlisted: 0 };
+
+        const snapshot = await db.collection('ips_blocklist')
+            .where('feed', '==', feed.name)
+            .where('active', '==', true)
+            .get();
+        const current = new Map(snapshot.docs.map(doc => [doc.data().ip, doc]));
+        const allowlist = await this.getAllowlist();
+        const listed = new Set();
+        const writes = [];
+
+        for (const entry of entries) {
+            const ip = entry.range.notation;
+            if (listed.has(ip)) continue;
+            if (allowlist.some(allowed => ipUtils.rangesOverlap(allowed.range, entry.range))) {
+                stats.allowlisted++;
+                continue;
+            }
+            listed.add(ip);
+
+            const reason = `Threat feed ${feed.name}${entry.description ? `: ${entry.description}` : ''}`;
+            const doc = current.get(ip);
+            if (doc) {
+                const data = doc.data();
+                const remaining = data.expiresAt.toDate().getTime() - now.getTime();
+                if (data.confidence === entry.confidence && remaining > feed.maxAgeMs / 2) {
+                    stats.unchanged++;
+                    continue;
+                }
+                writes.push(batch => batch.update(doc.ref, { expiresAt, confidence: entry.confidence, reason, feedRefreshedAt: now }));
+                stats.refreshed++;
+                continue;
+            }
+
+            writes.push(batch => batch.set(db.collection('ips_blocklist').doc(), {
+                ip,
+                cidr: entry.range.cidr,
+                family: entry.range.family,
+                prefixLength: entry.range.prefixLength,
+                reason,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt,
+                permanent: false,
+                policy: null,
+                source: 'feed',
+                feed: feed.name,
+                feedSource: feed.url || feed.file,
+                confidence: entry.confidence,
+                indicatorId: entry.indicatorId || null,
+                geo: geoip.lookup(entry.range.address) || null,
+                blockedBy: null,
+                active: true
+            }));
+            stats.added++;
+        }
+
+        for (const [ip, doc] of current) {
+            if (listed.has(ip)) continue;
+            writes.push(batch => batch.update(doc.ref, {
+                active: false,
+                unblocked: admin.firestore.FieldValue.serverTimestamp(),
+                unblockReason: `No longer listed by feed ${feed.name}`
+            }));
+            stats.expired++;
+        }
+
+        // Firestore batches hold at most 500 writes
+        for (let i = 0; i < writes.length; i += 500) {
+            const batch = db.batch();
+            writes.slice(i, i + 500).forEach(write => write(batch));
+            await batch.commit();
+        }
+
+        if (stats.added > 0 || stats.expired > 0) {
+            await this.syncBlacklistRules();
+        }
+        return { ...stats, active: listed.size };
+    }
+
     async cleanupExpiredBlocks() {
         const now = new Date();
         let cleanedCount = 0;
@@ -169,8 +604,115 @@ class IPSService {
         });
         await userBatch.commit();
 
+        if (!ipSnapshot.empty) {
+            await this.syncBlacklistRules();
+        }
+
+        ipSnapshot.forEach(doc => {
+            // Feed entries expire in bulk with every import and aren't reported individually
+            if (doc.data().source !== 'feed') {
+                this.notifyBlockListeners({ type: 'unblock', kind: 'ip', target: doc.data().ip, reason: 'expired', by: null });
+            }
+        });
+        userSnapshot.forEach(doc => {
+            this.notifyBlockListeners({ type: 'unblock', kind: 'user', target: doc.id, reason: 'expired', by: null });
+        });
         return cleanedCount;
     }
+
+    /**
+     * Regenerates blacklist.rules from the active blocks. Calls made while a
+     * sync is running are folded into one extra pass. Failures are logged
+     * rather than thrown so a Snort problem never undoes a block.
+     */
+    syncBlacklistRules() {
+        if (this.blacklistSync) {
+            this.blacklistSyncPending = true;
+            return this.blacklistSync;
+        }
+
+        this.blacklistSync = (async () => {
+            do {
+                this.blacklistSyncPending = false;
+                try {
+                    await this.writeBlacklistRules();
+                } catch (error) {
+                    console.error('❌ Error syncing blacklist rules:', error);
+                }
+            } while (this.blacklistSyncPending);
+        })().finally(() => {
+            this.blacklistSync = null;
+        });
+
+        return this.blacklistSync;
+    }
+
+    async writeBlacklistRules() {
+        const now = new Date();
+        const snapshot = await db.collection('ips_blocklist')
+            .where('active', '==', true)
+            .get();
+        const allowlist = await this.getAllowlist();
+
+        // Keyed by canonical address or CIDR so duplicates collapse into one rule
+        const reasons = new Map();
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            if (!data.expiresAt || data.expiresAt.toDate() <= now) return;
+            const range = ipUtils.parseCidr(data.cidr || data.ip);
+            if (!range || ipUtils.containsLoopback(range)) {
+                console.error(`❌ Skipping invalid blocklist IP in ${doc.id}:`, data.ip);
+                return;
+            }
+            // Blocks made before an address was allowlisted stop being enforced
+            if (allowlist.some(entry => ipUtils.rangesOverlap(entry.range, range) && entry.range.prefixLength <= range.prefixLength)) {
+                return;
+            }
+            if (!reasons.has(range.notation)) reasons.set(range.notation, data.reason);
+        });
+
+        const usedSids = new Set();
+        const rules = [];
+        for (const ip of [...reasons.keys()].sort()) {
+            const rule = this.renderDropRule(ip, reasons.get(ip), usedSids);
+            // Never write anything Snort would refuse
+            if (!snortRuleParser.parseRule(rule).valid) {
+                console.error('❌ Skipping invalid generated drop rule:', rule);
+                continue;
+            }
+            rules.push(rule);
+        }
+
+        const content = [
+            '# Blacklist rules for IPS - generated from ips_blocklist, do not edit by hand',
+            '# Format: drop ip [SOURCE_IP] any -> any any (msg:"Blocked by IPS: [REASON]"; sid:[SID]; rev:1;)',
+            ...rules
+        ].join('\n');
+
+        await idsService.applyRulesFile(this.blacklistRulesPath, `${content}\n`);
+        return rules.length;
+    }
+
+    renderDropRule(ip, reason, usedSids) {
+        const sid = this.blacklistSid(ip, usedSids);
+        const msg = `Blocked by IPS: ${reason || 'IP blocked'}`
+            .replace(/[\\";|\r\n]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 200);
+        return `drop ip ${ip} any -> any any ( msg:"${msg}"; sid:${sid}; rev:1; )`;
+    }
+
+    // Derived from the IP so the same block keeps its sid across regenerations
+    blacklistSid(ip, usedSids) {
+        const hash = crypto.createHash('sha256').update(ip).digest();
+        let offset = hash.readUInt32BE(0) % BLACKLIST_SID_RANGE;
+        while (usedSids.has(offset)) {
+            offset = (offset + 1) % BLACKLIST_SID_RANGE;
+        }
+        usedSids.add(offset);
+        return BLACKLIST_SID_BASE + offset;
+    }
 }
 
 module.exports = new IPSService();
\ No newline at end of file
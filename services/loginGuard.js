@@ -0,0 +1,120 @@
+const authConfig = require('../config/auth');
+const rateLimiter = require('./rateLimiter');
+const ipsService = require('./ipsService');
+
+/**
+ * Brute-force protection for /authenticate. Failed sign-ins are kept as a
+ * sliding log of timestamps per account and per IP in the rate limit store
+ * (so they are shared the same way rate limits are). Reaching a threshold
+ * hands the account or IP to the IPS, whose escalation policy decides how
+ * long the lockout lasts.
+ */
+class LoginGuard {
+    constructor({ store, config }) {
+        this.store = store;
+        this.config = config;
+    }
+
+    accountKey(email) {
+        return `auth-failures:account:${String(email).trim().toLowerCase()}`;
+    }
+
+    ipKey(ip) {
+        return `auth-failures:ip:${ip}`;
+    }
+
+    // Adds a failure to the log under key and resolves to the failures within the window
+    addFailure(key) {
+        const now = Date.now();
+        const { windowMs } = this.config;
+
+        return this.store.update(key, state => {
+            const failures = ((state && state.failures) || []).filter(at => at > now - windowMs);
+            failures.push(now);
+            return { state: { failures }, ttlMs: windowMs, result: failures.length };
+        });
+    }
+
+    clear(key) {
+        return this.store.update(key, () => ({ state: { failures: [] }, ttlMs: 1, result: null }));
+    }
+
+    /**
+     * Counts a failed sign-in. `uid` is the account the email belongs to, if
+     * any: unknown emails are counted the same way (so responses don't reveal
+     * which addresses exist) but there is no account to lock. Resolves to
+     * { accountFailures, ipFailures, remainingAttempts, accountBlock, ipBlock }
+     * where the blocks are set when this failure triggered one.
+     */
+    async recordFailure({ email, uid = null, ip }) {
+        const { accountMaxFailures, ipMaxFailures } = this.config;
+        const accountFailures = await this.addFailure(this.accountKey(email));
+        const ipFailures = ip ? await this.addFailure(this.ipKey(ip)) : 0;
+
+        let accountBlock = null;
+        let ipBlock = null;
+
+        if (accountFailures >= accountMaxFailures) {
+            if (uid) {
+                accountBlock = await this.lockAccount(uid, accountFailures);
+            }
+            await this.clear(this.accountKey(email));
+        }
+        if (ip && ipFailures >= ipMaxFailures) {
+            ipBlock = await this.blockIP(ip, ipFailures);
+            await this.clear(this.ipKey(ip));
+        }
+
+        return {
+            accountFailures,
+            ipFailures,
+            remainingAttempts: Math.max(0, Math.min(
+                accountMaxFailures - accountFailures,
+                ip ? ipMaxFailures - ipFailures : Infinity
+            )),
+            accountBlock,
+            ipBlock
+        };
+    }
+
+    // A successful sign-in clears the account's failures; the IP's are kept
+    async recordSuccess(email) {
+        await this.clear(this.accountKey(email));
+    }
+
+    async lockAccount(uid, failures) {
+        try {
+            const block = await ipsService.blockUser(
+                uid,
+                `Brute force: ${failures} failed sign-ins`,
+                null,
+                { policy: this.config.accountPolicy }
+            );
+            console.log(`🔒 Account ${uid} locked until ${block.expiresAt.toISOString()} after ${failures} failed sign-ins`);
+            return block;
+        } catch (error) {
+            console.error(`Failed to lock account ${uid}:`, error.message);
+            return null;
+        }
+    }
+
+    // Allowlisted and already blocked IPs are left alone (blockIP refuses them)
+    async blockIP(ip, failures) {
+        try {
+            const block = await ipsService.blockIP(
+                ip,
+                `Brute force: ${failures} failed sign-ins`,
+                null,
+                { policy: this.config.ipPolicy }
+            );
+            console.log(`🚫 IP ${ip} blocked until ${block.expiresAt.toISOString()} after ${failures} failed sign-ins`);
+            return block;
+        } catch (error) {
+            console.error(`Failed to block IP ${ip}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new LoginGuard({ store: rateLimiter.store, config: authConfig.bruteForce });
+module.exports.LoginGuard = LoginGuard;
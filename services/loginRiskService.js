@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const geoip = require('geoip-lite');
+const { db } = require('../config/firebase');
+const loginRiskConfig = require('../config/loginRisk');
+const idsService = require('./idsService');
+const ipsService = require('./ipsService');
+
+const EARTH_RADIUS_KM = 6371;
+// Clock skew allowed between Firebase's auth_time and ours
+const AUTH_TIME_SKEW_MS = 60000;
+
+class StepUpError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StepUpError';
+        this.status = status;
+    }
+}
+
+// Great-circle distance between two [lat, lon] pairs
+function distanceKm([lat1, lon1], [lat2, lon2]) {
+    const rad = degrees => degrees * Math.PI / 180;
+    const dLat = rad(lat2 - lat1);
+    const dLon = rad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Scores successful sign-ins against the user's login history: impossible
+ * travel since the previous login, a country or device not seen before,
+ * and IPs that have recently been blocked. Risky logins become ids_alerts;
+ * above stepUpThreshold they are refused with a challenge that the user
+ * completes by signing in with a second factor.
+ */
+class LoginRiskService {
+    constructor(config) {
+        this.config = config;
+        this.collection = db.collection(config.collection);
+        this.stepUps = db.collection(config.stepUpCollection);
+    }
+
+    deviceFingerprint(headers) {
+        const deviceId = headers[this.config.deviceIdHeader];
+        const source = deviceId
+            ? `id:${deviceId}`
+            : `ua:${(headers['user-agent'] || '').replace(/[\d._]+/g, '').replace(/\s+/g, ' ').trim()}|${headers['accept-language'] || ''}`;
+        return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+    }
+
+    describeLogin(ip, headers) {
+        const geo = ip ? geoip.lookup(ip) : null;
+        return {
+            at: new Date().toISOString(),
+            ip,
+            country: geo ? geo.country || null : null,
+            city: geo ? geo.city || null : null,
+            ll: geo && Array.isArray(geo.ll) ? geo.ll : null,
+            device: this.deviceFingerprint(headers),
+            userAgent: headers['user-agent'] || null
+        };
+    }
+
+    async getHistory(uid) {
+        const doc = await this.collection.doc(uid).get();
+        return doc.exists ? doc.data() : { logins: [], countries: [], devices: [] };
+    }
+
+    checkTravel(previous, login) {
+        if (!previous || !previous.ll || !login.ll) return null;
+
+        const km = distanceKm(previous.ll, login.ll);
+        const hours = Math.max((new Date(login.at) - new Date(previous.at)) / 3600000, 1 / 60);
+        const speedKmh = km / hours;
+        const { maxSpeedKmh, minDistanceKm } = this.config.impossibleTravel;
+
+        if (km < minDistanceKm || speedKmh <= maxSpeedKmh) return null;
+        return {
+            from: { ip: previous.ip, country: previous.country, city: previous.city, at: previous.at },
+            distanceKm: Math.round(km),
+            hours: Math.round(hours * 100) / 100,
+            speedKmh: Math.round(speedKmh)
+        };
+    }
+
+    // Blocks of the IP within offenseWindowMs; /authenticate refuses IPs that are blocked right now
+    async checkBlocklist(ip) {
+        if (!ip) return null;
+
+        const offenses = await ipsService.getOffenses('ip', ip);
+        const since = Date.now() - this.config.offenseWindowMs;
+        const recent = offenses ? offenses.history.filter(offense => offense.at.getTime() >= since) : [];
+        if (recent.length === 0) return null;
+        return { offenseCount: recent.length, lastOffenseAt: recent[recent.length - 1].at.toISOString() };
+    }
+
+    /**
+     * Works out the risk of a login without recording it. Resolves to
+     * { score, severity, signals, stepUp, login, firstLogin }; each signal is
+     * { type, score, ...details }. The first login of a user has nothing to
+     * compare against, so it can only raise the blocklist signal.
+     */
+    async assess(uid, ip, headers) {
+        const { weights } = this.config;
+        const login = this.describeLogin(ip, headers);
+        const history = await this.getHistory(uid);
+        const firstLogin = history.logins.length === 0;
+        const signals = [];
+
+        const travel = this.checkTravel(history.logins[history.logins.length - 1], login);
+        if (travel) {
+            signals.push({ type: 'impossible_travel', score: weights.impossible_travel, ...travel });
+        }
+        if (!firstLogin && login.country && !history.countries.includes(login.country)) {
+            signals.push({ type: 'new_country', score: weights.new_country, country: login.country, known: history.countries });
+        }
+        if (!firstLogin && !history.devices.includes(login.device)) {
+            signals.push({ type: 'new_device', score: weights.new_device, device: login.device, userAgent: login.userAgent });
+        }
+        const listed = await this.checkBlocklist(ip);
+        if (listed) {
+            signals.push({ type: 'blocklisted_ip', score: weights.blocklisted_ip, ...listed });
+        }
+
+        const score = Math.min(100, signals.reduce((total, signal) => total + signal.score, 0));
+        const { stepUpThreshold } = this.config;
+
+        return {
+            score,
+            severity: Math.max(1, Math.min(10, Math.ceil(score / 10))),
+            signals,
+            stepUp: Boolean(stepUpThreshold) && score >= stepUpThreshold,
+            login,
+            firstLogin
+        };
+    }
+
+    // Adds a login to the user's history, remembering its country and device
+    async record(uid, login) {
+        const ref = this.collection.doc(uid);
+        const remember = (list, value) => (value && !list.includes(value)
+            ? [...list, value].slice(-this.config.knownLimit)
+            : list);
+
+        await db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            const history = doc.exists ? doc.data() : {};
+
+            transaction.set(ref, {
+                uid,
+                logins: [...(history.logins || []), login].slice(-this.config.historyLimit),
+                countries: remember(history.countries || [], login.country),
+                devices: remember(history.devices || [], login.device),
+                lastLoginAt: login.at
+            });
+        });
+    }
+
+    buildAlert(uid, email, assessment, action) {
+        const { login, signals, score, severity } = assessment;
+        const where = [login.city, login.country].filter(Boolean).join(', ') || 'unknown location';
+
+        return {
+            timestamp: login.at,
+            src_ip: login.ip,
+            msg: `Login risk: ${signals.map(signal => signal.type).join(', ')} for ${email || uid} from ${where} (score ${score})`,
+            protocol: 'http',
+            alert_type: 'login_anomaly',
+            source: 'login_risk',
+            severity,
+            details: {
+                user: uid,
+                email: email || null,
+                score,
+                action,
+                signals,
+                country: login.country,
+                city: login.city,
+                device: login.device,
+                userAgent: login.userAgent
+            }
+        };
+    }
+
+    /**
+     * Assesses a successful sign-in, writes an alert when it is risky and,
+     * unless step-up is required, adds it to the history. A login refused for
+     * step-up is held as a challenge (assessment.challengeId) and only
+     * remembered once the step-up is completed.
+     */
+    async evaluate({ uid, email, ip, headers }) {
+        const assessment = await this.assess(uid, ip, headers);
+
+        if (assessment.score >= this.config.alertThreshold && assessment.signals.length > 0) {
+            const action = assessment.stepUp ? 'step_up_required' : 'allowed';
+            await idsService.processAlert(this.buildAlert(uid, email, assessment, action));
+        }
+        if (assessment.stepUp) {
+            assessment.challengeId = await this.createStepUp(uid, email, assessment);
+        } else {
+            await this.record(uid, assessment.login);
+        }
+        return assessment;
+    }
+
+    async createStepUp(uid, email, assessment) {
+        const ref = this.stepUps.doc(crypto.randomBytes(16).toString('hex'));
+        const createdAt = new Date();
+        await ref.set({
+            uid,
+            email: email || null,
+            login: assessment.login,
+            score: assessment.score,
+            signals: assessment.signals.map(signal => signal.type),
+            status: 'pending',
+            createdAt,
+            expiresAt: new Date(createdAt.getTime() + this.config.stepUpTtlMs),
+            completedAt: null,
+            method: null
+        });
+        return ref.id;
+    }
+
+    /**
+     * Completes a pending step-up for uid once a second factor was proven at
+     * authTime (after the challenge was issued), and adds the held login to
+     * the history so the same country and device are known from now on.
+     * Each challenge can be used once. Resolves to the challenge.
+     */
+    async completeStepUp(challengeId, { uid, method, authTime }) {
+        const ref = this.stepUps.doc(challengeId);
+
+        const challenge = await db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            const data = doc.exists ? doc.data() : null;
+            // Someone else's challenge looks the same as a missing one
+            if (!data || data.uid !== uid) throw new StepUpError('Unknown step-up challenge', 404);
+            if (data.status !== 'pending') throw new StepUpError('Step-up challenge already used', 409);
+
+            const createdAt = toDate(data.createdAt);
+            if (toDate(data.expiresAt) <= new Date()) throw new StepUpError('Step-up challenge expired, sign in again', 410);
+            if (authTime.getTime() < createdAt.getTime() - AUTH_TIME_SKEW_MS) {
+                throw new StepUpError('The second factor must be verified after the challenge was issued', 401);
+            }
+
+            transaction.update(ref, { status: 'completed', completedAt: new Date(), method });
+            return data;
+        });
+
+        await this.record(uid, challenge.login);
+        return challenge;
+    }
+}
+
+function toDate(value) {
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+module.exports = new LoginRiskService(loginRiskConfig);
+module.exports.distanceKm = distanceKm;
+module.exports.StepUpError = StepUpError;
@@ -0,0 +1,101 @@
+const nodemailer = require('nodemailer');
+const { admin } = require('../config/firebase');
+
+/**
+ * Channel types. Each takes the channel settings and a message with
+ * render(escape) -> { subject, text } and delivers it, rejecting on any
+ * failure so the notification service can retry. `fields` lists the
+ * settings that are safe to show through the API (webhook URLs often embed
+ * a token, so they are not).
+ */
+
+const escapeHtml = value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Slack only treats &, < and > as control characters
+const escapeSlack = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+async function postJson(url, body, { headers = {}, timeout }) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) {
+        throw new Error(`${new URL(url).host} answered ${response.status}`);
+    }
+}
+
+const transports = new Map();
+
+const smtp = {
+    fields: ['host', 'port', 'from', 'to'],
+
+    async send(channel, message) {
+        if (!transports.has(channel.name)) {
+            transports.set(channel.name, nodemailer.createTransport({
+                host: channel.host,
+                port: channel.port || 587,
+                secure: Boolean(channel.secure),
+                auth: channel.user ? { user: channel.user, pass: channel.pass } : undefined
+            }));
+        }
+
+        const plain = message.render();
+        const html = message.render(escapeHtml);
+        await transports.get(channel.name).sendMail({
+            from: channel.from,
+            to: channel.to,
+            subject: plain.subject,
+            text: plain.text,
+            html: `<h2>${html.subject}</h2>\n<p>${html.text.replace(/\n/g, '<br>\n')}</p>`
+        });
+    }
+};
+
+// Generic JSON webhook: { kind, subject, text, alerts }
+const webhook = {
+    fields: [],
+
+    async send(channel, message, options) {
+        const { subject, text } = message.render();
+        await postJson(channel.url, { kind: message.kind, subject, text, alerts: message.alerts }, { ...options, headers: channel.headers });
+    }
+};
+
+// Slack (and Mattermost, Rocket.Chat ...) incoming webhook
+const slack = {
+    fields: [],
+
+    async send(channel, message, options) {
+        const { subject, text } = message.render(escapeSlack);
+        await postJson(channel.url, { text: `*${subject}*\n${text}` }, options);
+    }
+};
+
+// Firebase Cloud Messaging to the mobile app's topic; data values must be strings
+const fcm = {
+    fields: ['topic'],
+
+    async send(channel, message) {
+        const { subject, text } = message.render();
+        const severity = Math.max(...message.alerts.map(alert => Number(alert.severity) || 0));
+        await admin.messaging().send({
+            topic: channel.topic,
+            notification: { title: subject.slice(0, 200), body: text.slice(0, 1000) },
+            data: {
+                kind: message.kind,
+                severity: String(severity),
+                count: String(message.alerts.length),
+                alertId: String(message.alerts[0].id || '')
+            }
+        });
+    }
+};
+
+module.exports = { smtp, webhook, slack, fcm };
@@ -0,0 +1,229 @@
+const { db } = require('../config/firebase');
+const notificationsConfig = require('../config/notifications');
+const channelTypes = require('./notificationChannels');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends alert notifications to the configured channels. Each channel has a
+ * severity threshold and its own throttle window: the first alerts of a
+ * window go out one by one, the rest are summarized in a single digest when
+ * the window closes. Sends are retried with backoff; a message that still
+ * fails is stored in the dead-letter collection.
+ */
+class NotificationService {
+    constructor(config) {
+        this.config = config;
+        this.channels = config.channels.map(channel => this.validateChannel(channel));
+        // channel name -> { sent, pending: [alerts], startedAt, timer }
+        this.windows = new Map();
+    }
+
+    static registerChannelType(name, type) {
+        channelTypes[name] = type;
+    }
+
+    validateChannel(channel) {
+        const problems = [];
+        if (!channel.name) problems.push('name is required');
+        if (!channelTypes[channel.type]) problems.push(`unknown type "${channel.type}"`);
+        if ((channel.type === 'webhook' || channel.type === 'slack') && !channel.url) problems.push('url is required');
+        if (channel.type === 'smtp' && !(channel.host && channel.to && channel.to.length)) problems.push('host and to are required');
+        if (channel.type === 'fcm' && !channel.topic) problems.push('topic is required');
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid notification channel ${channel.name || JSON.stringify(channel)}: ${problems.join(', ')}`);
+        }
+        return { minSeverity: 0, enabled: true, ...channel };
+    }
+
+    // Fills {{path}} placeholders from context; missing values render empty
+    render(template, context, escape = value => value) {
+        return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+            const value = path.split('.').reduce((current, key) => (current == null ? current : current[key]), context);
+            if (value === undefined || value === null) return '';
+            return escape(value instanceof Date ? value.toISOString() : String(value));
+        });
+    }
+
+    buildMessage(channel, kind, context, alerts) {
+        const templates = { ...this.config.templates[kind], ...((channel.templates || {})[kind] || {}) };
+        return {
+            kind,
+            alerts,
+            render: escape => ({
+                subject: this.render(templates.subject, context, escape),
+                text: this.render(templates.text, context, escape)
+            })
+        };
+    }
+
+    digestContext(alerts) {
+        const byMessage = new Map();
+        for (const alert of alerts) {
+            const group = byMessage.get(alert.msg) || { count: 0, severity: 0, sources: new Set() };
+            group.count++;
+            group.severity = Math.max(group.severity, Number(alert.severity) || 0);
+            if (alert.src_ip) group.sources.add(alert.src_ip);
+            byMessage.set(alert.msg, group);
+        }
+
+        const summary = [...byMessage.entries()]
+            .sort((a, b) => b[1].count - a[1].count)
+            .map(([msg, group]) => {
+                const sources = [...group.sources];
+                const shown = sources.slice(0, 3).join(', ') + (sources.length > 3 ? ` and ${sources.length - 3} more` : '');
+                return `- ${msg} x${group.count} (severity up to ${group.severity}${shown ? `, from ${shown}` : ''})`;
+            })
+            .join('\n');
+
+        const times = alerts.map(alert => alert.timestamp).filter(Boolean).sort();
+        return {
+            count: alerts.length,
+            maxSeverity: Math.max(...alerts.map(alert => Number(alert.severity) || 0)),
+            from: times[0] || '',
+            to: times[times.length - 1] || '',
+            summary
+        };
+    }
+
+    /**
+     * Notifies every enabled channel whose threshold the alert meets (all
+     * channels with force). Deliveries run in the background, so a slow or
+     * dead channel never holds up the caller; failures end up in the
+     * dead-letter collection. Resolves to one outcome per channel:
+     * { channel, status: 'sending' | 'queued' | 'skipped' }. Never rejects.
+     */
+    async notify(alert, { force = false } = {}) {
+        const severity = Number(alert.severity) || 0;
+
+        return this.channels.map(channel => {
+            if (!channel.enabled || (!force && severity < channel.minSeverity)) {
+                return { channel: channel.name, status: 'skipped' };
+            }
+            if (!this.admit(channel, alert)) {
+                return { channel: channel.name, status: 'queued' };
+            }
+
+            this.deliver(channel, this.buildMessage(channel, 'alert', alert, [alert]))
+                .catch(error => console.error(`❌ Notification to ${channel.name} failed:`, error));
+            return { channel: channel.name, status: 'sending' };
+        });
+    }
+
+    // True when the alert may be sent now; otherwise it is held for the window's digest
+    admit(channel, alert) {
+        let window = this.windows.get(channel.name);
+        if (!window) {
+            window = { sent: 0, pending: [], startedAt: new Date() };
+            window.timer = setTimeout(() => this.closeWindow(channel), this.config.throttle.windowMs);
+            window.timer.unref();
+            this.windows.set(channel.name, window);
+        }
+
+        if (window.sent < this.config.throttle.maxPerWindow) {
+            window.sent++;
+            return true;
+        }
+        window.pending.push(alert);
+        return false;
+    }
+
+    async closeWindow(channel) {
+        const window = this.windows.get(channel.name);
+        this.windows.delete(channel.name);
+        if (!window || window.pending.length === 0) return;
+
+        const message = this.buildMessage(channel, 'digest', this.digestContext(window.pending), window.pending);
+        await this.deliver(channel, message);
+    }
+
+    /**
+     * Sends with retries. Resolves to { status: 'sent' } or, after the last
+     * attempt, { status: 'failed', error } with the message dead-lettered.
+     */
+    async deliver(channel, message) {
+        const { attempts, backoffMs } = this.config.retry;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                await channelTypes[channel.type].send(channel, message, { timeout: this.config.timeout });
+                return { status: 'sent', attempts: attempt };
+            } catch (error) {
+                lastError = error;
+                if (attempt < attempts) await sleep(backoffMs * 2 ** (attempt - 1));
+            }
+        }
+
+        console.error(`❌ Notification to ${channel.name} failed after ${attempts} attempts:`, lastError.message);
+        await this.deadLetter(channel, message, lastError, attempts);
+        return { status: 'failed', attempts, error: lastError.message };
+    }
+
+    async deadLetter(channel, message, error, attempts) {
+        const { subject, text } = message.render();
+        try {
+            await db.collection(this.config.deadLetterCollection).add({
+                channel: channel.name,
+                type: channel.type,
+                kind: message.kind,
+                subject,
+                text,
+                alertIds: message.alerts.map(alert => alert.id || null),
+                error: error.message,
+                attempts,
+                failedAt: new Date()
+            });
+        } catch (storeError) {
+            console.error('❌ Failed to store notification dead letter:', storeError);
+        }
+    }
+
+    // Sends a sample alert to one channel (or all), bypassing thresholds and throttling
+    async sendTest(name = null) {
+        const channels = this.channels.filter(channel => !name || channel.name === name);
+        if (name && channels.length === 0) return null;
+
+        const alert = {
+            id: null,
+            timestamp: new Date().toISOString(),
+            src_ip: '192.0.2.1',
+            dest_ip: '198.51.100.1',
+            msg: 'Test notification',
+            severity: 1,
+            alert_type: 'test'
+        };
+        return Promise.all(channels.map(async channel => ({
+            channel: channel.name,
+            ...(await this.deliver(channel, this.buildMessage(channel, 'alert', alert, [alert])))
+        })));
+    }
+
+    // Channel settings without credentials or webhook URLs, plus the current window
+    getChannels() {
+        return this.channels.map(channel => {
+            const window = this.windows.get(channel.name);
+            return {
+                name: channel.name,
+                type: channel.type,
+                enabled: channel.enabled,
+                minSeverity: channel.minSeverity,
+                ...Object.fromEntries(channelTypes[channel.type].fields.map(field => [field, channel[field]])),
+                window: window ? { startedAt: window.startedAt, sent: window.sent, pending: window.pending.length } : null
+            };
+        });
+    }
+
+    // Newest first
+    async getDeadLetters({ channel, limit = 100 } = {}) {
+        let query = db.collection(this.config.deadLetterCollection).orderBy('failedAt', 'desc');
+        if (channel) query = query.where('channel', '==', channel);
+
+        const snapshot = await query.limit(Math.min(parseInt(limit) || 100, 1000)).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+}
+
+module.exports = new NotificationService(notificationsConfig);
+module.exports.NotificationService = NotificationService;
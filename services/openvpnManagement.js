@@ -0,0 +1,261 @@
+const net = require('net');
+
+class ManagementError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ManagementError';
+    }
+}
+
+// Commands whose reply is a block of lines ending in END rather than one SUCCESS/ERROR line
+const MULTILINE_COMMANDS = ['status', 'version', 'help', 'log', 'state', 'echo'];
+
+/**
+ * Client for the OpenVPN management interface (a line-based TCP protocol).
+ * Connects, answers the password prompt and reconnects after
+ * reconnectInterval whenever the connection drops. Commands run one at a
+ * time. >CLIENT: notifications, which OpenVPN only sends with
+ * --management-client-auth, are collected with their ENV block and passed
+ * to handlers.client(event) as { type, cid, kid, env }; handlers.ready() runs
+ * after every (re)connect.
+ */
+class OpenVPNManagement {
+    constructor(config, handlers = {}) {
+        this.config = config;
+        this.handlers = handlers;
+        this.socket = null;
+        this.connected = false;
+        this.stopped = false;
+        this.buffer = '';
+        this.queue = [];
+        this.current = null;
+        this.pendingClient = null;
+        this.reconnectTimer = null;
+        this.unavailableLogged = false;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.destroy();
+    }
+
+    connect() {
+        const { host, port, timeout } = this.config;
+        this.buffer = '';
+        this.authenticated = !this.config.password;
+
+        const socket = net.createConnection({ host, port });
+        this.socket = socket;
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeout, () => socket.destroy(new ManagementError(`Timed out connecting to ${host}:${port}`)));
+
+        socket.on('connect', () => {
+            socket.setTimeout(0);
+            // Without a password the interface greets straight away
+            if (this.authenticated) this.onReady();
+        });
+        socket.on('data', data => this.onData(data));
+        socket.on('error', error => {
+            if (!this.unavailableLogged) {
+                console.warn(`⚠️ OpenVPN management unavailable (${error.message}), retrying every ${this.config.reconnectInterval / 1000}s`);
+                this.unavailableLogged = true;
+            }
+        });
+        socket.on('close', () => this.onClose(socket));
+    }
+
+    onReady() {
+        this.connected = true;
+        this.unavailableLogged = false;
+        console.log(`✅ Connected to OpenVPN management at ${this.config.host}:${this.config.port}`);
+        if (this.handlers.ready) {
+            Promise.resolve(this.handlers.ready()).catch(error => console.error('❌ VPN management ready handler failed:', error));
+        }
+    }
+
+    onClose(socket) {
+        if (socket !== this.socket) return;
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.socket = null;
+        this.pendingClient = null;
+
+        const error = new ManagementError('OpenVPN management connection closed');
+        if (this.current) {
+            clearTimeout(this.current.timer);
+            this.current.reject(error);
+        }
+        this.current = null;
+        this.queue.splice(0).forEach(command => command.reject(error));
+
+        if (wasConnected) console.warn('⚠️ OpenVPN management connection lost');
+        if (!this.stopped) {
+            this.reconnectTimer = setTimeout(() => this.connect(), this.config.reconnectInterval);
+            this.reconnectTimer.unref();
+        }
+    }
+
+    onData(data) {
+        this.buffer += data;
+
+        // The password prompt isn't newline-terminated
+        if (!this.authenticated && this.buffer.startsWith('ENTER PASSWORD:')) {
+            this.buffer = this.buffer.slice('ENTER PASSWORD:'.length);
+            this.socket.write(`${this.config.password}\n`);
+        }
+
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(newline + 1);
+            this.onLine(line);
+        }
+    }
+
+    onLine(line) {
+        if (!this.authenticated) {
+            if (line.startsWith('SUCCESS:')) {
+                this.authenticated = true;
+                return this.onReady();
+            }
+            if (line.startsWith('ERROR:')) {
+                console.error(`❌ OpenVPN management rejected the password: ${line}`);
+                return this.socket.destroy();
+            }
+            return;
+        }
+
+        if (line.startsWith('>')) return this.onNotification(line.slice(1));
+        if (!this.current) return;
+
+        if (this.current.multiline) {
+            if (line === 'END') return this.finish(null, this.current.lines);
+            if (line.startsWith('ERROR:') && this.current.lines.length === 0) return this.finish(new ManagementError(line.slice(6).trim()));
+            this.current.lines.push(line);
+        } else if (line.startsWith('SUCCESS:')) {
+            this.finish(null, line.slice(8).trim());
+        } else if (line.startsWith('ERROR:')) {
+            this.finish(new ManagementError(line.slice(6).trim()));
+        }
+    }
+
+    onNotification(line) {
+        const separator = line.indexOf(':');
+        const source = line.slice(0, separator);
+        const payload = line.slice(separator + 1);
+        if (source !== 'CLIENT') return;
+
+        const [type, ...args] = payload.split(',');
+        if (type === 'ENV') {
+            if (!this.pendingClient) return;
+            const entry = args.join(',');
+            if (entry === 'END') {
+                const event = this.pendingClient;
+                this.pendingClient = null;
+                if (this.handlers.client) {
+                    Promise.resolve(this.handlers.client(event)).catch(error => console.error('❌ VPN client event handler failed:', error));
+                }
+                return;
+            }
+            const equals = entry.indexOf('=');
+            this.pendingClient.env[entry.slice(0, equals)] = entry.slice(equals + 1);
+            return;
+        }
+
+        // CONNECT, REAUTH, ESTABLISHED and DISCONNECT are followed by an ENV block; ADDRESS is not
+        if (['CONNECT', 'REAUTH', 'ESTABLISHED', 'DISCONNECT'].includes(type)) {
+            this.pendingClient = { type: type.toLowerCase(), cid: args[0], kid: args[1] || null, env: {} };
+        }
+    }
+
+    finish(error, result) {
+        const command = this.current;
+        this.current = null;
+        clearTimeout(command.timer);
+        if (error) {
+            command.reject(error);
+        } else {
+            command.resolve(result);
+        }
+        this.next();
+    }
+
+    next() {
+        if (this.current || this.queue.length === 0 || !this.connected) return;
+        const command = this.queue.shift();
+        this.current = command;
+        // A late reply would be taken for the next command's, so start over on a new connection
+        command.timer = setTimeout(() => this.socket.destroy(new ManagementError(`Timed out waiting for "${command.text}"`)), this.config.timeout);
+        this.socket.write(`${command.text}\n`);
+    }
+
+    /**
+     * Runs a management command. Resolves to the SUCCESS message, or to the
+     * reply lines for commands that answer with an END-terminated block.
+     */
+    command(text) {
+        if (!this.connected) {
+            return Promise.reject(new ManagementError('Not connected to OpenVPN management'));
+        }
+        return new Promise((resolve, reject) => {
+            const multiline = MULTILINE_COMMANDS.includes(text.split(' ')[0]);
+            this.queue.push({ text, multiline, lines: [], resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * Connected clients from `status 3`, keyed by the HEADER row so extra
+     * columns in newer OpenVPN versions don't shift the fields.
+     */
+    async getStatus() {
+        const lines = await this.command('status 3');
+        let columns = null;
+        const clients = [];
+
+        for (const line of lines) {
+            const fields = line.split('\t');
+            if (fields[0] === 'HEADER' && fields[1] === 'CLIENT_LIST') {
+                columns = fields.slice(2);
+            } else if (fields[0] === 'CLIENT_LIST' && columns) {
+                const row = Object.fromEntries(columns.map((column, index) => [column, fields[index + 1]]));
+                clients.push({
+                    commonName: row['Common Name'],
+                    realAddress: row['Real Address'],
+                    virtualAddress: row['Virtual Address'] || null,
+                    clientId: row['Client ID'] || null,
+                    connectedSince: new Date(parseInt(row['Connected Since (time_t)']) * 1000),
+                    bytesReceived: parseInt(row['Bytes Received']) || 0,
+                    bytesSent: parseInt(row['Bytes Sent']) || 0
+                });
+            }
+        }
+        return clients;
+    }
+
+    // Disconnects every session of a common name
+    killClient(commonName) {
+        if (!/^[^\s"\\]+$/.test(commonName)) {
+            return Promise.reject(new ManagementError(`Invalid common name: ${commonName}`));
+        }
+        return this.command(`kill ${commonName}`);
+    }
+
+    // Answers a CONNECT / REAUTH notification (--management-client-auth)
+    authorizeClient(cid, kid) {
+        return this.command(`client-auth-nt ${cid} ${kid}`);
+    }
+
+    denyClient(cid, kid, reason) {
+        return this.command(`client-deny ${cid} ${kid} "${reason.replace(/["\\]/g, '')}"`);
+    }
+}
+
+module.exports = OpenVPNManagement;
+module.exports.ManagementError = ManagementError;
@@ -0,0 +1,83 @@
+const authConfig = require('../config/auth');
+
+// Identity Toolkit error codes (message prefix) -> outcome reported to the caller
+const signInErrors = {
+    EMAIL_NOT_FOUND: 'invalid_credentials',
+    INVALID_PASSWORD: 'invalid_credentials',
+    INVALID_LOGIN_CREDENTIALS: 'invalid_credentials',
+    INVALID_EMAIL: 'invalid_credentials',
+    MISSING_PASSWORD: 'invalid_credentials',
+    USER_DISABLED: 'user_disabled',
+    TOO_MANY_ATTEMPTS_TRY_LATER: 'too_many_attempts'
+};
+
+/**
+ * Checks email/password pairs with the Identity Toolkit signInWithPassword
+ * endpoint. Any object with the same verify(email, password) method can
+ * stand in for it (see PasswordVerifier.register), which is how the route
+ * is exercised against a local fake.
+ *
+ * verify resolves to { valid: true, uid, email, idToken, refreshToken } or
+ * { valid: false, reason } with reason invalid_credentials, user_disabled
+ * or too_many_attempts. Transport and configuration problems reject.
+ */
+class IdentityToolkitVerifier {
+    constructor({ apiKey, baseUrl, timeout = 10000 }) {
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    async verify(email, password) {
+        if (!this.apiKey) {
+            throw new Error('API_KEY is not configured');
+        }
+
+        const response = await fetch(`${this.baseUrl}/v1/accounts:signInWithPassword?key=${encodeURIComponent(this.apiKey)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password, returnSecureToken: true }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+            return {
+                valid: true,
+                uid: data.localId,
+                email: data.email || email,
+                idToken: data.idToken,
+                refreshToken: data.refreshToken || null
+            };
+        }
+
+        // Messages look like "INVALID_PASSWORD" or "TOO_MANY_ATTEMPTS_TRY_LATER : Access ..."
+        const code = ((data.error && data.error.message) || '').split(':')[0].trim();
+        const reason = signInErrors[code];
+        if (!reason) {
+            throw new Error(`signInWithPassword failed with ${response.status}: ${code || 'unknown error'}`);
+        }
+        return { valid: false, reason, code };
+    }
+}
+
+const backends = {
+    'identity-toolkit': config => new IdentityToolkitVerifier(config)
+};
+
+const PasswordVerifier = {
+    create(config = authConfig.passwordVerifier) {
+        const createBackend = backends[config.backend];
+        if (!createBackend) {
+            throw new Error(`Unknown password verifier backend: ${config.backend}`);
+        }
+        return createBackend(config);
+    },
+
+    register(name, factory) {
+        backends[name] = factory;
+    }
+};
+
+module.exports = PasswordVerifier;
+module.exports.IdentityToolkitVerifier = IdentityToolkitVerifier;
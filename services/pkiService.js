@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const schedule = require('node-schedule');
+const { db } = require('../config/firebase');
+const vpnConfig = require('../config/vpn');
+const x509 = require('./x509');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PKIError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PKIError';
+        this.status = status;
+    }
+}
+
+function toDate(value) {
+    if (!value) return null;
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+}
+
+/**
+ * Certificate authority for VPN client certificates. Files follow the
+ * easy-rsa layout (pki/ca.crt, pki/private/<name>.key, pki/issued/<name>.crt)
+ * so an existing easy-rsa CA can be used as is; every certificate issued
+ * here is tracked in Firestore by serial with its status and expiry, and the
+ * CRL OpenVPN checks (crl-verify) is rebuilt from the revoked ones.
+ */
+class PKIService {
+    constructor(config, serverConfig, securityConfig) {
+        this.config = config;
+        this.dir = path.join(serverConfig.certificatesDir, 'pki');
+        this.crlFile = serverConfig.crlFile;
+        this.tlsKeyFile = serverConfig.tlsAuthFile;
+        this.validDays = securityConfig.certValidDays;
+        this.certificates = db.collection(config.collection);
+        this.ca = null;
+        this.caLoading = null;
+        this.crlGeneration = null;
+        this.crlGenerationPending = false;
+
+        // Keeps the CRL from expiring; skipped until a CA exists
+        schedule.scheduleJob(config.crlSchedule, async () => {
+            try {
+                if (await this.hasCA()) await this.generateCRL();
+            } catch (error) {
+                console.error('❌ Failed to refresh VPN CRL:', error);
+            }
+        });
+    }
+
+    get caCertFile() {
+        return path.join(this.dir, 'ca.crt');
+    }
+
+    get caKeyFile() {
+        return path.join(this.dir, 'private', 'ca.key');
+    }
+
+    paths(username) {
+        return {
+            cert: path.join(this.dir, 'issued', `${username}.crt`),
+            key: path.join(this.dir, 'private', `${username}.key`)
+        };
+    }
+
+    async hasCA() {
+        try {
+            await fs.access(this.caCertFile);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Writes through a temporary file so OpenVPN never reads a partial file; the
+    // temporary name is unique so concurrent writes of the same file don't collide
+    async writeFile(file, content, mode = 0o644) {
+        await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+        const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            await fs.writeFile(tmpFile, content, { mode });
+            await fs.rename(tmpFile, file);
+        } catch (error) {
+            await fs.unlink(tmpFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    // Concurrent first uses share one load, so only one CA is ever created
+    loadCA() {
+        if (this.ca) return Promise.resolve(this.ca);
+
+        if (!this.caLoading) {
+            this.caLoading = this.readCA().finally(() => {
+                this.caLoading = null;
+            });
+        }
+        return this.caLoading;
+    }
+
+    async readCA() {
+        if (!(await this.hasCA())) {
+            if (!this.config.autoCreateCA) {
+                throw new PKIError(`No CA certificate at ${this.caCertFile}`, 503);
+            }
+            await this.createCA();
+        }
+
+        const certificate = await fs.readFile(this.caCertFile, 'utf8');
+        const privateKey = crypto.createPrivateKey(await fs.readFile(this.caKeyFile, 'utf8'));
+        const { subject, subjectKeyId } = x509.parseCertificate(certificate);
+        this.ca = { certificate, name: subject, keyId: subjectKeyId, privateKey };
+        return this.ca;
+    }
+
+    async createCA() {
+        const { publicKey, privateKey } = await this.generateKeys();
+        const now = new Date();
+        const certificate = x509.createCertificate({
+            serial: this.generateSerial(),
+            subject: { commonName: this.config.caCommonName, organizationName: this.config.organization },
+            publicKey,
+            privateKey,
+            notBefore: now,
+            notAfter: new Date(now.getTime() + this.config.caValidDays * DAY_MS),
+            ca: true
+        });
+
+        await this.writeFile(this.caKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), 0o600);
+        await this.writeFile(this.caCertFile, certificate);
+        console.log(`🔐 Created VPN certificate authority "${this.config.caCommonName}" in ${this.dir}`);
+    }
+
+    generateKeys() {
+        return this.config.keyType === 'rsa'
+            ? generateKeyPair('rsa', { modulusLength: this.config.rsaKeySize })
+            : generateKeyPair('ec', { namedCurve: 'prime256v1' });
+    }
+
+    // 128 random bits, kept positive and without a leading zero byte
+    generateSerial() {
+        const serial = crypto.randomBytes(16);
+        serial[0] = (serial[0] & 0x7f) | 0x40;
+        return serial.toString('hex').toUpperCase();
+    }
+
+    /**
+     * Issues a client certificate and key for username (its common name).
+     * Certificates the user already had are revoked as superseded, so this
+     * is also how renewal works. Resolves to the certificate record.
+     */
+    async issueClientCertificate(username) {
+        const ca = await this.loadCA();
+        const { publicKey, privateKey } = await this.generateKeys();
+        const serial = this.generateSerial();
+        // Backdated a little for clients with a slow clock
+        const notBefore = new Date(Date.now() - 5 * 60 * 1000);
+        const notAfter = new Date(notBefore.getTime() + this.validDays * DAY_MS);
+
+        const certificate = x509.createCertificate({
+            serial,
+            subject: { commonName: username, organizationName: this.config.organization },
+            publicKey,
+            issuer: ca,
+            notBefore,
+            notAfter
+        });
+
+        const previous = await this.getValidCertificates(username);
+        const files = this.paths(username);
+        await this.writeFile(files.key, privateKey.export({ type: 'pkcs8', format: 'pem' }), 0o600);
+        await this.writeFile(files.cert, certificate);
+
+        const record = {
+            serial,
+            username,
+            status: 'valid',
+            notBefore,
+            notAfter,
+            fingerprint: new crypto.X509Certificate(certificate).fingerprint256,
+            issuedAt: new Date(),
+            revokedAt: null,
+            revocationReason: null,
+            replacedBy: null
+        };
+        await this.certificates.doc(serial).set(record);
+
+        if (previous.length > 0) {
+            await this.markRevoked(previous, 'superseded', { replacedBy: serial });
+            await this.generateCRL();
+        }
+        return record;
+    }
+
+    async getValidCertificates(username) {
+        const snapshot = await this.certificates
+            .where('username', '==', username)
+            .where('status', '==', 'valid')
+            .get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async markRevoked(records, reason, extra = {}) {
+        const batch = db.batch();
+        const revokedAt = new Date();
+        for (const record of records) {
+            batch.update(this.certificates.doc(record.serial), { status: 'revoked', revokedAt, revocationReason: reason, ...extra });
+        }
+        await batch.commit();
+    }
+
+    validateReason(reason) {
+        if (x509.REVOCATION_REASONS[reason] === undefined) {
+            throw new PKIError(`Unknown revocation reason: ${reason} (expected ${Object.keys(x509.REVOCATION_REASONS).join(', ')})`);
+        }
+        return reason;
+    }
+
+    /**
+     * Revokes every valid certificate of username, deletes its private key
+     * and rebuilds the CRL. reason is an RFC 5280 CRLReason name. Resolves to
+     * the revoked serials.
+     */
+    async revokeCertificates(username, reason = 'cessationOfOperation') {
+        this.validateReason(reason);
+
+        const records = await this.getValidCertificates(username);
+        if (records.length > 0) {
+            await this.markRevoked(records, reason);
+            await this.generateCRL();
+        }
+        await fs.unlink(this.paths(username).key).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+        return records.map(record => record.serial);
+    }
+
+    /**
+     * Rebuilds crl.pem from the revoked certificates that haven't expired
+     * yet, with the next CRL number (kept in pki/crlnumber like easy-rsa).
+     * One rebuild runs at a time; calls made while one is running share a
+     * single rerun, so no revocation is missed and no CRL number is reused.
+     * Resolves to the last rebuild's { crlNumber, revoked, thisUpdate, nextUpdate }.
+     */
+    generateCRL() {
+        if (this.crlGeneration) {
+            this.crlGenerationPending = true;
+            return this.crlGeneration;
+        }
+
+        this.crlGeneration = (async () => {
+            let result;
+            let failure;
+            do {
+                this.crlGenerationPending = false;
+                try {
+                    result = await this.writeCRL();
+                    failure = null;
+                } catch (error) {
+                    failure = error;
+                }
+            } while (this.crlGenerationPending);
+
+            if (failure) throw failure;
+            return result;
+        })().finally(() => {
+            this.crlGeneration = null;
+        });
+
+        return this.crlGeneration;
+    }
+
+    async writeCRL() {
+        const ca = await this.loadCA();
+        const now = new Date();
+
+        const snapshot = await this.certificates.where('status', '==', 'revoked').get();
+        const revoked = snapshot.docs
+            .map(doc => doc.data())
+            .filter(record => toDate(record.notAfter) > now)
+            .map(record => ({ serial: record.serial, revokedAt: toDate(record.revokedAt), reason: record.revocationReason }));
+
+        const numberFile = path.join(this.dir, 'crlnumber');
+        const current = await fs.readFile(numberFile, 'utf8').then(text => parseInt(text.trim(), 16)).catch(() => 0);
+        const crlNumber = (current || 0) + 1;
+        const nextUpdate = new Date(now.getTime() + this.config.crlValidDays * DAY_MS);
+
+        const crl = x509.createCRL({ issuer: ca, revoked, crlNumber, thisUpdate: now, nextUpdate });
+        await this.writeFile(this.crlFile, crl);
+        await this.writeFile(numberFile, `${crlNumber.toString(16).toUpperCase().padStart(2, '0')}\n`);
+
+        console.log(`📜 VPN CRL #${crlNumber} written with ${revoked.length} revoked certificate(s)`);
+        return { crlNumber, revoked: revoked.length, thisUpdate: now, nextUpdate };
+    }
+
+    /**
+     * PEMs for a client profile: { ca, cert, key }. A client without a key on
+     * disk (created before the built-in CA, or revoked) needs a renewal.
+     */
+    async getClientCredentials(username) {
+        const ca = await this.loadCA();
+        const files = this.paths(username);
+        try {
+            const [cert, key] = await Promise.all([fs.readFile(files.cert, 'utf8'), fs.readFile(files.key, 'utf8')]);
+            return { ca: ca.certificate, cert, key };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new PKIError(`No certificate and key for ${username}; renew the client to issue them`, 409);
+        }
+    }
+
+    /**
+     * The shared tls-crypt / tls-auth key (OpenVPN static key V1 format).
+     * Created like `openvpn --genkey secret` when missing; the server must be
+     * configured with the same file. Comment lines (which `openvpn --genkey`
+     * writes above the key) and CRLF line endings are dropped so the key
+     * can be inlined as is.
+     */
+    async getTLSKey() {
+        try {
+            const text = await fs.readFile(this.tlsKeyFile, 'utf8');
+            const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !/^[#;]/.test(line));
+            return `${lines.join('\n')}\n`;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (!this.config.autoCreateTLSKey) {
+            throw new PKIError(`No TLS key at ${this.tlsKeyFile}`, 503);
+        }
+
+        const lines = crypto.randomBytes(256).toString('hex').match(/.{32}/g);
+        const key = `-----BEGIN OpenVPN Static key V1-----\n${lines.join('\n')}\n-----END OpenVPN Static key V1-----\n`;
+        await this.writeFile(this.tlsKeyFile, key, 0o600);
+        console.log(`🔐 Created OpenVPN TLS key ${this.tlsKeyFile}`);
+        return key;
+    }
+
+    // Valid certificates expiring within `days`, soonest first
+    async getExpiring(days = this.config.expiringDays) {
+        const horizon = new Date(Date.now() + (parseInt(days) || this.config.expiringDays) * DAY_MS);
+        const snapshot = await this.certificates
+            .where('status', '==', 'valid')
+            .where('notAfter', '<=', horizon)
+            .orderBy('notAfter')
+            .get();
+        return snapshot.docs.map(doc => this.format(doc.data()));
+    }
+
+    format(record) {
+        return {
+            ...record,
+            notBefore: toDate(record.notBefore),
+            notAfter: toDate(record.notAfter),
+            issuedAt: toDate(record.issuedAt),
+            revokedAt: toDate(record.revokedAt)
+        };
+    }
+}
+
+module.exports = new PKIService(vpnConfig.pki, vpnConfig.server, vpnConfig.security);
+module.exports.PKIService = PKIService;
+module.exports.PKIError = PKIError;
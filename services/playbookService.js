@@ -0,0 +1,282 @@
+const { db } = require('../config/firebase');
+const playbooksConfig = require('../config/playbooks');
+const idsService = require('./idsService');
+const ipsService = require('./ipsService');
+const vpnService = require('./vpnService');
+const { VPNError } = require('./vpnService');
+const auditService = require('./auditService');
+const ipUtils = require('./ipUtils');
+
+/**
+ * Each action resolves its targets from the alert and returns a list of
+ * outcomes { status, target, detail }: status is 'done', 'skipped',
+ * 'failed' or, in dry-run mode, 'dry_run' for what would have been done.
+ */
+const actions = {
+    async block_ip({ action, alert, playbook, alertIds, dryRun, internalRanges }) {
+        const ip = ipUtils.normalizeIP(alert.src_ip);
+        if (!ip) return [{ status: 'skipped', target: null, detail: 'Alert has no valid src_ip' }];
+
+        const internal = playbook.allowInternal ? null : internalRanges.find(range => ipUtils.cidrContains(range, ip));
+        if (internal) return [{ status: 'skipped', target: ip, detail: `Internal address (${internal.notation})` }];
+
+        const allowed = await ipsService.getAllowlistEntry(ip);
+        if (allowed) return [{ status: 'skipped', target: ip, detail: `Allowlisted (${allowed.cidr})` }];
+        if (await ipsService.isIPBlocked(ip)) return [{ status: 'skipped', target: ip, detail: 'Already blocked' }];
+        if (dryRun) return [{ status: 'dry_run', target: ip, detail: 'Would block IP' }];
+
+        const block = await ipsService.blockIP(ip, `Playbook ${playbook.name}: ${alert.msg}`, action.durationMs || null, {
+            policy: action.policy || 'suspicious',
+            details: { source: 'playbook', playbook: playbook.name, alertIds }
+        });
+        return [{ status: 'done', target: ip, detail: `Blocked until ${block.expiresAt.toISOString()}` }];
+    },
+
+    async block_user({ action, alert, playbook, alertIds, dryRun }) {
+        const ip = ipUtils.normalizeIP(alert.src_ip);
+        if (!ip) return [{ status: 'skipped', target: null, detail: 'Alert has no valid src_ip' }];
+
+        const snapshot = await db.collection('users_ips').where('ip', '==', ip).get();
+        if (snapshot.empty) return [{ status: 'skipped', target: null, detail: `No user last seen at ${ip}` }];
+
+        const outcomes = [];
+        for (const doc of snapshot.docs) {
+            if (await ipsService.isUserBlocked(doc.id)) {
+                outcomes.push({ status: 'skipped', target: doc.id, detail: 'Already blocked' });
+            } else if (dryRun) {
+                outcomes.push({ status: 'dry_run', target: doc.id, detail: 'Would block user' });
+            } else {
+                const block = await ipsService.blockUser(doc.id, `Playbook ${playbook.name}: ${alert.msg}`, action.durationMs || null, {
+                    policy: action.policy || 'suspicious',
+                    details: { blockSource: 'playbook', blockPlaybook: playbook.name, blockAlertIds: alertIds }
+                });
+                outcomes.push({ status: 'done', target: doc.id, detail: `Blocked until ${block.expiresAt.toISOString()}` });
+            }
+        }
+        return outcomes;
+    },
+
+    async revoke_vpn_client({ alert, dryRun }) {
+        const ip = ipUtils.normalizeIP(alert.src_ip);
+        // Only VPN connection alerts name a common name; elsewhere details.user is a Firebase uid
+        const named = alert.details && alert.details.connection_type === 'OpenVPN' ? alert.details.user : null;
+        const connected = await vpnService.getAllConnectedClients();
+        const client = (named && { commonName: named }) ||
+            connected.find(item => ip && (ipUtils.normalizeIP(item.realAddress) === ip || ipUtils.normalizeIP(item.virtualAddress) === ip));
+
+        if (!client) return [{ status: 'skipped', target: null, detail: 'No VPN client for this alert' }];
+        if (dryRun) return [{ status: 'dry_run', target: client.commonName, detail: 'Would revoke VPN client' }];
+
+        try {
+            const { disconnected } = await vpnService.revokeClient(client.commonName);
+            return [{ status: 'done', target: client.commonName, detail: disconnected ? 'VPN client revoked and disconnected' : 'VPN client revoked' }];
+        } catch (error) {
+            // Unknown or already revoked clients leave nothing to do
+            if (error instanceof VPNError) return [{ status: 'skipped', target: client.commonName, detail: error.message }];
+            throw error;
+        }
+    },
+
+    async notify({ alert, playbook, alertIds, dryRun }) {
+        if (dryRun) return [{ status: 'dry_run', target: null, detail: 'Would send notification' }];
+
+        const results = await idsService.sendAlertNotification({
+            id: alertIds[alertIds.length - 1],
+            ...alert,
+            msg: `[Playbook ${playbook.name}] ${alert.msg}`
+        }, { force: true });
+        if (results.length === 0) return [{ status: 'skipped', target: null, detail: 'No notification channels configured' }];
+
+        const statuses = { sending: 'done', queued: 'done', skipped: 'skipped' };
+        const details = { sending: 'Sending (failures are dead-lettered)', queued: 'Held for the channel digest', skipped: 'Notification skipped' };
+        return results.map(result => ({
+            status: statuses[result.status],
+            target: result.channel,
+            detail: details[result.status]
+        }));
+    }
+};
+
+/**
+ * Response playbooks: listens to every stored IDS alert, matches it
+ * against the configured playbooks and runs their actions. Runs are
+ * stored in ids_playbook_runs and the audit log with the ids of the
+ * alerts that triggered them.
+ */
+class PlaybookService {
+    constructor(config) {
+        this.config = config;
+        this.playbooks = config.playbooks.map(playbook => this.validatePlaybook(playbook));
+        // playbook name -> src_ip -> [{ id, at }] of recent matching alerts
+        this.windows = new Map(this.playbooks.map(playbook => [playbook.name, new Map()]));
+        // `${playbook}|${src_ip}` -> time the playbook last fired
+        this.firedAt = new Map();
+        // playbook name (or 'cooldown') -> when its stale entries were last dropped
+        this.prunedAt = new Map();
+        this.internalRanges = (config.internalRanges || []).map(cidr => {
+            const range = ipUtils.parseCidr(cidr);
+            if (!range) throw new Error(`Invalid playbook internal range: ${cidr}`);
+            return range;
+        });
+
+        if (config.enabled) {
+            idsService.addAlertListener((id, alert) => this.handleAlert(id, alert));
+        }
+    }
+
+    static registerAction(name, action) {
+        actions[name] = action;
+    }
+
+    validatePlaybook(playbook) {
+        const problems = [];
+        if (!playbook.name) problems.push('name is required');
+        if (!Array.isArray(playbook.actions) || playbook.actions.length === 0) problems.push('actions are required');
+        (playbook.actions || []).forEach(action => {
+            if (!actions[action.type]) problems.push(`unknown action "${action.type}"`);
+        });
+
+        const match = playbook.match || {};
+        let msgPattern = null;
+        if (match.msgPattern) {
+            try {
+                msgPattern = new RegExp(match.msgPattern, 'i');
+            } catch (error) {
+                problems.push(`invalid msgPattern: ${error.message}`);
+            }
+        }
+        if (match.count && !(match.count.threshold > 0 && match.count.windowMs > 0)) {
+            problems.push('count needs a positive threshold and windowMs');
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid playbook ${playbook.name || JSON.stringify(playbook)}: ${problems.join(', ')}`);
+        }
+        return { ...playbook, match, msgPattern };
+    }
+
+    // Alert conditions other than count
+    matches(playbook, alert) {
+        const { match, msgPattern } = playbook;
+        const severity = Number(alert.severity) || 0;
+
+        if (match.minSeverity !== undefined && severity < match.minSeverity) return false;
+        if (match.maxSeverity !== undefined && severity > match.maxSeverity) return false;
+        if (match.sids && !match.sids.includes(alert.sid)) return false;
+        if (msgPattern && !msgPattern.test(alert.msg || '')) return false;
+        if (match.alertTypes && !match.alertTypes.includes(alert.alert_type || 'snort')) return false;
+        if (match.protocols && !match.protocols.includes(alert.protocol)) return false;
+        return true;
+    }
+
+    /**
+     * Adds the alert to the playbook's window for its source and returns the
+     * alert ids that trigger the playbook, or null while below the threshold.
+     */
+    countAlert(playbook, id, alert) {
+        const { count } = playbook.match;
+        if (!count) return [id];
+
+        const now = Date.now();
+        const bySource = this.windows.get(playbook.name);
+        // Sources that stayed below the threshold are dropped once their window has passed
+        this.prune(playbook.name, bySource, count.windowMs, items => items[items.length - 1].at);
+        const key = alert.src_ip || 'unknown';
+        const recent = (bySource.get(key) || []).filter(item => item.at > now - count.windowMs);
+        recent.push({ id, at: now });
+
+        if (recent.length < count.threshold) {
+            bySource.set(key, recent);
+            return null;
+        }
+        bySource.delete(key);
+        return recent.map(item => item.id);
+    }
+
+    // Deletes entries older than maxAgeMs, at most once per maxAgeMs
+    prune(name, entries, maxAgeMs, timeOf) {
+        const now = Date.now();
+        if (now - (this.prunedAt.get(name) || 0) < maxAgeMs) return;
+
+        this.prunedAt.set(name, now);
+        for (const [key, value] of entries) {
+            if (timeOf(value) <= now - maxAgeMs) entries.delete(key);
+        }
+    }
+
+    async handleAlert(id, alert) {
+        this.prune('cooldown', this.firedAt, this.config.cooldownMs, at => at);
+        for (const playbook of this.playbooks) {
+            if (!this.matches(playbook, alert)) continue;
+
+            const cooldownKey = `${playbook.name}|${alert.src_ip}`;
+            if (Date.now() - (this.firedAt.get(cooldownKey) || 0) < this.config.cooldownMs) continue;
+
+            const alertIds = this.countAlert(playbook, id, alert);
+            if (!alertIds) continue;
+
+            this.firedAt.set(cooldownKey, Date.now());
+            await this.run(playbook, alert, alertIds);
+        }
+    }
+
+    async run(playbook, alert, alertIds) {
+        const dryRun = this.config.dryRun || Boolean(playbook.dryRun);
+        const results = [];
+
+        for (const action of playbook.actions) {
+            try {
+                const outcomes = await actions[action.type]({ action, alert, playbook, alertIds, dryRun, internalRanges: this.internalRanges });
+                outcomes.forEach(outcome => results.push({ type: action.type, ...outcome }));
+            } catch (error) {
+                console.error(`❌ Playbook ${playbook.name} action ${action.type} failed:`, error.message);
+                results.push({ type: action.type, status: 'failed', target: null, detail: error.message });
+            }
+        }
+
+        const run = {
+            playbook: playbook.name,
+            timestamp: new Date().toISOString(),
+            src_ip: alert.src_ip || null,
+            alertIds,
+            triggerAlertId: alertIds[alertIds.length - 1],
+            alertMsg: alert.msg || null,
+            severity: alert.severity || null,
+            dryRun,
+            actions: results
+        };
+
+        const ref = await db.collection(this.config.runsCollection).add(run);
+        await auditService.record(null, {
+            action: dryRun ? 'ids.playbook.dry_run' : 'ids.playbook.run',
+            target: { type: 'ip', id: alert.src_ip || null },
+            after: { actions: results },
+            metadata: { playbook: playbook.name, run: ref.id, alertIds }
+        });
+
+        const done = results.filter(result => result.status === 'done' || result.status === 'dry_run');
+        console.log(`🤖 Playbook ${playbook.name}${dryRun ? ' (dry run)' : ''} for ${alert.src_ip}: ${done.map(result => `${result.type} ${result.target || ''}`.trim()).join(', ') || 'nothing to do'}`);
+        return { id: ref.id, ...run };
+    }
+
+    getPlaybooks() {
+        return this.playbooks.map(({ msgPattern, ...playbook }) => ({
+            ...playbook,
+            dryRun: this.config.dryRun || Boolean(playbook.dryRun)
+        }));
+    }
+
+    // Newest first; filters: playbook, ip, alertId, limit
+    async getRuns({ playbook, ip, alertId, limit = 100 } = {}) {
+        let query = db.collection(this.config.runsCollection).orderBy('timestamp', 'desc');
+        if (playbook) query = query.where('playbook', '==', playbook);
+        if (ip) query = query.where('src_ip', '==', ip);
+        if (alertId) query = query.where('alertIds', 'array-contains', alertId);
+
+        const snapshot = await query.limit(Math.min(parseInt(limit) || 100, 1000)).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+}
+
+module.exports = new PlaybookService(playbooksConfig);
+module.exports.PlaybookService = PlaybookService;
@@ -0,0 +1,108 @@
+const RespClient = require('./respClient');
+
+/**
+ * Rate limit state backends. A store only has to offer one atomic
+ * read-modify-write: update(key, mutate) loads the state saved under key
+ * (null when missing or expired), calls mutate(state) which returns
+ * { state, ttlMs, result }, saves the new state for ttlMs and resolves to
+ * result. mutate may be called more than once when a shared store retries
+ * a conflicting write, so it must not have side effects.
+ */
+
+// Single-process store; state is lost on restart and not shared between instances
+class MemoryStore {
+    constructor({ sweepInterval = 60000 } = {}) {
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), sweepInterval);
+        this.sweeper.unref();
+    }
+
+    async update(key, mutate) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+        const current = entry && entry.expiresAt > now ? entry.state : null;
+
+        const { state, ttlMs, result } = mutate(current);
+        this.entries.set(key, { state, expiresAt: now + ttlMs });
+        return result;
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+// Shared through Firestore transactions; expiresAt can back a TTL policy on the collection
+class FirestoreStore {
+    constructor({ db, collection = 'rate_limits' }) {
+        this.db = db;
+        this.collection = collection;
+    }
+
+    async update(key, mutate) {
+        const ref = this.db.collection(this.collection).doc(encodeURIComponent(key));
+
+        return this.db.runTransaction(async transaction => {
+            const doc = await transaction.get(ref);
+            const now = Date.now();
+            const data = doc.exists ? doc.data() : null;
+            const current = data && data.expiresAt.toMillis() > now ? data.state : null;
+
+            const { state, ttlMs, result } = mutate(current);
+            transaction.set(ref, { key, state, expiresAt: new Date(now + ttlMs) });
+            return result;
+        });
+    }
+}
+
+/**
+ * Shared through any Redis-compatible server using optimistic WATCH/MULTI/EXEC.
+ * The client only needs sendCommand(args); RespClient is used by default.
+ * WATCH is per connection, so updates on one client are run one at a time.
+ */
+class RedisStore {
+    constructor({ client, url, timeout, prefix = 'ratelimit:', maxRetries = 5 } = {}) {
+        this.client = client || new RespClient({ url, timeout });
+        this.prefix = prefix;
+        this.maxRetries = maxRetries;
+        this.queue = Promise.resolve();
+    }
+
+    update(key, mutate) {
+        const run = this.queue.then(() => this.transact(this.prefix + key, mutate));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async transact(key, mutate) {
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            await this.client.sendCommand(['WATCH', key]);
+
+            let raw;
+            let outcome;
+            try {
+                raw = await this.client.sendCommand(['GET', key]);
+                outcome = mutate(raw ? JSON.parse(raw) : null);
+            } catch (error) {
+                await this.client.sendCommand(['UNWATCH']).catch(() => {});
+                throw error;
+            }
+
+            await this.client.sendCommand(['MULTI']);
+            await this.client.sendCommand(['SET', key, JSON.stringify(outcome.state), 'PX', Math.ceil(outcome.ttlMs)]);
+            const committed = await this.client.sendCommand(['EXEC']);
+            if (committed !== null) return outcome.result;
+        }
+
+        throw new Error(`Rate limit state for ${key} kept changing, gave up after ${this.maxRetries} retries`);
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    FirestoreStore,
+    RedisStore
+};
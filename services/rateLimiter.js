@@ -0,0 +1,223 @@
+const { db } = require('../config/firebase');
+const rateLimitConfig = require('../config/rateLimit');
+const ipUtils = require('./ipUtils');
+const { MemoryStore, FirestoreStore, RedisStore } = require('./rateLimitStores');
+
+/**
+ * Algorithms take the stored state (null for a new key) and return the new
+ * state, the outcome of this request and how long the state must be kept.
+ */
+const algorithms = {
+    // Tokens refill continuously at limit/windowMs up to burst; each request takes one
+    'token-bucket': (state, now, rule) => {
+        const capacity = rule.burst || rule.limit;
+        const rate = rule.limit / rule.windowMs;
+        let tokens = state
+            ? Math.min(capacity, state.tokens + (now - state.updatedAt) * rate)
+            : capacity;
+
+        const allowed = tokens >= 1;
+        if (allowed) tokens -= 1;
+
+        return {
+            state: { tokens, updatedAt: now },
+            ttlMs: Math.ceil(capacity / rate),
+            result: {
+                allowed,
+                limit: capacity,
+                remaining: Math.floor(tokens),
+                resetMs: Math.ceil((capacity - tokens) / rate),
+                retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+            }
+        };
+    },
+
+    // Timestamps of the requests let through in the last windowMs
+    'sliding-window-log': (state, now, rule) => {
+        const log = (state ? state.log : []).filter(at => at > now - rule.windowMs);
+
+        const allowed = log.length < rule.limit;
+        if (allowed) log.push(now);
+
+        // The slot that frees up next once the window slides past it
+        const nextFree = log[Math.max(0, log.length - rule.limit)];
+        return {
+            state: { log },
+            ttlMs: rule.windowMs,
+            result: {
+                allowed,
+                limit: rule.limit,
+                remaining: Math.max(0, rule.limit - log.length),
+                resetMs: log.length > 0 ? log[0] + rule.windowMs - now : 0,
+                retryAfterMs: allowed ? 0 : nextFree + rule.windowMs - now
+            }
+        };
+    }
+};
+
+// What each rule counts requests against
+const keyResolvers = {
+    ip: req => ipUtils.normalizeIP(req.ip),
+    user: req => (req.user ? req.user.uid : null)
+};
+
+const storeFactories = {
+    memory: () => new MemoryStore(),
+    firestore: config => new FirestoreStore({ db, ...config.firestore }),
+    redis: config => new RedisStore(config.redis)
+};
+
+class RateLimiter {
+    constructor({ rules, store, failOpen = true }) {
+        this.rules = rules.map(rule => this.validateRule(rule));
+        this.store = store;
+        this.failOpen = failOpen;
+    }
+
+    static fromConfig(config) {
+        const createStore = storeFactories[config.store];
+        if (!createStore) {
+            throw new Error(`Unknown rate limit store: ${config.store}`);
+        }
+        return new RateLimiter({ rules: config.rules, store: createStore(config), failOpen: config.failOpen });
+    }
+
+    static registerAlgorithm(name, algorithm) {
+        algorithms[name] = algorithm;
+    }
+
+    static registerStore(name, factory) {
+        storeFactories[name] = factory;
+    }
+
+    validateRule(rule) {
+        const normalized = { algorithm: 'token-bucket', key: 'ip', path: '/', ...rule };
+        const problems = [];
+
+        if (!normalized.name) problems.push('name is required');
+        if (!algorithms[normalized.algorithm]) problems.push(`unknown algorithm "${normalized.algorithm}"`);
+        if (!keyResolvers[normalized.key]) problems.push(`unknown key "${normalized.key}"`);
+        if (!(normalized.limit > 0)) problems.push('limit must be a positive number');
+        if (!(normalized.windowMs > 0)) problems.push('windowMs must be a positive number');
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid rate limit rule ${normalized.name || JSON.stringify(rule)}: ${problems.join(', ')}`);
+        }
+
+        normalized.path = normalized.path.replace(/\/+$/, '') || '/';
+        normalized.methods = normalized.methods ? normalized.methods.map(method => method.toUpperCase()) : null;
+        return normalized;
+    }
+
+    matchingRules(req) {
+        const path = req.originalUrl.split('?')[0];
+
+        return this.rules.filter(rule => {
+            if (rule.methods && !rule.methods.includes(req.method)) return false;
+            return rule.path === '/' || path === rule.path || path.startsWith(`${rule.path}/`);
+        });
+    }
+
+    /**
+     * Counts the request against a single validated rule, which doesn't have
+     * to be configured (e.g. a limit attached to a geo policy). Resolves to
+     * null when the request has no value for the rule's key.
+     */
+    async checkRule(req, rule, now = Date.now()) {
+        const id = keyResolvers[rule.key](req);
+        if (!id) return null;
+
+        const result = await this.store.update(
+            `${rule.name}:${rule.key}:${id}`,
+            state => algorithms[rule.algorithm](state, now, rule)
+        );
+
+        return {
+            ...result,
+            rule: rule.name,
+            key: rule.key,
+            blockIP: Boolean(rule.blockIP),
+            policy: `${result.limit};w=${Math.ceil(rule.windowMs / 1000)}`
+        };
+    }
+
+    /**
+     * Counts the request against every matching rule it has a key for.
+     * Resolves to { allowed, results, limited } where limited is the result
+     * that should be reported (the exhausted rule that frees up last, or the
+     * rule closest to its limit).
+     */
+    async check(req) {
+        const now = Date.now();
+        const results = [];
+
+        for (const rule of this.matchingRules(req)) {
+            const result = await this.checkRule(req, rule, now);
+            if (result) results.push(result);
+        }
+
+        const denied = results.filter(result => !result.allowed);
+        const limited = denied.length > 0
+            ? denied.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+            : results.reduce((a, b) => (a && a.remaining <= b.remaining ? a : b), null);
+
+        return { allowed: denied.length === 0, results, limited };
+    }
+
+    // RateLimit-* headers as in the IETF httpapi ratelimit-headers draft, plus Retry-After on denial
+    setHeaders(res, outcome) {
+        const { limited, results } = outcome;
+        if (!limited) return;
+
+        res.set('RateLimit-Policy', results.map(result => result.policy).join(', '));
+        res.set('RateLimit-Limit', String(limited.limit));
+        res.set('RateLimit-Remaining', String(limited.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(limited.resetMs / 1000)));
+        if (!outcome.allowed) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil(limited.retryAfterMs / 1000))));
+        }
+    }
+
+    /**
+     * Checks the request and sets the headers. Returns the outcome, or null
+     * when the store failed and failOpen lets the request through.
+     */
+    async apply(req, res) {
+        try {
+            const outcome = await this.check(req);
+            this.setHeaders(res, outcome);
+            return outcome;
+        } catch (error) {
+            console.error('❌ Rate limit store error:', error);
+            if (this.failOpen) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Express middleware answering 429 when a limit is exhausted. onLimited
+     * (req, res, outcome) can take over the response instead.
+     */
+    middleware({ onLimited } = {}) {
+        return async (req, res, next) => {
+            let outcome;
+            try {
+                outcome = await this.apply(req, res);
+            } catch (error) {
+                return res.status(503).json({ error: 'Rate limiter unavailable' });
+            }
+
+            if (!outcome || outcome.allowed) return next();
+            if (onLimited) return onLimited(req, res, outcome);
+
+            res.status(429).json({
+                error: 'Too many requests',
+                rule: outcome.limited.rule,
+                retryAfter: Math.ceil(outcome.limited.retryAfterMs / 1000)
+            });
+        };
+    }
+}
+
+module.exports = RateLimiter.fromConfig(rateLimitConfig);
+module.exports.RateLimiter = RateLimiter;
@@ -0,0 +1,180 @@
+const { admin } = require('../config/firebase');
+const rbacConfig = require('../config/rbac');
+
+class RoleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RoleError';
+        this.status = status;
+    }
+}
+
+// '/api/ids/rules/:id' -> /^\/api\/ids\/rules\/[^/]+\/?$/
+function compilePath(pattern) {
+    const source = pattern
+        .split('/')
+        .map(segment => (segment.startsWith(':')
+            ? '[^/]+'
+            : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('/');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Roles live in the `roles` custom claim of the Firebase user, so they
+ * arrive with every verified ID token. Permissions are resolved from
+ * config/rbac.js, where each route is mapped to the permission it needs.
+ */
+class RBACService {
+    constructor(config) {
+        this.config = config;
+        this.permissionsByRole = this.resolveRoles(config.roles);
+        this.routes = config.routes.map(route => ({
+            ...route,
+            method: route.method.toUpperCase(),
+            regex: compilePath(route.path)
+        }));
+    }
+
+    // Flattens inheritance into a permission set per role
+    resolveRoles(roles) {
+        const resolved = {};
+        const resolve = (name, seen = []) => {
+            if (resolved[name]) return resolved[name];
+            if (seen.includes(name)) {
+                throw new Error(`Role inheritance cycle: ${[...seen, name].join(' -> ')}`);
+            }
+
+            const role = roles[name];
+            if (!role) throw new Error(`Unknown role ${name}`);
+
+            const permissions = new Set(role.permissions);
+            for (const parent of role.inherits || []) {
+                resolve(parent, [...seen, name]).forEach(permission => permissions.add(permission));
+            }
+            resolved[name] = permissions;
+            return permissions;
+        };
+
+        Object.keys(roles).forEach(name => resolve(name));
+        return resolved;
+    }
+
+    isRole(role) {
+        return Boolean(this.permissionsByRole[role]);
+    }
+
+    // Roles of a decoded ID token, including the configured default and bootstrap admins
+    rolesOf(user) {
+        const claimed = Array.isArray(user.roles) ? user.roles : [];
+        const roles = claimed.filter(role => this.isRole(role));
+
+        if (roles.length === 0 && this.config.defaultRole && this.isRole(this.config.defaultRole)) {
+            roles.push(this.config.defaultRole);
+        }
+        const bootstrap = this.config.bootstrapAdmins;
+        if (bootstrap.includes(user.uid) || (user.email && bootstrap.includes(user.email))) {
+            roles.push('admin');
+        }
+        return [...new Set(roles)];
+    }
+
+    permissionsOf(roles) {
+        const permissions = new Set();
+        roles.forEach(role => (this.permissionsByRole[role] || []).forEach(permission => permissions.add(permission)));
+        return permissions;
+    }
+
+    hasPermission(user, permission) {
+        const permissions = this.permissionsOf(this.rolesOf(user));
+        return permissions.has('*') || permissions.has(permission);
+    }
+
+    // Permission needed for a request; null when a valid token is enough
+    requiredPermission(method, path) {
+        const route = this.routes.find(candidate =>
+            (candidate.method === '*' || candidate.method === method) && candidate.regex.test(path));
+        return route ? route.permission : this.config.unmappedPermission;
+    }
+
+    /**
+     * Express middleware for routes behind manualAuth. Answers 403 naming the
+     * missing permission when the user's roles don't grant it.
+     */
+    authorize() {
+        return (req, res, next) => {
+            const path = req.originalUrl.split('?')[0];
+            const permission = this.requiredPermission(req.method, path);
+            if (permission === null || this.hasPermission(req.user, permission)) {
+                return next();
+            }
+
+            res.status(403).json({
+                error: `Missing permission: ${permission}`,
+                missingPermission: permission,
+                roles: this.rolesOf(req.user)
+            });
+        };
+    }
+
+    async getUserRoles(uid) {
+        const user = await admin.auth().getUser(uid);
+        const roles = (user.customClaims && user.customClaims.roles) || [];
+        return { uid, email: user.email || null, roles };
+    }
+
+    /**
+     * Adds a role to the user's claims, keeping other claims. Takes effect
+     * once the user's ID token is refreshed.
+     */
+    async grantRole(uid, role) {
+        if (!this.isRole(role)) {
+            throw new RoleError(`Unknown role: ${role}`);
+        }
+
+        const user = await admin.auth().getUser(uid);
+        const claims = user.customClaims || {};
+        const roles = Array.isArray(claims.roles) ? claims.roles : [];
+        if (roles.includes(role)) {
+            return { uid, roles, changed: false };
+        }
+
+        const updated = [...roles, role];
+        await admin.auth().setCustomUserClaims(uid, { ...claims, roles: updated });
+        return { uid, roles: updated, changed: true };
+    }
+
+    /**
+     * Removes a role and revokes the user's refresh tokens so tokens carrying
+     * the old claims stop working (with checkRevoked enabled).
+     */
+    async revokeRole(uid, role, actor = null) {
+        if (actor && actor.uid === uid && role === 'admin') {
+            throw new RoleError('Admins cannot revoke their own admin role', 409);
+        }
+
+        const user = await admin.auth().getUser(uid);
+        const claims = user.customClaims || {};
+        const roles = Array.isArray(claims.roles) ? claims.roles : [];
+        if (!roles.includes(role)) {
+            return { uid, roles, changed: false };
+        }
+
+        const updated = roles.filter(item => item !== role);
+        await admin.auth().setCustomUserClaims(uid, { ...claims, roles: updated });
+        await admin.auth().revokeRefreshTokens(uid);
+        return { uid, roles: updated, changed: true };
+    }
+
+    getRoleDefinitions() {
+        return Object.entries(this.config.roles).map(([name, role]) => ({
+            name,
+            description: role.description,
+            inherits: role.inherits || [],
+            permissions: [...this.permissionsByRole[name]]
+        }));
+    }
+}
+
+module.exports = new RBACService(rbacConfig);
+module.exports.RoleError = RoleError;
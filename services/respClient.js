@@ -0,0 +1,190 @@
+const net = require('net');
+
+/**
+ * Minimal client for servers speaking the Redis protocol (RESP2). It only
+ * knows how to send a command and read its reply, which is all the rate
+ * limiter needs and keeps it usable against a local stub server. Commands
+ * are pipelined on one connection; the connection is (re)opened on demand.
+ */
+class RespClient {
+    constructor({ url = 'redis://127.0.0.1:6379', timeout = 2000 } = {}) {
+        const parsed = new URL(url);
+        this.host = parsed.hostname || '127.0.0.1';
+        this.port = parseInt(parsed.port) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+        this.database = parsed.pathname && parsed.pathname.length > 1 ? parsed.pathname.slice(1) : null;
+        this.timeout = timeout;
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    async sendCommand(args) {
+        await this.connect();
+        return this.write(args);
+    }
+
+    connect() {
+        if (this.socket) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setNoDelay(true);
+
+            const onError = (error) => {
+                socket.destroy();
+                reject(error);
+            };
+            socket.setTimeout(this.timeout, () => onError(new Error('Redis connection timed out')));
+            socket.once('error', onError);
+
+            socket.once('connect', async () => {
+                socket.removeListener('error', onError);
+                socket.setTimeout(0);
+                this.attach(socket);
+
+                try {
+                    if (this.password) {
+                        await this.write(this.username
+                            ? ['AUTH', this.username, this.password]
+                            : ['AUTH', this.password]);
+                    }
+                    if (this.database) {
+                        await this.write(['SELECT', this.database]);
+                    }
+                    resolve();
+                } catch (error) {
+                    this.close();
+                    reject(error);
+                }
+            });
+        }).finally(() => {
+            this.connecting = null;
+        });
+
+        return this.connecting;
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+
+        // Late events from a connection that was already replaced must not touch the current one
+        socket.on('data', (data) => {
+            if (this.socket !== socket) return;
+            this.buffer = Buffer.concat([this.buffer, data]);
+            this.drain();
+        });
+        socket.on('error', (error) => {
+            if (this.socket === socket) this.fail(error);
+        });
+        socket.on('close', () => {
+            if (this.socket === socket) this.fail(new Error('Redis connection closed'));
+        });
+    }
+
+    write(args) {
+        if (!this.socket) {
+            return Promise.reject(new Error('Redis connection closed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.fail(new Error(`Redis command ${args[0]} timed out`));
+            }, this.timeout);
+
+            this.pending.push({
+                resolve: (value) => { clearTimeout(timer); resolve(value); },
+                reject: (error) => { clearTimeout(timer); reject(error); }
+            });
+            this.socket.write(encode(args));
+        });
+    }
+
+    drain() {
+        while (this.pending.length > 0) {
+            const parsed = decode(this.buffer, 0);
+            if (!parsed) return;
+
+            this.buffer = this.buffer.subarray(parsed.end);
+            const { resolve, reject } = this.pending.shift();
+            if (parsed.value instanceof Error) {
+                reject(parsed.value);
+            } else {
+                resolve(parsed.value);
+            }
+        }
+    }
+
+    // Drops the connection and rejects everything in flight; the next command reconnects
+    fail(error) {
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(({ reject }) => reject(error));
+    }
+
+    close() {
+        this.fail(new Error('Redis client closed'));
+    }
+}
+
+function encode(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    }
+    return parts.join('');
+}
+
+// Parses one reply starting at offset; returns null until the reply is complete
+function decode(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, end: next };
+        case '-':
+            return { value: new Error(line), end: next };
+        case ':':
+            return { value: parseInt(line), end: next };
+        case '$': {
+            const length = parseInt(line);
+            if (length === -1) return { value: null, end: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line);
+            if (count === -1) return { value: null, end: next };
+
+            const items = [];
+            let end = next;
+            for (let i = 0; i < count; i++) {
+                const item = decode(buffer, end);
+                if (!item) return null;
+                items.push(item.value);
+                end = item.end;
+            }
+            return { value: items, end };
+        }
+        default:
+            return { value: new Error(`Unexpected Redis reply type "${type}"`), end: next };
+    }
+}
+
+module.exports = RespClient;
+module.exports.encode = encode;
+module.exports.decode = decode;
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Snort prints "MM/DD-hh:mm:ss.uuuuuu", or "MM/DD/YY-hh:mm:ss.uuuuuu" when run with -y
+const TIMESTAMP_PATTERN = /^(\d{2})\/(\d{2})(?:\/(\d{2}))?-(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/;
+
+// 04/11-09:34:02.474011 [**] [1:1000001:1] "msg" [**] [Classification: x] [Priority: 2] {TCP} 1.2.3.4:5 -> 6.7.8.9:80
+const FAST_PATTERN = /^(\S+)\s+\[\*\*\]\s+\[(\d+):(\d+):(\d+)\]\s+"?(.*?)"?\s+\[\*\*\](.*?)\{(\w+)\}\s+(\S+)\s+->\s+(\S+)\s*$/;
+
+function parseSnortTimestamp(value, now = new Date()) {
+    const match = TIMESTAMP_PATTERN.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const [, month, day, year, hours, minutes, seconds, fraction] = match;
+    const millis = fraction ? parseInt(fraction.padEnd(3, '0').slice(0, 3)) : 0;
+    const build = (fullYear) => new Date(
+        fullYear, parseInt(month) - 1, parseInt(day),
+        parseInt(hours), parseInt(minutes), parseInt(seconds), millis
+    );
+
+    if (year) return build(2000 + parseInt(year));
+
+    // Without a year the alert belongs to the most recent matching date
+    let date = build(now.getFullYear());
+    if (date.getTime() - now.getTime() > 86400000) {
+        date = build(now.getFullYear() - 1);
+    }
+    return date;
+}
+
+function splitAddressPort(value, alwaysHasPort) {
+    if (!value) return { ip: null, port: null };
+    const text = String(value).trim();
+
+    const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(text);
+    if (bracketed) {
+        return { ip: bracketed[1], port: bracketed[2] ? parseInt(bracketed[2]) : null };
+    }
+
+    const colons = (text.match(/:/g) || []).length;
+    const lastColon = text.lastIndexOf(':');
+    if (colons === 1 || (colons > 1 && alwaysHasPort)) {
+        const port = text.slice(lastColon + 1);
+        if (/^\d+$/.test(port)) {
+            return { ip: text.slice(0, lastColon), port: parseInt(port) };
+        }
+    }
+
+    return { ip: text, port: null };
+}
+
+function toInt(value) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function finalizeAlert(alert, raw, time = alert.timestamp) {
+    if (!net.isIP(alert.src_ip || '') || !net.isIP(alert.dest_ip || '')) return null;
+    if (alert.sid === null) return null;
+
+    if (!alert.msg) {
+        alert.msg = `Snort alert ${alert.gid}:${alert.sid}:${alert.rev}`;
+    }
+    alert.alert_type = alert.classtype || 'snort';
+    alert.source = 'snort';
+    alert.fingerprint = fingerprint(alert, raw, time);
+    return alert;
+}
+
+function parseJsonLine(line, now = new Date()) {
+    let event;
+    try {
+        event = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+    if (!event || typeof event !== 'object' || Array.isArray(event)) return null;
+
+    const [ruleGid, ruleSid, ruleRev] = String(event.rule || '').split(':');
+    const src = event.src_addr
+        ? { ip: event.src_addr, port: toInt(event.src_port) }
+        : splitAddressPort(event.src_ap, true);
+    const dest = event.dst_addr
+        ? { ip: event.dst_addr, port: toInt(event.dst_port) }
+        : splitAddressPort(event.dst_ap, true);
+    const eventTime = parseSnortTimestamp(event.timestamp, now);
+    // Without an event time the line itself identifies the event; the time it was read at changes on every replay
+    const raw = eventTime ? `${event.timestamp}|${event.pkt_num ?? ''}` : line;
+    const time = eventTime ? eventTime.toISOString() : '';
+
+    return finalizeAlert({
+        timestamp: (eventTime || now).toISOString(),
+        src_ip: src.ip,
+        src_port: src.port,
+        dest_ip: dest.ip,
+        dest_port: dest.port,
+        msg: event.msg || null,
+        protocol: event.proto ? String(event.proto).toLowerCase() : null,
+        gid: toInt(event.gid ?? ruleGid) ?? 1,
+        sid: toInt(event.sid ?? ruleSid),
+        rev: toInt(event.rev ?? ruleRev) ?? 0,
+        priority: toInt(event.priority),
+        classtype: event.class || null,
+        action: event.action || null
+    }, raw, time);
+}
+
+function parseFastLine(line, now = new Date()) {
+    const match = FAST_PATTERN.exec(line.trim());
+    if (!match) return null;
+
+    const [, rawTimestamp, gid, sid, rev, msg, extras, proto, srcText, destText] = match;
+    const timestamp = parseSnortTimestamp(rawTimestamp, now);
+    if (!timestamp) return null;
+
+    const classMatch = /\[Classification:\s*([^\]]+)\]/.exec(extras);
+    const priorityMatch = /\[Priority:\s*(\d+)\]/.exec(extras);
+    const actionMatch = /\[Action:\s*(\w+)\]/.exec(extras);
+    const hasPorts = ['tcp', 'udp'].includes(proto.toLowerCase());
+    const src = splitAddressPort(srcText, hasPorts);
+    const dest = splitAddressPort(destText, hasPorts);
+
+    return finalizeAlert({
+        timestamp: timestamp.toISOString(),
+        src_ip: src.ip,
+        src_port: src.port,
+        dest_ip: dest.ip,
+        dest_port: dest.port,
+        msg: msg || null,
+        protocol: proto.toLowerCase(),
+        gid: toInt(gid),
+        sid: toInt(sid),
+        rev: toInt(rev),
+        priority: priorityMatch ? toInt(priorityMatch[1]) : null,
+        classtype: classMatch ? classMatch[1].trim() : null,
+        action: actionMatch ? actionMatch[1] : null
+    }, rawTimestamp);
+}
+
+function parseLine(line, format, now) {
+    if (!line || !line.trim()) return null;
+    return format === 'fast' ? parseFastLine(line, now) : parseJsonLine(line, now);
+}
+
+// Stable identity of a single event, used to drop replays after restarts or rotation
+function fingerprint(alert, raw = '', time = alert.timestamp) {
+    return crypto.createHash('sha256')
+        .update([
+            raw, time, alert.gid, alert.sid, alert.rev,
+            alert.src_ip, alert.src_port, alert.dest_ip, alert.dest_port, alert.protocol
+        ].join('|'))
+        .digest('hex')
+        .slice(0, 40);
+}
+
+module.exports = {
+    parseLine,
+    parseJsonLine,
+    parseFastLine,
+    parseSnortTimestamp,
+    fingerprint
+};
@@ -0,0 +1,127 @@
+const { exec } = require('child_process');
+const fs = require('fs').promises;
+const net = require('net');
+
+// Snort 3 shell prompt, printed when the control channel is ready for a command
+const SHELL_PROMPT = 'o")~';
+
+/**
+ * Validates Snort configuration and tells a running Snort to pick up new
+ * rules. Reload backends are looked up by name so deployments can register
+ * their own (e.g. a container restart) next to the built-in ones.
+ */
+class SnortReloader {
+    constructor(config) {
+        this.config = config;
+        this.lastReload = null;
+        this.backends = {
+            none: async () => ({ output: 'No reload backend configured' }),
+            pidfile: () => this.signalPid(),
+            control: () => this.sendControlCommand()
+        };
+    }
+
+    registerBackend(name, handler) {
+        this.backends[name] = handler;
+    }
+
+    // Runs the configured config-test command; succeeds trivially when none is set
+    validate() {
+        const command = this.config.validateCommand;
+        if (!command) return Promise.resolve({ success: true, output: '' });
+
+        return new Promise(resolve => {
+            exec(command, { timeout: this.config.timeout }, (error, stdout, stderr) => {
+                const output = `${stdout}${stderr}`.trim();
+                if (error) {
+                    const reason = error.killed ? 'timed out' : `exited with code ${error.code}`;
+                    resolve({ success: false, output: output || `Validation command ${reason}` });
+                } else {
+                    resolve({ success: true, output });
+                }
+            });
+        });
+    }
+
+    async reload() {
+        const backend = this.backends[this.config.backend];
+        if (!backend) {
+            return this.recordStatus('reload', false, `Unknown reload backend '${this.config.backend}'`);
+        }
+
+        try {
+            const result = await backend(this.config);
+            return this.recordStatus('reload', true, result.output || '');
+        } catch (error) {
+            return this.recordStatus('reload', false, error.message);
+        }
+    }
+
+    recordStatus(stage, success, output) {
+        this.lastReload = {
+            backend: this.config.backend,
+            stage,
+            success,
+            output,
+            timestamp: new Date()
+        };
+        return this.lastReload;
+    }
+
+    async signalPid() {
+        const pid = parseInt((await fs.readFile(this.config.pidFile, 'utf8')).trim());
+        if (!pid) {
+            throw new Error(`No PID found in ${this.config.pidFile}`);
+        }
+
+        process.kill(pid, this.config.signal);
+        return { output: `Sent ${this.config.signal} to Snort (pid ${pid})` };
+    }
+
+    sendControlCommand() {
+        const target = this.config.controlSocket;
+        const [, host, port] = /^(.+):(\d+)$/.exec(target) || [];
+        const command = this.config.controlCommand;
+
+        return new Promise((resolve, reject) => {
+            const socket = port
+                ? net.createConnection({ host, port: parseInt(port) })
+                : net.createConnection({ path: target });
+            let output = '';
+            let sent = false;
+
+            const finish = (error) => {
+                clearTimeout(timer);
+                socket.destroy();
+                const text = output.split(SHELL_PROMPT).join('').trim();
+                if (error) return reject(error);
+                if (!sent) return reject(new Error('Snort control channel closed before accepting a command'));
+                if (/fail|error/i.test(text)) return reject(new Error(text));
+                resolve({ output: text });
+            };
+            const timer = setTimeout(
+                () => finish(new Error(`Snort control channel did not answer within ${this.config.timeout}ms`)),
+                this.config.timeout
+            );
+
+            socket.setEncoding('utf8');
+            socket.on('data', data => {
+                output += data;
+                if (!output.includes(SHELL_PROMPT)) return;
+
+                if (!sent) {
+                    // Snort greets with a prompt; the command's output ends with the next one
+                    socket.write(`${command}\n`);
+                    sent = true;
+                    output = '';
+                } else {
+                    finish();
+                }
+            });
+            socket.on('error', finish);
+            socket.on('end', () => finish());
+        });
+    }
+}
+
+module.exports = SnortReloader;
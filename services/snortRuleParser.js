@@ -0,0 +1,595 @@
+const net = require('net');
+
+const ACTIONS = ['alert', 'block', 'drop', 'log', 'pass', 'react', 'reject', 'rewrite'];
+const PROTOCOLS = ['ip', 'icmp', 'tcp', 'udp'];
+const SERVICES = [
+    'dce_http_proxy', 'dce_http_server', 'dce_smb', 'dce_tcp', 'dce_udp', 'dnp3', 'dns', 'file',
+    'ftp', 'ftp-data', 'gtp', 'http', 'http2', 'iec104', 'imap', 'mms', 'modbus', 'mqtt',
+    'netbios-ssn', 'opcua', 'pop3', 's7commplus', 'sip', 'smb', 'smtp', 'ssh', 'ssl', 'telnet'
+];
+const DIRECTIONS = ['->', '<>'];
+const FLOW_KEYWORDS = [
+    'established', 'not_established', 'stateless', 'to_client', 'to_server', 'from_client',
+    'from_server', 'no_stream', 'only_stream', 'no_frag', 'only_frag'
+];
+const CONTENT_MODIFIERS = {
+    nocase: false,
+    fast_pattern: false,
+    fast_pattern_offset: true,
+    fast_pattern_length: true,
+    depth: true,
+    offset: true,
+    distance: true,
+    within: true
+};
+const PCRE_FLAGS = 'ismxAEGORBUIPHDMCKSY';
+const SINGLE_USE_OPTIONS = ['msg', 'sid', 'gid', 'rev', 'classtype', 'priority'];
+
+// Everything Snort 3 accepts that we don't validate further
+const OTHER_OPTIONS = [
+    'base64_data', 'base64_decode', 'bufferlen', 'byte_extract', 'byte_jump', 'byte_math', 'byte_test',
+    'detection_filter', 'dsize', 'file_data', 'file_type', 'flags', 'flowbits', 'fragbits', 'fragoffset',
+    'http_client_body', 'http_cookie', 'http_header', 'http_method', 'http_param', 'http_raw_body',
+    'http_raw_cookie', 'http_raw_header', 'http_raw_request', 'http_raw_status', 'http_raw_uri',
+    'http_stat_code', 'http_stat_msg', 'http_true_ip', 'http_uri', 'http_version', 'icmp_id', 'icmp_seq',
+    'icode', 'id', 'ip_proto', 'ipopts', 'isdataat', 'itype', 'js_data', 'pkt_data', 'raw_data',
+    'rem', 'replace', 'sd_pattern', 'seq', 'ack', 'window', 'service', 'sip_body', 'sip_header',
+    'sip_method', 'sip_stat_code', 'ssl_state', 'ssl_version', 'stream_size', 'tag', 'target', 'tos', 'ttl',
+    'urilen', 'vba_data', 'dce_iface', 'dce_opnum', 'dce_stub_data', 'ber_data', 'ber_skip', 'so',
+    'regex', 'md5', 'sha256', 'sha512', 'asn1', 'cvs', 'file_meta'
+];
+
+class RuleValidationError extends Error {
+    constructor(message, errors, warnings = []) {
+        super(message);
+        this.name = 'RuleValidationError';
+        this.errors = errors;
+        this.warnings = warnings;
+    }
+}
+
+function positionOf(text, offset) {
+    const before = text.slice(0, offset);
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Splits on a separator while honouring quotes, backslash escapes and [] nesting
+function splitTopLevel(text, separator, start = 0) {
+    const parts = [];
+    let depth = 0;
+    let inQuote = false;
+    let partStart = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && inQuote) {
+            i++;
+            continue;
+        }
+        if (char === '"') inQuote = !inQuote;
+        if (inQuote) continue;
+        if (char === '[') depth++;
+        if (char === ']') depth--;
+        if (char === separator && depth === 0) {
+            parts.push({ text: text.slice(partStart, i), offset: start + partStart });
+            partStart = i + 1;
+        }
+    }
+    parts.push({ text: text.slice(partStart), offset: start + partStart });
+    return parts;
+}
+
+function validateAddress(value) {
+    let text = value;
+    if (text.startsWith('!')) text = text.slice(1);
+
+    if (text === 'any') return null;
+    if (/^\$[A-Za-z_][A-Za-z0-9_]*$/.test(text)) return null;
+
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) return `Unterminated address list '${value}'`;
+        const items = splitTopLevel(text.slice(1, -1), ',');
+        for (const item of items) {
+            const error = validateAddress(item.text.trim());
+            if (error) return error;
+        }
+        return null;
+    }
+
+    const [address, prefix, ...rest] = text.split('/');
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) return `Invalid address '${value}'`;
+    if (prefix !== undefined) {
+        const bits = Number(prefix);
+        if (!/^\d+$/.test(prefix) || bits > (version === 4 ? 32 : 128)) {
+            return `Invalid CIDR prefix in '${value}'`;
+        }
+    }
+    return null;
+}
+
+function validatePort(value) {
+    let text = value;
+    if (text.startsWith('!')) text = text.slice(1);
+
+    if (text === 'any') return null;
+    if (/^\$[A-Za-z_][A-Za-z0-9_]*$/.test(text)) return null;
+
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) return `Unterminated port list '${value}'`;
+        const items = splitTopLevel(text.slice(1, -1), ',');
+        for (const item of items) {
+            const error = validatePort(item.text.trim());
+            if (error) return error;
+        }
+        return null;
+    }
+
+    const range = /^(\d*):(\d*)$/.exec(text);
+    if (range) {
+        const [, low, high] = range;
+        if (!low && !high) return `Invalid port range '${value}'`;
+        if ((low && Number(low) > 65535) || (high && Number(high) > 65535)) return `Port out of range in '${value}'`;
+        if (low && high && Number(low) > Number(high)) return `Port range '${value}' is reversed`;
+        return null;
+    }
+
+    if (!/^\d+$/.test(text) || Number(text) > 65535) return `Invalid port '${value}'`;
+    return null;
+}
+
+// Returns the index just past the closing quote of a string starting at `start`
+function readQuoted(text, start) {
+    for (let i = start + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text[i] === '"') return i + 1;
+    }
+    return -1;
+}
+
+function unquote(value, keepEscapes = false) {
+    if (!value.startsWith('"')) return { error: 'Expected a quoted string' };
+    const end = readQuoted(value, 0);
+    if (end === -1) return { error: 'Unterminated quoted string' };
+    const inner = value.slice(1, end - 1);
+    if (inner.includes('\n')) return { error: 'Quoted strings cannot span lines' };
+    return {
+        value: keepEscapes ? inner : inner.replace(/\\(.)/g, '$1'),
+        rest: value.slice(end).trim()
+    };
+}
+
+function validateContentPattern(pattern) {
+    const segments = pattern.split('|');
+    if (segments.length % 2 === 0) return 'Unbalanced \'|\' in content';
+
+    for (let i = 1; i < segments.length; i += 2) {
+        const hex = segments[i].replace(/\s+/g, '');
+        if (!/^([0-9a-fA-F]{2})*$/.test(hex) || hex.length === 0) {
+            return `Invalid hex bytes '|${segments[i]}|' in content`;
+        }
+    }
+    return null;
+}
+
+const optionValidators = {
+    msg(value) {
+        const quoted = unquote(value);
+        if (quoted.error) return { error: `msg: ${quoted.error}` };
+        if (quoted.rest) return { error: 'msg: Unexpected text after string' };
+        return { value: quoted.value };
+    },
+
+    sid(value) {
+        if (!/^\d+$/.test(value) || Number(value) === 0) return { error: 'sid must be a positive integer' };
+        return { value: Number(value) };
+    },
+
+    gid(value) {
+        if (!/^\d+$/.test(value) || Number(value) === 0) return { error: 'gid must be a positive integer' };
+        return { value: Number(value) };
+    },
+
+    rev(value) {
+        if (!/^\d+$/.test(value) || Number(value) === 0) return { error: 'rev must be a positive integer' };
+        return { value: Number(value) };
+    },
+
+    priority(value) {
+        if (!/^\d+$/.test(value) || Number(value) === 0) return { error: 'priority must be a positive integer' };
+        return { value: Number(value) };
+    },
+
+    classtype(value) {
+        if (!/^[A-Za-z0-9_-]+$/.test(value)) return { error: `Invalid classtype '${value}'` };
+        return { value };
+    },
+
+    content(value) {
+        const negated = value.startsWith('!');
+        const quoted = unquote(negated ? value.slice(1).trim() : value);
+        if (quoted.error) return { error: `content: ${quoted.error}` };
+
+        const patternError = validateContentPattern(quoted.value);
+        if (patternError) return { error: patternError };
+
+        const modifiers = {};
+        if (quoted.rest) {
+            if (!quoted.rest.startsWith(',')) return { error: 'content: Expected \',\' before modifiers' };
+            for (const item of quoted.rest.slice(1).split(',')) {
+                const [name, argument, ...extra] = item.trim().split(/\s+/);
+                if (!(name in CONTENT_MODIFIERS)) return { error: `Unknown content modifier '${name}'` };
+                if (CONTENT_MODIFIERS[name] && (argument === undefined || extra.length > 0)) {
+                    return { error: `Content modifier '${name}' takes one argument` };
+                }
+                if (!CONTENT_MODIFIERS[name] && argument !== undefined) {
+                    return { error: `Content modifier '${name}' takes no argument` };
+                }
+                if (argument !== undefined && !/^-?\d+$/.test(argument) && !/^[A-Za-z_]\w*$/.test(argument)) {
+                    return { error: `Invalid argument '${argument}' for content modifier '${name}'` };
+                }
+                modifiers[name] = argument === undefined ? true : argument;
+            }
+        }
+        return { value: { pattern: quoted.value, negated, modifiers } };
+    },
+
+    pcre(value) {
+        const negated = value.startsWith('!');
+        const quoted = unquote(negated ? value.slice(1).trim() : value, true);
+        if (quoted.error) return { error: `pcre: ${quoted.error}` };
+        if (quoted.rest) return { error: 'pcre: Unexpected text after expression' };
+
+        const expression = quoted.value;
+        const lastSlash = expression.lastIndexOf('/');
+        if (!expression.startsWith('/') || lastSlash === 0) {
+            return { error: 'pcre must be written as "/expression/flags"' };
+        }
+        const flags = expression.slice(lastSlash + 1);
+        const badFlag = [...flags].find(flag => !PCRE_FLAGS.includes(flag));
+        if (badFlag) return { error: `Unknown pcre flag '${badFlag}'` };
+        if (lastSlash === 1) return { error: 'pcre expression is empty' };
+
+        return { value: { expression: expression.slice(1, lastSlash), flags, negated } };
+    },
+
+    flow(value) {
+        const keywords = value.split(',').map(item => item.trim());
+        const unknown = keywords.find(keyword => !FLOW_KEYWORDS.includes(keyword));
+        if (unknown) return { error: `Unknown flow option '${unknown}'` };
+
+        const directions = keywords.filter(keyword => /^(to|from)_(client|server)$/.test(keyword));
+        const toServer = directions.some(d => d === 'to_server' || d === 'from_client');
+        const toClient = directions.some(d => d === 'to_client' || d === 'from_server');
+        if (toServer && toClient) return { error: 'flow cannot match both directions' };
+        if (keywords.includes('established') && keywords.includes('not_established')) {
+            return { error: 'flow cannot be both established and not_established' };
+        }
+        return { value: keywords };
+    },
+
+    metadata(value) {
+        const items = value.split(',').map(item => item.trim());
+        if (items.some(item => !item)) return { error: 'metadata contains an empty entry' };
+        return { value: items };
+    },
+
+    reference(value) {
+        const [scheme, ...id] = value.split(',');
+        if (!scheme.trim() || !id.join(',').trim()) return { error: 'reference must be written as scheme,id' };
+        return { value: { scheme: scheme.trim(), id: id.join(',').trim() } };
+    }
+};
+
+const KNOWN_OPTIONS = new Set([...Object.keys(optionValidators), ...OTHER_OPTIONS]);
+
+function parseHeader(text, headerEnd, diagnostics) {
+    const tokens = [];
+    const tokenPattern = /\[[^\]]*\]|\S+/g;
+    let match;
+    while ((match = tokenPattern.exec(text.slice(0, headerEnd))) !== null) {
+        tokens.push({ text: match[0], offset: match.index });
+    }
+
+    const error = (token, message) => diagnostics.push({ offset: token ? token.offset : 0, message, severity: 'error' });
+
+    if (tokens.length === 0) {
+        error(null, 'Missing rule action');
+        return null;
+    }
+
+    const [action, protocol] = tokens;
+    if (!ACTIONS.includes(action.text)) {
+        error(action, `Unknown action '${action.text}' (expected one of ${ACTIONS.join(', ')})`);
+    }
+    if (!protocol) {
+        error(action, 'Missing protocol');
+        return null;
+    }
+    if (!PROTOCOLS.includes(protocol.text) && !SERVICES.includes(protocol.text)) {
+        error(protocol, `Unknown protocol or service '${protocol.text}'`);
+    }
+
+    const header = { action: action.text, protocol: protocol.text };
+
+    // Snort 3 service and file rules may omit addresses entirely
+    if (tokens.length === 2) return header;
+
+    if (tokens.length !== 7) {
+        error(tokens[2], 'Header must be: action protocol src_addr src_port direction dst_addr dst_port');
+        return header;
+    }
+
+    const [, , srcAddr, srcPort, direction, dstAddr, dstPort] = tokens;
+    for (const [token, validate] of [[srcAddr, validateAddress], [srcPort, validatePort], [dstAddr, validateAddress], [dstPort, validatePort]]) {
+        const message = validate(token.text);
+        if (message) error(token, message);
+    }
+    if (!DIRECTIONS.includes(direction.text)) {
+        error(direction, `Invalid direction '${direction.text}' (expected -> or <>)`);
+    }
+
+    return {
+        ...header,
+        source: { address: srcAddr.text, port: srcPort.text },
+        direction: direction.text,
+        destination: { address: dstAddr.text, port: dstPort.text }
+    };
+}
+
+function parseOptions(text, bodyStart, bodyEnd, diagnostics) {
+    const options = [];
+    const attempted = new Set();
+    const parts = splitTopLevel(text.slice(bodyStart, bodyEnd), ';', bodyStart);
+    const last = parts.pop();
+    if (last.text.trim()) {
+        diagnostics.push({
+            offset: last.offset + (last.text.length - last.text.trimStart().length),
+            message: 'Missing \';\' after last option',
+            severity: 'error'
+        });
+        parts.push(last);
+    }
+
+    for (const part of parts) {
+        const leading = part.text.length - part.text.trimStart().length;
+        const offset = part.offset + leading;
+        const body = part.text.trim();
+        if (!body) {
+            diagnostics.push({ offset, message: 'Empty option', severity: 'error' });
+            continue;
+        }
+
+        const colon = body.indexOf(':');
+        const name = (colon === -1 ? body : body.slice(0, colon)).trim();
+        const raw = colon === -1 ? null : body.slice(colon + 1).trim();
+
+        if (!/^[a-z_][a-z0-9_.]*$/.test(name)) {
+            diagnostics.push({ offset, message: `Invalid option name '${name}'`, severity: 'error' });
+            continue;
+        }
+
+        const option = { name, raw, value: raw, offset };
+        attempted.add(name);
+        if (optionValidators[name]) {
+            if (raw === null || raw === '') {
+                diagnostics.push({ offset, message: `Option '${name}' requires a value`, severity: 'error' });
+                continue;
+            }
+            const result = optionValidators[name](raw);
+            if (result.error) {
+                diagnostics.push({ offset: offset + colon + 1, message: result.error, severity: 'error' });
+                continue;
+            }
+            option.value = result.value;
+        } else if (name === 'nocase' || name === 'depth' || name === 'offset' || name === 'distance' || name === 'within') {
+            diagnostics.push({
+                offset,
+                message: `'${name}' is a content modifier in Snort 3, write it as content:"...",${name}${raw ? ` ${raw}` : ''}`,
+                severity: 'error'
+            });
+            continue;
+        } else if (!KNOWN_OPTIONS.has(name)) {
+            diagnostics.push({ offset, message: `Unknown option '${name}'`, severity: 'warning' });
+        }
+
+        options.push(option);
+    }
+
+    return { options, attempted };
+}
+
+function lintOptions({ options, attempted }, diagnostics, end) {
+    const seen = new Map();
+    for (const option of options) {
+        if (SINGLE_USE_OPTIONS.includes(option.name) && seen.has(option.name)) {
+            diagnostics.push({ offset: option.offset, message: `Option '${option.name}' may only appear once`, severity: 'error' });
+        }
+        seen.set(option.name, option);
+    }
+
+    if (!attempted.has('msg')) diagnostics.push({ offset: end, message: 'Rule is missing msg', severity: 'error' });
+    if (!attempted.has('sid')) diagnostics.push({ offset: end, message: 'Rule is missing sid', severity: 'error' });
+    if (!attempted.has('rev')) diagnostics.push({ offset: end, message: 'Rule has no rev, defaulting to 1', severity: 'warning' });
+
+    const sid = seen.get('sid');
+    const gid = seen.get('gid');
+    if (sid && (!gid || gid.value === 1) && sid.value < 1000000) {
+        diagnostics.push({ offset: sid.offset, message: 'SIDs below 1000000 are reserved for distributed rules', severity: 'warning' });
+    }
+
+    const pcre = options.find(option => option.name === 'pcre');
+    if (pcre && !options.some(option => option.name === 'content' && !option.value.negated)) {
+        diagnostics.push({ offset: pcre.offset, message: 'pcre without a content match cannot use the fast pattern matcher', severity: 'warning' });
+    }
+}
+
+function toDiagnostic(text, { offset, message, severity }) {
+    return { ...positionOf(text, offset), message, severity };
+}
+
+/**
+ * Parses a single Snort 3 rule. Returns the structured rule together with
+ * error and warning diagnostics carrying 1-based line/column positions.
+ */
+function parseRule(input) {
+    const text = String(input || '').replace(/\r\n?/g, '\n');
+    const diagnostics = [];
+
+    const trimmedEnd = text.trimEnd().length;
+    const bodyStart = text.indexOf('(');
+    let rule = null;
+
+    if (!text.trim()) {
+        diagnostics.push({ offset: 0, message: 'Rule is empty', severity: 'error' });
+    } else if (bodyStart === -1) {
+        parseHeader(text, trimmedEnd, diagnostics);
+        diagnostics.push({ offset: trimmedEnd, message: 'Missing \'(\' before rule options', severity: 'error' });
+    } else if (text[trimmedEnd - 1] !== ')') {
+        parseHeader(text, bodyStart, diagnostics);
+        diagnostics.push({ offset: trimmedEnd, message: 'Missing \')\' at end of rule options', severity: 'error' });
+    } else {
+        const header = parseHeader(text, bodyStart, diagnostics);
+        const parsed = parseOptions(text, bodyStart + 1, trimmedEnd - 1, diagnostics);
+        const { options } = parsed;
+        lintOptions(parsed, diagnostics, trimmedEnd - 1);
+
+        if (header) {
+            const valueOf = name => {
+                const option = options.find(item => item.name === name);
+                return option ? option.value : null;
+            };
+            rule = {
+                ...header,
+                options: options.map(({ name, raw, value, offset }) => ({ name, raw, value, ...positionOf(text, offset) })),
+                msg: valueOf('msg'),
+                sid: valueOf('sid'),
+                gid: valueOf('gid') || 1,
+                rev: valueOf('rev') || 1,
+                classtype: valueOf('classtype'),
+                priority: valueOf('priority')
+            };
+            rule.text = formatRule(rule);
+        }
+    }
+
+    const sorted = diagnostics
+        .sort((a, b) => a.offset - b.offset)
+        .map(diagnostic => toDiagnostic(text, diagnostic));
+    const errors = sorted.filter(diagnostic => diagnostic.severity === 'error');
+
+    return {
+        valid: errors.length === 0,
+        rule: errors.length === 0 ? rule : null,
+        errors,
+        warnings: sorted.filter(diagnostic => diagnostic.severity === 'warning')
+    };
+}
+
+// Canonical single-line form written to the rules files
+function formatRule(rule) {
+    const header = rule.source
+        ? [rule.action, rule.protocol, rule.source.address, rule.source.port, rule.direction, rule.destination.address, rule.destination.port]
+        : [rule.action, rule.protocol];
+    const options = rule.options.map(option => (option.raw === null ? option.name : `${option.name}:${option.raw}`));
+    return `${header.join(' ')} ( ${options.join('; ')}; )`;
+}
+
+/**
+ * Splits a rules file into logical rules, joining backslash continuations and
+ * skipping comments. Each entry keeps the line it started on.
+ */
+function splitRulesFile(content) {
+    const entries = [];
+    const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n');
+    let current = null;
+
+    lines.forEach((line, index) => {
+        if (current) {
+            current.text += ` ${line.replace(/\\$/, '').trim()}`;
+        } else if (line.trim() && !line.trim().startsWith('#')) {
+            current = { line: index + 1, text: line.replace(/\\$/, '').trim() };
+        }
+
+        if (current && !line.endsWith('\\')) {
+            entries.push(current);
+            current = null;
+        }
+    });
+    if (current) entries.push(current);
+
+    return entries;
+}
+
+function ruleKey(gid, sid) {
+    return `${gid || 1}:${sid}`;
+}
+
+// gid:sid of a rule's text, falling back to a plain scan for rules that don't parse
+function ruleKeyOf(text) {
+    const result = parseRule(text);
+    if (result.rule) return ruleKey(result.rule.gid, result.rule.sid);
+
+    const sidMatch = /\bsid\s*:\s*(\d+)/.exec(text);
+    const gidMatch = /\bgid\s*:\s*(\d+)/.exec(text);
+    return sidMatch ? ruleKey(gidMatch && Number(gidMatch[1]), Number(sidMatch[1])) : null;
+}
+
+// Copy of a parsed rule with its rev option replaced (or added)
+function withRevision(rule, rev) {
+    const options = rule.options.some(option => option.name === 'rev')
+        ? rule.options.map(option => (option.name === 'rev' ? { ...option, raw: String(rev), value: rev } : option))
+        : [...rule.options, { name: 'rev', raw: String(rev), value: rev }];
+    const updated = { ...rule, options, rev };
+    updated.text = formatRule(updated);
+    return updated;
+}
+
+/**
+ * Lints every rule in a rules file, adding duplicate gid:sid diagnostics.
+ * Positions are reported against the file rather than the individual rule.
+ */
+function lintRulesFile(content) {
+    const rules = [];
+    const diagnostics = [];
+    const keys = new Map();
+
+    for (const entry of splitRulesFile(content)) {
+        const result = parseRule(entry.text);
+        const relocate = diagnostic => ({ ...diagnostic, line: entry.line + diagnostic.line - 1 });
+        diagnostics.push(...result.errors.map(relocate), ...result.warnings.map(relocate));
+
+        // Invalid rules still claim their sid so duplicates are reported
+        const key = result.rule ? ruleKey(result.rule.gid, result.rule.sid) : ruleKeyOf(entry.text);
+        if (!key) continue;
+
+        if (keys.has(key)) {
+            diagnostics.push({
+                line: entry.line,
+                column: 1,
+                message: `Duplicate rule ${key}, first defined on line ${keys.get(key)}`,
+                severity: 'error'
+            });
+        } else {
+            keys.set(key, entry.line);
+        }
+        if (result.rule) rules.push({ line: entry.line, rule: result.rule });
+    }
+
+    return { rules, diagnostics, keys };
+}
+
+module.exports = {
+    RuleValidationError,
+    parseRule,
+    formatRule,
+    splitRulesFile,
+    lintRulesFile,
+    ruleKey,
+    ruleKeyOf,
+    withRevision
+};
@@ -0,0 +1,160 @@
+const ipUtils = require('./ipUtils');
+
+/**
+ * Feed formats. Each parser takes the downloaded text and the feed settings
+ * and returns { entries, invalid } where entries are { range, confidence?,
+ * description? } (range from ipUtils.parseCidr) and invalid counts lines or
+ * indicators that held no usable address.
+ */
+
+const parseAddress = value => ipUtils.parseCidr(ipUtils.normalizeIP(value) || String(value).trim());
+
+// One address or CIDR per line; '#' and ';' start comments (Spamhaus, FireHOL, ...)
+function text(content) {
+    const entries = [];
+    let invalid = 0;
+
+    for (const line of content.split(/\r?\n/)) {
+        const value = line.replace(/[#;].*$/, '').trim().split(/\s+/)[0];
+        if (!value) continue;
+
+        const range = parseAddress(value);
+        if (range) {
+            entries.push({ range });
+        } else {
+            invalid++;
+        }
+    }
+    return { entries, invalid };
+}
+
+// Splits a CSV line, honouring double quotes
+function splitCsv(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * CSV with the address in `csv.column` (header name or index) or, by
+ * default, the first field that holds one. Lines starting with '#' are
+ * comments, but a commented header ("# first_seen,dst_ip,...") still
+ * provides the column names.
+ */
+function csv(content, feed) {
+    const { column = null, delimiter = ',', confidenceColumn = null } = feed.csv || {};
+    const entries = [];
+    let invalid = 0;
+    let header = null;
+
+    const indexOf = name => (typeof name === 'number' ? name : header && name ? header.indexOf(name) : -1);
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const commented = line.startsWith('#');
+        const fields = splitCsv(line.replace(/^#\s*/, ''), delimiter);
+
+        if (!header && typeof column === 'string' && fields.includes(column)) {
+            header = fields;
+            continue;
+        }
+        if (commented) continue;
+
+        const index = column === null ? fields.findIndex(field => parseAddress(field)) : indexOf(column);
+        const range = index >= 0 && fields[index] ? parseAddress(fields[index]) : null;
+        if (!range) {
+            // An uncommented first row without an address is the header
+            if (!header && entries.length === 0 && invalid === 0) {
+                header = fields;
+            } else {
+                invalid++;
+            }
+            continue;
+        }
+
+        const entry = { range };
+        const confidence = parseInt(fields[indexOf(confidenceColumn)]);
+        if (!Number.isNaN(confidence)) entry.confidence = confidence;
+        entries.push(entry);
+    }
+    return { entries, invalid };
+}
+
+// [ipv4-addr:value = '1.2.3.4'] and [ipv6-addr:value ISSUBSET '2001:db8::/32'], OR-ed together
+const STIX_COMPARISON = /(ipv4-addr|ipv6-addr):value\s*(=|ISSUBSET)\s*'([^']+)'/g;
+
+/**
+ * STIX 2.1 bundle: indicator objects with a STIX pattern on IP addresses.
+ * Revoked, expired (valid_until), not yet valid and benign indicators are
+ * skipped, as are patterns that combine an address with other conditions
+ * (AND, FOLLOWEDBY), since blocking the address alone would be too broad.
+ */
+function stix(content) {
+    const bundle = JSON.parse(content);
+    const objects = Array.isArray(bundle) ? bundle : bundle.objects || [];
+    const now = new Date();
+    const entries = [];
+    let invalid = 0;
+
+    for (const object of objects) {
+        if (!object || object.type !== 'indicator') continue;
+        if (object.pattern_type && object.pattern_type !== 'stix') continue;
+        if (object.revoked) continue;
+        if (object.valid_until && new Date(object.valid_until) <= now) continue;
+        if (object.valid_from && new Date(object.valid_from) > now) continue;
+        if ((object.indicator_types || []).includes('benign')) continue;
+
+        const pattern = object.pattern || '';
+        const comparisons = [...pattern.matchAll(STIX_COMPARISON)];
+        if (comparisons.length === 0 || /\bAND\b|\bFOLLOWEDBY\b/.test(pattern)) {
+            invalid++;
+            continue;
+        }
+
+        for (const [, , , value] of comparisons) {
+            const range = parseAddress(value);
+            if (!range) {
+                invalid++;
+                continue;
+            }
+            entries.push({
+                range,
+                confidence: typeof object.confidence === 'number' ? object.confidence : undefined,
+                description: object.name || object.description || null,
+                indicatorId: object.id || null
+            });
+        }
+    }
+    return { entries, invalid };
+}
+
+module.exports = {
+    text,
+    csv,
+    stix
+};
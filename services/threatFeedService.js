@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const schedule = require('node-schedule');
+const { db } = require('../config/firebase');
+const threatFeedsConfig = require('../config/threatFeeds');
+const threatFeedParsers = require('./threatFeedParsers');
+const ipUtils = require('./ipUtils');
+const ipsService = require('./ipsService');
+
+/**
+ * Imports known-bad addresses from threat-intelligence feeds into
+ * ips_blocklist. Each feed is fetched from a URL or read from a local file
+ * on its own schedule, parsed (text, csv or stix), filtered and handed to
+ * ipsService.syncFeedBlocks; the outcome of every run is kept in
+ * ips_feeds/{name}.
+ */
+class ThreatFeedService {
+    constructor(config) {
+        this.config = config;
+        this.feeds = new Map(config.feeds.map(feed => {
+            if (!feed.name || !(feed.url || feed.file)) {
+                throw new Error(`Threat feed needs a name and a url or file: ${JSON.stringify(feed)}`);
+            }
+            return [feed.name, feed];
+        }));
+        this.imports = new Map();
+        this.reservedRanges = config.reservedRanges.map(cidr => ipUtils.parseCidr(cidr));
+
+        this.scheduleImports();
+    }
+
+    static registerFormat(name, parser) {
+        threatFeedParsers[name] = parser;
+    }
+
+    scheduleImports() {
+        for (const feed of this.feeds.values()) {
+            if (!feed.enabled) continue;
+
+            schedule.scheduleJob(feed.schedule, async () => {
+                try {
+                    await this.importFeed(feed.name);
+                } catch (error) {
+                    console.error(`❌ Scheduled import of feed ${feed.name} failed:`, error);
+                }
+            });
+        }
+    }
+
+    async fetchFeed(feed) {
+        if (feed.file) {
+            return fs.promises.readFile(path.resolve(this.config.rootDir, feed.file), 'utf8');
+        }
+
+        const response = await fetch(feed.url, {
+            headers: feed.headers || {},
+            signal: AbortSignal.timeout(feed.timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`${feed.url} answered ${response.status}`);
+        }
+        return response.text();
+    }
+
+    // Why an entry is left out, or null to import it
+    skipReason(feed, entry) {
+        const { range } = entry;
+        if (range.prefixLength < this.config.minPrefixLength[range.family]) return 'tooBroad';
+        if (this.reservedRanges.some(reserved => reserved.family === range.family && ipUtils.rangesOverlap(reserved, range))) {
+            return 'reserved';
+        }
+        if (entry.confidence < feed.minConfidence) return 'lowConfidence';
+        return null;
+    }
+
+    /**
+     * Fetches, parses and applies one feed. Runs for the same feed share a
+     * single import. Resolves to the stats stored in ips_feeds; failed runs
+     * are recorded there too and rethrown.
+     */
+    importFeed(name) {
+        const feed = this.feeds.get(name);
+        if (!feed) {
+            return Promise.reject(new Error(`Unknown threat feed: ${name}`));
+        }
+
+        if (!this.imports.has(name)) {
+            this.imports.set(name, this.runImport(feed).finally(() => this.imports.delete(name)));
+        }
+        return this.imports.get(name);
+    }
+
+    async runImport(feed) {
+        const startedAt = new Date();
+        const statsRef = db.collection(this.config.statsCollection).doc(feed.name);
+        const run = {
+            name: feed.name,
+            source: feed.url || feed.file,
+            format: feed.format,
+            lastRunAt: startedAt
+        };
+
+        try {
+            const parse = threatFeedParsers[feed.format];
+            if (!parse) {
+                throw new Error(`Unknown feed format: ${feed.format}`);
+            }
+
+            const { entries: parsed, invalid } = parse(await this.fetchFeed(feed), feed);
+            const skipped = { tooBroad: 0, reserved: 0, lowConfidence: 0 };
+            const entries = [];
+
+            for (const entry of parsed) {
+                const withConfidence = { ...entry, confidence: entry.confidence === undefined ? feed.confidence : entry.confidence };
+                const reason = this.skipReason(feed, withConfidence);
+                if (reason) {
+                    skipped[reason]++;
+                } else {
+                    entries.push(withConfidence);
+                }
+            }
+
+            const truncated = Math.max(0, entries.length - feed.maxEntries);
+            entries.length = Math.min(entries.length, feed.maxEntries);
+
+            if (entries.length === 0 && !feed.allowEmpty) {
+                const active = await db.collection('ips_blocklist')
+                    .where('feed', '==', feed.name)
+                    .where('active', '==', true)
+                    .limit(1)
+                    .get();
+                if (!active.empty) {
+                    throw new Error('Feed returned no usable entries; keeping the current blocks (set allowEmpty to accept this)');
+                }
+            }
+
+            const applied = await ipsService.syncFeedBlocks(feed, entries);
+            const stats = {
+                ...run,
+                status: 'ok',
+                error: null,
+                lastSuccessAt: new Date(),
+                durationMs: Date.now() - startedAt.getTime(),
+                parsed: parsed.length,
+                invalid,
+                skipped,
+                truncated,
+                ...applied
+            };
+
+            await statsRef.set(stats, { merge: true });
+            console.log(`🛡️ Feed ${feed.name}: ${applied.active} active (${applied.added} added, ${applied.expired} expired)`);
+            return stats;
+        } catch (error) {
+            console.error(`❌ Import of feed ${feed.name} failed:`, error.message);
+            await statsRef.set({
+                ...run,
+                status: 'error',
+                error: error.message,
+                durationMs: Date.now() - startedAt.getTime()
+            }, { merge: true }).catch(() => {});
+            throw error;
+        }
+    }
+
+    // Configured feeds with the stats of their last import
+    async getFeeds() {
+        const snapshot = await db.collection(this.config.statsCollection).get();
+        const stats = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+
+        return [...this.feeds.values()].map(feed => ({
+            name: feed.name,
+            source: feed.url || feed.file,
+            format: feed.format,
+            schedule: feed.schedule,
+            enabled: feed.enabled,
+            confidence: feed.confidence,
+            minConfidence: feed.minConfidence,
+            maxAgeMs: feed.maxAgeMs,
+            running: this.imports.has(feed.name),
+            stats: stats.get(feed.name) || null
+        }));
+    }
+}
+
+module.exports = new ThreatFeedService(threatFeedsConfig);
+module.exports.ThreatFeedService = ThreatFeedService;
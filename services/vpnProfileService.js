@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const net = require('net');
+const vpnConfig = require('../config/vpn');
+
+class ProfileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProfileError';
+        this.status = status;
+    }
+}
+
+const PROTOCOLS = ['udp', 'udp4', 'udp6', 'tcp', 'tcp4', 'tcp6', 'tcp-client'];
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+const COMPRESSION_PATTERN = /^(compress( (lz4|lz4-v2|lzo|stub|stub-v2))?|comp-lzo( (yes|no|adaptive))?)$/;
+const TLS_KEY_PATTERN = /^-----BEGIN OpenVPN Static key V1-----\n([0-9a-f]{32}\n){16}-----END OpenVPN Static key V1-----$/;
+
+// Directives this generator writes; anything else in a profile fails validation
+const DIRECTIVES = [
+    'client', 'dev', 'remote', 'remote-random', 'resolv-retry', 'nobind', 'persist-key', 'persist-tun',
+    'mute-replay-warnings', 'remote-cert-tls', 'tls-version-min', 'cipher', 'data-ciphers', 'auth', 'reneg-sec',
+    'compress', 'comp-lzo', 'redirect-gateway', 'pull-filter', 'route', 'dhcp-option', 'key-direction', 'verb'
+];
+
+// Per-user settings stored on the vpn_clients record
+const OVERRIDES = ['redirectGateway', 'routes', 'dns', 'remotes'];
+
+// Dotted mask for a prefix length
+const netmask = prefix => {
+    const bits = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+    return [24, 16, 8, 0].map(shift => (bits >>> shift) & 0xff).join('.');
+};
+
+/**
+ * Builds unified .ovpn profiles: the connection settings from config/vpn.js
+ * (profile remotes, security, clientDefaults and the routes / DNS servers in
+ * settings.pushRoutes) with per-user overrides, and the CA, client
+ * certificate, key and TLS key inline. Every profile is validated before it
+ * is returned.
+ */
+class VPNProfileService {
+    constructor(config) {
+        this.config = config;
+    }
+
+    // "net mask" from a CIDR or "net mask" string; null when invalid
+    parseRoute(route) {
+        const text = String(route).trim();
+        const cidr = text.match(/^([\d.]+)\/(\d{1,2})$/);
+        const [network, mask] = cidr ? [cidr[1], parseInt(cidr[2]) <= 32 ? netmask(parseInt(cidr[2])) : null] : text.split(/\s+/);
+        if (net.isIPv4(network) && net.isIPv4(mask || '') && text.split(/\s+/).length <= 2) {
+            return `${network} ${mask}`;
+        }
+        return null;
+    }
+
+    // status is 500 when checking the configured remotes rather than user input
+    validateRemote(remote, status = 400) {
+        const host = String((remote && remote.host) || '');
+        const port = parseInt(remote && remote.port);
+        const protocol = (remote && remote.protocol) || 'udp';
+        if (!(net.isIP(host) || HOSTNAME_PATTERN.test(host))) throw new ProfileError(`Invalid remote host: ${host}`, status);
+        if (!(port >= 1 && port <= 65535)) throw new ProfileError(`Invalid remote port for ${host}: ${remote.port}`, status);
+        if (!PROTOCOLS.includes(protocol)) throw new ProfileError(`Invalid remote protocol for ${host}: ${protocol} (expected ${PROTOCOLS.join(', ')})`, status);
+        return { host, port, protocol };
+    }
+
+    /**
+     * Checks per-user overrides: redirectGateway (boolean), routes (CIDR or
+     * "net mask" strings; a split tunnel when redirectGateway is false), dns
+     * (IP addresses) and remotes ([{ host, port, protocol }]). null clears
+     * all overrides. Returns the normalized overrides.
+     */
+    validateOverrides(overrides) {
+        if (overrides === null) return null;
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new ProfileError('profile must be an object');
+        }
+
+        const unknown = Object.keys(overrides).filter(key => !OVERRIDES.includes(key));
+        if (unknown.length > 0) {
+            throw new ProfileError(`Unknown profile settings: ${unknown.join(', ')} (expected ${OVERRIDES.join(', ')})`);
+        }
+
+        const result = {};
+        if (overrides.redirectGateway !== undefined) {
+            if (typeof overrides.redirectGateway !== 'boolean') throw new ProfileError('redirectGateway must be true or false');
+            result.redirectGateway = overrides.redirectGateway;
+        }
+        if (overrides.routes !== undefined) {
+            if (!Array.isArray(overrides.routes)) throw new ProfileError('routes must be an array');
+            result.routes = overrides.routes.map(route => {
+                const parsed = this.parseRoute(route);
+                if (!parsed) throw new ProfileError(`Invalid route: ${route} (expected 10.0.0.0/24 or "10.0.0.0 255.255.255.0")`);
+                return parsed;
+            });
+        }
+        if (overrides.dns !== undefined) {
+            if (!Array.isArray(overrides.dns) || overrides.dns.some(server => !net.isIP(String(server)))) {
+                throw new ProfileError('dns must be an array of IP addresses');
+            }
+            result.dns = overrides.dns.map(String);
+        }
+        if (overrides.remotes !== undefined) {
+            if (!Array.isArray(overrides.remotes) || overrides.remotes.length === 0) throw new ProfileError('remotes must be a non-empty array');
+            result.remotes = overrides.remotes.map(remote => this.validateRemote(remote));
+        }
+        return result;
+    }
+
+    // Effective settings for a user: configuration defaults with the overrides applied
+    resolveOptions(overrides = null) {
+        const { profile, security, clientDefaults, settings } = this.config;
+        const pushed = settings.pushRoutes || [];
+
+        return {
+            remotes: profile.remotes.map(remote => this.validateRemote(remote, 500)),
+            remoteRandom: profile.remoteRandom,
+            tlsKeyMode: profile.tlsKeyMode,
+            verb: profile.verb,
+            ...clientDefaults,
+            security,
+            routes: pushed.filter(line => line.startsWith('route ')).map(line => this.parseRoute(line.slice(6))).filter(Boolean),
+            dns: pushed.map(line => line.match(/^dhcp-option DNS (\S+)$/)).filter(Boolean).map(match => match[1]),
+            ...(overrides || {})
+        };
+    }
+
+    /**
+     * The profile text for username. credentials: { ca, cert, key } PEMs;
+     * tlsKey: the static key for tls-crypt / tls-auth.
+     */
+    build(username, { credentials, tlsKey, overrides = null }) {
+        const options = this.resolveOptions(overrides);
+        const { security } = options;
+        if (!['tls-crypt', 'tls-auth'].includes(options.tlsKeyMode)) {
+            throw new ProfileError(`Invalid tlsKeyMode: ${options.tlsKeyMode} (expected tls-crypt or tls-auth)`, 500);
+        }
+
+        const lines = [
+            `# OpenVPN profile for ${username}, generated ${new Date().toISOString()}`,
+            'client',
+            'dev tun',
+            ...options.remotes.map(remote => `remote ${remote.host} ${remote.port} ${remote.protocol}`)
+        ];
+        if (options.remoteRandom) lines.push('remote-random');
+        lines.push('resolv-retry infinite');
+        if (options.nobind) lines.push('nobind');
+        if (options.persistKey) lines.push('persist-key');
+        if (options.persistTun) lines.push('persist-tun');
+        if (options.muteReplayWarnings) lines.push('mute-replay-warnings');
+
+        lines.push(
+            'remote-cert-tls server',
+            `tls-version-min ${security.tlsVersionMin}`,
+            `cipher ${security.cipher}`,
+            `data-ciphers ${security.cipher}`,
+            `auth ${security.auth}`,
+            `reneg-sec ${parseInt(security.renegotiateTime)}`
+        );
+        if (options.compression && options.compression !== 'none') lines.push(options.compression);
+
+        // A split tunnel ignores the server's redirect-gateway push and only routes the listed networks
+        lines.push(options.redirectGateway ? 'redirect-gateway def1' : 'pull-filter ignore "redirect-gateway"');
+        lines.push(...options.routes.map(route => `route ${route}`));
+        lines.push(...options.dns.map(server => `dhcp-option DNS ${server}`));
+        if (options.tlsKeyMode === 'tls-auth') lines.push('key-direction 1');
+        lines.push(`verb ${options.verb}`, '');
+
+        const block = (tag, content) => `<${tag}>\n${content.trim()}\n</${tag}>`;
+        const profile = [
+            lines.join('\n'),
+            block('ca', credentials.ca),
+            block('cert', credentials.cert),
+            block('key', credentials.key),
+            block(options.tlsKeyMode, tlsKey),
+            ''
+        ].join('\n');
+
+        this.validate(profile, { username, options });
+        return profile;
+    }
+
+    /**
+     * Checks a generated profile: only known directives, the settings
+     * OpenVPN needs, and inline material that belongs together (the
+     * certificate is for username, signed by the inline CA, current, and
+     * matches the key). Throws a ProfileError (500) describing every problem.
+     */
+    validate(profile, { username, options }) {
+        const problems = [];
+        const blocks = {};
+        const directives = [];
+
+        const lines = profile.split('\n');
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            const open = line.match(/^<([a-z-]+)>$/);
+            if (open) {
+                const end = lines.indexOf(`</${open[1]}>`, index);
+                if (end === -1) {
+                    problems.push(`<${open[1]}> is not closed`);
+                    break;
+                }
+                blocks[open[1]] = lines.slice(index + 1, end).join('\n');
+                index = end;
+            } else if (line && !line.startsWith('#')) {
+                const name = line.split(' ')[0];
+                if (!DIRECTIVES.includes(name)) problems.push(`Unexpected directive: ${name}`);
+                directives.push(name);
+            }
+        }
+
+        for (const required of ['client', 'dev', 'remote', 'cipher', 'auth']) {
+            if (!directives.includes(required)) problems.push(`Missing ${required}`);
+        }
+        for (const required of ['ca', 'cert', 'key', options.tlsKeyMode]) {
+            if (!blocks[required]) problems.push(`Missing <${required}>`);
+        }
+        if (options.compression && options.compression !== 'none' && !COMPRESSION_PATTERN.test(options.compression)) {
+            problems.push(`Invalid compression setting: ${options.compression}`);
+        }
+        if (!/^1\.[0-3]$/.test(String(options.security.tlsVersionMin))) problems.push(`Invalid tls-version-min: ${options.security.tlsVersionMin}`);
+        if (!(parseInt(options.security.renegotiateTime) >= 0)) problems.push(`Invalid reneg-sec: ${options.security.renegotiateTime}`);
+        // keySize has no directive of its own since OpenVPN 2.6; it has to agree with the cipher
+        const cipherBits = options.security.cipher.match(/-(128|192|256)-/);
+        if (cipherBits && parseInt(cipherBits[1]) !== options.security.keySize) {
+            problems.push(`keySize ${options.security.keySize} does not match cipher ${options.security.cipher}`);
+        }
+        if (blocks[options.tlsKeyMode] && !TLS_KEY_PATTERN.test(blocks[options.tlsKeyMode])) {
+            problems.push(`<${options.tlsKeyMode}> is not an OpenVPN static key`);
+        }
+
+        if (blocks.ca && blocks.cert && blocks.key) {
+            try {
+                const ca = new crypto.X509Certificate(blocks.ca);
+                const cert = new crypto.X509Certificate(blocks.cert);
+                const key = crypto.createPrivateKey(blocks.key);
+                const now = new Date();
+
+                if (!cert.checkIssued(ca) || !cert.verify(ca.publicKey)) problems.push('Certificate is not signed by the inline CA');
+                if (cert.subject.split('\n').find(part => part.startsWith('CN=')) !== `CN=${username}`) problems.push(`Certificate is not for ${username}`);
+                if (new Date(cert.validTo) < now || new Date(cert.validFrom) > now) problems.push('Certificate is not currently valid');
+                const spki = value => value.export({ type: 'spki', format: 'der' });
+                if (!spki(crypto.createPublicKey(key)).equals(spki(cert.publicKey))) problems.push('Key does not match the certificate');
+            } catch (error) {
+                problems.push(`Unreadable certificate or key: ${error.message}`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new ProfileError(`Generated profile for ${username} is invalid: ${problems.join('; ')}`, 500);
+        }
+    }
+}
+
+module.exports = new VPNProfileService(vpnConfig);
+module.exports.VPNProfileService = VPNProfileService;
+module.exports.ProfileError = ProfileError;
@@ -1,24 +1,50 @@
-const { db } = require('../config/firebase');
+const { admin, db } = require('../config/firebase');
 const vpnConfig = require('../config/vpn');
+const OpenVPNManagement = require('./openvpnManagement');
+const pkiService = require('./pkiService');
+const vpnProfileService = require('./vpnProfileService');
+const net = require('net');
 const path = require('path');
 
+// Usernames become certificate common names and file names
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+class VPNError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'VPNError';
+        this.status = status;
+    }
+}
+
 class VPNService {
     constructor() {
+        this.clients = db.collection('vpn_clients');
         this.connectedClients = new Map();
-        // Mock some connected clients for testing
-        this.connectedClients.set('test-user1', {
-            commonName: 'test-user1',
-            realAddress: '192.168.1.100',
-            virtualAddress: '10.8.0.2',
-            connectedSince: new Date(),
-            bytesReceived: 1024,
-            bytesSent: 2048
+        this.connectionListeners = [];
+        // Sessions are tracked through the OpenVPN management interface
+        this.management = new OpenVPNManagement(vpnConfig.management, {
+            ready: () => this.syncStatus(),
+            client: event => this.handleClientEvent(event)
         });
+        this.statusTimer = null;
     }
 
     async initialize() {
+        if (!vpnConfig.management.enabled) {
+            console.log('ℹ️ OpenVPN management disabled, VPN sessions are not tracked');
+            return false;
+        }
+        if (this.statusTimer) return true;
+
         try {
-            console.log('✅ Mock VPN Management interface initialized');
+            this.management.start();
+            // Refreshes byte counters and catches sessions missed while disconnected
+            this.statusTimer = setInterval(() => {
+                if (this.management.connected) this.syncStatus().catch(error => this.handleError(error));
+            }, vpnConfig.management.statusInterval);
+            this.statusTimer.unref();
+            console.log(`✅ VPN Management interface initialized (${vpnConfig.management.host}:${vpnConfig.management.port})`);
             return true;
         } catch (error) {
             console.error('❌ Failed to initialize VPN management:', error);
@@ -26,15 +52,102 @@ class VPNService {
         }
     }
 
+    // 'ip:port' as printed by OpenVPN; IPv6 may come bracketed or bare
+    parseAddress(text) {
+        if (!text) return { ip: null, port: null };
+        if (net.isIP(text)) return { ip: text, port: null };
+        const match = text.match(/^\[(.+)\]:(\d+)$/) || text.match(/^(.+):(\d+)$/);
+        return match ? { ip: match[1], port: parseInt(match[2]) } : { ip: text, port: null };
+    }
+
+    /**
+     * Reconciles connectedClients with `status 3`: new sessions are
+     * connected, vanished ones disconnected, and byte counters updated.
+     */
+    async syncStatus() {
+        const sessions = await this.management.getStatus();
+        const seen = new Set();
+
+        for (const session of sessions) {
+            seen.add(session.commonName);
+            const { ip, port } = this.parseAddress(session.realAddress);
+            const known = this.connectedClients.get(session.commonName);
+            if (known) {
+                Object.assign(known, {
+                    virtualAddress: session.virtualAddress || known.virtualAddress,
+                    clientId: session.clientId,
+                    bytesReceived: session.bytesReceived,
+                    bytesSent: session.bytesSent
+                });
+            } else {
+                await this.handleConnect({ ...session, realAddress: ip, realPort: port });
+            }
+        }
+
+        for (const commonName of [...this.connectedClients.keys()]) {
+            if (!seen.has(commonName)) await this.handleDisconnect({ commonName });
+        }
+    }
+
+    // >CLIENT: notifications from the management interface (--management-client-auth)
+    async handleClientEvent({ type, cid, kid, env }) {
+        const commonName = env.common_name;
+
+        if (type === 'connect' || type === 'reauth') {
+            // The certificate and CRL were already checked by OpenVPN; this also turns away revoked records
+            const doc = commonName ? await this.clients.doc(commonName).get().catch(() => null) : null;
+            if (doc && doc.exists && doc.data().active === false) {
+                console.log(`🚫 Denied VPN connection for revoked client ${commonName}`);
+                return this.management.denyClient(cid, kid, 'Client revoked');
+            }
+            return this.management.authorizeClient(cid, kid);
+        }
+
+        if (type === 'established') {
+            return this.handleConnect({
+                commonName,
+                realAddress: env.trusted_ip || env.untrusted_ip,
+                realPort: parseInt(env.trusted_port || env.untrusted_port) || null,
+                virtualAddress: env.ifconfig_pool_remote_ip || null,
+                clientId: cid
+            });
+        }
+
+        if (type === 'disconnect') {
+            return this.handleDisconnect({
+                commonName,
+                bytesReceived: parseInt(env.bytes_received) || 0,
+                bytesSent: parseInt(env.bytes_sent) || 0
+            });
+        }
+    }
+
+    // Registers listener(type, client) for 'connect' and 'disconnect' events
+    addConnectionListener(listener) {
+        this.connectionListeners.push(listener);
+    }
+
+    notifyConnectionListeners(type, client) {
+        for (const listener of this.connectionListeners) {
+            try {
+                listener(type, client);
+            } catch (error) {
+                console.error('❌ VPN connection listener failed:', error);
+            }
+        }
+    }
+
     async handleConnect(client) {
         try {
             const clientInfo = {
                 commonName: client.commonName,
                 realAddress: client.realAddress,
+                realPort: client.realPort || null,
                 virtualAddress: client.virtualAddress,
-                connectedSince: new Date(),
-                bytesReceived: 0,
-                bytesSent: 0
+                clientId: client.clientId || null,
+                connectedSince: client.connectedSince || new Date(),
+                bytesReceived: client.bytesReceived || 0,
+                bytesSent: client.bytesSent || 0
             };
 
             this.connectedClients.set(client.commonName, clientInfo);
@@ -46,6 +159,7 @@ class VPNService {
                 timestamp: new Date()
             });
 
+            this.notifyConnectionListeners('connect', clientInfo);
             console.log(`✅ Client connected: ${client.commonName}`);
         } catch (error) {
             console.error('❌ Error handling client connection:', error);
@@ -56,6 +170,10 @@ class VPNService {
         try {
             const clientInfo = this.connectedClients.get(client.commonName);
             if (clientInfo) {
+                // Final counters come with the DISCONNECT notification
+                if (client.bytesReceived !== undefined) clientInfo.bytesReceived = client.bytesReceived;
+                if (client.bytesSent !== undefined) clientInfo.bytesSent = client.bytesSent;
+
                 // Log disconnection to Firebase
                 await db.collection('vpn_connections').add({
                     ...clientInfo,
@@ -65,6 +183,7 @@ class VPNService {
                 });
 
                 this.connectedClients.delete(client.commonName);
+                this.notifyConnectionListeners('disconnect', { ...clientInfo, duration: new Date() - clientInfo.connectedSince });
                 console.log(`✅ Client disconnected: ${client.commonName}`);
             }
         } catch (error) {
@@ -76,81 +195,237 @@ class VPNService {
         console.error('❌ VPN Management error:', error);
     }
 
-    async createClientConfig(username) {
-        try {
-            // Generate client certificates and keys
-            await this.generateClientCertificates(username);
+    validateUsername(username) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw new VPNError('username must be 1-64 letters, digits, dots, dashes or underscores, starting with a letter or digit');
+        }
+        return username;
+    }
 
-            // Create client configuration
-            const clientConfig = await this.generateClientConfig(username);
+    // Client record with its live connection (null when not connected)
+    withConnection(client) {
+        return { ...client, connection: this.connectedClients.get(client.username) || null };
+    }
+
+    /**
+     * Clients from vpn_clients ordered by username. That is the document id,
+     * so records written before the username field existed are listed too.
+     * Filters: active ('true' / 'false'), connected ('true' / 'false'),
+     * search (username prefix), plus limit and after (the last username of
+     * the previous page). Resolves to { clients, nextCursor }.
+     */
+    async listClients({ active, connected, search, limit, after } = {}) {
+        const pageSize = Math.min(parseInt(limit) || 50, 500);
+        const byUsername = admin.firestore.FieldPath.documentId();
+        let query = this.clients.orderBy(byUsername);
+        if (active === 'true' || active === 'false') query = query.where('active', '==', active === 'true');
+        if (search) query = query.where(byUsername, '>=', search).where(byUsername, '<', `${search}\uf8ff`);
+
+        // Connection state isn't stored, so that filter is applied while paging
+        const clients = [];
+        let cursor = after || null;
+        let exhausted = false;
+        while (clients.length < pageSize && !exhausted) {
+            const snapshot = await (cursor ? query.startAfter(cursor) : query).limit(pageSize).get();
+            exhausted = snapshot.size < pageSize;
 
-            // Save client config to Firebase
-            await db.collection('vpn_clients').doc(username).set({
+            for (const doc of snapshot.docs) {
+                cursor = doc.id;
+                const client = this.withConnection({ username: doc.id, ...doc.data() });
+                if (connected === 'true' && !client.connection) continue;
+                if (connected === 'false' && client.connection) continue;
+                clients.push(client);
+                if (clients.length === pageSize) break;
+            }
+        }
+
+        return { clients, nextCursor: clients.length === pageSize ? clients[clients.length - 1].username : null };
+    }
+
+    // Null when the user has neither a client record nor a connection
+    async getClient(username) {
+        const doc = await this.clients.doc(username).get();
+        if (doc.exists) {
+            return this.withConnection({ username, ...doc.data() });
+        }
+        const connection = this.connectedClients.get(username);
+        return connection ? { username, active: null, connection } : null;
+    }
+
+    /**
+     * Issues credentials and stores the client record. A revoked client can
+     * be created again, which issues a new certificate. Resolves to
+     * { client, config }.
+     */
+    async createClient(username, { email = null, description = null, profile = null } = {}, actor = null) {
+        this.validateUsername(username);
+        const overrides = vpnProfileService.validateOverrides(profile);
+
+        const existing = await this.clients.doc(username).get();
+        if (existing.exists && existing.data().active) {
+            throw new VPNError(`VPN client ${username} already exists`, 409);
+        }
+
+        try {
+            const certificate = await this.generateClientCertificates(username);
+            const config = await this.generateClientConfig(username, overrides);
+            const client = {
                 username,
+                email,
+                description,
+                profile: overrides,
                 configCreated: new Date(),
+                createdBy: actor ? actor.uid : null,
                 lastAccess: null,
-                active: true
-            });
+                active: true,
+                certSerial: certificate.serial,
+                certExpiresAt: certificate.notAfter,
+                revokedAt: null,
+                revokedBy: null
+            };
 
-            return clientConfig;
+            await this.clients.doc(username).set(client);
+            return { client: this.withConnection(client), config };
         } catch (error) {
-            console.error(`❌ Error creating client config for ${username}:`, error);
+            console.error(`❌ Error creating client ${username}:`, error);
             throw error;
         }
     }
 
-    async generateClientCertificates(username) {
-        // This is a placeholder for certificate generation
-        // In production, implement proper certificate generation using OpenSSL
-        console.log(`Generating certificates for ${username}`);
-    }
-
-    async generateClientConfig(username) {
-        // This is a placeholder for client config generation
-        // In production, implement proper config generation using templates
-        const config = `
-client
-proto ${vpnConfig.settings.protocol}
-remote ${vpnConfig.management.host} ${vpnConfig.settings.port}
-dev tun
-resolv-retry infinite
-nobind
-persist-key
-persist-tun
-cipher ${vpnConfig.security.cipher}
-auth ${vpnConfig.security.auth}
-verb 3
-`;
+    // The client's .ovpn profile; records the download as lastAccess
+    async getClientConfig(username) {
+        const doc = await this.clients.doc(username).get();
+        if (!doc.exists) {
+            throw new VPNError(`VPN client ${username} not found`, 404);
+        }
+        if (!doc.data().active) {
+            throw new VPNError(`VPN client ${username} has been revoked`, 410);
+        }
+
+        const config = await this.generateClientConfig(username, doc.data().profile || null);
+        await this.clients.doc(username).update({ lastAccess: new Date() });
         return config;
     }
 
-    async revokeClient(username) {
+    /**
+     * Changes email, description or the per-user profile settings (see
+     * VPNProfileService.validateOverrides; null resets them). The new
+     * settings apply to the next config download. Resolves to { before, after }.
+     */
+    async updateClient(username, changes, actor = null) {
+        const doc = await this.clients.doc(username).get();
+        if (!doc.exists) {
+            throw new VPNError(`VPN client ${username} not found`, 404);
+        }
+
+        const update = {};
+        for (const field of ['email', 'description']) {
+            if (changes[field] !== undefined) update[field] = changes[field] === null ? null : String(changes[field]);
+        }
+        if (changes.profile !== undefined) update.profile = vpnProfileService.validateOverrides(changes.profile);
+        if (Object.keys(update).length === 0) {
+            throw new VPNError('Nothing to update (expected email, description or profile)');
+        }
+
+        update.updatedAt = new Date();
+        update.updatedBy = actor ? actor.uid : null;
+        await this.clients.doc(username).update(update);
+
+        const before = this.withConnection({ username, ...doc.data() });
+        return { before, after: { ...before, ...update } };
+    }
+
+    // Issues the client certificate and key; resolves to the certificate record
+    async generateClientCertificates(username) {
+        const certificate = await pkiService.issueClientCertificate(username);
+        console.log(`🔐 Issued certificate ${certificate.serial} for ${username}, valid until ${certificate.notAfter.toISOString()}`);
+        return certificate;
+    }
+
+    /**
+     * Replaces the client's certificate with a new one; the old one is
+     * revoked as superseded. Resolves to { client, certificate }.
+     */
+    async renewClient(username, actor = null) {
+        const doc = await this.clients.doc(username).get();
+        if (!doc.exists) {
+            throw new VPNError(`VPN client ${username} not found`, 404);
+        }
+        if (!doc.data().active) {
+            throw new VPNError(`VPN client ${username} has been revoked`, 410);
+        }
+
+        const certificate = await this.generateClientCertificates(username);
+        const update = {
+            certSerial: certificate.serial,
+            certExpiresAt: certificate.notAfter,
+            renewedAt: new Date(),
+            renewedBy: actor ? actor.uid : null
+        };
+        await this.clients.doc(username).update(update);
+        return { client: this.withConnection({ username, ...doc.data(), ...update }), certificate };
+    }
+
+    // Valid client certificates expiring within `days`, with their client records
+    async getExpiringClients(days) {
+        const certificates = await pkiService.getExpiring(days);
+        return Promise.all(certificates.map(async certificate => ({
+            ...certificate,
+            client: await this.getClient(certificate.username)
+        })));
+    }
+
+    // Unified .ovpn profile with the client's certificate, key and the TLS key inline
+    async generateClientConfig(username, overrides = null) {
+        const [credentials, tlsKey] = await Promise.all([pkiService.getClientCredentials(username), pkiService.getTLSKey()]);
+        return vpnProfileService.build(username, { credentials, tlsKey, overrides });
+    }
+
+    /**
+     * Revokes the client's certificates (reason is an RFC 5280 CRLReason
+     * name), marks the record inactive and ends its session when a
+     * management connection is available. Resolves to { client, disconnected }.
+     */
+    async revokeClient(username, actor = null, { reason = 'cessationOfOperation' } = {}) {
+        const doc = await this.clients.doc(username).get();
+        if (!doc.exists) {
+            throw new VPNError(`VPN client ${username} not found`, 404);
+        }
+        if (!doc.data().active) {
+            throw new VPNError(`VPN client ${username} is already revoked`, 409);
+        }
+        pkiService.validateReason(reason);
+
         try {
             // Revoke client certificates
-            await this.revokeClientCertificates(username);
+            const serials = await this.revokeClientCertificates(username, reason);
 
-            // Update client status in Firebase
-            await db.collection('vpn_clients').doc(username).update({
-                active: false,
-                revokedAt: new Date()
-            });
+            const update = { active: false, revokedAt: new Date(), revokedBy: actor ? actor.uid : null, revocationReason: reason, revokedSerials: serials };
+            await this.clients.doc(username).update(update);
 
             // Disconnect client if currently connected
+            let disconnected = false;
             if (this.connectedClients.has(username)) {
-                await this.management.killClient(username);
+                try {
+                    await this.management.killClient(username);
+                    disconnected = true;
+                } catch (error) {
+                    console.warn(`⚠️ Could not disconnect ${username} (${error.message}), it stays connected until the session ends`);
+                }
             }
 
-            return true;
+            return { client: this.withConnection({ username, ...doc.data(), ...update }), disconnected };
         } catch (error) {
             console.error(`❌ Error revoking client ${username}:`, error);
             throw error;
         }
     }
 
-    async revokeClientCertificates(username) {
-        // This is a placeholder for certificate revocation
-        // In production, implement proper certificate revocation using OpenSSL
-        console.log(`Revoking certificates for ${username}`);
+    // Revokes through the CRL; resolves to the revoked serials
+    async revokeClientCertificates(username, reason) {
+        const serials = await pkiService.revokeCertificates(username, reason);
+        console.log(`🔐 Revoked ${serials.length} certificate(s) for ${username}`);
+        return serials;
     }
 
     async getClientStatus(username) {
@@ -163,3 +438,4 @@ verb 3
 }
 
 module.exports = new VPNService();
+module.exports.VPNError = VPNError;
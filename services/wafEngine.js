@@ -0,0 +1,265 @@
+const wafConfig = require('../config/waf');
+const defaultRules = require('./wafRules');
+
+const SEVERITY_SCORES = { critical: 5, error: 4, warning: 3, notice: 2 };
+
+const HTML_ENTITIES = {
+    lt: '<', gt: '>', quot: '"', apos: "'", amp: '&', sol: '/', bsol: '\\',
+    colon: ':', semi: ';', lpar: '(', rpar: ')', equals: '=', grave: '`',
+    tab: '\t', newline: '\n', nbsp: ' ', num: '#', excl: '!', period: '.'
+};
+
+// Undoes %XX and IIS-style %uXXXX escapes; '+' is a space in query strings and forms
+function percentDecode(value) {
+    return value
+        .replace(/\+/g, ' ')
+        .replace(/%u([0-9a-f]{4})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/(?:%[0-9a-f]{2})+/gi, match => {
+            try {
+                return decodeURIComponent(match);
+            } catch (error) {
+                // Invalid UTF-8, decode byte by byte
+                return match.replace(/%([0-9a-f]{2})/gi, (byte, hex) => String.fromCharCode(parseInt(hex, 16)));
+            }
+        });
+}
+
+// Named, decimal and hex entities, with or without the trailing semicolon
+function htmlEntityDecode(value) {
+    return value.replace(/&(?:#x([0-9a-f]{1,6})|#(\d{1,7})|([a-z]{2,8}));?/gi, (match, hex, dec, name) => {
+        const codePoint = hex ? parseInt(hex, 16) : dec ? parseInt(dec, 10) : null;
+        if (codePoint !== null) {
+            return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+        }
+        return HTML_ENTITIES[name.toLowerCase()] ?? match;
+    });
+}
+
+// JavaScript escapes: \u003c, \u{3c}, \x3c
+function unicodeEscapeDecode(value) {
+    return value
+        .replace(/\\u\{([0-9a-f]{1,6})\}/gi, (match, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff)))
+        .replace(/\\u([0-9a-f]{4})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/\\x([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// '/api/ids/alerts/:id' -> the path itself or anything below it, with :id matching one segment
+function compileExclusionPath(pattern) {
+    const source = pattern
+        .replace(/\/+$/, '')
+        .split('/')
+        .map(segment => (segment.startsWith(':')
+            ? '[^/]+'
+            : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('/');
+    return new RegExp(`^${source}(/.*)?$`);
+}
+
+const transforms = {
+    removeSqlComments: value => value.replace(/\/\*!?\d*|\*\//g, ' '),
+    removeWhitespace: value => value.replace(/[\s\u0000-\u001f]+/g, ''),
+    normalizeSlashes: value => value.replace(/\\+/g, '/').replace(/\/{2,}/g, '/').replace(/\/\.\//g, '/')
+};
+
+/**
+ * Inspects requests against a scored ruleset. Every value is decoded before
+ * matching, each rule contributes its score once per request however many
+ * values it matches, and a request is anomalous when the total reaches the
+ * threshold.
+ */
+class WafEngine {
+    constructor({ mode, anomalyThreshold, headers, disabledRules = [], exclusions = [], maxValueLength, maxDecodePasses, rules = defaultRules }) {
+        this.mode = mode;
+        this.anomalyThreshold = anomalyThreshold;
+        this.headers = headers;
+        this.exclusions = exclusions.map(exclusion => ({ ...exclusion, regex: compileExclusionPath(exclusion.path) }));
+        this.maxValueLength = maxValueLength;
+        this.maxDecodePasses = maxDecodePasses;
+        this.rules = rules
+            .filter(rule => !disabledRules.includes(rule.id))
+            .map(rule => this.validateRule(rule));
+    }
+
+    static registerTransform(name, transform) {
+        transforms[name] = transform;
+    }
+
+    validateRule(rule) {
+        const score = rule.score ?? SEVERITY_SCORES[rule.severity];
+        if (!rule.id || !(rule.pattern instanceof RegExp) || !(score > 0)) {
+            throw new Error(`Invalid WAF rule ${rule.id || JSON.stringify(rule)}: id, pattern and severity or score are required`);
+        }
+
+        const unknown = (rule.transforms || []).filter(name => !transforms[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Invalid WAF rule ${rule.id}: unknown transform ${unknown.join(', ')}`);
+        }
+
+        return { transforms: [], ...rule, score };
+    }
+
+    /**
+     * Shared normalization: repeated percent-decoding (double/triple encoding),
+     * HTML entities, JavaScript escapes, Unicode compatibility forms (fullwidth
+     * ＜script＞) and lower case. Null bytes are kept so rules can see them.
+     */
+    normalize(value) {
+        let text = String(value).slice(0, this.maxValueLength);
+
+        for (let pass = 0; pass < this.maxDecodePasses; pass++) {
+            const decoded = htmlEntityDecode(unicodeEscapeDecode(percentDecode(text)));
+            if (decoded === text) break;
+            text = decoded;
+        }
+
+        return text.normalize('NFKC').toLowerCase();
+    }
+
+    /**
+     * Flattens the parts of a request the rules can look at into
+     * { location, name, value } targets. Nested body fields are named by
+     * their path (user.profile.bio); argument names are targets too.
+     */
+    collectTargets(req) {
+        const targets = [];
+        const add = (location, name, value) => {
+            if (value === undefined || value === null || value === '') return;
+            targets.push({ location, name, value: String(value) });
+        };
+
+        const flatten = (location, value, name) => {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => flatten(location, item, `${name}[${index}]`));
+            } else if (value && typeof value === 'object') {
+                Object.entries(value).forEach(([key, item]) => {
+                    const childName = name ? `${name}.${key}` : key;
+                    add(location, `${childName}:name`, key);
+                    flatten(location, item, childName);
+                });
+            } else {
+                add(location, name || location, value);
+            }
+        };
+
+        const [rawPath, rawQuery = ''] = req.originalUrl.split(/\?(.*)/s);
+        add('path', 'path', rawPath);
+
+        // Inspect the raw query so encodings survive until normalize() sees them
+        for (const pair of rawQuery.split('&')) {
+            if (!pair) continue;
+            const [name, value = ''] = pair.split(/=(.*)/s);
+            add('query', `${name}:name`, name);
+            add('query', name, value);
+        }
+
+        if (typeof req.body === 'string') {
+            add('body', 'body', req.body);
+        } else {
+            flatten('body', req.body, '');
+        }
+
+        for (const header of this.headers) {
+            const value = req.headers[header];
+            if (value === undefined) continue;
+
+            if (header === 'cookie') {
+                for (const cookie of String(value).split(';')) {
+                    const [name, cookieValue = ''] = cookie.trim().split(/=(.*)/s);
+                    add('cookie', `${name}:name`, name);
+                    add('cookie', name, cookieValue);
+                }
+            } else {
+                add('header', header, Array.isArray(value) ? value.join(', ') : value);
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Scores a request. Returns { score, threshold, anomalous, matches }
+     * where matches lists each matching rule with the first value it matched.
+     */
+    inspect(req) {
+        const targets = this.collectTargets(req).map(target => ({
+            ...target,
+            normalized: this.normalize(target.value)
+        }));
+        const exclusions = this.matchingExclusions(req);
+        const matches = [];
+
+        for (const rule of this.rules) {
+            for (const target of targets) {
+                if (!rule.locations.includes(target.location)) continue;
+                if (exclusions.some(exclusion => this.excludes(exclusion, rule, target))) continue;
+
+                const value = rule.transforms.reduce((text, name) => transforms[name](text), target.normalized);
+                const found = rule.pattern.exec(value);
+                if (!found) continue;
+
+                matches.push({
+                    id: rule.id,
+                    msg: rule.msg,
+                    category: rule.category,
+                    severity: rule.severity,
+                    score: rule.score,
+                    location: target.location,
+                    name: target.name,
+                    matched: found[0].slice(0, 100)
+                });
+                break;
+            }
+        }
+
+        const score = matches.reduce((total, match) => total + match.score, 0);
+        return {
+            score,
+            threshold: this.anomalyThreshold,
+            anomalous: score >= this.anomalyThreshold,
+            matches
+        };
+    }
+
+    matchingExclusions(req) {
+        const path = req.originalUrl.split('?')[0];
+        return this.exclusions.filter(exclusion => exclusion.regex.test(path));
+    }
+
+    excludes(exclusion, rule, target) {
+        return (!exclusion.rules || exclusion.rules.includes(rule.id))
+            && (!exclusion.locations || exclusion.locations.includes(target.location));
+    }
+
+    /**
+     * ids_alerts entry for an anomalous request. Severity grows from 7 at the
+     * threshold to 10 at about twice the threshold.
+     */
+    buildAlert(ip, req, inspection, action) {
+        const categories = [...new Set(inspection.matches.map(match => match.category))];
+        const path = req.originalUrl.split('?')[0];
+
+        return {
+            timestamp: new Date().toISOString(),
+            src_ip: ip,
+            msg: `WAF: ${categories.join(', ')} (score ${inspection.score}) on ${req.method} ${path}`,
+            protocol: 'http',
+            alert_type: 'waf',
+            source: 'waf',
+            severity: Math.min(10, 3 + Math.round(4 * inspection.score / inspection.threshold)),
+            details: {
+                method: req.method,
+                path,
+                user: req.user ? req.user.uid : null,
+                score: inspection.score,
+                threshold: inspection.threshold,
+                mode: this.mode,
+                action,
+                rules: inspection.matches.map(match => match.id),
+                matches: inspection.matches
+            }
+        };
+    }
+}
+
+module.exports = new WafEngine(wafConfig);
+module.exports.WafEngine = WafEngine;
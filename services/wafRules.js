@@ -0,0 +1,187 @@
+/**
+ * Default request-inspection rules. Patterns run against decoded, lower-cased
+ * values (see wafEngine.normalize), so they don't need to handle encodings or
+ * case themselves. `locations` limits where a rule looks: path, query, body,
+ * cookie or header (the headers listed in config/waf.js); argument names are
+ * inspected along with their values. `transforms` adds rule-specific
+ * normalization on top of the shared one.
+ *
+ * Scores follow severity: critical 5, error 4, warning 3, notice 2. With the
+ * default threshold of 5 a single critical match, or two weaker ones, make a
+ * request anomalous.
+ */
+const ALL = ['path', 'query', 'body', 'cookie', 'header'];
+const ARGS = ['query', 'body', 'cookie'];
+
+const SHELL_COMMANDS = 'cat|ls|id|whoami|uname|wget|curl|nc|ncat|netcat|bash|sh|zsh|python[23]?|perl|ruby|php|ping|nslookup|rm|chmod|chown|echo|powershell|cmd';
+
+module.exports = [
+    // SQL injection
+    {
+        id: 'sqli-union-select',
+        category: 'sqli',
+        msg: 'SQL injection: UNION SELECT',
+        severity: 'critical',
+        locations: ALL,
+        transforms: ['removeSqlComments'],
+        pattern: /\bunion\b(?:\s+(?:all|distinct))?\s*\(?\s*select\b/
+    },
+    {
+        id: 'sqli-tautology',
+        category: 'sqli',
+        msg: 'SQL injection: boolean tautology',
+        severity: 'critical',
+        locations: ARGS,
+        transforms: ['removeSqlComments'],
+        pattern: /['"`)]\s*(?:or|and|\|\||&&)\s*\(?\s*(?:['"`]?\w*['"`]?\s*(?:=|<>|!=|like)\s*['"`]?\w*|\d+\s*[<>=]|true\b|not\b)|\b(?:or|and)\s+(\d+)\s*=\s*\1\b/
+    },
+    {
+        id: 'sqli-comment-terminator',
+        category: 'sqli',
+        msg: 'SQL injection: quote followed by comment',
+        severity: 'warning',
+        locations: ARGS,
+        pattern: /['"`]\s*\)*\s*(?:--|#|\/\*|;\s*--)/
+    },
+    {
+        id: 'sqli-stacked-query',
+        category: 'sqli',
+        msg: 'SQL injection: stacked statement',
+        severity: 'critical',
+        locations: ARGS,
+        transforms: ['removeSqlComments'],
+        pattern: /;\s*(?:drop|delete|insert|update|alter|create|truncate|exec(?:ute)?|declare|shutdown)\s+\w/
+    },
+    {
+        id: 'sqli-functions',
+        category: 'sqli',
+        msg: 'SQL injection: time-based or file-access function',
+        severity: 'error',
+        locations: ARGS,
+        transforms: ['removeSqlComments'],
+        pattern: /\b(?:sleep|benchmark|pg_sleep|load_file|extractvalue|updatexml)\s*\(|\bwaitfor\s+delay\b|\binto\s+(?:out|dump)file\b|\binformation_schema\b|\bxp_cmdshell\b/
+    },
+    {
+        id: 'sqli-select-from',
+        category: 'sqli',
+        msg: 'SQL injection: SELECT ... FROM',
+        severity: 'warning',
+        locations: ARGS,
+        transforms: ['removeSqlComments'],
+        pattern: /\bselect\b[\s\S]{1,120}?\bfrom\b/
+    },
+
+    // Cross-site scripting
+    {
+        id: 'xss-script-tag',
+        category: 'xss',
+        msg: 'XSS: script tag',
+        severity: 'critical',
+        locations: ALL,
+        pattern: /<\s*\/?\s*script\b/
+    },
+    {
+        id: 'xss-event-handler',
+        category: 'xss',
+        msg: 'XSS: event handler attribute',
+        severity: 'critical',
+        locations: ALL,
+        pattern: /<[^>]*[\s/"'](?:on[a-z]{3,20})\s*=/
+    },
+    {
+        id: 'xss-js-uri',
+        category: 'xss',
+        msg: 'XSS: javascript/vbscript/data URI',
+        severity: 'error',
+        locations: ALL,
+        transforms: ['removeWhitespace'],
+        pattern: /(?:javascript|vbscript|livescript):|data:text\/html/
+    },
+    {
+        id: 'xss-dangerous-tag',
+        category: 'xss',
+        msg: 'XSS: embeddable HTML tag',
+        severity: 'warning',
+        locations: ALL,
+        pattern: /<\s*(?:iframe|frame|object|embed|applet|svg|math|base|link|meta|style|form|img|body|video|audio|details|marquee)\b/
+    },
+    {
+        id: 'xss-js-sink',
+        category: 'xss',
+        msg: 'XSS: JavaScript sink or dialog',
+        severity: 'warning',
+        locations: ARGS,
+        pattern: /\b(?:alert|prompt|confirm|eval|settimeout|setinterval|fromcharcode)\s*\(|\bdocument\s*\.\s*(?:cookie|domain|write)|\bwindow\s*\.\s*location\b|\binnerhtml\s*=/
+    },
+
+    // Path traversal and local file inclusion
+    {
+        id: 'lfi-path-traversal',
+        category: 'path-traversal',
+        msg: 'Path traversal: ../ sequence',
+        severity: 'critical',
+        locations: ALL,
+        transforms: ['normalizeSlashes'],
+        pattern: /(?:^|\/)\.{2,}(?:\/|$)/
+    },
+    {
+        id: 'lfi-sensitive-file',
+        category: 'path-traversal',
+        msg: 'Path traversal: sensitive system file',
+        severity: 'critical',
+        locations: ALL,
+        transforms: ['normalizeSlashes'],
+        pattern: /\/etc\/(?:passwd|shadow|group|hosts|sudoers|issue)\b|\/proc\/(?:self|\d+)\/|(?:boot|win|system)\.ini\b|\/windows\/system32\b|\.ssh\/(?:id_[a-z0-9]+|authorized_keys)\b/
+    },
+    {
+        id: 'lfi-null-byte',
+        category: 'path-traversal',
+        msg: 'Path traversal: null byte',
+        severity: 'warning',
+        locations: ALL,
+        pattern: /\u0000/
+    },
+    {
+        id: 'lfi-wrapper',
+        category: 'path-traversal',
+        msg: 'File inclusion: stream wrapper',
+        severity: 'error',
+        locations: ARGS,
+        pattern: /\b(?:file|php|zip|phar|expect|glob|gopher|dict):\/\//
+    },
+
+    // OS command injection
+    {
+        id: 'rce-command-chain',
+        category: 'command-injection',
+        msg: 'Command injection: chained shell command',
+        severity: 'critical',
+        locations: ARGS.concat('header'),
+        pattern: new RegExp(`(?:;|&&|\\|\\|?|\\n|\\$\\(|\`)\\s*(?:/(?:usr/)?s?bin/)?(?:${SHELL_COMMANDS})\\b`)
+    },
+    {
+        id: 'rce-substitution',
+        category: 'command-injection',
+        msg: 'Command injection: command substitution',
+        severity: 'warning',
+        locations: ARGS.concat('header'),
+        pattern: /\$\([^)]{1,200}\)|`[^`]{1,200}`|\$\{ifs\}/
+    },
+    {
+        id: 'rce-shell-binary',
+        category: 'command-injection',
+        msg: 'Command injection: shell binary',
+        severity: 'error',
+        locations: ARGS.concat('header'),
+        transforms: ['normalizeSlashes'],
+        pattern: /\/bin\/(?:ba|z|da|k)?sh\b|\bcmd(?:\.exe)?\s+\/c\b|\bpowershell(?:\.exe)?\s+-/
+    },
+    {
+        id: 'rce-shellshock',
+        category: 'command-injection',
+        msg: 'Command injection: Shellshock function definition',
+        severity: 'critical',
+        locations: ['header', 'cookie'],
+        pattern: /\(\s*\)\s*\{/
+    }
+];
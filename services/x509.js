@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+/**
+ * Just enough DER to issue X.509 v3 certificates and v2 CRLs with Node's
+ * crypto doing the key handling and signing. Supports EC (P-256/P-384) and
+ * RSA keys, always with SHA-256.
+ */
+
+const OID = {
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+    sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+    subjectKeyIdentifier: '2.5.29.14',
+    keyUsage: '2.5.29.15',
+    basicConstraints: '2.5.29.19',
+    cRLNumber: '2.5.29.20',
+    reasonCode: '2.5.29.21',
+    authorityKeyIdentifier: '2.5.29.35',
+    extKeyUsage: '2.5.29.37',
+    clientAuth: '1.3.6.1.5.5.7.3.2',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// RFC 5280 CRLReason
+const REVOCATION_REASONS = {
+    unspecified: 0,
+    keyCompromise: 1,
+    cACompromise: 2,
+    affiliationChanged: 3,
+    superseded: 4,
+    cessationOfOperation: 5
+};
+
+// KeyUsage bit positions
+const KEY_USAGE = {
+    digitalSignature: 0,
+    keyEncipherment: 2,
+    keyAgreement: 4,
+    keyCertSign: 5,
+    cRLSign: 6
+};
+
+// ---------- encoding ----------
+
+function length(n) {
+    if (n < 0x80) return Buffer.from([n]);
+    const bytes = [];
+    while (n > 0) {
+        bytes.unshift(n & 0xff);
+        n >>= 8;
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const tlv = (tag, content) => Buffer.concat([Buffer.from([tag]), length(content.length), content]);
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const explicit = (n, content) => tlv(0xa0 | n, content);
+const octetString = content => tlv(0x04, content);
+const bitString = (content, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), content]));
+const boolean = value => tlv(0x01, Buffer.from([value ? 0xff : 0x00]));
+const utf8String = text => tlv(0x0c, Buffer.from(text, 'utf8'));
+
+// Unsigned big-endian bytes or a small number, minimally encoded
+function integer(value) {
+    let hex = Buffer.isBuffer(value) ? value.toString('hex') : value.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    let bytes = Buffer.from(hex, 'hex');
+    while (bytes.length > 1 && bytes[0] === 0 && bytes[1] < 0x80) bytes = bytes.subarray(1);
+    if (bytes[0] >= 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    return tlv(0x02, bytes);
+}
+
+function objectIdentifier(oid) {
+    const parts = oid.split('.').map(Number);
+    const bytes = [parts[0] * 40 + parts[1]];
+    for (const part of parts.slice(2)) {
+        const chunk = [part & 0x7f];
+        let rest = part >> 7;
+        while (rest > 0) {
+            chunk.unshift(0x80 | (rest & 0x7f));
+            rest >>= 7;
+        }
+        bytes.push(...chunk);
+    }
+    return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+function time(date) {
+    const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+    return date.getUTCFullYear() < 2050 ? tlv(0x17, Buffer.from(iso.slice(2))) : tlv(0x18, Buffer.from(iso));
+}
+
+function name({ commonName, organizationName }) {
+    const attributes = [];
+    if (organizationName) attributes.push(set(sequence(objectIdentifier(OID.organizationName), utf8String(organizationName))));
+    attributes.push(set(sequence(objectIdentifier(OID.commonName), utf8String(commonName))));
+    return sequence(...attributes);
+}
+
+function extension(oid, value, critical = false) {
+    return sequence(objectIdentifier(oid), ...(critical ? [boolean(true)] : []), octetString(value));
+}
+
+function keyUsage(usages) {
+    let bits = 0;
+    for (const usage of usages) bits |= 0x80 >> KEY_USAGE[usage];
+    // DER drops trailing zero bits
+    let unused = 0;
+    while (unused < 7 && !(bits & (1 << unused))) unused++;
+    return bitString(Buffer.from([bits]), unused);
+}
+
+// ---------- decoding (only what's needed to issue under an existing CA) ----------
+
+function read(der, offset = 0) {
+    const tag = der[offset];
+    let size = der[offset + 1];
+    let header = 2;
+    if (size & 0x80) {
+        const count = size & 0x7f;
+        size = 0;
+        for (let i = 0; i < count; i++) size = size * 256 + der[offset + 2 + i];
+        header += count;
+    }
+    const start = offset + header;
+    return { tag, start, end: start + size, content: der.subarray(start, start + size), raw: der.subarray(offset, start + size) };
+}
+
+function children(der) {
+    const items = [];
+    for (let offset = 0; offset < der.length;) {
+        const item = read(der, offset);
+        items.push(item);
+        offset = item.end;
+    }
+    return items;
+}
+
+function decodeOID(content) {
+    const parts = [Math.floor(content[0] / 40), content[0] % 40];
+    let value = 0;
+    for (const byte of content.subarray(1)) {
+        value = value * 128 + (byte & 0x7f);
+        if (!(byte & 0x80)) {
+            parts.push(value);
+            value = 0;
+        }
+    }
+    return parts.join('.');
+}
+
+/**
+ * The subject Name exactly as encoded in a certificate (issuer names must
+ * match it byte for byte) and its subject key identifier, if any.
+ */
+function parseCertificate(pem) {
+    const der = new crypto.X509Certificate(pem).raw;
+    const tbs = children(read(der).content)[0];
+    const fields = children(tbs.content);
+    const offset = fields[0].tag === 0xa0 ? 1 : 0;
+
+    let subjectKeyId = null;
+    const extensions = fields.find(field => field.tag === 0xa3);
+    if (extensions) {
+        for (const item of children(children(extensions.content)[0].content)) {
+            const [id, ...rest] = children(item.content);
+            if (decodeOID(id.content) === OID.subjectKeyIdentifier) {
+                subjectKeyId = read(rest[rest.length - 1].content).content;
+            }
+        }
+    }
+    return { subject: fields[offset + 4].raw, subjectKeyId };
+}
+
+// ---------- certificates and CRLs ----------
+
+function signatureAlgorithm(key) {
+    return key.asymmetricKeyType === 'rsa'
+        ? sequence(objectIdentifier(OID.sha256WithRSAEncryption), tlv(0x05, Buffer.alloc(0)))
+        : sequence(objectIdentifier(OID.ecdsaWithSHA256));
+}
+
+function sign(tbs, signingKey) {
+    return sequence(tbs, signatureAlgorithm(signingKey), bitString(crypto.sign('sha256', tbs, signingKey)));
+}
+
+// RFC 5280 method 1: SHA-1 of the subjectPublicKey bits
+function keyIdentifier(publicKey) {
+    const spki = publicKey.export({ type: 'spki', format: 'der' });
+    const bits = children(read(spki).content)[1].content.subarray(1);
+    return crypto.createHash('sha1').update(bits).digest();
+}
+
+function toPEM(der, label) {
+    const lines = der.toString('base64').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Issues a certificate. subject: { commonName, organizationName? };
+ * issuer: { name (DER from parseCertificate), keyId, privateKey }, or for a
+ * self-signed CA null with the CA's own privateKey. ca: true adds CA
+ * constraints, otherwise the certificate gets the given extendedKeyUsage
+ * ('clientAuth' / 'serverAuth'). Returns the PEM.
+ */
+function createCertificate({ serial, subject, publicKey, issuer = null, privateKey = null, notBefore, notAfter, ca = false, extendedKeyUsage = 'clientAuth' }) {
+    const subjectName = name(subject);
+    const subjectKeyId = keyIdentifier(publicKey);
+    if (!issuer && !(ca && privateKey)) throw new Error('Only CA certificates can be self-signed');
+    const signer = issuer || { name: subjectName, keyId: subjectKeyId, privateKey };
+
+    const extensions = [];
+    if (ca) {
+        extensions.push(extension(OID.basicConstraints, sequence(boolean(true)), true));
+        extensions.push(extension(OID.keyUsage, keyUsage(['keyCertSign', 'cRLSign']), true));
+    } else {
+        extensions.push(extension(OID.basicConstraints, sequence(), true));
+        const usages = publicKey.asymmetricKeyType === 'rsa' ? ['digitalSignature', 'keyEncipherment'] : ['digitalSignature', 'keyAgreement'];
+        extensions.push(extension(OID.keyUsage, keyUsage(usages), true));
+        extensions.push(extension(OID.extKeyUsage, sequence(objectIdentifier(OID[extendedKeyUsage]))));
+    }
+    extensions.push(extension(OID.subjectKeyIdentifier, octetString(subjectKeyId)));
+    if (signer.keyId) {
+        extensions.push(extension(OID.authorityKeyIdentifier, sequence(tlv(0x80, signer.keyId))));
+    }
+
+    const tbs = sequence(
+        explicit(0, integer(2)),
+        integer(Buffer.from(serial, 'hex')),
+        signatureAlgorithm(signer.privateKey),
+        signer.name,
+        sequence(time(notBefore), time(notAfter)),
+        subjectName,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        explicit(3, sequence(...extensions))
+    );
+    return toPEM(sign(tbs, signer.privateKey), 'CERTIFICATE');
+}
+
+/**
+ * Builds a CRL signed by the issuer. revoked: [{ serial, revokedAt,
+ * reason }] with reason a key of REVOCATION_REASONS. Returns the PEM.
+ */
+function createCRL({ issuer, revoked, crlNumber, thisUpdate, nextUpdate }) {
+    const entries = revoked.map(entry => {
+        const reason = REVOCATION_REASONS[entry.reason] || 0;
+        // An unspecified reason is left out (RFC 5280 5.3.1)
+        const entryExtensions = reason ? [sequence(extension(OID.reasonCode, tlv(0x0a, Buffer.from([reason]))))] : [];
+        return sequence(integer(Buffer.from(entry.serial, 'hex')), time(entry.revokedAt), ...entryExtensions);
+    });
+
+    const extensions = [extension(OID.cRLNumber, integer(crlNumber))];
+    if (issuer.keyId) extensions.unshift(extension(OID.authorityKeyIdentifier, sequence(tlv(0x80, issuer.keyId))));
+
+    const tbs = sequence(
+        integer(1),
+        signatureAlgorithm(issuer.privateKey),
+        issuer.name,
+        time(thisUpdate),
+        time(nextUpdate),
+        ...(entries.length > 0 ? [sequence(...entries)] : []),
+        explicit(0, sequence(...extensions))
+    );
+    return toPEM(sign(tbs, issuer.privateKey), 'X509 CRL');
+}
+
+module.exports = {
+    REVOCATION_REASONS,
+    parseCertificate,
+    createCertificate,
+    createCRL
+};
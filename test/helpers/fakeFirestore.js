@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the parts of the Firestore Admin API the services
+ * use: documents, add, where / orderBy / limit / startAfter queries,
+ * transactions, batches, onSnapshot and the serverTimestamp / increment
+ * field values. Dates come back as Timestamps like they do from Firestore.
+ *
+ * install() registers it as config/firebase.js, so call it before requiring
+ * any service.
+ */
+
+class Timestamp {
+    constructor(millis) {
+        this.millis = millis;
+    }
+
+    static fromDate(date) {
+        return new Timestamp(date.getTime());
+    }
+
+    toDate() {
+        return new Date(this.millis);
+    }
+
+    toMillis() {
+        return this.millis;
+    }
+
+    valueOf() {
+        return this.millis;
+    }
+}
+
+class FieldValue {
+    constructor(apply) {
+        this.apply = apply;
+    }
+
+    static serverTimestamp() {
+        return new FieldValue(() => new Date());
+    }
+
+    static increment(n) {
+        return new FieldValue(current => (typeof current === 'number' ? current : 0) + n);
+    }
+
+    static arrayUnion(...items) {
+        return new FieldValue(current => [...(current || []), ...items.filter(item => !(current || []).includes(item))]);
+    }
+}
+
+const DOCUMENT_ID = '__name__';
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+// Deep copy for storage, resolving field values against the stored value
+function store(value, current) {
+    if (value instanceof FieldValue) return value.apply(current);
+    if (value instanceof Timestamp) return value.toDate();
+    if (value instanceof Date) return new Date(value);
+    if (Array.isArray(value)) return value.map(item => store(item));
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== undefined) copy[key] = store(item, current ? current[key] : undefined);
+        }
+        return copy;
+    }
+    return value;
+}
+
+// Deep copy for reading, with Dates turned into Timestamps
+function read(value) {
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Array.isArray(value)) return value.map(read);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, read(item)]));
+    }
+    return value;
+}
+
+// Dates and Timestamps compare by time
+function comparable(value) {
+    if (value instanceof Date) return value.getTime();
+    if (value instanceof Timestamp) return value.toMillis();
+    return value;
+}
+
+function fieldOf(id, data, field) {
+    if (field === DOCUMENT_ID) return id;
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function compare(a, b) {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (x === y) return 0;
+    if (x === undefined || x === null) return -1;
+    if (y === undefined || y === null) return 1;
+    return x < y ? -1 : 1;
+}
+
+const operators = {
+    '==': (a, b) => compare(a, b) === 0 && a !== undefined,
+    '!=': (a, b) => a !== undefined && compare(a, b) !== 0,
+    '<': (a, b) => a != null && compare(a, b) < 0,
+    '<=': (a, b) => a != null && compare(a, b) <= 0,
+    '>': (a, b) => a != null && compare(a, b) > 0,
+    '>=': (a, b) => a != null && compare(a, b) >= 0,
+    'in': (a, b) => b.some(item => compare(a, item) === 0),
+    'not-in': (a, b) => a !== undefined && !b.some(item => compare(a, item) === 0),
+    'array-contains': (a, b) => Array.isArray(a) && a.some(item => compare(item, b) === 0),
+    'array-contains-any': (a, b) => Array.isArray(a) && a.some(item => b.some(other => compare(item, other) === 0))
+};
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this.stored = data;
+    }
+
+    data() {
+        return this.exists ? read(this.stored) : undefined;
+    }
+
+    get(field) {
+        return this.exists ? read(fieldOf(this.id, this.stored, field)) : undefined;
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+class DocumentReference {
+    constructor(firestore, path) {
+        this.firestore = firestore;
+        this.path = path;
+        this.id = path.split('/').pop();
+    }
+
+    collection(name) {
+        return new CollectionReference(this.firestore, `${this.path}/${name}`);
+    }
+
+    async get() {
+        return this.firestore.snapshot(this);
+    }
+
+    async set(data, options) {
+        this.firestore.write(this, 'set', data, options);
+    }
+
+    async create(data) {
+        this.firestore.write(this, 'create', data);
+    }
+
+    async update(data) {
+        this.firestore.write(this, 'update', data);
+    }
+
+    async delete() {
+        this.firestore.write(this, 'delete');
+    }
+}
+
+class Query {
+    constructor(firestore, path, { filters = [], orders = [], max = null, cursor = null } = {}) {
+        this.firestore = firestore;
+        this.path = path;
+        this.options = { filters, orders, max, cursor };
+    }
+
+    with(changes) {
+        return new Query(this.firestore, this.path, { ...this.options, ...changes });
+    }
+
+    where(field, op, value) {
+        if (!operators[op]) throw new Error(`Unsupported operator ${op}`);
+        return this.with({ filters: [...this.options.filters, { field, op, value }] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        return this.with({ orders: [...this.options.orders, { field, direction }] });
+    }
+
+    limit(max) {
+        return this.with({ max });
+    }
+
+    // A document snapshot or the values of the orderBy fields
+    startAfter(...cursor) {
+        return this.with({ cursor });
+    }
+
+    async get() {
+        return this.run();
+    }
+
+    run() {
+        const { filters, orders, max, cursor } = this.options;
+        let docs = this.firestore.documentsIn(this.path)
+            .filter(doc => filters.every(({ field, op, value }) => operators[op](fieldOf(doc.id, doc.stored, field), value)));
+
+        const sortBy = orders.length > 0 ? orders : [{ field: DOCUMENT_ID, direction: 'asc' }];
+        const ordering = (a, b) => {
+            for (const { field, direction } of sortBy) {
+                const result = compare(fieldOf(a.id, a.stored, field), fieldOf(b.id, b.stored, field));
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return compare(a.id, b.id);
+        };
+        docs.sort(ordering);
+
+        if (cursor) {
+            const values = cursor[0] instanceof DocumentSnapshot
+                ? sortBy.map(({ field }) => fieldOf(cursor[0].id, cursor[0].stored, field))
+                : cursor;
+            docs = docs.filter(doc => {
+                for (let i = 0; i < values.length; i++) {
+                    const { field, direction } = sortBy[i];
+                    const result = compare(fieldOf(doc.id, doc.stored, field), values[i]);
+                    if (result !== 0) return direction === 'desc' ? result < 0 : result > 0;
+                }
+                return cursor[0] instanceof DocumentSnapshot ? compare(doc.id, cursor[0].id) > 0 : false;
+            });
+        }
+        if (max !== null) docs = docs.slice(0, max);
+        return new QuerySnapshot(docs);
+    }
+
+    // Calls back now and after every write to the collection
+    onSnapshot(onNext, onError) {
+        const listener = () => {
+            try {
+                onNext(this.run());
+            } catch (error) {
+                if (onError) onError(error);
+                else throw error;
+            }
+        };
+        this.firestore.listeners.add(listener);
+        setImmediate(listener);
+        return () => this.firestore.listeners.delete(listener);
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(firestore, path) {
+        super(firestore, path);
+        this.id = path.split('/').pop();
+    }
+
+    doc(id = crypto.randomBytes(10).toString('hex')) {
+        return new DocumentReference(this.firestore, `${this.path}/${id}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class FakeFirestore {
+    constructor() {
+        // document path -> stored data
+        this.documents = new Map();
+        this.listeners = new Set();
+    }
+
+    settings() {}
+
+    collection(path) {
+        return new CollectionReference(this, path);
+    }
+
+    doc(path) {
+        return new DocumentReference(this, path);
+    }
+
+    documentsIn(collectionPath) {
+        const docs = [];
+        for (const [path, data] of this.documents) {
+            const slash = path.lastIndexOf('/');
+            if (path.slice(0, slash) === collectionPath) docs.push(new DocumentSnapshot(this.doc(path), data));
+        }
+        return docs;
+    }
+
+    snapshot(ref) {
+        return new DocumentSnapshot(ref, this.documents.get(ref.path));
+    }
+
+    write(ref, type, data, options = {}) {
+        const current = this.documents.get(ref.path);
+
+        if (type === 'create' && current !== undefined) {
+            const error = new Error(`Document already exists: ${ref.path}`);
+            error.code = 6; // ALREADY_EXISTS
+            throw error;
+        }
+        if (type === 'update' && current === undefined) {
+            const error = new Error(`No document to update: ${ref.path}`);
+            error.code = 5; // NOT_FOUND
+            throw error;
+        }
+
+        if (type === 'delete') {
+            this.documents.delete(ref.path);
+        } else if (type === 'update') {
+            const next = store(current);
+            for (const [field, value] of Object.entries(data)) {
+                const keys = field.split('.');
+                const parent = keys.slice(0, -1).reduce((object, key) => (object[key] = object[key] || {}), next);
+                const last = keys[keys.length - 1];
+                parent[last] = store(value, parent[last]);
+            }
+            this.documents.set(ref.path, next);
+        } else if (type === 'set' && options.merge && current !== undefined) {
+            this.documents.set(ref.path, { ...current, ...store(data, current) });
+        } else {
+            this.documents.set(ref.path, store(data));
+        }
+
+        for (const listener of this.listeners) setImmediate(listener);
+    }
+
+    // Writes are applied when the callback resolves; transactions never conflict here
+    async runTransaction(callback) {
+        const writes = [];
+        const transaction = {
+            get: async target => (target instanceof DocumentReference ? this.snapshot(target) : target.run()),
+            set: (ref, data, options) => { writes.push([ref, 'set', data, options]); return transaction; },
+            create: (ref, data) => { writes.push([ref, 'create', data]); return transaction; },
+            update: (ref, data) => { writes.push([ref, 'update', data]); return transaction; },
+            delete: ref => { writes.push([ref, 'delete']); return transaction; }
+        };
+
+        const result = await callback(transaction);
+        for (const [ref, type, data, options] of writes) this.write(ref, type, data, options);
+        return result;
+    }
+
+    batch() {
+        const writes = [];
+        const batch = {
+            set: (ref, data, options) => { writes.push([ref, 'set', data, options]); return batch; },
+            create: (ref, data) => { writes.push([ref, 'create', data]); return batch; },
+            update: (ref, data) => { writes.push([ref, 'update', data]); return batch; },
+            delete: ref => { writes.push([ref, 'delete']); return batch; },
+            commit: async () => {
+                for (const [ref, type, data, options] of writes) this.write(ref, type, data, options);
+            }
+        };
+        return batch;
+    }
+
+    // Stored data of a document, for assertions
+    data(path) {
+        const data = this.documents.get(path);
+        return data === undefined ? undefined : read(data);
+    }
+}
+
+function install() {
+    const db = new FakeFirestore();
+    const firestore = Object.assign(() => db, { FieldValue, FieldPath, Timestamp });
+    const filename = require.resolve('../../config/firebase');
+    require.cache[filename] = { id: filename, filename, loaded: true, exports: { admin: { firestore }, db } };
+    return db;
+}
+
+module.exports = {
+    install,
+    FakeFirestore,
+    Timestamp
+};
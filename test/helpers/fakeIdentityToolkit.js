@@ -0,0 +1,87 @@
+const http = require('http');
+
+/**
+ * Local stand-in for the Identity Toolkit accounts:signInWithPassword
+ * endpoint, answering with the same error bodies ({ error: { code,
+ * message } }). Accounts are added with addAccount(); after `lockoutAfter`
+ * wrong passwords an account answers TOO_MANY_ATTEMPTS_TRY_LATER until
+ * reset(). Every sign-in is kept in `requests` as { key, email, password }.
+ */
+class FakeIdentityToolkit {
+    constructor({ apiKey = 'test-api-key', lockoutAfter = Infinity } = {}) {
+        this.apiKey = apiKey;
+        this.lockoutAfter = lockoutAfter;
+        // email -> { uid, password, disabled }
+        this.accounts = new Map();
+        this.failures = new Map();
+        this.requests = [];
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}`;
+            resolve(this.url);
+        }));
+    }
+
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    addAccount(email, { uid, password, disabled = false }) {
+        this.accounts.set(email, { uid, password, disabled });
+    }
+
+    reset() {
+        this.failures.clear();
+        this.requests.length = 0;
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, this.url);
+            const reply = (status, data) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+            const fail = message => reply(400, { error: { code: 400, message, errors: [{ message, domain: 'global', reason: 'invalid' }] } });
+
+            if (req.method !== 'POST' || url.pathname !== '/v1/accounts:signInWithPassword') {
+                return reply(404, { error: { code: 404, message: 'NOT_FOUND' } });
+            }
+            const key = url.searchParams.get('key');
+            const { email, password } = JSON.parse(body || '{}');
+            this.requests.push({ key, email, password });
+
+            if (key !== this.apiKey) return fail('API key not valid. Please pass a valid API key.');
+            if (!email) return fail('INVALID_EMAIL');
+            if (!password) return fail('MISSING_PASSWORD');
+
+            const account = this.accounts.get(email);
+            if (!account) return fail('EMAIL_NOT_FOUND');
+            if (account.disabled) return fail('USER_DISABLED : The user account has been disabled by an administrator.');
+            if ((this.failures.get(email) || 0) >= this.lockoutAfter) {
+                return fail('TOO_MANY_ATTEMPTS_TRY_LATER : Access to this account has been temporarily disabled due to many failed login attempts.');
+            }
+            if (password !== account.password) {
+                this.failures.set(email, (this.failures.get(email) || 0) + 1);
+                return fail('INVALID_PASSWORD');
+            }
+
+            this.failures.delete(email);
+            reply(200, {
+                kind: 'identitytoolkit#VerifyPasswordResponse',
+                localId: account.uid,
+                email,
+                idToken: `id-token-${account.uid}`,
+                refreshToken: `refresh-token-${account.uid}`,
+                expiresIn: '3600',
+                registered: true
+            });
+        });
+    }
+}
+
+module.exports = FakeIdentityToolkit;
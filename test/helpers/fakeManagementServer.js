@@ -0,0 +1,109 @@
+const net = require('net');
+
+// status 3 columns of OpenVPN 2.6, which added Data Channel Cipher at the end
+const COLUMNS = [
+    'Common Name', 'Real Address', 'Virtual Address', 'Virtual IPv6 Address', 'Bytes Received', 'Bytes Sent',
+    'Connected Since', 'Connected Since (time_t)', 'Username', 'Client ID', 'Peer ID', 'Data Channel Cipher'
+];
+
+/**
+ * Local stand-in for the OpenVPN management interface as configured with a
+ * password and --management-client-auth: the password prompt, `status 3`
+ * built from `sessions`, kill, client-auth-nt and client-deny. Every command
+ * received is kept in `commands`; clientEvent() sends >CLIENT: notifications
+ * and commands listed in `ignore` are never answered.
+ */
+class FakeManagementServer {
+    constructor({ password = 'secret' } = {}) {
+        this.password = password;
+        // common name -> { realAddress, virtualAddress, bytesReceived, bytesSent, connectedSince, clientId }
+        this.sessions = new Map();
+        this.commands = [];
+        this.ignore = new Set();
+        this.sockets = new Set();
+        this.logins = 0;
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port)));
+    }
+
+    dropConnections() {
+        for (const socket of this.sockets) socket.destroy();
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    accept(socket) {
+        let authenticated = !this.password;
+        let buffer = '';
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        const send = lines => socket.write(lines.map(line => `${line}\r\n`).join(''));
+        if (authenticated) {
+            this.logins++;
+            send(['>INFO:OpenVPN Management Interface Version 5 -- type \'help\' for more info']);
+        } else {
+            socket.write('ENTER PASSWORD:');
+        }
+
+        socket.on('data', data => {
+            buffer += data;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+
+                if (!authenticated) {
+                    authenticated = line === this.password;
+                    if (authenticated) this.logins++;
+                    send(authenticated
+                        ? ['SUCCESS: password is correct', '>INFO:OpenVPN Management Interface Version 5 -- type \'help\' for more info']
+                        : ['ERROR: bad password']);
+                    if (!authenticated) socket.end();
+                    continue;
+                }
+
+                this.commands.push(line);
+                if (!this.ignore.has(line.split(' ')[0])) send(this.reply(line));
+            }
+        });
+    }
+
+    reply(line) {
+        const [command, ...args] = line.split(' ');
+
+        if (line === 'status 3') {
+            const rows = [...this.sessions].map(([commonName, session]) => ['CLIENT_LIST',
+                commonName, session.realAddress, session.virtualAddress || '', '', session.bytesReceived || 0,
+                session.bytesSent || 0, 'Mon Oct 19 10:00:00 2026', session.connectedSince || 1760868000,
+                'UNDEF', session.clientId || 0, 0, 'AES-256-GCM'].join('\t'));
+            return ['TITLE\tOpenVPN 2.6.12 x86_64-pc-linux-gnu', 'TIME\tMon Oct 19 10:05:00 2026\t1760868300',
+                `HEADER\tCLIENT_LIST\t${COLUMNS.join('\t')}`, ...rows,
+                'GLOBAL_STATS\tMax bcast/mcast queue length\t0', 'END'];
+        }
+        if (command === 'kill') {
+            const commonName = args[0];
+            if (!this.sessions.delete(commonName)) return [`ERROR: common name '${commonName}' not found`];
+            return [`SUCCESS: common name '${commonName}' found, 1 client(s) killed`];
+        }
+        if (command === 'client-auth-nt') return ['SUCCESS: client-auth command succeeded'];
+        if (command === 'client-deny') return ['SUCCESS: client-deny command succeeded'];
+        return [`ERROR: unknown command [${command}], enter 'help' for more options`];
+    }
+
+    // >CLIENT:<TYPE>,cid[,kid] followed by its ENV block
+    clientEvent(type, cid, kid, env) {
+        const header = kid === null ? `>CLIENT:${type},${cid}` : `>CLIENT:${type},${cid},${kid}`;
+        const lines = [header, ...Object.entries(env).map(([key, value]) => `>CLIENT:ENV,${key}=${value}`), '>CLIENT:ENV,END'];
+        for (const socket of this.sockets) socket.write(lines.map(line => `${line}\r\n`).join(''));
+    }
+}
+
+module.exports = FakeManagementServer;
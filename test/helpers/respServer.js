@@ -0,0 +1,134 @@
+const net = require('net');
+const { decode } = require('../../services/respClient');
+
+const simple = text => `+${text}\r\n`;
+const error = text => `-${text}\r\n`;
+const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+/**
+ * In-process stand-in for a Redis server with the commands the rate
+ * limiter's RedisStore sends: AUTH, SELECT, GET, SET (PX), WATCH / UNWATCH
+ * and MULTI / EXEC. Like Redis, EXEC answers a null array when a watched key
+ * was written since WATCH. Every command received is kept in `commands`.
+ */
+class RespServer {
+    constructor({ password = null } = {}) {
+        this.password = password;
+        // key -> { value, expiresAt, version }
+        this.data = new Map();
+        this.writes = 0;
+        this.commands = [];
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            const auth = this.password ? `:${encodeURIComponent(this.password)}@` : '';
+            this.url = `redis://${auth}127.0.0.1:${this.server.address().port}`;
+            resolve(this.url);
+        }));
+    }
+
+    // Hangs up on every client, like a server restart
+    dropConnections() {
+        for (const socket of this.sockets) socket.destroy();
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    // Writes a key as another client would, bumping its version for WATCH
+    set(key, value, ttlMs = null) {
+        this.data.set(key, { value, expiresAt: ttlMs === null ? null : Date.now() + ttlMs, version: ++this.writes });
+    }
+
+    get(key) {
+        const entry = this.data.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    accept(socket) {
+        const session = { authenticated: !this.password, watched: new Map(), queue: null, buffer: Buffer.alloc(0) };
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+        socket.on('data', data => {
+            session.buffer = Buffer.concat([session.buffer, data]);
+            let parsed;
+            while ((parsed = decode(session.buffer, 0))) {
+                session.buffer = session.buffer.subarray(parsed.end);
+                socket.write(this.execute(session, parsed.value));
+            }
+        });
+    }
+
+    execute(session, [name, ...args]) {
+        const command = name.toUpperCase();
+        this.commands.push([command, ...args]);
+
+        if (!session.authenticated && command !== 'AUTH') return error('NOAUTH Authentication required.');
+        if (session.queue && !['MULTI', 'EXEC', 'WATCH'].includes(command)) {
+            session.queue.push([command, args]);
+            return simple('QUEUED');
+        }
+
+        switch (command) {
+            case 'AUTH':
+                if (args[args.length - 1] !== this.password) return error('WRONGPASS invalid username-password pair');
+                session.authenticated = true;
+                return simple('OK');
+            case 'SELECT':
+                return simple('OK');
+            case 'WATCH':
+                for (const key of args) {
+                    const entry = this.get(key);
+                    session.watched.set(key, entry ? entry.version : 0);
+                }
+                return simple('OK');
+            case 'UNWATCH':
+                session.watched.clear();
+                return simple('OK');
+            case 'MULTI':
+                if (session.queue) return error('ERR MULTI calls can not be nested');
+                session.queue = [];
+                return simple('OK');
+            case 'EXEC': {
+                const queue = session.queue;
+                const changed = [...session.watched].some(([key, version]) => {
+                    const entry = this.get(key);
+                    return (entry ? entry.version : 0) !== version;
+                });
+                session.queue = null;
+                session.watched.clear();
+
+                if (!queue) return error('ERR EXEC without MULTI');
+                if (changed) return '*-1\r\n';
+                return `*${queue.length}\r\n${queue.map(([queued, queuedArgs]) => this.run(queued, queuedArgs)).join('')}`;
+            }
+            default:
+                return this.run(command, args);
+        }
+    }
+
+    run(command, args) {
+        if (command === 'GET') {
+            const entry = this.get(args[0]);
+            return bulk(entry ? entry.value : null);
+        }
+        if (command === 'SET') {
+            const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+            this.set(args[0], args[1], px === -1 ? null : parseInt(args[px + 1]));
+            return simple('OK');
+        }
+        return error(`ERR unknown command '${command}'`);
+    }
+}
+
+module.exports = RespServer;
@@ -0,0 +1,81 @@
+const net = require('net');
+
+/**
+ * Minimal SMTP receiver without STARTTLS or AUTH: EHLO / HELO, MAIL FROM,
+ * RCPT TO, DATA, RSET, NOOP and QUIT. Each message is kept in `messages` as
+ * { from, to, data } with data the raw RFC 5322 text.
+ */
+class SmtpServer {
+    constructor() {
+        this.messages = [];
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port)));
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    accept(socket) {
+        let envelope = { from: null, to: [] };
+        let data = null;
+        let buffer = '';
+        const reply = line => socket.write(`${line}\r\n`);
+
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        reply('220 localhost ESMTP test');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        this.messages.push({ ...envelope, data: data.join('\r\n') });
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        reply('250 OK: queued');
+                    } else {
+                        // Dot-stuffing
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO') {
+                    reply('250-localhost');
+                    reply('250 8BITMIME');
+                } else if (command === 'HELO' || command === 'NOOP') {
+                    reply('250 OK');
+                } else if (command === 'MAIL') {
+                    envelope.from = /<([^>]*)>/.exec(line)[1];
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(/<([^>]*)>/.exec(line)[1]);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'RSET') {
+                    envelope = { from: null, to: [] };
+                    reply('250 OK');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('502 Command not implemented');
+                }
+            }
+        });
+    }
+}
+
+module.exports = SmtpServer;
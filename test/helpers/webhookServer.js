@@ -0,0 +1,40 @@
+const http = require('http');
+
+/**
+ * Local webhook receiver. Every POST is kept in `requests` as { path,
+ * headers, body } with the JSON body parsed. Replies come from `statuses`
+ * (shifted per request, 200 once empty); `delayMs` holds every reply back.
+ */
+class WebhookServer {
+    constructor() {
+        this.requests = [];
+        this.statuses = [];
+        this.delayMs = 0;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this.server.address().port}`;
+            resolve(this.url);
+        }));
+    }
+
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    handle(req, res) {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            this.requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body || 'null') });
+            const status = this.statuses.length > 0 ? this.statuses.shift() : 200;
+            setTimeout(() => res.writeHead(status).end(), this.delayMs);
+        });
+    }
+}
+
+module.exports = WebhookServer;
@@ -0,0 +1,180 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const schedule = require('node-schedule');
+const fakeFirestore = require('./helpers/fakeFirestore');
+
+const SHELL_PROMPT = 'o")~ ';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ids-rules-'));
+const customRules = path.join(dir, 'custom.rules');
+const localRules = path.join(dir, 'local.rules');
+
+// Stands in for `snort -c snort.lua -T`: rejects any rules file mentioning FAKE-SNORT-REJECT
+process.env.SNORT_VALIDATE_COMMAND = `if grep -q FAKE-SNORT-REJECT "${customRules}"; then echo "ERROR: rule rejected by fake snort"; exit 1; fi; echo "Snort successfully validated the configuration"`;
+process.env.SNORT_RELOAD_BACKEND = 'control';
+process.env.SNORT_RELOAD_TIMEOUT = '5000';
+
+const db = fakeFirestore.install();
+let idsService;
+let RuleValidationError;
+let RuleRevisionError;
+
+// Snort's control channel: a prompt, then each command's output followed by the next prompt
+const controlCommands = [];
+const control = net.createServer(socket => {
+    socket.write(SHELL_PROMPT);
+    socket.on('data', data => {
+        controlCommands.push(data.toString().trim());
+        socket.write(`== reload complete\n${SHELL_PROMPT}`);
+    });
+});
+
+const rule = (sid, msg = 'Test rule') => `alert tcp any any -> any 80 (msg:"${msg}"; sid:${sid}; rev:1;)`;
+const leftovers = () => fs.readdirSync(dir).filter(name => name !== 'custom.rules' && name !== 'local.rules');
+
+before(async () => {
+    await new Promise(resolve => control.listen(0, '127.0.0.1', resolve));
+    process.env.SNORT_CONTROL_SOCKET = `127.0.0.1:${control.address().port}`;
+
+    idsService = require('../services/idsService');
+    ({ RuleRevisionError } = idsService);
+    ({ RuleValidationError } = require('../services/snortRuleParser'));
+    idsService.rulesPath = localRules;
+    idsService.customRulesPath = customRules;
+});
+
+beforeEach(() => {
+    fs.writeFileSync(localRules, '');
+    fs.writeFileSync(customRules, '# Custom IDS rules\n');
+    controlCommands.length = 0;
+});
+
+after(async () => {
+    control.close();
+    await schedule.gracefulShutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a new rule is written, stored and reloaded through the control channel', async () => {
+    const result = await idsService.addCustomRule(rule(1000001));
+
+    assert.ok(result.reload.success, result.reload.output);
+    assert.match(fs.readFileSync(customRules, 'utf8'), /sid:1000001/);
+    assert.strictEqual(db.data(`ids_rules/${result.id}`).sid, 1000001);
+    assert.deepStrictEqual(controlCommands, ['reload_config()']);
+    assert.deepStrictEqual(leftovers(), []);
+});
+
+test('a rule failing the Snort config test restores the previous file and stores nothing', async () => {
+    const before = fs.readFileSync(customRules, 'utf8');
+    const stored = db.documentsIn('ids_rules').length;
+
+    await assert.rejects(idsService.addCustomRule(rule(1000002, 'FAKE-SNORT-REJECT')), error => {
+        assert.ok(error instanceof RuleValidationError);
+        assert.match(error.errors[0].message, /rejected by fake snort/);
+        return true;
+    });
+
+    assert.strictEqual(fs.readFileSync(customRules, 'utf8'), before);
+    assert.strictEqual(db.documentsIn('ids_rules').length, stored);
+    assert.deepStrictEqual(controlCommands, []);
+    assert.strictEqual(idsService.getReloadStatus().stage, 'validate');
+    assert.deepStrictEqual(leftovers(), []);
+});
+
+test('a rule that cannot be stored is taken out of the rules file again', async () => {
+    const before = fs.readFileSync(customRules, 'utf8');
+    const write = db.write;
+    db.write = function (ref, type, ...rest) {
+        if (ref.path.startsWith('ids_rules/')) throw new Error('Firestore unavailable');
+        return write.call(this, ref, type, ...rest);
+    };
+
+    try {
+        await assert.rejects(idsService.addCustomRule(rule(1000003)), /Firestore unavailable/);
+    } finally {
+        db.write = write;
+    }
+
+    assert.strictEqual(fs.readFileSync(customRules, 'utf8'), before);
+    assert.deepStrictEqual(controlCommands, []);
+
+    // The sid is still free
+    const result = await idsService.addCustomRule(rule(1000003));
+    assert.match(fs.readFileSync(customRules, 'utf8'), /sid:1000003/);
+    assert.ok(result.id);
+});
+
+test('edits and deletes regenerate the file without leaving backups', async () => {
+    const { id } = await idsService.addCustomRule(rule(1000004));
+
+    const updated = await idsService.updateRule(id, { enabled: false });
+    assert.strictEqual(updated.enabled, false);
+    assert.doesNotMatch(fs.readFileSync(customRules, 'utf8'), /sid:1000004/);
+
+    assert.strictEqual(await idsService.deleteRule(id), true);
+    assert.strictEqual(db.data(`ids_rules/${id}`), undefined);
+    assert.deepStrictEqual(leftovers(), []);
+});
+
+test('a rule rolls back to its own revisions only', async () => {
+    const { id } = await idsService.addCustomRule(rule(1000005, 'Original'));
+    const other = await idsService.addCustomRule(rule(1000006));
+    await idsService.updateRule(id, { rule: rule(1000005, 'Edited') });
+
+    const [created] = (await idsService.getRuleRevisions(id)).filter(revision => revision.action === 'created');
+    const restored = await idsService.rollbackRule(id, created.id);
+    assert.match(restored.rule, /msg:"Original"/);
+    assert.strictEqual(restored.rev, 3);
+    assert.match(fs.readFileSync(customRules, 'utf8'), /msg:"Original"/);
+
+    const [otherRevision] = await idsService.getRuleRevisions(other.id);
+    for (const revisionId of ['no-such-revision', otherRevision.id]) {
+        await assert.rejects(idsService.rollbackRule(id, revisionId), error => {
+            assert.ok(error instanceof RuleRevisionError);
+            assert.strictEqual(error.status, 404);
+            return true;
+        });
+    }
+    assert.strictEqual(await idsService.rollbackRule('no-such-rule', created.id), null);
+});
+
+test('the pidfile backend signals the Snort process', async () => {
+    // Fake snort: reports SIGHUP on stdout
+    const snort = spawn(process.execPath, ['-e', `
+        process.on('SIGHUP', () => console.log('reloaded'));
+        console.log('ready');
+        setInterval(() => {}, 1000);
+    `]);
+    const pidFile = path.join(dir, 'snort.pid');
+    const { config } = idsService.reloader;
+    const previous = { backend: config.backend, pidFile: config.pidFile };
+
+    try {
+        const output = [];
+        const ready = new Promise(resolve => snort.stdout.on('data', data => {
+            output.push(...data.toString().trim().split('\n'));
+            if (output.includes('ready')) resolve();
+        }));
+        await ready;
+        fs.writeFileSync(pidFile, `${snort.pid}\n`);
+        Object.assign(config, { backend: 'pidfile', pidFile });
+
+        const status = await idsService.reloadRules();
+        assert.ok(status.success, status.output);
+        assert.match(status.output, /SIGHUP/);
+
+        await new Promise(resolve => {
+            const check = () => (output.includes('reloaded') ? resolve() : setTimeout(check, 10));
+            check();
+        });
+    } finally {
+        Object.assign(config, previous);
+        snort.kill();
+        fs.rmSync(pidFile, { force: true });
+    }
+});
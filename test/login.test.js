@@ -0,0 +1,190 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const schedule = require('node-schedule');
+const fakeFirestore = require('./helpers/fakeFirestore');
+const FakeIdentityToolkit = require('./helpers/fakeIdentityToolkit');
+
+const MINUTE = 60000;
+const API_KEY = 'test-api-key';
+const identityToolkit = new FakeIdentityToolkit({ apiKey: API_KEY, lockoutAfter: 3 });
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-'));
+
+const db = fakeFirestore.install();
+let PasswordVerifier;
+let LoginGuard;
+let MemoryStore;
+let authConfig;
+let ipsService;
+
+// A guard with its own store: 3 failures lock an account, 5 block an IP
+const guard = () => new LoginGuard({
+    store: new MemoryStore(),
+    config: { ...authConfig.bruteForce, windowMs: 15 * MINUTE, accountMaxFailures: 3, ipMaxFailures: 5 }
+});
+
+// Minutes from now until a block ends
+const minutesLeft = block => Math.round((block.expiresAt.getTime() - Date.now()) / MINUTE);
+
+before(async () => {
+    process.env.IDENTITY_TOOLKIT_URL = await identityToolkit.listen();
+    process.env.API_KEY = API_KEY;
+    identityToolkit.addAccount('alice@example.com', { uid: 'uid-alice', password: 'correct horse' });
+    identityToolkit.addAccount('mallory@example.com', { uid: 'uid-mallory', password: 'x', disabled: true });
+
+    PasswordVerifier = require('../services/passwordVerifier');
+    ({ LoginGuard } = require('../services/loginGuard'));
+    ({ MemoryStore } = require('../services/rateLimitStores'));
+    authConfig = require('../config/auth');
+    ipsService = require('../services/ipsService');
+    ipsService.blacklistRulesPath = path.join(dir, 'blacklist.rules');
+});
+
+beforeEach(() => identityToolkit.reset());
+
+after(async () => {
+    await identityToolkit.close();
+    await schedule.gracefulShutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the verifier signs in through IDENTITY_TOOLKIT_URL with the API key', async () => {
+    const verifier = PasswordVerifier.create();
+
+    assert.deepStrictEqual(await verifier.verify('alice@example.com', 'correct horse'), {
+        valid: true,
+        uid: 'uid-alice',
+        email: 'alice@example.com',
+        idToken: 'id-token-uid-alice',
+        refreshToken: 'refresh-token-uid-alice'
+    });
+    assert.deepStrictEqual(identityToolkit.requests, [{ key: API_KEY, email: 'alice@example.com', password: 'correct horse' }]);
+});
+
+test('wrong passwords and unknown emails are both invalid credentials', async () => {
+    const verifier = PasswordVerifier.create();
+
+    assert.deepStrictEqual(await verifier.verify('alice@example.com', 'wrong'), { valid: false, reason: 'invalid_credentials', code: 'INVALID_PASSWORD' });
+    assert.deepStrictEqual(await verifier.verify('nobody@example.com', 'wrong'), { valid: false, reason: 'invalid_credentials', code: 'EMAIL_NOT_FOUND' });
+    assert.deepStrictEqual(await verifier.verify('mallory@example.com', 'x'), { valid: false, reason: 'user_disabled', code: 'USER_DISABLED' });
+});
+
+test('the Identity Toolkit lockout is reported as too_many_attempts, even for the right password', async () => {
+    const verifier = PasswordVerifier.create();
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await verifier.verify('alice@example.com', 'wrong')).code, 'INVALID_PASSWORD');
+    }
+
+    assert.deepStrictEqual(await verifier.verify('alice@example.com', 'correct horse'), {
+        valid: false, reason: 'too_many_attempts', code: 'TOO_MANY_ATTEMPTS_TRY_LATER'
+    });
+});
+
+test('unexpected errors and a missing API key reject instead of counting as a failure', async () => {
+    const wrongKey = PasswordVerifier.create({ ...authConfig.passwordVerifier, apiKey: 'other-key' });
+    await assert.rejects(wrongKey.verify('alice@example.com', 'correct horse'), /failed with 400: API key not valid/);
+
+    const noKey = PasswordVerifier.create({ ...authConfig.passwordVerifier, apiKey: undefined });
+    await assert.rejects(noKey.verify('alice@example.com', 'correct horse'), /API_KEY is not configured/);
+});
+
+test('a registered backend stands in for Identity Toolkit', async () => {
+    PasswordVerifier.register('static', ({ users }) => ({
+        verify: async (email, password) => users[email] === password
+            ? { valid: true, uid: email, email, idToken: null, refreshToken: null }
+            : { valid: false, reason: 'invalid_credentials' }
+    }));
+    const verifier = PasswordVerifier.create({ backend: 'static', users: { 'bob@example.com': 'pw' } });
+
+    assert.strictEqual((await verifier.verify('bob@example.com', 'pw')).valid, true);
+    assert.throws(() => PasswordVerifier.create({ backend: 'missing' }), /Unknown password verifier backend: missing/);
+});
+
+test('failures are counted per account across IPs and the account is locked at the threshold', async () => {
+    const loginGuard = guard();
+
+    const first = await loginGuard.recordFailure({ email: 'Alice@Example.com', uid: 'uid-alice', ip: '198.51.100.1' });
+    assert.strictEqual(first.accountFailures, 1);
+    assert.strictEqual(first.remainingAttempts, 2);
+    await loginGuard.recordFailure({ email: 'alice@example.com', uid: 'uid-alice', ip: '198.51.100.2' });
+    const third = await loginGuard.recordFailure({ email: 'alice@example.com', uid: 'uid-alice', ip: '198.51.100.3' });
+
+    assert.strictEqual(third.accountFailures, 3);
+    assert.strictEqual(third.ipFailures, 1);
+    assert.strictEqual(third.remainingAttempts, 0);
+    assert.strictEqual(third.ipBlock, null);
+    assert.strictEqual(third.accountBlock.policy, 'account_lockout');
+    assert.strictEqual(minutesLeft(third.accountBlock), 15);
+
+    const user = db.data('users_ips/uid-alice');
+    assert.strictEqual(user.blocked, true);
+    assert.strictEqual(user.blockReason, 'Brute force: 3 failed sign-ins');
+    assert.strictEqual(await ipsService.isUserBlocked('uid-alice'), true);
+
+    // The count starts over once the lock is in place
+    const next = await loginGuard.recordFailure({ email: 'alice@example.com', uid: 'uid-alice', ip: '198.51.100.4' });
+    assert.strictEqual(next.accountFailures, 1);
+});
+
+test('a repeated account lockout escalates to the next step', async () => {
+    const loginGuard = guard();
+    await ipsService.unblockUser('uid-alice');
+
+    let failure;
+    for (let i = 0; i < 3; i++) {
+        failure = await loginGuard.recordFailure({ email: 'alice@example.com', uid: 'uid-alice', ip: '198.51.100.10' });
+    }
+
+    assert.strictEqual(failure.accountBlock.step, 1);
+    assert.strictEqual(minutesLeft(failure.accountBlock), 60);
+});
+
+test('unknown emails are counted but have no account to lock', async () => {
+    const loginGuard = guard();
+
+    let failure;
+    for (let i = 0; i < 3; i++) {
+        failure = await loginGuard.recordFailure({ email: 'nobody@example.com', uid: null, ip: `198.51.100.${20 + i}` });
+    }
+
+    assert.strictEqual(failure.accountFailures, 3);
+    assert.strictEqual(failure.remainingAttempts, 0);
+    assert.strictEqual(failure.accountBlock, null);
+});
+
+test('failures are counted per IP across accounts and the IP is blocked at the threshold', async () => {
+    const loginGuard = guard();
+    const ip = '203.0.113.50';
+
+    let failure;
+    for (let i = 0; i < 5; i++) {
+        failure = await loginGuard.recordFailure({ email: `user${i}@example.com`, uid: null, ip });
+    }
+
+    assert.strictEqual(failure.accountFailures, 1);
+    assert.strictEqual(failure.ipFailures, 5);
+    assert.strictEqual(failure.remainingAttempts, 0);
+    assert.strictEqual(failure.ipBlock.ip, ip);
+    assert.strictEqual(failure.ipBlock.policy, 'brute_force');
+    assert.strictEqual(minutesLeft(failure.ipBlock), 60);
+
+    const block = await ipsService.getActiveBlock(ip);
+    assert.strictEqual(block.reason, 'Brute force: 5 failed sign-ins');
+    assert.match(fs.readFileSync(ipsService.blacklistRulesPath, 'utf8'), /203\.0\.113\.50/);
+});
+
+test('a successful sign-in clears the account count but not the IP count', async () => {
+    const loginGuard = guard();
+    const ip = '203.0.113.60';
+
+    await loginGuard.recordFailure({ email: 'carol@example.com', uid: 'uid-carol', ip });
+    await loginGuard.recordFailure({ email: 'carol@example.com', uid: 'uid-carol', ip });
+    await loginGuard.recordSuccess('carol@example.com');
+    const failure = await loginGuard.recordFailure({ email: 'carol@example.com', uid: 'uid-carol', ip });
+
+    assert.strictEqual(failure.accountFailures, 1);
+    assert.strictEqual(failure.ipFailures, 3);
+    assert.strictEqual(failure.remainingAttempts, 2);
+});
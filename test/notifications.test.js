@@ -0,0 +1,170 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fakeFirestore = require('./helpers/fakeFirestore');
+const WebhookServer = require('./helpers/webhookServer');
+const SmtpServer = require('./helpers/smtpServer');
+
+const db = fakeFirestore.install();
+const webhook = new WebhookServer();
+const smtp = new SmtpServer();
+let notificationsConfig;
+let NotificationService;
+let smtpPort;
+
+const waitFor = (condition, timeout = 2000) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+        if (condition()) return resolve();
+        if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for condition'));
+        setTimeout(check, 10);
+    };
+    check();
+});
+
+// A service with fast retries and a short throttle window
+const service = (channels, { maxPerWindow = 3, windowMs = 60000 } = {}) => new NotificationService({
+    ...notificationsConfig,
+    channels,
+    throttle: { windowMs, maxPerWindow },
+    retry: { attempts: 3, backoffMs: 10 },
+    timeout: 1000
+});
+
+const alert = (msg, severity = 9, extra = {}) => ({
+    id: `alert-${msg}`,
+    timestamp: '2026-10-19T10:00:00.000Z',
+    src_ip: '203.0.113.7',
+    dest_ip: '10.0.0.5',
+    msg,
+    severity,
+    ...extra
+});
+
+// Body of the text/html part of a raw message (quoted-printable or plain)
+function htmlPart(raw) {
+    const part = raw.split(/\r\n--/).find(section => /Content-Type: text\/html/i.test(section));
+    const [headers, ...body] = part.split('\r\n\r\n');
+    const text = body.join('\r\n\r\n');
+    if (!/quoted-printable/i.test(headers)) return text;
+    return Buffer.from(text.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8');
+}
+
+before(async () => {
+    await webhook.listen();
+    smtpPort = await smtp.listen();
+    notificationsConfig = require('../config/notifications');
+    ({ NotificationService } = require('../services/notificationService'));
+});
+
+beforeEach(() => {
+    webhook.requests.length = 0;
+    webhook.statuses.length = 0;
+    webhook.delayMs = 0;
+});
+
+after(async () => {
+    await webhook.close();
+    await smtp.close();
+});
+
+test('alerts at or above a channel threshold are posted to the webhook', async () => {
+    const notifications = service([{ name: 'hook', type: 'webhook', url: `${webhook.url}/hook`, minSeverity: 5 }]);
+
+    assert.deepStrictEqual(await notifications.notify(alert('Low', 3)), [{ channel: 'hook', status: 'skipped' }]);
+    assert.deepStrictEqual(await notifications.notify(alert('Port scan')), [{ channel: 'hook', status: 'sending' }]);
+    await waitFor(() => webhook.requests.length === 1);
+
+    const { path, body } = webhook.requests[0];
+    assert.strictEqual(path, '/hook');
+    assert.strictEqual(body.kind, 'alert');
+    assert.strictEqual(body.subject, '⚠️ IDS alert (severity 9): Port scan');
+    assert.match(body.text, /Source IP: 203\.0\.113\.7/);
+    assert.deepStrictEqual(body.alerts.map(item => item.id), ['alert-Port scan']);
+});
+
+test('notify does not wait for a slow channel', async () => {
+    const notifications = service([{ name: 'hook', type: 'webhook', url: webhook.url }]);
+    webhook.delayMs = 500;
+
+    const started = Date.now();
+    await notifications.notify(alert('Slow'));
+    assert.ok(Date.now() - started < 200);
+    await waitFor(() => webhook.requests.length === 1);
+});
+
+test('alerts beyond the window limit go out as one digest when the window closes', async () => {
+    const notifications = service([{ name: 'hook', type: 'webhook', url: webhook.url }], { maxPerWindow: 2, windowMs: 150 });
+
+    const statuses = [];
+    for (const msg of ['A', 'B', 'C', 'C', 'D']) {
+        const [outcome] = await notifications.notify(alert(msg, msg === 'D' ? 10 : 8, { src_ip: msg === 'C' ? '198.51.100.9' : '203.0.113.7' }));
+        statuses.push(outcome.status);
+    }
+    assert.deepStrictEqual(statuses, ['sending', 'sending', 'queued', 'queued', 'queued']);
+    assert.strictEqual(notifications.getChannels()[0].window.pending, 3);
+
+    await waitFor(() => webhook.requests.length === 3);
+    const digest = webhook.requests.find(request => request.body.kind === 'digest').body;
+    assert.strictEqual(digest.subject, '⚠️ 3 more IDS alerts (highest severity 10)');
+    assert.match(digest.text, /- C x2 \(severity up to 8, from 198\.51\.100\.9\)/);
+    assert.match(digest.text, /- D x1/);
+    assert.strictEqual(notifications.getChannels()[0].window, null);
+});
+
+test('failed sends are retried with backoff', async () => {
+    const notifications = service([{ name: 'hook', type: 'webhook', url: webhook.url }]);
+    webhook.statuses.push(500, 502);
+
+    const [channel] = notifications.channels;
+    const result = await notifications.deliver(channel, notifications.buildMessage(channel, 'alert', alert('Retry'), [alert('Retry')]));
+
+    assert.deepStrictEqual(result, { status: 'sent', attempts: 3 });
+    assert.strictEqual(webhook.requests.length, 3);
+    assert.strictEqual(db.documentsIn(notificationsConfig.deadLetterCollection).length, 0);
+});
+
+test('a message that keeps failing is dead-lettered', async () => {
+    const notifications = service([{ name: 'hook', type: 'webhook', url: webhook.url }]);
+    webhook.statuses.push(503, 503, 503);
+
+    const [channel] = notifications.channels;
+    const result = await notifications.deliver(channel, notifications.buildMessage(channel, 'alert', alert('Down'), [alert('Down')]));
+
+    assert.strictEqual(result.status, 'failed');
+    assert.match(result.error, /answered 503/);
+    const [letter] = await notifications.getDeadLetters({ channel: 'hook' });
+    assert.strictEqual(letter.attempts, 3);
+    assert.strictEqual(letter.kind, 'alert');
+    assert.strictEqual(letter.subject, '⚠️ IDS alert (severity 9): Down');
+    assert.deepStrictEqual(letter.alertIds, ['alert-Down']);
+});
+
+test('Slack messages escape the alert text', async () => {
+    const notifications = service([{ name: 'chat', type: 'slack', url: webhook.url }]);
+
+    await notifications.notify(alert('<!channel> & <script>'));
+    await waitFor(() => webhook.requests.length === 1);
+
+    const { text } = webhook.requests[0].body;
+    assert.match(text, /^\*⚠️ IDS alert \(severity 9\): &lt;!channel&gt; &amp; &lt;script&gt;\*\n/);
+    assert.doesNotMatch(text, /<script>/);
+});
+
+test('email goes out as text plus escaped HTML', async () => {
+    const notifications = service([{
+        name: 'email', type: 'smtp', host: '127.0.0.1', port: smtpPort,
+        from: 'ids@example.com', to: ['soc@example.com', 'oncall@example.com']
+    }]);
+    const before = smtp.messages.length;
+
+    await notifications.notify(alert('<img src=x onerror=alert(1)> "quoted"'));
+    await waitFor(() => smtp.messages.length === before + 1);
+
+    const message = smtp.messages[before];
+    assert.strictEqual(message.from, 'ids@example.com');
+    assert.deepStrictEqual(message.to, ['soc@example.com', 'oncall@example.com']);
+    const html = htmlPart(message.data);
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt; &quot;quoted&quot;/);
+    assert.doesNotMatch(html, /<img/);
+    assert.match(html, /Source IP: 203\.0\.113\.7<br>/);
+});
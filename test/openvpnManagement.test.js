@@ -0,0 +1,219 @@
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const schedule = require('node-schedule');
+const fakeFirestore = require('./helpers/fakeFirestore');
+const FakeManagementServer = require('./helpers/fakeManagementServer');
+
+const PASSWORD = 'management-secret';
+const server = new FakeManagementServer({ password: PASSWORD });
+const db = fakeFirestore.install();
+let OpenVPNManagement;
+let ManagementError;
+let vpnService;
+let config;
+
+const waitFor = (condition, timeout = 2000) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+        if (condition()) return resolve();
+        if (Date.now() - started > timeout) return reject(new Error('Timed out waiting for condition'));
+        setTimeout(check, 10);
+    };
+    check();
+});
+
+// Starts a management client and waits for it to log in
+async function connect(handlers = {}) {
+    let ready = 0;
+    const client = new OpenVPNManagement(config, { ...handlers, ready: () => { ready++; } });
+    client.start();
+    await waitFor(() => ready > 0);
+    client.readyCount = () => ready;
+    return client;
+}
+
+before(async () => {
+    // Reconnect logs written between the runner's messages trip up Node 20's test reporter
+    mock.method(console, 'log', () => {});
+    const port = await server.listen();
+    process.env.OPENVPN_MANAGEMENT_HOST = '127.0.0.1';
+    process.env.OPENVPN_MANAGEMENT_PORT = String(port);
+    process.env.OPENVPN_MANAGEMENT_PASSWORD = PASSWORD;
+    config = { host: '127.0.0.1', port, password: PASSWORD, timeout: 1000, reconnectInterval: 50 };
+
+    OpenVPNManagement = require('../services/openvpnManagement');
+    ({ ManagementError } = OpenVPNManagement);
+    vpnService = require('../services/vpnService');
+});
+
+beforeEach(() => {
+    server.sessions.clear();
+    server.commands.length = 0;
+    server.ignore.clear();
+});
+
+after(async () => {
+    vpnService.management.stop();
+    clearInterval(vpnService.statusTimer);
+    await server.close();
+    await schedule.gracefulShutdown();
+});
+
+test('logs in with the password and reads sessions from status 3 by its header', async () => {
+    server.sessions.set('alice', {
+        realAddress: '203.0.113.7:51820', virtualAddress: '10.8.0.6', bytesReceived: 1200, bytesSent: 3400,
+        connectedSince: 1760868000, clientId: 4
+    });
+    const client = await connect();
+
+    try {
+        assert.strictEqual(client.connected, true);
+        assert.deepStrictEqual(await client.getStatus(), [{
+            commonName: 'alice',
+            realAddress: '203.0.113.7:51820',
+            virtualAddress: '10.8.0.6',
+            clientId: '4',
+            connectedSince: new Date(1760868000 * 1000),
+            bytesReceived: 1200,
+            bytesSent: 3400
+        }]);
+    } finally {
+        client.stop();
+    }
+});
+
+test('a wrong password is refused and no command runs', async () => {
+    const logins = server.logins;
+    const client = new OpenVPNManagement({ ...config, password: 'wrong' }, { ready: () => assert.fail('should not log in') });
+    client.start();
+
+    try {
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.strictEqual(client.connected, false);
+        assert.strictEqual(server.logins, logins);
+        await assert.rejects(client.command('status 3'), /Not connected/);
+        assert.deepStrictEqual(server.commands, []);
+    } finally {
+        client.stop();
+    }
+});
+
+test('>CLIENT: notifications are passed to the handler with their ENV block', async () => {
+    const events = [];
+    const client = await connect({ client: event => events.push(event) });
+
+    try {
+        server.clientEvent('ESTABLISHED', 7, null, {
+            common_name: 'alice',
+            trusted_ip: '203.0.113.7',
+            trusted_port: 51820,
+            ifconfig_pool_remote_ip: '10.8.0.6',
+            'tls_id_0': 'CN=alice,O=VPN'
+        });
+        await waitFor(() => events.length === 1);
+
+        assert.deepStrictEqual(events[0], {
+            type: 'established',
+            cid: '7',
+            kid: null,
+            env: {
+                common_name: 'alice',
+                trusted_ip: '203.0.113.7',
+                trusted_port: '51820',
+                ifconfig_pool_remote_ip: '10.8.0.6',
+                tls_id_0: 'CN=alice,O=VPN'
+            }
+        });
+    } finally {
+        client.stop();
+    }
+});
+
+test('kill disconnects a common name and reports unknown ones', async () => {
+    server.sessions.set('alice', { realAddress: '203.0.113.7:51820' });
+    const client = await connect();
+
+    try {
+        assert.match(await client.killClient('alice'), /1 client\(s\) killed/);
+        await assert.rejects(client.killClient('bob'), error => error instanceof ManagementError && /not found/.test(error.message));
+        await assert.rejects(client.killClient('alice status'), /Invalid common name/);
+        assert.deepStrictEqual(server.commands, ['kill alice', 'kill bob']);
+    } finally {
+        client.stop();
+    }
+});
+
+test('client-auth answers are sent for CONNECT notifications', async () => {
+    const client = await connect();
+
+    try {
+        await client.authorizeClient('3', '1');
+        await client.denyClient('4', '0', 'Client "revoked"');
+        assert.deepStrictEqual(server.commands, ['client-auth-nt 3 1', 'client-deny 4 0 "Client revoked"']);
+    } finally {
+        client.stop();
+    }
+});
+
+test('a dropped connection rejects the pending command and reconnects', async () => {
+    const client = await connect();
+
+    try {
+        server.ignore.add('status');
+        const pending = client.getStatus();
+        await waitFor(() => server.commands.includes('status 3'));
+        server.dropConnections();
+        await assert.rejects(pending, /connection closed/);
+
+        server.ignore.clear();
+        await waitFor(() => client.readyCount() === 2);
+        assert.deepStrictEqual(await client.getStatus(), []);
+    } finally {
+        client.stop();
+    }
+});
+
+test('a command without a reply times out and starts a new connection', async () => {
+    const client = await connect();
+    client.config = { ...config, timeout: 100 };
+
+    try {
+        server.ignore.add('kill');
+        await assert.rejects(client.command('kill alice'), ManagementError);
+
+        server.ignore.clear();
+        await waitFor(() => client.readyCount() === 2);
+        await client.authorizeClient('1', '0');
+    } finally {
+        client.stop();
+    }
+});
+
+test('vpnService authorizes, tracks and turns away revoked clients', async () => {
+    await db.collection('vpn_clients').doc('alice').set({ username: 'alice', active: true });
+    await db.collection('vpn_clients').doc('mallory').set({ username: 'mallory', active: false });
+    await vpnService.initialize();
+    await waitFor(() => vpnService.management.connected);
+
+    server.clientEvent('CONNECT', 1, 0, { common_name: 'alice', untrusted_ip: '203.0.113.7', untrusted_port: 51820 });
+    server.clientEvent('CONNECT', 2, 0, { common_name: 'mallory', untrusted_ip: '198.51.100.9', untrusted_port: 40000 });
+    // The status 3 sent after logging in is not part of this
+    const answers = () => server.commands.filter(command => command.startsWith('client-'));
+    await waitFor(() => answers().length === 2);
+    assert.deepStrictEqual(answers().sort(), ['client-auth-nt 1 0', 'client-deny 2 0 "Client revoked"']);
+
+    server.clientEvent('ESTABLISHED', 1, null, {
+        common_name: 'alice', trusted_ip: '203.0.113.7', trusted_port: 51820, ifconfig_pool_remote_ip: '10.8.0.6'
+    });
+    await waitFor(() => vpnService.connectedClients.has('alice'));
+    const session = vpnService.connectedClients.get('alice');
+    assert.strictEqual(session.realAddress, '203.0.113.7');
+    assert.strictEqual(session.realPort, 51820);
+    assert.strictEqual(session.virtualAddress, '10.8.0.6');
+
+    server.clientEvent('DISCONNECT', 1, null, { common_name: 'alice', bytes_received: 500, bytes_sent: 900 });
+    await waitFor(() => !vpnService.connectedClients.has('alice'));
+    const logged = db.documentsIn('vpn_connections').map(doc => doc.data());
+    assert.deepStrictEqual(logged.map(entry => entry.status).sort(), ['connected', 'disconnected']);
+    assert.strictEqual(logged.find(entry => entry.status === 'disconnected').bytesSent, 900);
+});
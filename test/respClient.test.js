@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const RespClient = require('../services/respClient');
+const { RedisStore } = require('../services/rateLimitStores');
+const RespServer = require('./helpers/respServer');
+
+// Counts calls in state.count, like a fixed window
+const increment = current => {
+    const count = (current ? current.count : 0) + 1;
+    return { state: { count }, ttlMs: 60000, result: count };
+};
+
+let server;
+let url;
+
+before(async () => {
+    server = new RespServer({ password: 's3cret' });
+    url = `${await server.listen()}/2`;
+});
+
+after(() => server.close());
+
+test('RedisStore authenticates, selects the database and keeps state across updates', async () => {
+    const store = new RedisStore({ url, timeout: 1000 });
+    try {
+        assert.strictEqual(await store.update('ip:198.51.100.7', increment), 1);
+        assert.strictEqual(await store.update('ip:198.51.100.7', increment), 2);
+
+        const names = server.commands.map(([command]) => command);
+        assert.deepStrictEqual(names.slice(0, 2), ['AUTH', 'SELECT']);
+        assert.deepStrictEqual(server.commands[1], ['SELECT', '2']);
+        assert.strictEqual(JSON.parse(server.get('ratelimit:ip:198.51.100.7').value).count, 2);
+    } finally {
+        store.client.close();
+    }
+});
+
+test('RedisStore retries when the watched key changes before EXEC', async () => {
+    const store = new RedisStore({ url, timeout: 1000 });
+    let calls = 0;
+    try {
+        const result = await store.update('user:u1', current => {
+            // Another instance writes between WATCH and EXEC on the first attempt
+            if (++calls === 1) server.set('ratelimit:user:u1', JSON.stringify({ count: 10 }));
+            return increment(current);
+        });
+
+        assert.strictEqual(calls, 2);
+        assert.strictEqual(result, 11);
+    } finally {
+        store.client.close();
+    }
+});
+
+test('RedisStore gives up after maxRetries conflicting writes', async () => {
+    const store = new RedisStore({ url, timeout: 1000, maxRetries: 1 });
+    try {
+        await assert.rejects(
+            store.update('user:u2', current => {
+                server.set('ratelimit:user:u2', JSON.stringify({ count: 0 }));
+                return increment(current);
+            }),
+            /kept changing/
+        );
+    } finally {
+        store.client.close();
+    }
+});
+
+test('RespClient reports a wrong password', async () => {
+    const client = new RespClient({ url: url.replace('s3cret', 'wrong'), timeout: 1000 });
+    await assert.rejects(client.sendCommand(['GET', 'k']), /WRONGPASS/);
+    assert.strictEqual(client.socket, null);
+});
+
+test('RespClient reconnects after the server drops the connection', async () => {
+    const client = new RespClient({ url, timeout: 1000 });
+    try {
+        await client.sendCommand(['SET', 'k', 'v']);
+        const closed = new Promise(resolve => client.socket.once('close', resolve));
+        server.dropConnections();
+        await closed;
+
+        assert.strictEqual(client.socket, null);
+        assert.strictEqual(await client.sendCommand(['GET', 'k']), 'v');
+    } finally {
+        client.close();
+    }
+});
+
+test('a late close from a replaced connection leaves the new one alone', async () => {
+    const client = new RespClient({ url, timeout: 1000 });
+    try {
+        await client.sendCommand(['SET', 'k', 'v']);
+        const old = client.socket;
+        client.fail(new Error('connection reset'));
+
+        await client.sendCommand(['GET', 'k']);
+        const current = client.socket;
+        assert.notStrictEqual(current, old);
+
+        // The dead socket's events arrive while a command is in flight on the new one
+        const inFlight = client.sendCommand(['GET', 'k']);
+        old.emit('error', new Error('ECONNRESET'));
+        old.emit('close');
+
+        assert.strictEqual(await inFlight, 'v');
+        assert.strictEqual(client.socket, current);
+    } finally {
+        client.close();
+    }
+});
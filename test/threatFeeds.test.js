@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const schedule = require('node-schedule');
+const fakeFirestore = require('./helpers/fakeFirestore');
+
+const FIXTURES = path.join(__dirname, 'fixtures/feeds');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'threat-feeds-'));
+const blacklistRules = path.join(dir, 'blacklist.rules');
+
+const db = fakeFirestore.install();
+let threatFeedParsers;
+let threatFeedsConfig;
+let ThreatFeedService;
+let ipsService;
+
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const notations = result => result.entries.map(entry => entry.range.notation);
+const activeBlocks = feed => db.documentsIn('ips_blocklist')
+    .map(doc => doc.data())
+    .filter(block => block.feed === feed && block.active)
+    .map(block => block.ip)
+    .sort();
+
+before(() => {
+    threatFeedParsers = require('../services/threatFeedParsers');
+    threatFeedsConfig = require('../config/threatFeeds');
+    ({ ThreatFeedService } = require('../services/threatFeedService'));
+    ipsService = require('../services/ipsService');
+    ipsService.blacklistRulesPath = blacklistRules;
+});
+
+after(async () => {
+    await schedule.gracefulShutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the text parser reads addresses and ranges and skips comments', () => {
+    const result = threatFeedParsers.text(fixture('sample.txt'));
+
+    assert.deepStrictEqual(notations(result), ['203.0.113.7', '203.0.113.0/28', '198.51.100.23', '2001:db8:bad::/48', '10.0.0.0/8']);
+    assert.strictEqual(result.invalid, 1);
+});
+
+test('the csv parser takes the address from the commented header column', () => {
+    const result = threatFeedParsers.csv(fixture('sample.csv'), { csv: { column: 'dst_ip' } });
+
+    assert.deepStrictEqual(notations(result), ['203.0.113.45', '198.51.100.77']);
+    assert.strictEqual(result.invalid, 1);
+});
+
+test('the stix parser keeps address indicators and drops revoked and compound ones', () => {
+    const result = threatFeedParsers.stix(fixture('sample-stix.json'));
+
+    assert.deepStrictEqual(notations(result), ['203.0.113.99', '198.51.100.0/25', '2001:db8:dead::/48']);
+    assert.deepStrictEqual(result.entries.map(entry => entry.confidence), [85, 85, 40]);
+    assert.strictEqual(result.entries[0].description, 'C2 server');
+    assert.strictEqual(result.invalid, 1);
+});
+
+test('an import blocks the usable entries and a later one expires what left the feed', async () => {
+    const feedFile = path.join(dir, 'feed.txt');
+    fs.writeFileSync(feedFile, fixture('sample.txt'));
+    const feed = { ...threatFeedsConfig.feedDefaults, name: 'sample', file: feedFile, enabled: false };
+    const service = new ThreatFeedService({ ...threatFeedsConfig, feeds: [feed] });
+
+    const stats = await service.importFeed('sample');
+    assert.strictEqual(stats.status, 'ok');
+    assert.strictEqual(stats.parsed, 5);
+    assert.strictEqual(stats.invalid, 1);
+    assert.deepStrictEqual(stats.skipped, { tooBroad: 0, reserved: 1, lowConfidence: 0 });
+    assert.strictEqual(stats.added, 4);
+    assert.deepStrictEqual(activeBlocks('sample'), ['198.51.100.23', '2001:db8:bad::/48', '203.0.113.0/28', '203.0.113.7']);
+    assert.strictEqual(db.data('ips_feeds/sample').added, 4);
+
+    const rules = fs.readFileSync(blacklistRules, 'utf8');
+    assert.match(rules, /drop ip 203\.0\.113\.7 any -> any any/);
+    assert.match(rules, /Threat feed sample/);
+
+    // The same entries again, minus one
+    const { entries } = threatFeedParsers.text(fixture('sample.txt').replace('198.51.100.23', ''));
+    const applied = await ipsService.syncFeedBlocks(feed, entries
+        .filter(entry => entry.range.notation !== '10.0.0.0/8')
+        .map(entry => ({ ...entry, confidence: feed.confidence })));
+
+    assert.deepStrictEqual(applied, { added: 0, refreshed: 0, unchanged: 3, expired: 1, allowlisted: 0, active: 3 });
+    assert.deepStrictEqual(activeBlocks('sample'), ['2001:db8:bad::/48', '203.0.113.0/28', '203.0.113.7']);
+    assert.doesNotMatch(fs.readFileSync(blacklistRules, 'utf8'), /198\.51\.100\.23/);
+});
+
+test('allowlisted addresses are left out of feed blocks', async () => {
+    await ipsService.addAllowlistEntry('203.0.113.45', 'Partner gateway');
+    const feed = { ...threatFeedsConfig.feedDefaults, name: 'feodo', format: 'csv', csv: { column: 'dst_ip' } };
+    const { entries } = threatFeedParsers.csv(fixture('sample.csv'), feed);
+
+    const applied = await ipsService.syncFeedBlocks(feed, entries.map(entry => ({ ...entry, confidence: feed.confidence })));
+
+    assert.strictEqual(applied.allowlisted, 1);
+    assert.deepStrictEqual(activeBlocks('feodo'), ['198.51.100.77']);
+});